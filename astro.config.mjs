@@ -1,7 +1,18 @@
 import { defineConfig } from 'astro/config';
 import tailwind from '@astrojs/tailwind';
+import node from '@astrojs/node';
+import serviceWorker from './src/integrations/service-worker';
+import requiredSecrets from './src/integrations/required-secrets';
 
+// Marketing pages are prerendered; API routes and pages with
+// `export const prerender = false` run in the standalone Node server
+// (`npm start` after `npm run build`), where the rate limiter, lead store
+// and mail transport live for the life of the process.
 export default defineConfig({
-  integrations: [tailwind()],
+  // serviceWorker() writes the precache list and cache version into the built sw.js;
+  // requiredSecrets() makes the built server exit at start-up without its signing secrets
+  integrations: [tailwind(), serviceWorker(), requiredSecrets()],
   site: 'https://eexperts.info',
-});
\ No newline at end of file
+  output: 'hybrid',
+  adapter: node({ mode: 'standalone' }),
+});
@@ -1,6 +1,6 @@
 /*
  * Comprehensive Website Testing & Review
- * Last Updated: 2025-09-16 08:56:10 IST
+ * Last Updated: 2026-10-19 06:27:26 IST
  *
  * Tests everything before deployment:
  * - Functionality testing
@@ -350,7 +350,7 @@ async function comprehensiveReview() {
     '🔧 CRITICAL (Must Fix Before Deployment):',
     '  • Set up actual email backend for contact form (/api/contact endpoint)',
     '  • Configure Cloudflare environment variables for production',
-    '  • Add real Calendly URL in contact page',
+    '  • Review the office holidays in src/data/holidays.json (consultation booking)',
     '  • Create actual downloadable PDF files in /public/downloads/',
     '  • Add proper WhatsApp business number',
     '',
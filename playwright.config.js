@@ -1,5 +1,5 @@
 // Playwright Configuration for Comprehensive Testing
-// Last Updated: 2025-09-16 09:19:50 IST
+// Last Updated: 2026-10-19 06:40:11 IST
 
 import { defineConfig, devices } from '@playwright/test';
 
@@ -49,5 +49,22 @@ export default defineConfig({
     command: 'npm run dev',
     port: 4321,
     reuseExistingServer: !process.env.CI,
+    env: {
+      // Deliver contact form emails to the local catcher in tests/support/smtp-catcher.js
+      MAIL_TRANSPORT: 'smtp',
+      SMTP_HOST: '127.0.0.1',
+      SMTP_PORT: '2525',
+      LEAD_STORE_DIR: './data/test/leads',
+      // Short time trap so API tests only wait a second after rendering the form
+      FORM_TOKEN_MIN_SECONDS: '1',
+      // Every spec submits from 127.0.0.1; keep the per-IP limit out of the way
+      RATE_LIMIT_CONTACT_FORM: '50',
+      // ...and most use @example.com, so the per-domain limit would depend on run order
+      RATE_LIMIT_CONTACT_DOMAIN: '500',
+      // Bearer token for the admin API specs
+      ADMIN_API_TOKEN: 'test-admin-token',
+      // Bundled routing plus CRM-format webhooks to tests/support/webhook-catcher.js for NZ leads
+      LEAD_ROUTING_FILE: './tests/fixtures/crm/lead-routing.json',
+    },
   },
 });
\ No newline at end of file
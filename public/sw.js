@@ -1,43 +1,96 @@
 /*
  * Service Worker for Offline Functionality
- * Last Updated: 2025-09-16 08:56:10 IST
+ * Last Updated: 2026-10-19 09:14:31 IST
  *
  * Features:
- * - Cache strategy for static assets
+ * - Precaching of every page and asset the build emits, versioned by content
+ * - Per-route strategies (ROUTES), each with its own cache and expiry
  * - Offline page fallback
- * - Background sync for forms
- * - Performance optimization
- * - Cache management
+ * - Background sync replaying contact submissions queued offline
  */
 
-const CACHE_NAME = 'ritesource-eexperts-v1';
-const OFFLINE_URL = '/offline.html';
+// Written by src/integrations/service-worker.ts after `astro build`: the version
+// is a hash of the manifest, which lists emitted pages and assets with their own
+// content hashes. `astro dev` serves these development values unchanged.
+const CACHE_VERSION = 'dev';
+const PRECACHE_MANIFEST = [];
 
-// Assets to cache immediately
-const STATIC_CACHE_URLS = [
-  '/',
-  '/about/',
-  '/services/',
-  '/resources/',
-  '/contact/',
-  '/offline.html',
-  '/favicon.svg',
-  '/manifest.json',
-  // Add critical CSS/JS files when they're generated
-];
+const CACHE_PREFIX = 'ritesource-eexperts';
+const OFFLINE_URL = '/offline/';
+
+// One cache per strategy. Pages refer to the build's hashed bundles, so they are
+// versioned with the precache; images and fonts outlive deploys.
+const CACHES = {
+  precache: `${CACHE_PREFIX}-precache-${CACHE_VERSION}`,
+  pages: `${CACHE_PREFIX}-pages-${CACHE_VERSION}`,
+  images: `${CACHE_PREFIX}-images`,
+  fonts: `${CACHE_PREFIX}-fonts`,
+};
 
-// Assets to cache on request
-const DYNAMIC_CACHE_PATTERNS = [
-  /^https:\/\/fonts\.googleapis\.com\//,
-  /^https:\/\/fonts\.gstatic\.com\//,
-  /\.(?:png|jpg|jpeg|svg|gif|webp|ico)$/,
-  /\.(?:js|css)$/,
+// Assets to cache immediately
+const STATIC_CACHE_URLS = [...new Set([OFFLINE_URL, ...PRECACHE_MANIFEST.map((entry) => entry.url)])];
+const PRECACHED_PATHS = new Set(STATIC_CACHE_URLS);
+
+// Header recording when a runtime cache entry was stored, read for maxAgeSeconds
+const CACHED_AT_HEADER = 'X-SW-Cached-At';
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Checked in order: the first match handles the request. Anything unmatched
+// (other methods, downloads, third-party scripts) goes to the network untouched.
+// Server-rendered pages with forms (contact, resources) embed a single-use token
+// that a cached copy may already have spent, so those pages ask the API for a fresh
+// one (src/lib/form-token-client.ts).
+const ROUTES = [
+  {
+    // Live data and private pages are never cached
+    name: 'api',
+    match: ({ url }) => isSameOrigin(url) && /^\/(?:api|admin)(?:\/|$)/.test(url.pathname),
+    strategy: networkOnly,
+  },
+  {
+    name: 'precache',
+    match: ({ request, url }) => isSameOrigin(url) && request.mode !== 'navigate' && PRECACHED_PATHS.has(url.pathname),
+    strategy: cacheFirst,
+    cache: CACHES.precache,
+  },
+  {
+    // Prerendered pages and the resources list: instant from cache, refreshed in the background
+    name: 'pages',
+    match: ({ request, url }) => request.mode === 'navigate' && (isPrerenderedPage(url) || /^\/resources\/?$/.test(url.pathname)),
+    strategy: staleWhileRevalidate,
+    cache: CACHES.pages,
+  },
+  {
+    // Everything else people navigate to, e.g. the contact page: fresh unless the network is slow or down
+    name: 'navigations',
+    match: ({ request }) => request.mode === 'navigate',
+    strategy: networkFirst,
+    cache: CACHES.pages,
+    networkTimeoutSeconds: 3,
+  },
+  {
+    name: 'images',
+    match: ({ request, url }) => isSameOrigin(url) && (request.destination === 'image' || /\.(?:png|jpe?g|svg|gif|webp|ico)$/.test(url.pathname)),
+    strategy: cacheFirst,
+    cache: CACHES.images,
+    maxAgeSeconds: 30 * DAY_SECONDS,
+    maxEntries: 60,
+  },
+  {
+    name: 'fonts',
+    match: ({ url }) => url.origin === 'https://fonts.googleapis.com' || url.origin === 'https://fonts.gstatic.com',
+    strategy: cacheFirst,
+    cache: CACHES.fonts,
+    maxAgeSeconds: 365 * DAY_SECONDS,
+    maxEntries: 30,
+  },
 ];
 
 // Install event - cache static assets
 self.addEventListener('install', (event) => {
   event.waitUntil(
-    caches.open(CACHE_NAME)
+    caches.open(CACHES.precache)
       .then((cache) => {
         console.log('Service Worker: Caching static assets');
         return cache.addAll(STATIC_CACHE_URLS);
@@ -52,14 +105,15 @@ self.addEventListener('install', (event) => {
   );
 });
 
-// Activate event - clean up old caches
+// Activate event - delete caches from earlier builds and older versions of this worker
 self.addEventListener('activate', (event) => {
+  const current = Object.values(CACHES);
   event.waitUntil(
     caches.keys()
       .then((cacheNames) => {
         return Promise.all(
           cacheNames.map((cacheName) => {
-            if (cacheName !== CACHE_NAME) {
+            if (cacheName.startsWith(CACHE_PREFIX) && !current.includes(cacheName)) {
               console.log('Service Worker: Deleting old cache', cacheName);
               return caches.delete(cacheName);
             }
@@ -73,111 +127,286 @@ self.addEventListener('activate', (event) => {
   );
 });
 
-// Fetch event - serve cached content when offline
+// Fetch event - hand each request to its route's strategy
 self.addEventListener('fetch', (event) => {
-  // Skip non-GET requests
   if (event.request.method !== 'GET') {
     return;
   }
 
-  // Skip cross-origin requests
-  if (!event.request.url.startsWith(self.location.origin)) {
-    return;
+  const url = new URL(event.request.url);
+  const route = ROUTES.find((candidate) => candidate.match({ request: event.request, url }));
+  if (route) {
+    event.respondWith(route.strategy(event, route));
   }
+});
 
-  event.respondWith(
-    caches.match(event.request)
-      .then((cachedResponse) => {
-        // Return cached version if available
-        if (cachedResponse) {
-          return cachedResponse;
-        }
+function isSameOrigin(url) {
+  return url.origin === self.location.origin;
+}
 
-        // Otherwise, fetch from network
-        return fetch(event.request)
-          .then((response) => {
-            // Check if we received a valid response
-            if (!response || response.status !== 200 || response.type !== 'basic') {
-              return response;
-            }
+// Pages are precached at their directory URL (/about/) but linked without the slash
+function isPrerenderedPage(url) {
+  const pathname = url.pathname.endsWith('/') ? url.pathname : `${url.pathname}/`;
+  return isSameOrigin(url) && pathname !== OFFLINE_URL && PRECACHED_PATHS.has(pathname);
+}
 
-            // Clone the response for caching
-            const responseToCache = response.clone();
+// Strategies: each resolves to a Response for respondWith
 
-            // Cache dynamic assets
-            const shouldCache = DYNAMIC_CACHE_PATTERNS.some(pattern =>
-              pattern.test(event.request.url)
-            );
+function networkOnly(event) {
+  return fetch(event.request);
+}
 
-            if (shouldCache) {
-              caches.open(CACHE_NAME)
-                .then((cache) => {
-                  cache.put(event.request, responseToCache);
-                });
-            }
+async function cacheFirst(event, route) {
+  const cached = await matchRoute(event.request, route);
+  if (cached) {
+    return cached;
+  }
+  const response = await fetch(event.request);
+  event.waitUntil(putRoute(event.request, response.clone(), route));
+  return response;
+}
 
-            return response;
-          })
-          .catch(() => {
-            // If network fails, show offline page for navigation requests
-            if (event.request.mode === 'navigate') {
-              return caches.match(OFFLINE_URL);
-            }
+async function staleWhileRevalidate(event, route) {
+  const cached = await matchRoute(event.request, route);
+  const network = fetch(event.request)
+    .then(async (response) => {
+      await putRoute(event.request, response.clone(), route);
+      return response;
+    });
+  event.waitUntil(network.catch(() => {}));
+
+  if (cached) {
+    return cached;
+  }
+  return network.catch(() => offlineFallback(event.request));
+}
 
-            // For other requests, return a generic offline response
-            return new Response('Offline', {
-              status: 408,
-              headers: { 'Content-Type': 'text/plain' },
-            });
-          });
-      })
-  );
-});
+async function networkFirst(event, route) {
+  const network = fetch(event.request)
+    .then(async (response) => {
+      await putRoute(event.request, response.clone(), route);
+      return response;
+    });
+  event.waitUntil(network.catch(() => {}));
+
+  // A slow network loses to the cache, but still answers when nothing is cached
+  const timedOut = new Promise((resolve) => setTimeout(() => resolve(undefined), route.networkTimeoutSeconds * 1000));
+  const first = await Promise.race([network.catch(() => undefined), timedOut]);
+  if (first) {
+    return first;
+  }
+  return (await matchRoute(event.request, route))
+    || network.catch(() => offlineFallback(event.request));
+}
+
+function offlineFallback(request) {
+  if (request.mode === 'navigate') {
+    return caches.match(OFFLINE_URL);
+  }
+  return new Response('Offline', {
+    status: 408,
+    headers: { 'Content-Type': 'text/plain' },
+  });
+}
+
+// Cache helpers with expiry
+
+// Looks in the route's cache, then the precache (a page precached as /about/
+// answers /about); entries older than the route's maxAgeSeconds do not count
+async function matchRoute(request, route) {
+  const cache = await caches.open(route.cache);
+  const cached = await cache.match(request);
+  if (cached && isFresh(cached, route)) {
+    return cached;
+  }
+  if (cached) {
+    await cache.delete(request);
+  }
+
+  if (request.mode === 'navigate') {
+    const { pathname } = new URL(request.url);
+    return caches.match(pathname.endsWith('/') ? pathname : `${pathname}/`, { cacheName: CACHES.precache });
+  }
+  return undefined;
+}
+
+function isFresh(response, route) {
+  if (!route.maxAgeSeconds) {
+    return true;
+  }
+  const cachedAt = Number(response.headers.get(CACHED_AT_HEADER));
+  return Date.now() - cachedAt < route.maxAgeSeconds * 1000;
+}
+
+// Stores successful, storable responses stamped with the time, then trims the
+// cache to maxEntries, dropping the least recently stored first
+async function putRoute(request, response, route) {
+  const cacheControl = response.headers.get('Cache-Control') || '';
+  if (!response.ok || response.type === 'opaque' || /no-store/.test(cacheControl)) {
+    return;
+  }
+
+  const headers = new Headers(response.headers);
+  headers.set(CACHED_AT_HEADER, String(Date.now()));
+  const stamped = new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers,
+  });
+
+  const cache = await caches.open(route.cache);
+  await cache.put(request, stamped);
+
+  if (route.maxEntries) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - route.maxEntries)).map((key) => cache.delete(key)));
+  }
+}
+
+// Background sync for form submissions. The contact page queues submissions
+// it could not send in IndexedDB (src/lib/offline-queue.ts, whose names are
+// repeated here) and registers this sync; the browser retries a rejected sync.
+const OFFLINE_DB_NAME = 'eexperts-offline';
+const OFFLINE_DB_VERSION = 1;
+const CONTACT_QUEUE_STORE = 'contact-submissions';
+const CONTACT_SYNC_TAG = 'contact-form-sync';
+const CONTACT_QUEUE_MESSAGES = {
+  replay: 'CONTACT_QUEUE_REPLAY',
+  delivered: 'CONTACT_QUEUE_DELIVERED',
+  rejected: 'CONTACT_QUEUE_REJECTED',
+  waiting: 'CONTACT_QUEUE_WAITING',
+};
+
+// A fresh form token is only accepted after the minimum fill time, and the spam
+// scorer flags anything sent within 5 seconds of the token being issued
+const FORM_TOKEN_WAIT_MS = 6000;
 
-// Background sync for form submissions
 self.addEventListener('sync', (event) => {
-  if (event.tag === 'contact-form-sync') {
+  if (event.tag === CONTACT_SYNC_TAG) {
     event.waitUntil(doBackgroundSync());
   }
 });
 
-async function doBackgroundSync() {
-  try {
-    // Get stored form data from IndexedDB or localStorage
-    const formData = await getStoredFormData();
-
-    if (formData.length > 0) {
-      for (const data of formData) {
-        try {
-          const response = await fetch('/api/contact', {
-            method: 'POST',
-            body: data.formData
-          });
-
-          if (response.ok) {
-            await removeStoredFormData(data.id);
-            console.log('Background sync: Form submitted successfully');
-          }
-        } catch (error) {
-          console.error('Background sync: Form submission failed', error);
-        }
-      }
+let replaying = null;
+
+// Sends every queued submission; rejects while any is still waiting for the
+// network or the server so Background Sync tries again later
+function doBackgroundSync() {
+  if (!replaying) {
+    replaying = replayQueue().finally(() => {
+      replaying = null;
+    });
+  }
+  return replaying;
+}
+
+async function replayQueue() {
+  const queued = await getStoredFormData();
+  let waiting = 0;
+
+  for (const submission of queued) {
+    try {
+      const outcome = await sendSubmission(submission);
+      await removeStoredFormData(submission.id);
+      await notifyClients({ type: CONTACT_QUEUE_MESSAGES[outcome.type], id: submission.id, ...outcome.detail });
+      console.log('Background sync: queued submission', submission.id, outcome.type);
+    } catch (error) {
+      waiting++;
+      await updateStoredFormData({ ...submission, attempts: submission.attempts + 1, lastError: error.message });
+      await notifyClients({ type: CONTACT_QUEUE_MESSAGES.waiting, id: submission.id, error: { message: error.message } });
+      console.error('Background sync: queued submission failed, will retry', submission.id, error.message);
     }
-  } catch (error) {
-    console.error('Background sync error:', error);
+  }
+
+  if (waiting > 0) {
+    throw new Error(`${waiting} queued submission(s) still waiting`);
+  }
+}
+
+// Resolves with the outcome to report; throws when the submission should stay queued.
+// Every attempt carries the submission's Idempotency-Key, so when an earlier attempt
+// was stored but its response never arrived, the API answers with that enquiry.
+async function sendSubmission(submission) {
+  const formData = new FormData();
+  for (const [name, value] of submission.entries) {
+    formData.append(name, value);
+  }
+  const headers = submission.idempotencyKey ? { 'Idempotency-Key': submission.idempotencyKey } : {};
+
+  for (let tokenRetries = 0; ; tokenRetries++) {
+    const response = await fetch(submission.url, { method: 'POST', body: formData, headers });
+    const result = await response.json().catch(() => ({}));
+
+    if (response.ok) {
+      return { type: 'delivered', detail: { result } };
+    }
+
+    const code = (result.error && result.error.code) || '';
+    // Queued submissions often outlive their token, or spent it on an attempt that
+    // failed on the way back: retry once with a fresh one
+    if (response.status === 403 && code.startsWith('form_token_') && tokenRetries === 0) {
+      formData.set('formToken', result.formToken || await fetchFormToken());
+      await new Promise((resolve) => setTimeout(resolve, FORM_TOKEN_WAIT_MS));
+      continue;
+    }
+    // Rate limits, server errors and a token still refused may clear up; other rejections will not
+    if (code === 'form_token_reused' || response.status === 429 || response.status >= 500) {
+      throw new Error((result.error && result.error.message) || `HTTP ${response.status}`);
+    }
+    return { type: 'rejected', detail: { error: result.error || { code: 'http_error', message: `HTTP ${response.status}` } } };
   }
 }
 
-// Helper functions for background sync
-async function getStoredFormData() {
-  // In a real implementation, use IndexedDB
-  // For now, return empty array
-  return [];
+async function fetchFormToken() {
+  const response = await fetch('/api/v1/form-token?form=contact', { cache: 'no-store' });
+  const result = await response.json();
+  if (!result.formToken) throw new Error(`HTTP ${response.status}`);
+  return result.formToken;
 }
 
-async function removeStoredFormData(id) {
-  // In a real implementation, remove from IndexedDB
-  console.log('Removing stored form data:', id);
+async function notifyClients(message) {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  windows.forEach((client) => client.postMessage(message));
+}
+
+// IndexedDB helpers for the queue
+function openQueue() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(CONTACT_QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function queueTransaction(mode, action) {
+  const db = await openQueue();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(CONTACT_QUEUE_STORE, mode);
+    const request = action(transaction.objectStore(CONTACT_QUEUE_STORE));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+}
+
+function getStoredFormData() {
+  return queueTransaction('readonly', (store) => store.getAll());
+}
+
+function updateStoredFormData(submission) {
+  return queueTransaction('readwrite', (store) => store.put(submission));
+}
+
+function removeStoredFormData(id) {
+  return queueTransaction('readwrite', (store) => store.delete(id));
 }
 
 // Push notification event
@@ -226,9 +455,14 @@ self.addEventListener('message', (event) => {
     self.skipWaiting();
   }
 
+  // Browsers without Background Sync ask for a replay when they come back online
+  if (event.data && event.data.type === CONTACT_QUEUE_MESSAGES.replay) {
+    event.waitUntil(doBackgroundSync().catch(() => {}));
+  }
+
   if (event.data && event.data.type === 'CACHE_URLS') {
     event.waitUntil(
-      caches.open(CACHE_NAME)
+      caches.open(CACHES.pages)
         .then((cache) => {
           return cache.addAll(event.data.payload);
         })
@@ -248,11 +482,11 @@ self.addEventListener('periodicsync', (event) => {
 
 async function syncCriticalContent() {
   try {
-    // Pre-cache critical resources
-    const cache = await caches.open(CACHE_NAME);
+    // Refresh critical pages; API responses are never cached
+    const cache = await caches.open(CACHES.pages);
     const criticalUrls = [
-      '/api/contact',
-      '/services/healthcare-qa',
+      '/services/healthcare-qa/',
+      '/resources',
       // Add other critical URLs
     ];
 
@@ -262,20 +496,3 @@ async function syncCriticalContent() {
     console.error('Critical content sync failed:', error);
   }
 }
-
-// Cache size management
-async function cleanupCache() {
-  const cache = await caches.open(CACHE_NAME);
-  const requests = await cache.keys();
-
-  // Remove oldest entries if cache is too large
-  if (requests.length > 100) {
-    const oldestRequests = requests.slice(0, requests.length - 100);
-    await Promise.all(
-      oldestRequests.map(request => cache.delete(request))
-    );
-  }
-}
-
-// Run cleanup periodically
-setInterval(cleanupCache, 60000); // Every minute
\ No newline at end of file
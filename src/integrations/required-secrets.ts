@@ -0,0 +1,60 @@
+/*
+ * Required Secrets Integration
+ * Last Updated: 2026-10-19 07:32:47 IST
+ *
+ * After `astro build`, makes the standalone server (dist/server/entry.mjs) check
+ * the environment before anything else and exit if a signing secret from
+ * lib/secrets is missing, so a production server never runs with random or
+ * absent secrets. `astro dev` is untouched and falls back to random values.
+ */
+
+import type { AstroIntegration } from 'astro';
+import { readFile, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { SECRET_NAMES } from '../lib/secrets';
+
+export const SECRETS_CHECK_FILE = 'required-secrets.mjs';
+
+const CHECK_IMPORT = `import './${SECRETS_CHECK_FILE}';\n`;
+
+/** Module that exits the process when any of `names` is unset, logging them in lib/logger's format */
+export function secretsCheckModule(names: readonly string[]): string {
+  return `// Written by src/integrations/required-secrets.ts
+const missing = ${JSON.stringify(names)}.filter((name) => !process.env[name]);
+if (missing.length > 0) {
+  process.stderr.write(JSON.stringify({
+    level: 'error',
+    time: new Date().toISOString(),
+    msg: 'Refusing to start: required secrets are not set (see .env.example)',
+    missing,
+  }) + '\\n');
+  process.exit(1);
+}
+`;
+}
+
+/** Imports the check first, so it runs before the server module starts listening */
+export function injectSecretsCheck(entrySource: string): string {
+  return entrySource.startsWith(CHECK_IMPORT) ? entrySource : CHECK_IMPORT + entrySource;
+}
+
+export default function requiredSecrets(): AstroIntegration {
+  let serverDir: URL;
+  let serverEntry: string;
+
+  return {
+    name: 'eexperts:required-secrets',
+    hooks: {
+      'astro:config:done': ({ config }) => {
+        serverDir = config.build.server;
+        serverEntry = config.build.serverEntry;
+      },
+      'astro:build:done': async ({ logger }) => {
+        const entryFile = fileURLToPath(new URL(serverEntry, serverDir));
+        await writeFile(fileURLToPath(new URL(SECRETS_CHECK_FILE, serverDir)), secretsCheckModule(SECRET_NAMES));
+        await writeFile(entryFile, injectSecretsCheck(await readFile(entryFile, 'utf8')));
+        logger.info(`${serverEntry}: exits at start-up unless ${SECRET_NAMES.join(', ')} are set`);
+      },
+    },
+  };
+}
@@ -0,0 +1,107 @@
+/*
+ * Service Worker Precache Integration
+ * Last Updated: 2026-10-19 06:47:35 IST
+ *
+ * After `astro build`, lists what the build emitted for the browser (prerendered
+ * pages, hashed /_astro bundles and the small public files) with a content hash
+ * for each, and writes that list into the built sw.js together with a cache
+ * version derived from it. Every deploy that changes a file therefore gets a new
+ * cache, and the worker drops the old one when it activates.
+ *
+ * public/sw.js keeps the development values ('dev' and an empty list), which
+ * `astro dev` serves as they are. Server-rendered pages (contact, enquiry status,
+ * admin) are not emitted, so they are never precached.
+ */
+
+import type { AstroIntegration } from 'astro';
+import { createHash } from 'node:crypto';
+import { readdir, readFile, stat, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+export const SERVICE_WORKER_FILE = 'sw.js';
+
+// The lines in public/sw.js that the build replaces
+const VERSION_PLACEHOLDER = "const CACHE_VERSION = 'dev';";
+const MANIFEST_PLACEHOLDER = 'const PRECACHE_MANIFEST = [];';
+
+// Pages, bundles, fonts and icons; downloads and photos are cached when first used
+const PRECACHE_EXTENSIONS = new Set(['.html', '.js', '.css', '.svg', '.png', '.ico', '.woff2', '.webmanifest']);
+const EXCLUDED_PATHS = [/^\/downloads\//, /^\/images\//, /^\/admin\//, /^\/404\.html$/, /^\/sw\.js$/];
+const MAX_FILE_BYTES = 512 * 1024;
+
+export interface PrecacheEntry {
+  url: string;
+  /** First 16 hex characters of the file's SHA-256 */
+  revision: string;
+}
+
+export class ServiceWorkerBuildError extends Error {}
+
+async function listFiles(dir: string): Promise<string[]> {
+  const entries = await readdir(dir, { withFileTypes: true });
+  const files = await Promise.all(entries.map((entry) => {
+    const full = path.join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(full) : Promise.resolve([full]);
+  }));
+  return files.flat();
+}
+
+/** The URL a built file is served at: about/index.html is /about/ */
+export function fileUrl(relativePath: string): string {
+  const url = '/' + relativePath.split(path.sep).join('/');
+  return url.endsWith('/index.html') ? url.slice(0, -'index.html'.length) : url;
+}
+
+/** Precache entries for every eligible file under the client build directory, sorted by URL */
+export async function buildPrecacheManifest(clientDir: string): Promise<PrecacheEntry[]> {
+  const manifest: PrecacheEntry[] = [];
+
+  for (const file of await listFiles(clientDir)) {
+    const url = fileUrl(path.relative(clientDir, file));
+    if (!PRECACHE_EXTENSIONS.has(path.extname(file)) || EXCLUDED_PATHS.some((pattern) => pattern.test(url))) {
+      continue;
+    }
+    if ((await stat(file)).size > MAX_FILE_BYTES) continue;
+
+    const revision = createHash('sha256').update(await readFile(file)).digest('hex').slice(0, 16);
+    manifest.push({ url, revision });
+  }
+
+  return manifest.sort((a, b) => a.url.localeCompare(b.url));
+}
+
+/** Changes whenever any precached file does */
+export function cacheVersion(manifest: PrecacheEntry[]): string {
+  return createHash('sha256').update(JSON.stringify(manifest)).digest('hex').slice(0, 12);
+}
+
+/** Replaces the development values in the worker's source with the build's */
+export function injectPrecacheManifest(source: string, manifest: PrecacheEntry[]): string {
+  for (const placeholder of [VERSION_PLACEHOLDER, MANIFEST_PLACEHOLDER]) {
+    if (!source.includes(placeholder)) {
+      throw new ServiceWorkerBuildError(`${SERVICE_WORKER_FILE} no longer contains \`${placeholder}\``);
+    }
+  }
+  // Replacer functions, so a `$` in a file name is not read as a replacement pattern
+  return source
+    .replace(VERSION_PLACEHOLDER, () => `const CACHE_VERSION = '${cacheVersion(manifest)}';`)
+    .replace(MANIFEST_PLACEHOLDER, () => `const PRECACHE_MANIFEST = ${JSON.stringify(manifest, null, 2)};`);
+}
+
+export default function serviceWorker(): AstroIntegration {
+  return {
+    name: 'eexperts:service-worker',
+    hooks: {
+      'astro:build:done': async ({ dir, logger }) => {
+        // With the Node adapter, `dir` is the client half of the build (dist/client)
+        const clientDir = fileURLToPath(dir);
+        const workerFile = path.join(clientDir, SERVICE_WORKER_FILE);
+
+        const manifest = await buildPrecacheManifest(clientDir);
+        await writeFile(workerFile, injectPrecacheManifest(await readFile(workerFile, 'utf8'), manifest));
+        logger.info(`${SERVICE_WORKER_FILE}: precaching ${manifest.length} files as cache version ${cacheVersion(manifest)}`);
+      },
+    },
+  };
+}
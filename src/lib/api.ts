@@ -0,0 +1,118 @@
+/*
+ * API Responses
+ * Last Updated: 2026-10-19 07:22:19 IST
+ *
+ * Shared response helpers so every API route answers in the same envelope:
+ * - Success: { success: true, ...data }
+ * - Failure: { success: false, error: { code, message, fields? } }
+ *
+ * `code` is stable and machine-readable; `message` is visitor-facing and may change.
+ * Both envelopes are described for integrators in lib/openapi (/api/openapi.json).
+ */
+
+export const API_ERROR_CODES = [
+  'invalid_body',
+  'unsupported_media_type',
+  'validation_failed',
+  'attachment_rejected',
+  'attachment_not_found',
+  'form_token_missing',
+  'form_token_invalid',
+  'form_token_expired',
+  'form_token_too_fast',
+  'form_token_reused',
+  'rate_limited',
+  'unauthorized',
+  'link_expired',
+  'not_found',
+  'slot_unavailable',
+  'internal_error',
+] as const;
+
+export type ApiErrorCode = typeof API_ERROR_CODES[number];
+
+export interface ApiError {
+  code: ApiErrorCode;
+  message: string;
+  /** Per-field messages, keyed by the request field name */
+  fields?: Record<string, string>;
+  /** Seconds until the request may be retried (rate_limited) */
+  retryAfter?: number;
+}
+
+export function jsonResponse(body: object, status = 200, headers: Record<string, string> = {}): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers }
+  });
+}
+
+/**
+ * `extra` adds top-level properties next to `error`, e.g. a replacement form token.
+ */
+export function errorResponse(
+  status: number,
+  error: ApiError,
+  headers: Record<string, string> = {},
+  extra: object = {}
+): Response {
+  return jsonResponse({ success: false, error, ...extra }, status, headers);
+}
+
+export class UnsupportedMediaTypeError extends Error {}
+
+/**
+ * Reads a JSON, multipart or URL-encoded body into plain fields plus any
+ * uploaded files. Throws UnsupportedMediaTypeError for other content types
+ * and SyntaxError for malformed bodies.
+ */
+export async function readRequestBody(request: Request): Promise<{ fields: Record<string, unknown>; files: Record<string, File> }> {
+  const contentType = (request.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+
+  if (contentType === 'application/json') {
+    const body = await request.json();
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new SyntaxError('Request body must be a JSON object');
+    }
+    return { fields: body, files: {} };
+  }
+
+  if (contentType === 'multipart/form-data' || contentType === 'application/x-www-form-urlencoded') {
+    const formData = await request.formData();
+    const fields: Record<string, unknown> = {};
+    const files: Record<string, File> = {};
+    for (const [name, value] of formData) {
+      if (typeof value === 'string') fields[name] = value;
+      else if (value.size > 0) files[name] = value;
+    }
+    return { fields, files };
+  }
+
+  throw new UnsupportedMediaTypeError(`Unsupported content type "${contentType || 'none'}"`);
+}
+
+/**
+ * Idempotency-Key request header: a key the client picks per submission (e.g. a
+ * UUID) and sends again on every retry, so a request whose response was lost can
+ * be repeated without creating a second record.
+ */
+export const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+/** A ticked checkbox from a form post ("on" or a value of "true"), or a JSON `true` */
+export function isTicked(value: unknown): boolean {
+  return value === true || value === 'true' || value === 'on';
+}
+
+/** Maps body parsing failures to the standard envelope; rethrows anything else */
+export function bodyErrorResponse(error: unknown): Response {
+  if (error instanceof UnsupportedMediaTypeError) {
+    return errorResponse(415, {
+      code: 'unsupported_media_type',
+      message: 'Send the request as application/json or multipart/form-data.'
+    });
+  }
+  if (error instanceof SyntaxError || error instanceof TypeError) {
+    return errorResponse(400, { code: 'invalid_body', message: 'The request body could not be read.' });
+  }
+  throw error;
+}
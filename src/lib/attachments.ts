@@ -0,0 +1,367 @@
+/*
+ * Attachment Validation & Storage
+ * Last Updated: 2026-10-19 08:29:37 IST
+ *
+ * Contact form attachments are never trusted by name or browser MIME type:
+ * - Magic-byte detection for PDF, DOC/XLS (OLE2), DOCX/XLSX and ZIP
+ * - ZIP inspection: no executables, no encrypted entries, no overlapping entries,
+ *   zip-bomb and nesting limits (every entry is inflated and measured against its header)
+ * - Accepted files stored under random names in ATTACHMENT_DIR
+ * - Time-limited HMAC-signed download links for notifications and webhooks
+ * - Deletion by id and by age for retention (see lib/retention)
+ */
+
+import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+import { mkdir, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { inflateRawSync } from 'node:zlib';
+import { getSecret } from './secrets';
+
+export type AttachmentKind = 'pdf' | 'doc' | 'xls' | 'docx' | 'xlsx' | 'zip';
+
+export const ATTACHMENT_MIME_TYPES: Record<AttachmentKind, string> = {
+  pdf: 'application/pdf',
+  doc: 'application/msword',
+  xls: 'application/vnd.ms-excel',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  zip: 'application/zip',
+};
+
+export const MAX_ATTACHMENT_BYTES = Number(process.env.MAX_FILE_SIZE || 10 * 1024 * 1024);
+
+const ZIP_LIMITS = {
+  maxEntries: 2000,
+  /** Sum of the sizes the entries declare, nested archives included */
+  maxTotalUncompressed: 200 * 1024 * 1024,
+  maxEntryRatio: 100,
+  maxDepth: 2,
+  /** Bytes actually inflated per upload, every entry of every nested archive included */
+  maxExtractedBytes: 200 * 1024 * 1024,
+};
+
+const EXECUTABLE_EXTENSIONS = new Set([
+  'exe', 'dll', 'com', 'bat', 'cmd', 'scr', 'pif', 'msi', 'msp', 'cpl', 'jar', 'js', 'jse', 'vbs',
+  'vbe', 'wsf', 'wsh', 'ps1', 'psm1', 'hta', 'lnk', 'reg', 'sh', 'bash', 'app', 'apk', 'dmg',
+  'pkg', 'deb', 'rpm', 'elf', 'bin', 'run', 'docm', 'xlsm', 'pptm', 'iso', 'img',
+]);
+
+export class AttachmentError extends Error {}
+
+export interface AttachmentCheck {
+  kind: AttachmentKind;
+  mimeType: string;
+}
+
+export interface StoredAttachment {
+  id: string;
+  name: string;
+  size: number;
+  type: string;
+  createdAt: string;
+}
+
+const PDF_MAGIC = Buffer.from('%PDF-');
+const OLE2_MAGIC = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+const ZIP_MAGIC = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const EMPTY_ZIP_MAGIC = Buffer.from([0x50, 0x4b, 0x05, 0x06]);
+
+function extensionOf(name: string): string {
+  return path.extname(name).slice(1).toLowerCase();
+}
+
+interface ZipEntry {
+  name: string;
+  flags: number;
+  method: number;
+  compressedSize: number;
+  uncompressedSize: number;
+  localHeaderOffset: number;
+}
+
+function readZipEntries(buffer: Buffer): ZipEntry[] {
+  if (buffer.length < 22) throw new AttachmentError('The ZIP archive is damaged.');
+
+  // End of central directory record: last 22 bytes plus up to 64KB of comment
+  const searchStart = Math.max(0, buffer.length - 22 - 0xffff);
+  let eocd = -1;
+  for (let offset = buffer.length - 22; offset >= searchStart; offset--) {
+    if (buffer.readUInt32LE(offset) === 0x06054b50) {
+      eocd = offset;
+      break;
+    }
+  }
+  if (eocd < 0) throw new AttachmentError('The ZIP archive is damaged.');
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  const directoryOffset = buffer.readUInt32LE(eocd + 16);
+  if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+    throw new AttachmentError('ZIP64 archives are not supported. Please send a smaller archive.');
+  }
+  if (entryCount > ZIP_LIMITS.maxEntries) {
+    throw new AttachmentError('The ZIP archive contains too many files.');
+  }
+
+  const entries: ZipEntry[] = [];
+  let offset = directoryOffset;
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new AttachmentError('The ZIP archive is damaged.');
+    }
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    entries.push({
+      flags: buffer.readUInt16LE(offset + 8),
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      uncompressedSize: buffer.readUInt32LE(offset + 24),
+      localHeaderOffset: buffer.readUInt32LE(offset + 42),
+      name: buffer.toString('utf8', offset + 46, offset + 46 + nameLength),
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+/** Where an entry's data sits, from its local header */
+function locateZipEntry(buffer: Buffer, entry: ZipEntry): { start: number; end: number } {
+  const header = entry.localHeaderOffset;
+  if (header + 30 > buffer.length || buffer.readUInt32LE(header) !== 0x04034b50) {
+    throw new AttachmentError('The ZIP archive is damaged.');
+  }
+  const start = header + 30 + buffer.readUInt16LE(header + 26) + buffer.readUInt16LE(header + 28);
+  const end = start + entry.compressedSize;
+  if (end > buffer.length) throw new AttachmentError('The ZIP archive is damaged.');
+  return { start, end };
+}
+
+/** Rejects entries that share or overlap each other's bytes, a classic zip-bomb trick */
+function checkZipLayout(buffer: Buffer, entries: ZipEntry[]): void {
+  const ranges = entries
+    .map((entry) => ({ header: entry.localHeaderOffset, end: locateZipEntry(buffer, entry).end }))
+    .sort((a, b) => a.header - b.header);
+  for (let i = 1; i < ranges.length; i++) {
+    if (ranges[i].header < ranges[i - 1].end) {
+      throw new AttachmentError('The ZIP archive contains overlapping files.');
+    }
+  }
+}
+
+/**
+ * Extracts an entry, counting its real size against the upload's budget.
+ * The result must be exactly the size the archive declares; inflating stops
+ * one byte past it, so headers that understate the size cannot smuggle a bomb.
+ */
+function extractZipEntry(buffer: Buffer, entry: ZipEntry, budget: ZipBudget): Buffer {
+  const { start, end } = locateZipEntry(buffer, entry);
+  const data = buffer.subarray(start, end);
+  const remaining = ZIP_LIMITS.maxExtractedBytes - budget.extracted;
+
+  let content: Buffer;
+  if (entry.method === 0) {
+    content = data;
+  } else if (entry.method === 8) {
+    try {
+      // maxOutputLength stops inflating as soon as the entry outgrows its header or the budget
+      content = inflateRawSync(data, { maxOutputLength: Math.max(Math.min(remaining, entry.uncompressedSize + 1), 1) });
+    } catch {
+      throw new AttachmentError('The ZIP archive contains a file that is too large or damaged.');
+    }
+  } else {
+    throw new AttachmentError('The ZIP archive uses an unsupported compression method.');
+  }
+
+  budget.extracted += content.length;
+  if (budget.extracted > ZIP_LIMITS.maxExtractedBytes) {
+    throw new AttachmentError('The ZIP archive expands to an unsafe size.');
+  }
+  if (content.length !== entry.uncompressedSize) {
+    throw new AttachmentError('The ZIP archive is damaged.');
+  }
+  return content;
+}
+
+interface ZipBudget {
+  /** Sizes declared by the entries seen so far */
+  declared: number;
+  /** Bytes actually extracted so far */
+  extracted: number;
+}
+
+/** Walks an archive (and archives inside it) enforcing the safety limits */
+function inspectZip(buffer: Buffer, depth = 0, budget: ZipBudget = { declared: 0, extracted: 0 }): ZipEntry[] {
+  const entries = readZipEntries(buffer);
+  checkZipLayout(buffer, entries);
+
+  for (const entry of entries) {
+    const name = entry.name.replace(/\\/g, '/');
+    if (name.endsWith('/')) continue;
+
+    if (entry.flags & 0x1) {
+      throw new AttachmentError('Password-protected ZIP archives cannot be accepted.');
+    }
+    if (name.startsWith('/') || name.split('/').includes('..')) {
+      throw new AttachmentError('The ZIP archive contains unsafe file paths.');
+    }
+    if (EXECUTABLE_EXTENSIONS.has(extensionOf(name))) {
+      throw new AttachmentError('ZIP archives may not contain executable or macro-enabled files.');
+    }
+
+    budget.declared += entry.uncompressedSize;
+    const ratio = entry.uncompressedSize / Math.max(entry.compressedSize, 1);
+    if (budget.declared > ZIP_LIMITS.maxTotalUncompressed || (ratio > ZIP_LIMITS.maxEntryRatio && entry.uncompressedSize > 1024 * 1024)) {
+      throw new AttachmentError('The ZIP archive expands to an unsafe size.');
+    }
+
+    const isArchive = extensionOf(name) === 'zip';
+    if (isArchive && depth + 1 > ZIP_LIMITS.maxDepth) {
+      throw new AttachmentError('The ZIP archive contains too many nested archives.');
+    }
+    // Every entry is inflated: the declared sizes checked above are only as honest as the archive
+    const content = extractZipEntry(buffer, entry, budget);
+    if (isArchive) inspectZip(content, depth + 1, budget);
+  }
+  return entries;
+}
+
+/**
+ * Identifies the real file type from its content and checks it agrees with
+ * the file name. Throws AttachmentError with a visitor-facing message.
+ */
+export function inspectAttachment(buffer: Buffer, fileName: string): AttachmentCheck {
+  const extension = extensionOf(fileName);
+  let kind: AttachmentKind | undefined;
+
+  if (buffer.subarray(0, 4).equals(ZIP_MAGIC) || buffer.subarray(0, 4).equals(EMPTY_ZIP_MAGIC)) {
+    const names = inspectZip(buffer).map((entry) => entry.name);
+    if (names.includes('word/document.xml')) kind = 'docx';
+    else if (names.includes('xl/workbook.xml')) kind = 'xlsx';
+    else kind = 'zip';
+  } else if (buffer.subarray(0, 8).equals(OLE2_MAGIC)) {
+    // DOC and XLS share the OLE2 container; the extension tells them apart
+    kind = extension === 'xls' ? 'xls' : extension === 'doc' ? 'doc' : undefined;
+  } else if (buffer.subarray(0, 1024).includes(PDF_MAGIC)) {
+    // The PDF header may follow a few bytes of junk, within the first 1KB
+    kind = 'pdf';
+  }
+
+  if (!kind) {
+    throw new AttachmentError('Invalid file type. Only PDF, DOC, DOCX, XLS, XLSX, ZIP allowed.');
+  }
+  if (kind !== extension) {
+    throw new AttachmentError(`The file contents do not match its .${extension || '?'} extension.`);
+  }
+  return { kind, mimeType: ATTACHMENT_MIME_TYPES[kind] };
+}
+
+/**
+ * Size and content checks for an uploaded file, before anything is stored.
+ * Throws AttachmentError with a visitor-facing message.
+ */
+export async function checkUpload(file: File): Promise<{ buffer: Buffer; check: AttachmentCheck }> {
+  if (file.size > MAX_ATTACHMENT_BYTES) {
+    throw new AttachmentError(`File too large. Maximum size is ${Math.round(MAX_ATTACHMENT_BYTES / 1048576)}MB.`);
+  }
+  const buffer = Buffer.from(await file.arrayBuffer());
+  return { buffer, check: inspectAttachment(buffer, file.name) };
+}
+
+const attachmentDir = process.env.ATTACHMENT_DIR || './data/attachments';
+const linkTtlSeconds = Number(process.env.ATTACHMENT_LINK_TTL_HOURS || 168) * 3600;
+
+function isValidId(id: string): boolean {
+  return /^[a-f0-9]{32}$/.test(id);
+}
+
+export async function storeAttachment(buffer: Buffer, name: string, check: AttachmentCheck): Promise<StoredAttachment> {
+  const id = randomBytes(16).toString('hex');
+  const stored: StoredAttachment = {
+    id,
+    // Only the base name is kept; it is shown to staff, never used as a path
+    name: path.basename(name.replace(/\\/g, '/')).slice(0, 200),
+    size: buffer.length,
+    type: check.mimeType,
+    createdAt: new Date().toISOString(),
+  };
+
+  await mkdir(attachmentDir, { recursive: true });
+  await writeFile(path.join(attachmentDir, id), buffer, { mode: 0o600 });
+  await writeFile(path.join(attachmentDir, `${id}.json`), JSON.stringify(stored), { mode: 0o600 });
+  return stored;
+}
+
+/** Metadata of a stored attachment, e.g. one referenced by id from a JSON submission */
+export async function getAttachmentInfo(id: string): Promise<StoredAttachment | undefined> {
+  if (!isValidId(id)) return undefined;
+  try {
+    return JSON.parse(await readFile(path.join(attachmentDir, `${id}.json`), 'utf8'));
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'ENOENT') return undefined;
+    throw error;
+  }
+}
+
+export async function readAttachment(id: string): Promise<{ meta: StoredAttachment; content: Buffer } | undefined> {
+  if (!isValidId(id)) return undefined;
+  try {
+    const meta = JSON.parse(await readFile(path.join(attachmentDir, `${id}.json`), 'utf8'));
+    const content = await readFile(path.join(attachmentDir, id));
+    return { meta, content };
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'ENOENT') return undefined;
+    throw error;
+  }
+}
+
+/** Removes the file and its metadata; true if it existed */
+export async function deleteAttachment(id: string): Promise<boolean> {
+  if (!isValidId(id)) return false;
+  const existed = Boolean(await getAttachmentInfo(id));
+  await rm(path.join(attachmentDir, id), { force: true });
+  await rm(path.join(attachmentDir, `${id}.json`), { force: true });
+  return existed;
+}
+
+/** Deletes attachments stored before `cutoff`; returns their metadata */
+export async function purgeAttachmentsBefore(cutoff: Date): Promise<StoredAttachment[]> {
+  let files: string[];
+  try {
+    files = await readdir(attachmentDir);
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const purged: StoredAttachment[] = [];
+  for (const file of files.filter((name) => name.endsWith('.json'))) {
+    const info = await getAttachmentInfo(file.slice(0, -'.json'.length));
+    if (info && new Date(info.createdAt) < cutoff) {
+      await deleteAttachment(info.id);
+      purged.push(info);
+    }
+  }
+  return purged;
+}
+
+function sign(id: string, expires: number): string {
+  return createHmac('sha256', getSecret('ATTACHMENT_SIGNING_SECRET')).update(`${id}:${expires}`).digest('hex');
+}
+
+export function signedAttachmentUrl(id: string, origin: string, now: number = Date.now()): string {
+  const expires = Math.floor(now / 1000) + linkTtlSeconds;
+  const url = new URL(`/api/attachments/${id}`, origin);
+  url.searchParams.set('expires', String(expires));
+  url.searchParams.set('signature', sign(id, expires));
+  return url.toString();
+}
+
+export function verifyAttachmentSignature(id: string, expires: string | null, signature: string | null, now: number = Date.now()): boolean {
+  const expiresAt = Number(expires);
+  if (!isValidId(id) || !signature || !Number.isFinite(expiresAt) || expiresAt < now / 1000) {
+    return false;
+  }
+  const expected = Buffer.from(sign(id, expiresAt));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && timingSafeEqual(expected, received);
+}
@@ -0,0 +1,75 @@
+/*
+ * Audit Log
+ * Last Updated: 2026-10-19 06:22:02 IST
+ *
+ * Append-only record of every retention purge and data-subject request
+ * (export, erase): who did it, when, and what was affected.
+ *
+ * People are identified by a SHA-256 hash of their email address, so the log
+ * can prove an erasure happened without keeping the address it erased.
+ */
+
+import { createHash, randomUUID } from 'node:crypto';
+import { mkdir, open, readFile } from 'node:fs/promises';
+import path from 'node:path';
+
+export type AuditAction =
+  | 'retention.attachments'
+  | 'retention.leads'
+  | 'retention.downloads'
+  | 'retention.newsletter'
+  | 'retention.spam'
+  | 'retention.dead-letters'
+  | 'privacy.export'
+  | 'privacy.erase';
+
+export interface AuditEntry {
+  id: string;
+  at: string;
+  action: AuditAction;
+  /** 'retention' for scheduled purges, 'api-token' or the staff name otherwise */
+  actor: string;
+  /** subjectHash() of the email address a data-subject request was about */
+  subject?: string;
+  /** Number of records affected, by kind */
+  counts: Record<string, number>;
+  /** Lead references or attachment ids affected; never personal data */
+  items?: string[];
+  requestId?: string;
+}
+
+const auditFile = process.env.AUDIT_LOG_FILE || './data/audit/audit.jsonl';
+let queue: Promise<unknown> = Promise.resolve();
+
+export function subjectHash(email: string): string {
+  return createHash('sha256').update(email.trim().toLowerCase()).digest('hex');
+}
+
+/** Appends an entry, fsync'd before resolving */
+export function writeAudit(input: Omit<AuditEntry, 'id' | 'at'>): Promise<AuditEntry> {
+  const entry: AuditEntry = { id: randomUUID(), at: new Date().toISOString(), ...input };
+  const write = queue.then(async () => {
+    await mkdir(path.dirname(auditFile), { recursive: true });
+    const handle = await open(auditFile, 'a');
+    try {
+      await handle.write(JSON.stringify(entry) + '\n');
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    return entry;
+  });
+  queue = write.catch(() => undefined);
+  return write;
+}
+
+export async function listAudit(): Promise<AuditEntry[]> {
+  await queue;
+  try {
+    const contents = await readFile(auditFile, 'utf8');
+    return contents.split('\n').filter((line) => line.trim()).map((line) => JSON.parse(line));
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'ENOENT') return [];
+    throw error;
+  }
+}
@@ -0,0 +1,96 @@
+/*
+ * Admin Authentication
+ * Last Updated: 2026-10-19 08:27:39 IST
+ *
+ * Two ways in for internal routes and the /admin area:
+ * - Bearer token (ADMIN_API_TOKEN) for scripts and integrations
+ * - Staff sign-in with ADMIN_PASSWORD, kept in a signed, HttpOnly, SameSite=Strict cookie
+ *
+ * When neither secret is set every admin request is refused. Cookie-authenticated
+ * requests that change data must also come from this site's own origin.
+ */
+
+import { createHash, createHmac, timingSafeEqual } from 'node:crypto';
+import { errorResponse } from './api';
+import { getSecret } from './secrets';
+
+export const ADMIN_SESSION_COOKIE = 'ee_admin_session';
+export const ADMIN_SESSION_TTL_SECONDS = Number(process.env.ADMIN_SESSION_TTL_HOURS || 12) * 3600;
+
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+/** Constant-time comparison of secrets of any length */
+function secretsMatch(expected: string, received: string): boolean {
+  const a = createHash('sha256').update(expected).digest();
+  const b = createHash('sha256').update(received).digest();
+  return timingSafeEqual(a, b);
+}
+
+function hasAdminToken(request: Request): boolean {
+  const token = process.env.ADMIN_API_TOKEN;
+  if (!token) return false;
+
+  const match = /^Bearer (.+)$/.exec(request.headers.get('authorization') || '');
+  return Boolean(match) && secretsMatch(token, match![1]);
+}
+
+export function checkAdminPassword(password: string): boolean {
+  const expected = process.env.ADMIN_PASSWORD;
+  return Boolean(expected) && secretsMatch(expected!, password);
+}
+
+function signSession(payload: string): string {
+  return createHmac('sha256', getSecret('ADMIN_SESSION_SECRET')).update(payload).digest('base64url');
+}
+
+/** Cookie value `<name>.<expires>.<signature>`; the name is recorded against staff changes */
+export function createAdminSession(staffName: string, now: number = Date.now()): string {
+  const payload = `${Buffer.from(staffName).toString('base64url')}.${Math.floor(now / 1000) + ADMIN_SESSION_TTL_SECONDS}`;
+  return `${payload}.${signSession(payload)}`;
+}
+
+function readCookie(request: Request, name: string): string | undefined {
+  for (const part of (request.headers.get('cookie') || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return undefined;
+}
+
+/** Staff name from a valid session cookie */
+export function adminSession(request: Request, now: number = Date.now()): string | undefined {
+  const cookie = readCookie(request, ADMIN_SESSION_COOKIE);
+  const [name, expires, signature] = cookie?.split('.') || [];
+  if (!name || !expires || !signature) return undefined;
+  if (!secretsMatch(signSession(`${name}.${expires}`), signature)) return undefined;
+  if (Number(expires) < now / 1000) return undefined;
+  return Buffer.from(name, 'base64url').toString('utf8');
+}
+
+function isSameOrigin(request: Request): boolean {
+  const origin = request.headers.get('origin');
+  if (!origin) return false;
+  try {
+    // Hosts only: behind a TLS-terminating proxy the request URL may say http
+    return new URL(origin).host === new URL(request.url).host;
+  } catch {
+    return false;
+  }
+}
+
+/** Who is making an admin request ('api-token' or the staff name), or undefined if nobody */
+export function adminActor(request: Request): string | undefined {
+  if (hasAdminToken(request)) return 'api-token';
+
+  const staff = adminSession(request);
+  if (!staff) return undefined;
+  return SAFE_METHODS.has(request.method) || isSameOrigin(request) ? staff : undefined;
+}
+
+export function isAdminRequest(request: Request): boolean {
+  return adminActor(request) !== undefined;
+}
+
+export function unauthorizedResponse(): Response {
+  return errorResponse(401, { code: 'unauthorized', message: 'Unauthorized' }, { 'WWW-Authenticate': 'Bearer' });
+}
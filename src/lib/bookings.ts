@@ -0,0 +1,153 @@
+/*
+ * Consultation Bookings
+ * Last Updated: 2026-10-19 07:27:47 IST
+ *
+ * 30-minute consultation slots generated from IST business hours (see
+ * lib/business-hours), shared by:
+ * - The bookings API, which lists free slots in the visitor's time zone and reserves one
+ * - The booking emails, which carry an .ics invite for the visitor and the team
+ *
+ * A booking is stored as a lead (LeadRecord.booking), so it is routed, shown
+ * in the admin and covered by retention like any other enquiry. Public holidays
+ * (lib/business-hours) have no slots.
+ */
+
+import company from '../data/company.json';
+import { BUSINESS_HOURS, holidayOn, IST_OFFSET_MS, IST_TIME_ZONE } from './business-hours';
+import { formatDay, formatTime } from './callbacks';
+import { SERVICE_LABELS } from './contact-schema';
+import { ICS_CONTENT_TYPE, toIcs } from './ics';
+import { getLeadStore, type LeadRecord } from './leads';
+import { MAIL_NOTIFY_TO, type MailAttachment } from './mail';
+
+export const BOOKING_SLOT_MINUTES = 30;
+
+/** How far ahead slots are offered */
+export const BOOKING_DAYS_AHEAD = 14;
+
+/** Earliest bookable slot after now, so someone can prepare */
+export const BOOKING_NOTICE_HOURS = 2;
+
+const SLOT_MS = BOOKING_SLOT_MINUTES * 60000;
+
+export interface BookingSlot {
+  from: string;
+  to: string;
+}
+
+export interface Booking extends BookingSlot {
+  /** IANA time zone the visitor booked in, e.g. America/New_York */
+  timeZone: string;
+}
+
+/** A slot as shown to the visitor, in their time zone */
+export interface LocalBookingSlot extends BookingSlot {
+  /** Calendar date in the visitor's zone, YYYY-MM-DD, for grouping */
+  date: string;
+  day: string;
+  time: string;
+  /** Start time in IST, for reference */
+  istTime: string;
+}
+
+/** The slot asked for is not on offer: taken meanwhile, in the past or outside our hours */
+export class BookingError extends Error {
+  constructor() {
+    super('That time is no longer available. Please choose another slot.');
+    this.name = 'BookingError';
+  }
+}
+
+/**
+ * Every free slot from `now` (plus the notice period) over the next
+ * BOOKING_DAYS_AHEAD days, skipping holidays and the starts in `booked`.
+ */
+export function bookingSlots(now: Date, booked: Iterable<string> = []): BookingSlot[] {
+  const taken = new Set(booked);
+  const earliest = now.getTime() + BOOKING_NOTICE_HOURS * 3600000;
+  // Walk IST calendar days, shifted into a UTC Date so getUTC* reads IST
+  const today = new Date(now.getTime() + IST_OFFSET_MS);
+  const slots: BookingSlot[] = [];
+
+  for (let day = 0; day <= BOOKING_DAYS_AHEAD; day++) {
+    const midnight = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() + day);
+    const hours = BUSINESS_HOURS[new Date(midnight).getUTCDay()];
+    if (!hours || holidayOn(new Date(midnight).toISOString().slice(0, 10))) continue;
+
+    for (let start = midnight + hours[0] * 3600000; start + SLOT_MS <= midnight + hours[1] * 3600000; start += SLOT_MS) {
+      const from = start - IST_OFFSET_MS;
+      const iso = new Date(from).toISOString();
+      if (from >= earliest && !taken.has(iso)) {
+        slots.push({ from: iso, to: new Date(from + SLOT_MS).toISOString() });
+      }
+    }
+  }
+  return slots;
+}
+
+export function localBookingSlot(slot: BookingSlot, timeZone: string): LocalBookingSlot {
+  const from = new Date(slot.from);
+  return {
+    ...slot,
+    date: from.toLocaleDateString('en-CA', { timeZone }),
+    day: formatDay(from, timeZone),
+    time: formatTime(from, timeZone),
+    istTime: formatTime(from, IST_TIME_ZONE),
+  };
+}
+
+async function bookedStarts(): Promise<string[]> {
+  const leads = await getLeadStore().listLeads();
+  // A lead marked lost gives its slot back
+  return leads.filter((lead) => lead.booking && lead.status !== 'lost').map((lead) => lead.booking!.from);
+}
+
+export async function availableSlots(now: Date = new Date()): Promise<BookingSlot[]> {
+  return bookingSlots(now, await bookedStarts());
+}
+
+let reservations: Promise<unknown> = Promise.resolve();
+
+/**
+ * Saves a booking for the slot starting at `from` if it is still free, with
+ * the check and `save` run one reservation at a time so two visitors cannot
+ * take the same slot. Throws BookingError when it is not on offer.
+ */
+export function reserveSlot<T>(from: string, save: (slot: BookingSlot) => Promise<T>, now: Date = new Date()): Promise<T> {
+  const reservation = reservations.then(async () => {
+    const slot = (await availableSlots(now)).find((candidate) => candidate.from === from);
+    if (!slot) throw new BookingError();
+    return save(slot);
+  });
+  reservations = reservation.catch(() => undefined);
+  return reservation;
+}
+
+/** The calendar invite attached to both booking emails; the same UID keeps them one event */
+export function bookingInvite(lead: LeadRecord): MailAttachment {
+  const booking = lead.booking!;
+  const { data } = lead;
+  const visitor = `${data.firstName} ${data.lastName}`;
+
+  return {
+    filename: 'consultation.ics',
+    contentType: ICS_CONTENT_TYPE,
+    content: toIcs({
+      uid: `${lead.id}@${new URL(company.website).hostname}`,
+      stamp: new Date(lead.createdAt),
+      start: new Date(booking.from),
+      end: new Date(booking.to),
+      summary: `${company.name} consultation with ${visitor}`,
+      description: [
+        `Consultation about ${SERVICE_LABELS[data.service as keyof typeof SERVICE_LABELS] || data.service}.`,
+        `We will call ${visitor} on ${data.phone}.`,
+        data.message && `Note: ${data.message}`,
+        `Reference: ${lead.reference}`,
+        `Need to change the time? Call ${company.phone} or reply to the confirmation email.`,
+      ].filter(Boolean).join('\n'),
+      location: `Phone call to ${data.phone}`,
+      organizer: { name: company.name, email: MAIL_NOTIFY_TO },
+      attendees: [{ name: visitor, email: data.email }],
+    }),
+  };
+}
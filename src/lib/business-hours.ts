@@ -0,0 +1,71 @@
+/*
+ * Business Hours (IST)
+ * Last Updated: 2026-10-19 07:27:47 IST
+ *
+ * When the team is available, shared by response targets, callbacks and the
+ * contact page: Monday–Friday 9:00–18:00 and Saturday 9:00–13:00 IST, except
+ * the public holidays in src/data/holidays.json.
+ *
+ * Browser-safe: no Node imports in this module.
+ */
+
+import holidays from '../data/holidays.json';
+
+export const IST_TIME_ZONE = 'Asia/Kolkata';
+
+/** IST is UTC+5:30 all year (no daylight saving) */
+export const IST_OFFSET_MS = 330 * 60000;
+
+/** Business hours in IST as [open, close] hours by day of week (0 = Sunday) */
+export const BUSINESS_HOURS: Array<[number, number] | null> = [null, [9, 18], [9, 18], [9, 18], [9, 18], [9, 18], [9, 13]];
+
+export interface Holiday {
+  /** IST date, YYYY-MM-DD */
+  date: string;
+  name: string;
+}
+
+export const HOLIDAYS: Holiday[] = holidays;
+
+export function holidayOn(istDate: string): Holiday | undefined {
+  return HOLIDAYS.find((holiday) => holiday.date === istDate);
+}
+
+/** Opening hours on the IST day of `ist` (a Date shifted so getUTC* reads IST); null when closed */
+function hoursOn(ist: Date): [number, number] | null {
+  return holidayOn(ist.toISOString().slice(0, 10)) ? null : BUSINESS_HOURS[ist.getUTCDay()];
+}
+
+/** True when `at` falls inside IST business hours */
+export function isBusinessTime(at: Date): boolean {
+  const ist = new Date(at.getTime() + IST_OFFSET_MS);
+  const hours = hoursOn(ist);
+  const hour = ist.getUTCHours() + ist.getUTCMinutes() / 60;
+  return Boolean(hours) && hour >= hours![0] && hour < hours![1];
+}
+
+/**
+ * Adds working hours to a timestamp, skipping evenings, Sundays, the Saturday
+ * afternoon and holidays. A lead received out of hours starts at the next opening.
+ */
+export function addBusinessHours(from: Date, hours: number): Date {
+  // Walk in IST wall-clock time, shifted into a UTC Date so getUTC* reads IST
+  const ist = new Date(from.getTime() + IST_OFFSET_MS);
+  let remainingMs = hours * 3600000;
+
+  for (let day = 0; day < 14; day++) {
+    const hoursToday = hoursOn(ist);
+    if (hoursToday) {
+      const open = Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth(), ist.getUTCDate(), hoursToday[0]);
+      const close = Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth(), ist.getUTCDate(), hoursToday[1]);
+      const start = Math.max(ist.getTime(), open);
+      if (start < close) {
+        if (start + remainingMs <= close) return new Date(start + remainingMs - IST_OFFSET_MS);
+        remainingMs -= close - start;
+      }
+    }
+    ist.setUTCDate(ist.getUTCDate() + 1);
+    ist.setUTCHours(0, 0, 0, 0);
+  }
+  return new Date(ist.getTime() - IST_OFFSET_MS);
+}
@@ -0,0 +1,150 @@
+/*
+ * Callback Scheduling
+ * Last Updated: 2026-10-19 09:15:49 IST
+ *
+ * Maps the window a visitor asks to be called in (their local time) onto IST
+ * business hours, shared by:
+ * - The callback modal on the contact page, to preview when we would call
+ * - The callback API, which stores the agreed slot with the lead
+ * - Consultation bookings (lib/bookings), which format their slots the same way
+ *
+ * Browser-safe: no Node imports in this module.
+ */
+
+import { BUSINESS_HOURS, IST_TIME_ZONE, isBusinessTime } from './business-hours';
+
+/** Preferred windows as [from, to) hours in the visitor's own time zone */
+export const CALLBACK_WINDOWS = {
+  asap: { label: 'As soon as possible', hours: [0, 24] },
+  early: { label: 'Early morning (6am – 9am)', hours: [6, 9] },
+  morning: { label: 'Morning (9am – 12pm)', hours: [9, 12] },
+  afternoon: { label: 'Afternoon (12pm – 5pm)', hours: [12, 17] },
+  evening: { label: 'Evening (5pm – 10pm)', hours: [17, 22] },
+} as const;
+
+export type CallbackWindow = keyof typeof CALLBACK_WINDOWS;
+
+/** Earliest we promise to call after a request, so someone can pick it up */
+export const CALLBACK_NOTICE_MINUTES = 30;
+
+const STEP_MS = 15 * 60000;
+const SEARCH_DAYS = 14;
+
+/** When we will call: the first stretch where the visitor's window and our hours overlap */
+export interface CallbackSlot {
+  from: string;
+  to: string;
+}
+
+export interface CallbackRequest extends CallbackSlot {
+  window: CallbackWindow;
+  /** IANA time zone the window was chosen in, e.g. America/New_York */
+  timeZone: string;
+}
+
+export function isCallbackWindow(value: unknown): value is CallbackWindow {
+  return typeof value === 'string' && Object.hasOwn(CALLBACK_WINDOWS, value);
+}
+
+export function isValidTimeZone(timeZone: unknown): timeZone is string {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function hourIn(formatter: Intl.DateTimeFormat, at: number): number {
+  const parts = formatter.formatToParts(new Date(at));
+  const part = (type: string) => Number(parts.find((p) => p.type === type)?.value);
+  return part('hour') + part('minute') / 60;
+}
+
+/**
+ * First slot after `now` (plus the notice period) that is inside both IST
+ * business hours (holidays excluded) and the visitor's window, searched over
+ * the next two weeks.
+ * Undefined when the two never overlap, e.g. an evening window in California.
+ */
+export function findCallbackSlot(window: CallbackWindow, timeZone: string, now: Date = new Date()): CallbackSlot | undefined {
+  const [fromHour, toHour] = CALLBACK_WINDOWS[window].hours;
+  const formatter = new Intl.DateTimeFormat('en-GB', { timeZone, hour: 'numeric', minute: 'numeric', hourCycle: 'h23' });
+  // Business hours start on the hour in IST, and every time zone offset is a multiple of 15 minutes
+  const fits = (at: number) => {
+    const hour = hourIn(formatter, at);
+    return isBusinessTime(new Date(at)) && hour >= fromHour && hour < toHour;
+  };
+
+  const limit = now.getTime() + SEARCH_DAYS * 86400000;
+  let from = Math.ceil((now.getTime() + CALLBACK_NOTICE_MINUTES * 60000) / STEP_MS) * STEP_MS;
+  while (from < limit && !fits(from)) from += STEP_MS;
+  if (from >= limit) return undefined;
+
+  let to = from;
+  while (fits(to)) to += STEP_MS;
+  return { from: new Date(from).toISOString(), to: new Date(to).toISOString() };
+}
+
+/** "9:30 am" in `timeZone` */
+export function formatTime(at: Date, timeZone: string): string {
+  return at.toLocaleTimeString('en-US', { timeZone, hour: 'numeric', minute: '2-digit' }).toLowerCase();
+}
+
+/** "Tuesday 21 October" in `timeZone` */
+export function formatDay(at: Date, timeZone: string): string {
+  return at.toLocaleDateString('en-GB', { timeZone, weekday: 'long', day: 'numeric', month: 'long' });
+}
+
+/** "Tuesday 21 October, 9:00 am – 11:30 am" in `timeZone` */
+export function formatCallbackSlot(slot: CallbackSlot, timeZone: string): string {
+  const from = new Date(slot.from);
+  return `${formatDay(from, timeZone)}, ${formatTime(from, timeZone)} – ${formatTime(new Date(slot.to), timeZone)}`;
+}
+
+/** For the visitor: "Tuesday 21 October, 9:00 am – 11:30 am your time (6:30 pm – 9:00 pm IST)" */
+export function describeCallbackSlot(slot: CallbackSlot, timeZone: string): string {
+  const local = formatCallbackSlot(slot, timeZone);
+  if (timeZone === IST_TIME_ZONE) return `${local} IST`;
+  return `${local} your time (${formatTime(new Date(slot.from), IST_TIME_ZONE)} – ${formatTime(new Date(slot.to), IST_TIME_ZONE)} IST)`;
+}
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * BUSINESS_HOURS by IST day, shown in `timeZone`, e.g. for New York
+ * "Monday to Friday 11:30 pm – 8:30 am and Saturday 11:30 pm – 3:30 am"
+ */
+export function businessHoursIn(timeZone: string, now: Date = new Date()): string {
+  // Any date works for the hours; `now` keeps daylight saving current
+  const day = new Date(now.toLocaleDateString('en-CA', { timeZone: IST_TIME_ZONE }) + 'T00:00:00+05:30');
+  const at = (hour: number) => new Date(day.getTime() + hour * 3600000);
+
+  // Consecutive days with the same hours are named as one range
+  const ranges: Array<{ first: number; last: number; hours: [number, number] }> = [];
+  BUSINESS_HOURS.forEach((hours, weekday) => {
+    if (!hours) return;
+    const previous = ranges[ranges.length - 1];
+    if (previous && previous.last === weekday - 1 && previous.hours.join() === hours.join()) {
+      previous.last = weekday;
+    } else {
+      ranges.push({ first: weekday, last: weekday, hours });
+    }
+  });
+
+  const described = ranges.map(({ first, last, hours: [open, close] }) => {
+    const days = first === last ? DAY_NAMES[first] : `${DAY_NAMES[first]} to ${DAY_NAMES[last]}`;
+    return `${days} ${formatTime(at(open), timeZone)} – ${formatTime(at(close), timeZone)}`;
+  });
+  return described.length > 1
+    ? `${described.slice(0, -1).join(', ')} and ${described[described.length - 1]}`
+    : described.join('');
+}
+
+/** For the visitor: our hours in their time zone, followed by the same in IST */
+export function describeBusinessHours(timeZone: string, now: Date = new Date()): string {
+  const ist = `${businessHoursIn(IST_TIME_ZONE, now)} IST`;
+  if (timeZone === IST_TIME_ZONE) return ist;
+  return `${businessHoursIn(timeZone, now)} your time (${ist})`;
+}
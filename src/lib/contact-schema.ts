@@ -0,0 +1,154 @@
+/*
+ * Contact Form Schema
+ * Last Updated: 2026-10-19 09:07:21 IST
+ *
+ * Single declarative description of the contact wizard fields, shared by:
+ * - The browser, for inline validation of each wizard step
+ * - The API, for authoritative validation of every submission
+ *
+ * Browser-safe: no Node imports in this module.
+ */
+
+export const SERVICE_LABELS = {
+  'healthcare-qa': 'Healthcare Documentation QA',
+  'software-testing': 'Software Testing Services',
+  'geospatial': 'Geospatial Data Services',
+  'electronics': 'Electronics Data Solutions',
+  'ai-workflows': 'AI-Driven Workflows',
+  'multiple': 'Multiple Services',
+} as const;
+
+export const TIMELINE_LABELS = {
+  'immediate': 'Immediate (Within a week)',
+  'month': 'Within a month',
+  'quarter': 'Within 3 months',
+  'planning': 'Just planning',
+} as const;
+
+export const PROJECT_SIZE_LABELS = {
+  'small': 'Small (< 1 month)',
+  'medium': 'Medium (1-3 months)',
+  'large': 'Large (3-6 months)',
+  'ongoing': 'Ongoing/Long-term',
+} as const;
+
+export const CONTACT_METHOD_LABELS = {
+  'email': 'Email',
+  'phone': 'Phone',
+  'whatsapp': 'WhatsApp',
+} as const;
+
+export type Service = keyof typeof SERVICE_LABELS;
+export type Timeline = keyof typeof TIMELINE_LABELS;
+export type ProjectSize = keyof typeof PROJECT_SIZE_LABELS;
+export type ContactMethod = keyof typeof CONTACT_METHOD_LABELS;
+
+export interface FieldSchema {
+  label: string;
+  /** Wizard step the field is shown on */
+  step: 1 | 2 | 3;
+  type: 'text' | 'email' | 'phone' | 'enum';
+  required?: boolean;
+  minLength?: number;
+  maxLength?: number;
+  /** No line breaks or other control characters: the value ends up in email headers and invites */
+  singleLine?: boolean;
+  values?: readonly string[];
+}
+
+export const contactSchema = {
+  service: { label: 'Service', step: 1, type: 'enum', required: true, values: Object.keys(SERVICE_LABELS) },
+  timeline: { label: 'Project timeline', step: 1, type: 'enum', values: Object.keys(TIMELINE_LABELS) },
+  company: { label: 'Company name', step: 2, type: 'text', maxLength: 200, singleLine: true },
+  projectSize: { label: 'Project size', step: 2, type: 'enum', values: Object.keys(PROJECT_SIZE_LABELS) },
+  message: { label: 'Project description', step: 2, type: 'text', required: true, minLength: 10, maxLength: 5000 },
+  firstName: { label: 'First name', step: 3, type: 'text', required: true, maxLength: 100, singleLine: true },
+  lastName: { label: 'Last name', step: 3, type: 'text', required: true, maxLength: 100, singleLine: true },
+  email: { label: 'Email address', step: 3, type: 'email', required: true, maxLength: 254 },
+  phone: { label: 'Phone number', step: 3, type: 'phone', maxLength: 25 },
+  contactMethod: { label: 'Preferred contact method', step: 3, type: 'enum', values: Object.keys(CONTACT_METHOD_LABELS) },
+} satisfies Record<string, FieldSchema>;
+
+export type ContactField = keyof typeof contactSchema;
+export type ContactValues = Record<ContactField, string>;
+export type FieldErrors = Partial<Record<ContactField, string>>;
+
+export interface ValidationResult {
+  valid: boolean;
+  values: ContactValues;
+  errors: FieldErrors;
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+// International format: optional +, digits with spaces, dashes, dots or brackets
+const PHONE_PATTERN = /^\+?[0-9\s\-().]+$/;
+const CONTROL_CHARACTERS = /[\u0000-\u001f\u007f]/;
+
+export const CONTACT_FIELDS = Object.keys(contactSchema) as ContactField[];
+
+export function fieldsForStep(step: number): ContactField[] {
+  return CONTACT_FIELDS.filter((field) => contactSchema[field].step === step);
+}
+
+function validateField(field: ContactField, value: string, values: ContactValues): string | undefined {
+  const schema: FieldSchema = contactSchema[field];
+
+  if (!value) {
+    // Phone becomes mandatory when the visitor asks to be called or messaged
+    if (field === 'phone' && (values.contactMethod === 'phone' || values.contactMethod === 'whatsapp')) {
+      return `Please enter a phone number so we can reach you by ${CONTACT_METHOD_LABELS[values.contactMethod]}`;
+    }
+    return schema.required
+      ? (schema.type === 'enum' ? `Please select a ${schema.label.toLowerCase()}` : `${schema.label} is required`)
+      : undefined;
+  }
+
+  if (schema.maxLength && value.length > schema.maxLength) {
+    return `${schema.label} must be ${schema.maxLength} characters or fewer`;
+  }
+  if (schema.minLength && value.length < schema.minLength) {
+    return `${schema.label} must be at least ${schema.minLength} characters`;
+  }
+  if (schema.singleLine && CONTROL_CHARACTERS.test(value)) {
+    return `${schema.label} must be on one line`;
+  }
+
+  switch (schema.type) {
+    case 'enum':
+      return schema.values?.includes(value) ? undefined : `Please choose a valid ${schema.label.toLowerCase()}`;
+    case 'email':
+      return EMAIL_PATTERN.test(value) ? undefined : 'Please enter a valid email address';
+    case 'phone': {
+      const digits = value.replace(/\D/g, '').length;
+      return PHONE_PATTERN.test(value) && digits >= 7 && digits <= 15
+        ? undefined
+        : 'Please enter a valid phone number, including country code';
+    }
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Validates raw input (FormData entries or JSON) against the schema.
+ * Pass `fields` to validate a subset, e.g. the fields of one wizard step.
+ */
+export function validateContact(
+  input: Record<string, unknown>,
+  fields: ContactField[] = CONTACT_FIELDS
+): ValidationResult {
+  const values = {} as ContactValues;
+  for (const field of CONTACT_FIELDS) {
+    const raw = input[field];
+    values[field] = typeof raw === 'string' ? raw.trim() : '';
+  }
+  if (!values.contactMethod) values.contactMethod = 'email';
+
+  const errors: FieldErrors = {};
+  for (const field of fields) {
+    const error = validateField(field, values[field], values);
+    if (error) errors[field] = error;
+  }
+
+  return { valid: Object.keys(errors).length === 0, values, errors };
+}
@@ -0,0 +1,67 @@
+/*
+ * CRM Field Helpers
+ * Last Updated: 2026-10-19 06:40:11 IST
+ *
+ * Values every CRM mapper needs in the same form: labels for the enum fields,
+ * an expected close date from the timeline and a plain-text summary.
+ */
+
+import { CONTACT_METHOD_LABELS, PROJECT_SIZE_LABELS, SERVICE_LABELS, TIMELINE_LABELS } from '../contact-schema';
+import type { LeadRecord } from '../leads';
+
+function label(labels: Record<string, string>, value: string): string {
+  return labels[value] || value;
+}
+
+export function serviceLabel(lead: LeadRecord): string {
+  return label(SERVICE_LABELS, lead.data.service);
+}
+
+export function timelineLabel(lead: LeadRecord): string {
+  return label(TIMELINE_LABELS, lead.data.timeline);
+}
+
+export function projectSizeLabel(lead: LeadRecord): string {
+  return label(PROJECT_SIZE_LABELS, lead.data.projectSize);
+}
+
+export function contactMethodLabel(lead: LeadRecord): string {
+  return label(CONTACT_METHOD_LABELS, lead.data.contactMethod);
+}
+
+// Days from the enquiry to the expected decision, by timeline
+const CLOSE_DAYS: Record<string, number> = { immediate: 7, month: 30, quarter: 90, planning: 180 };
+
+/** Expected close date (YYYY-MM-DD) for deals/opportunities; CRMs require one */
+export function expectedCloseDate(lead: LeadRecord): string {
+  const days = CLOSE_DAYS[lead.data.timeline] ?? 30;
+  return new Date(Date.parse(lead.createdAt) + days * 86400000).toISOString().slice(0, 10);
+}
+
+/** Deal title: the company (or the visitor) and the service */
+export function dealName(lead: LeadRecord): string {
+  const { company, firstName, lastName } = lead.data;
+  return `${company || `${firstName} ${lastName}`} - ${serviceLabel(lead)}`;
+}
+
+/** Where the enquiry came from, e.g. "Website enquiry", "Website consultation booking" */
+export function leadSourceDetail(lead: LeadRecord): string {
+  if (lead.booking) return 'Website consultation booking';
+  if (lead.callback) return 'Website callback request';
+  return 'Website enquiry';
+}
+
+/** The visitor's message with the details that have no field of their own in a CRM */
+export function dealDescription(lead: LeadRecord, attachmentUrl?: string): string {
+  const { data } = lead;
+  const slot = lead.booking || lead.callback;
+  const details = [
+    `${leadSourceDetail(lead)} ${lead.reference}`,
+    data.timeline && `Timeline: ${timelineLabel(lead)}`,
+    data.projectSize && `Project size: ${projectSizeLabel(lead)}`,
+    data.contactMethod && `Preferred contact: ${contactMethodLabel(lead)}`,
+    slot && `${lead.booking ? 'Consultation' : 'Call back'}: ${slot.from} to ${slot.to} (visitor in ${slot.timeZone})`,
+    attachmentUrl && `Attachment: ${attachmentUrl}`,
+  ].filter(Boolean);
+  return [data.message, details.join('\n')].filter(Boolean).join('\n\n');
+}
@@ -0,0 +1,77 @@
+/*
+ * Generic Lead Payloads
+ * Last Updated: 2026-10-19 06:40:11 IST
+ *
+ * - raw: the original webhook payload (form data plus routing and spam details),
+ *   kept as the default so existing Zapier/n8n steps keep working
+ * - json: one flat record with stable keys; the service code is kept for
+ *   filtering and every choice also appears as its readable label
+ * - csv: the same record as a header row and one data row, for spreadsheet
+ *   and import tools that take CSV
+ */
+
+import { toCsv, type CsvColumn } from '../csv';
+import { contactMethodLabel, leadSourceDetail, projectSizeLabel, serviceLabel, timelineLabel } from './fields';
+import type { CrmAdapter, CrmExport } from './types';
+
+interface Field extends CsvColumn<CrmExport> {
+  key: string;
+}
+
+const FIELDS: Field[] = [
+  { key: 'reference', header: 'Reference', value: ({ lead }) => lead.reference },
+  { key: 'receivedAt', header: 'Received (UTC)', value: ({ lead }) => lead.createdAt },
+  { key: 'source', header: 'Source', value: ({ lead }) => leadSourceDetail(lead) },
+  { key: 'priority', header: 'Priority', value: ({ lead }) => lead.routing?.priority },
+  { key: 'channel', header: 'Channel', value: ({ channel }) => channel },
+  { key: 'firstName', header: 'First name', value: ({ lead }) => lead.data.firstName },
+  { key: 'lastName', header: 'Last name', value: ({ lead }) => lead.data.lastName },
+  { key: 'email', header: 'Email', value: ({ lead }) => lead.data.email },
+  { key: 'phone', header: 'Phone', value: ({ lead }) => lead.data.phone },
+  { key: 'company', header: 'Company', value: ({ lead }) => lead.data.company },
+  { key: 'service', header: 'Service', value: ({ lead }) => lead.data.service },
+  { key: 'serviceLabel', header: 'Service name', value: ({ lead }) => serviceLabel(lead) },
+  { key: 'timeline', header: 'Timeline', value: ({ lead }) => lead.data.timeline && timelineLabel(lead) },
+  { key: 'projectSize', header: 'Project size', value: ({ lead }) => lead.data.projectSize && projectSizeLabel(lead) },
+  { key: 'contactMethod', header: 'Preferred contact', value: ({ lead }) => lead.data.contactMethod && contactMethodLabel(lead) },
+  { key: 'country', header: 'Country', value: ({ lead }) => lead.meta.country },
+  { key: 'message', header: 'Message', value: ({ lead }) => lead.data.message },
+  { key: 'attachmentUrl', header: 'Attachment', value: ({ attachmentUrl }) => attachmentUrl },
+  { key: 'slotFrom', header: 'Call from (UTC)', value: ({ lead }) => (lead.booking || lead.callback)?.from },
+  { key: 'slotTo', header: 'Call to (UTC)', value: ({ lead }) => (lead.booking || lead.callback)?.to },
+  { key: 'slotTimeZone', header: 'Visitor time zone', value: ({ lead }) => (lead.booking || lead.callback)?.timeZone },
+];
+
+export const rawAdapter: CrmAdapter = {
+  map({ lead, channel, notification, attachmentUrl, ip }) {
+    return {
+      payload: {
+        subject: notification.subject,
+        body: notification.text,
+        data: lead.data,
+        spam: lead.spam,
+        routing: lead.routing,
+        callback: lead.callback,
+        booking: lead.booking,
+        channel,
+        attachmentUrl,
+        reference: lead.reference,
+        timestamp: lead.createdAt,
+        ip
+      }
+    };
+  },
+};
+
+export const jsonAdapter: CrmAdapter = {
+  map(input) {
+    // Empty values are sent as null so every key is always present
+    return { payload: Object.fromEntries(FIELDS.map(({ key, value }) => [key, value(input) || null])) };
+  },
+};
+
+export const csvAdapter: CrmAdapter = {
+  map(input) {
+    return { payload: toCsv([input], FIELDS), contentType: 'text/csv; charset=utf-8' };
+  },
+};
@@ -0,0 +1,52 @@
+/*
+ * HubSpot Lead Payload
+ * Last Updated: 2026-10-19 07:37:56 IST
+ *
+ * `contact` and `deal` are CRM v3 object bodies ({ properties }), ready for
+ * POST /crm/v3/objects/contacts and /crm/v3/objects/deals; the automation that
+ * receives them creates both and associates the deal with the contact.
+ * `enquiry_reference` is a custom deal property (single-line text). `closedate`
+ * is a datetime property, so it is sent as midnight UTC in ISO 8601.
+ */
+
+import type { LeadPriority } from '../routing';
+import { dealDescription, dealName, expectedCloseDate } from './fields';
+import type { CrmAdapter } from './types';
+
+// hs_priority only has low, medium and high
+const PRIORITIES: Record<LeadPriority, string> = { low: 'low', normal: 'medium', high: 'high', urgent: 'high' };
+
+export const hubspotAdapter: CrmAdapter = {
+  map({ lead, attachmentUrl }) {
+    const { data } = lead;
+    return {
+      payload: {
+        reference: lead.reference,
+        contact: {
+          properties: {
+            email: data.email,
+            firstname: data.firstName,
+            lastname: data.lastName,
+            phone: data.phone,
+            company: data.company,
+            country: lead.meta.country || '',
+            message: data.message,
+            lifecyclestage: 'lead',
+            hs_lead_status: 'NEW',
+          },
+        },
+        deal: {
+          properties: {
+            dealname: dealName(lead),
+            pipeline: 'default',
+            dealstage: 'appointmentscheduled',
+            closedate: `${expectedCloseDate(lead)}T00:00:00.000Z`,
+            hs_priority: PRIORITIES[lead.routing?.priority || 'normal'],
+            description: dealDescription(lead, attachmentUrl),
+            enquiry_reference: lead.reference,
+          },
+        },
+      },
+    };
+  },
+};
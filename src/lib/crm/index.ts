@@ -0,0 +1,43 @@
+/*
+ * CRM Adapters
+ * Last Updated: 2026-10-19 06:40:11 IST
+ *
+ * Maps a stored lead to the payload a webhook channel sends, so automations
+ * no longer remap firstName, projectSize and the rest by hand:
+ * - raw (default), json, csv: generic shapes (generic.ts)
+ * - hubspot, zoho, salesforce: each CRM's contact and deal/opportunity schema
+ *
+ * A channel picks its format in the routing configuration (lib/routing):
+ * { "type": "webhook", "url": "...", "format": "hubspot" }.
+ */
+
+import { csvAdapter, jsonAdapter, rawAdapter } from './generic';
+import { hubspotAdapter } from './hubspot';
+import { salesforceAdapter } from './salesforce';
+import type { CrmAdapter, CrmExport, CrmPayload } from './types';
+import { zohoAdapter } from './zoho';
+
+export type { CrmAdapter, CrmExport, CrmPayload } from './types';
+
+const ADAPTERS = {
+  raw: rawAdapter,
+  json: jsonAdapter,
+  csv: csvAdapter,
+  hubspot: hubspotAdapter,
+  zoho: zohoAdapter,
+  salesforce: salesforceAdapter,
+} satisfies Record<string, CrmAdapter>;
+
+export type CrmFormat = keyof typeof ADAPTERS;
+
+export const CRM_FORMATS = Object.keys(ADAPTERS) as CrmFormat[];
+
+export const DEFAULT_CRM_FORMAT: CrmFormat = 'raw';
+
+export function isCrmFormat(value: unknown): value is CrmFormat {
+  return typeof value === 'string' && Object.hasOwn(ADAPTERS, value);
+}
+
+export function toCrmPayload(format: CrmFormat, input: CrmExport): CrmPayload {
+  return ADAPTERS[format].map(input);
+}
@@ -0,0 +1,41 @@
+/*
+ * Salesforce Lead Payload
+ * Last Updated: 2026-10-19 06:40:11 IST
+ *
+ * `contact` and `opportunity` are sObject bodies for
+ * POST /services/data/vXX.X/sobjects/Contact and /sobjects/Opportunity; link
+ * them with an OpportunityContactRole. `Enquiry_Reference__c` is a custom text
+ * field on Opportunity.
+ */
+
+import { dealDescription, dealName, expectedCloseDate } from './fields';
+import type { CrmAdapter } from './types';
+
+export const salesforceAdapter: CrmAdapter = {
+  map({ lead, attachmentUrl }) {
+    const { data } = lead;
+    return {
+      payload: {
+        reference: lead.reference,
+        contact: {
+          FirstName: data.firstName,
+          LastName: data.lastName,
+          Email: data.email,
+          Phone: data.phone,
+          MailingCountry: lead.meta.country || null,
+          LeadSource: 'Web',
+          Description: data.company ? `Company: ${data.company}` : null,
+        },
+        opportunity: {
+          Name: dealName(lead),
+          StageName: 'Prospecting',
+          Type: 'New Customer',
+          CloseDate: expectedCloseDate(lead),
+          LeadSource: 'Web',
+          Description: dealDescription(lead, attachmentUrl),
+          Enquiry_Reference__c: lead.reference,
+        },
+      },
+    };
+  },
+};
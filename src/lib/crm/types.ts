@@ -0,0 +1,29 @@
+/*
+ * CRM Adapter Types
+ * Last Updated: 2026-10-19 06:40:11 IST
+ */
+
+import type { LeadRecord } from '../leads';
+
+/** Everything an adapter may put in a webhook payload for one lead */
+export interface CrmExport {
+  lead: LeadRecord;
+  /** Routing channel the payload is for */
+  channel: string;
+  /** Subject and plain text of the team notification email */
+  notification: { subject: string; text: string };
+  /** Signed attachment link, when the visitor attached a file */
+  attachmentUrl?: string;
+  /** Submitter's IP */
+  ip: string;
+}
+
+export interface CrmPayload {
+  payload: unknown;
+  /** Set for pre-serialised payloads such as CSV; objects are sent as JSON */
+  contentType?: string;
+}
+
+export interface CrmAdapter {
+  map(input: CrmExport): CrmPayload;
+}
@@ -0,0 +1,47 @@
+/*
+ * Zoho CRM Lead Payload
+ * Last Updated: 2026-10-19 06:40:11 IST
+ *
+ * `contact` is a body for POST /crm/v2/Contacts/upsert (matched on Email) and
+ * `deal` one for POST /crm/v2/Deals. "Website" must exist in the Lead Source
+ * picklist, and `Enquiry_Reference` is a custom single-line field on Deals.
+ */
+
+import { dealDescription, dealName, expectedCloseDate } from './fields';
+import type { CrmAdapter } from './types';
+
+const LEAD_SOURCE = 'Website';
+
+export const zohoAdapter: CrmAdapter = {
+  map({ lead, attachmentUrl }) {
+    const { data } = lead;
+    return {
+      payload: {
+        reference: lead.reference,
+        contact: {
+          data: [{
+            First_Name: data.firstName,
+            Last_Name: data.lastName,
+            Email: data.email,
+            Phone: data.phone,
+            Mailing_Country: lead.meta.country || null,
+            Lead_Source: LEAD_SOURCE,
+            Description: data.company ? `Company: ${data.company}` : null,
+          }],
+          duplicate_check_fields: ['Email'],
+        },
+        deal: {
+          data: [{
+            Deal_Name: dealName(lead),
+            Stage: 'Qualification',
+            Type: 'New Business',
+            Closing_Date: expectedCloseDate(lead),
+            Lead_Source: LEAD_SOURCE,
+            Description: dealDescription(lead, attachmentUrl),
+            Enquiry_Reference: lead.reference,
+          }],
+        },
+      },
+    };
+  },
+};
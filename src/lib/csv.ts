@@ -0,0 +1,32 @@
+/*
+ * CSV Export
+ * Last Updated: 2026-10-19 05:49:47 IST
+ *
+ * RFC 4180 CSV for spreadsheet exports. Cells that a spreadsheet would run as a
+ * formula (=, +, -, @) are prefixed with an apostrophe, since lead fields are
+ * typed by website visitors. Phone numbers such as +1 (415) 555-0134 are left
+ * alone: digits, spaces, brackets, dots and hyphens cannot call anything.
+ */
+
+export interface CsvColumn<T> {
+  header: string;
+  value: (row: T) => string | number | undefined;
+}
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+// Any number the contact form accepts as a phone (PHONE_PATTERN in lib/contact-schema)
+const PHONE_NUMBER = /^\+?[\d\s().-]+$/;
+
+function escapeCell(value: string | number | undefined): string {
+  let text = value === undefined ? '' : String(value);
+  if (FORMULA_START.test(text) && !PHONE_NUMBER.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv<T>(rows: T[], columns: CsvColumn<T>[]): string {
+  const lines = [columns.map((column) => escapeCell(column.header)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((column) => escapeCell(column.value(row))).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
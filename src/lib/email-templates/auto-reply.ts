@@ -0,0 +1,100 @@
+/*
+ * Auto-reply Emails
+ * Last Updated: 2026-10-19 05:55:59 IST
+ *
+ * Confirmation sent to the visitor. Services with their own onboarding add a
+ * "next steps" section; healthcare explains the HIPAA/BAA process before any
+ * patient data is shared.
+ */
+
+import { PROJECT_SIZE_LABELS, SERVICE_LABELS, TIMELINE_LABELS } from '../contact-schema';
+import { html } from './html';
+import { button, company, detailsHtml, detailsText, heading, istDateTime, layout, signatureHtml, signatureText } from './partials';
+import { SAMPLE_STATUS_URL, sampleLead } from './samples';
+import type { AutoReplyData, EmailTemplate } from './types';
+
+interface NextSteps {
+  title: string;
+  intro: string;
+  steps: string[];
+}
+
+function autoReplyTemplate(description: string, nextSteps?: NextSteps, sampleService = 'software-testing'): EmailTemplate<AutoReplyData> {
+  return {
+    description,
+
+    render({ lead, statusUrl, respondBy }) {
+      const { data } = lead;
+      const service = SERVICE_LABELS[data.service as keyof typeof SERVICE_LABELS] || data.service;
+      const when = respondBy
+        ? `by ${istDateTime(respondBy)}`
+        : 'within 24 hours during business hours';
+      const summary: Array<[string, string | undefined]> = [
+        ['Service', service],
+        ['Timeline', TIMELINE_LABELS[data.timeline as keyof typeof TIMELINE_LABELS] || 'Not specified'],
+        ['Project Size', PROJECT_SIZE_LABELS[data.projectSize as keyof typeof PROJECT_SIZE_LABELS] || 'Not specified'],
+      ];
+
+      const text = `Dear ${data.firstName},
+
+Thank you for your interest in our services! We've received your inquiry about ${service} and will get back to you ${when}.
+
+Here's a summary of your submission (reference ${lead.reference}):
+${detailsText(summary)}
+${nextSteps ? `
+${nextSteps.title.toUpperCase()}:
+${nextSteps.intro}
+${nextSteps.steps.map((step, index) => `${index + 1}. ${step}`).join('\n')}
+` : ''}
+Check the status of your enquiry at any time (this link is private to you):
+${statusUrl}
+
+In the meantime, feel free to:
+- Browse our services: ${company.servicesUrl}
+- Contact us directly: ${company.phone}
+- Chat with us on WhatsApp: ${company.whatsappUrl}
+
+${signatureText()}`;
+
+      const body = html`<p style="margin:0 0 12px;">Dear ${data.firstName},</p>
+<p style="margin:0 0 12px;">Thank you for your interest in our services! We've received your inquiry about <strong>${service}</strong> and will get back to you ${when}.</p>
+${heading(`Your submission (reference ${lead.reference})`)}
+${detailsHtml(summary)}
+${nextSteps && html`${heading(nextSteps.title)}
+<p style="margin:0 0 8px;">${nextSteps.intro}</p>
+<ol style="margin:0;padding-left:20px;">${nextSteps.steps.map((step) => html`<li style="margin:0 0 6px;">${step}</li>`)}</ol>`}
+${button(statusUrl, 'Check your enquiry status')}
+<p style="margin:0;font-size:13px;color:#6b7280;">This link is private to you. In the meantime, <a href="${company.servicesUrl}" style="color:#1e40af;">browse our services</a> or chat with us on <a href="${company.whatsappUrl}" style="color:#1e40af;">WhatsApp</a>.</p>
+${signatureHtml()}`;
+
+      return {
+        subject: `Thank you for contacting ${company.name} [${lead.reference}]`,
+        text,
+        html: layout(body, `We've received your ${service} enquiry.`),
+      };
+    },
+
+    sample: {
+      lead: sampleLead({ service: sampleService }),
+      statusUrl: SAMPLE_STATUS_URL,
+      respondBy: '2026-10-20T09:30:00.000Z',
+    },
+  };
+}
+
+export const autoReply = autoReplyTemplate('Confirmation sent to the visitor');
+
+export const healthcareAutoReply = autoReplyTemplate(
+  'Confirmation for Healthcare Documentation QA enquiries, with HIPAA/BAA next steps',
+  {
+    title: 'Next steps for healthcare projects',
+    intro: 'Because healthcare documentation may contain protected health information (PHI), we work under HIPAA from the start:',
+    steps: [
+      'Please do not send patient records or other PHI by email or through the contact form.',
+      'We will send you our Business Associate Agreement (BAA) for review and signature, or review yours.',
+      'Once the BAA is signed, we set up an encrypted transfer channel (SFTP or your secure portal) for sample files.',
+      'A QA lead runs a short pilot on de-identified or sample documents and shares accuracy metrics.',
+    ],
+  },
+  'healthcare-qa'
+);
@@ -0,0 +1,136 @@
+/*
+ * Consultation Booking Emails
+ * Last Updated: 2026-10-19 06:27:26 IST
+ *
+ * A booking is stored and routed like any other lead (see lib/bookings); these
+ * replace the enquiry notification and auto-reply with the reserved slot, in
+ * IST for the team and in the visitor's own time zone for them. Both are sent
+ * with the .ics invite attached.
+ */
+
+import { describeCallbackSlot, formatCallbackSlot } from '../callbacks';
+import { IST_TIME_ZONE } from '../business-hours';
+import { SERVICE_LABELS } from '../contact-schema';
+import { html, multiline } from './html';
+import {
+  button,
+  company,
+  detailsHtml,
+  detailsText,
+  heading,
+  internalFooterHtml,
+  internalFooterText,
+  istDateTime,
+  layout,
+  signatureHtml,
+  signatureText
+} from './partials';
+import { SAMPLE_STATUS_URL, sampleLead } from './samples';
+import type { AutoReplyData, EmailTemplate, LeadNotificationData } from './types';
+
+const sampleBooking = sampleLead({ contactMethod: 'phone', timeline: '', projectSize: '', message: 'We would like to discuss <volumes> & turnaround.' });
+sampleBooking.booking = {
+  timeZone: 'America/New_York',
+  from: '2026-10-21T04:30:00.000Z',
+  to: '2026-10-21T05:00:00.000Z',
+};
+
+function serviceLabel(service: string): string {
+  return SERVICE_LABELS[service as keyof typeof SERVICE_LABELS] || service;
+}
+
+export const bookingNotification: EmailTemplate<LeadNotificationData> = {
+  description: 'Consultation booking notification for the routed inboxes, with the calendar invite',
+
+  render({ lead }) {
+    const { data, meta, routing } = lead;
+    const booking = lead.booking!;
+    const priority = routing?.priority || 'normal';
+    const priorityTag = priority === 'high' || priority === 'urgent' ? `[${priority.toUpperCase()}] ` : '';
+    const service = serviceLabel(data.service);
+
+    const details: Array<[string, string | undefined]> = [
+      ['Name', `${data.firstName} ${data.lastName}`],
+      ['Company', data.company || undefined],
+      ['Phone', data.phone],
+      ['Email', data.email],
+      ['Service', service],
+      ['Consultation', `${formatCallbackSlot(booking, IST_TIME_ZONE)} IST`],
+      ['Their local time', `${formatCallbackSlot(booking, booking.timeZone)} (${booking.timeZone})`],
+    ];
+    const metadata: Array<[string, string | undefined]> = [
+      ['Reference', lead.reference],
+      ['Booked', istDateTime(lead.createdAt)],
+      ['Country', meta.country || 'Unknown'],
+      ['Priority', priority],
+    ];
+
+    const text = `Consultation booked:
+
+${detailsText(details)}
+${data.message ? `- Note: ${data.message}\n` : ''}
+METADATA:
+${detailsText(metadata)}
+
+The attached invite adds the call to your calendar.
+
+${internalFooterText()}`;
+
+    const body = html`<p style="margin:0 0 8px;">A visitor booked a consultation. The attached invite adds it to your calendar.</p>
+${heading('Consultation')}
+${detailsHtml(details)}
+${data.message && html`<p style="margin:12px 0 0;padding:12px;background:#f9fafb;border-left:3px solid #1e40af;">${multiline(data.message)}</p>`}
+${heading('Metadata')}
+${detailsHtml(metadata)}
+${internalFooterHtml()}`;
+
+    return {
+      subject: `${priorityTag}Consultation Booked - ${service} - ${istDateTime(booking.from)} [${lead.reference}]`,
+      text,
+      html: layout(body, `Call ${data.firstName} ${data.lastName} on ${data.phone}`),
+    };
+  },
+
+  sample: { lead: sampleBooking },
+};
+
+export const bookingConfirmation: EmailTemplate<AutoReplyData> = {
+  description: 'Consultation confirmation sent to the visitor, with the slot in their time zone and the calendar invite',
+
+  render({ lead, statusUrl }) {
+    const { data } = lead;
+    const booking = lead.booking!;
+    const when = describeCallbackSlot(booking, booking.timeZone);
+
+    const text = `Dear ${data.firstName},
+
+Your consultation about ${serviceLabel(data.service)} is booked. A specialist will call you on ${data.phone}:
+
+${when}
+
+Open the attached invite to add it to your calendar. If you need to change the time, reply to this email or call us on ${company.phone}.
+
+Check the status of your booking at any time (this link is private to you):
+${statusUrl}
+
+Reference: ${lead.reference}
+
+${signatureText()}`;
+
+    const body = html`<p style="margin:0 0 12px;">Dear ${data.firstName},</p>
+<p style="margin:0 0 12px;">Your consultation about <strong>${serviceLabel(data.service)}</strong> is booked. A specialist will call you on <strong>${data.phone}</strong>:</p>
+<p style="margin:0 0 12px;padding:12px;background:#eff6ff;border-left:3px solid #1e40af;font-weight:bold;">${when}</p>
+<p style="margin:0 0 12px;">Open the attached invite to add it to your calendar. If you need to change the time, reply to this email or call us on ${company.phone}.</p>
+${button(statusUrl, 'Check your booking status')}
+<p style="margin:0;font-size:13px;color:#6b7280;">Reference ${lead.reference}. This link is private to you.</p>
+${signatureHtml()}`;
+
+    return {
+      subject: `Your consultation with ${company.name} [${lead.reference}]`,
+      text,
+      html: layout(body, `Your consultation is booked for ${when}.`),
+    };
+  },
+
+  sample: { lead: sampleBooking, statusUrl: SAMPLE_STATUS_URL },
+};
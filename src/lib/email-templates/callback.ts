@@ -0,0 +1,133 @@
+/*
+ * Callback Request Emails
+ * Last Updated: 2026-10-19 06:10:17 IST
+ *
+ * A callback is stored and routed like any other lead; these replace the
+ * enquiry notification and auto-reply with when to call, in IST for the team
+ * and in the visitor's own time zone for them.
+ */
+
+import { describeCallbackSlot, formatCallbackSlot } from '../callbacks';
+import { IST_TIME_ZONE } from '../business-hours';
+import { SERVICE_LABELS } from '../contact-schema';
+import { html, multiline } from './html';
+import {
+  button,
+  company,
+  detailsHtml,
+  detailsText,
+  heading,
+  internalFooterHtml,
+  internalFooterText,
+  istDateTime,
+  layout,
+  signatureHtml,
+  signatureText
+} from './partials';
+import { SAMPLE_STATUS_URL, sampleLead } from './samples';
+import type { AutoReplyData, EmailTemplate, LeadNotificationData } from './types';
+
+const sampleCallback = sampleLead({ contactMethod: 'phone', company: '', timeline: '', projectSize: '', message: 'Questions about <pricing> & turnaround.' });
+sampleCallback.callback = {
+  window: 'morning',
+  timeZone: 'Europe/London',
+  from: '2026-10-21T08:00:00.000Z',
+  to: '2026-10-21T11:00:00.000Z',
+};
+
+function serviceLabel(service: string): string {
+  return SERVICE_LABELS[service as keyof typeof SERVICE_LABELS] || service;
+}
+
+export const callbackNotification: EmailTemplate<LeadNotificationData> = {
+  description: 'Callback request notification for the routed inboxes',
+
+  render({ lead }) {
+    const { data, meta, routing } = lead;
+    const callback = lead.callback!;
+    const priority = routing?.priority || 'normal';
+    const priorityTag = priority === 'high' || priority === 'urgent' ? `[${priority.toUpperCase()}] ` : '';
+    const service = serviceLabel(data.service);
+
+    const details: Array<[string, string | undefined]> = [
+      ['Name', `${data.firstName} ${data.lastName}`],
+      ['Phone', data.phone],
+      ['Email', data.email],
+      ['Service', service],
+      ['Call between', `${formatCallbackSlot(callback, IST_TIME_ZONE)} IST`],
+      ['Their local time', `${formatCallbackSlot(callback, callback.timeZone)} (${callback.timeZone})`],
+    ];
+    const metadata: Array<[string, string | undefined]> = [
+      ['Reference', lead.reference],
+      ['Requested', istDateTime(lead.createdAt)],
+      ['Country', meta.country || 'Unknown'],
+      ['Priority', priority],
+    ];
+
+    const text = `Callback requested:
+
+${detailsText(details)}
+${data.message ? `- Note: ${data.message}\n` : ''}
+METADATA:
+${detailsText(metadata)}
+
+${internalFooterText()}`;
+
+    const body = html`<p style="margin:0 0 8px;">A visitor asked us to call them back.</p>
+${heading('Callback')}
+${detailsHtml(details)}
+${data.message && html`<p style="margin:12px 0 0;padding:12px;background:#f9fafb;border-left:3px solid #1e40af;">${multiline(data.message)}</p>`}
+${heading('Metadata')}
+${detailsHtml(metadata)}
+${internalFooterHtml()}`;
+
+    return {
+      subject: `${priorityTag}Callback Request - ${service} - ${istDateTime(callback.from)} [${lead.reference}]`,
+      text,
+      html: layout(body, `Call ${data.firstName} ${data.lastName} on ${data.phone}`),
+    };
+  },
+
+  sample: { lead: sampleCallback },
+};
+
+export const callbackConfirmation: EmailTemplate<AutoReplyData> = {
+  description: 'Callback confirmation sent to the visitor, with the call window in their time zone',
+
+  render({ lead, statusUrl }) {
+    const { data } = lead;
+    const callback = lead.callback!;
+    const when = describeCallbackSlot(callback, callback.timeZone);
+
+    const text = `Dear ${data.firstName},
+
+Thank you for requesting a callback about ${serviceLabel(data.service)}. A specialist will call you on ${data.phone}:
+
+${when}
+
+If that time no longer suits you, reply to this email or call us on ${company.phone}.
+
+Check the status of your request at any time (this link is private to you):
+${statusUrl}
+
+Reference: ${lead.reference}
+
+${signatureText()}`;
+
+    const body = html`<p style="margin:0 0 12px;">Dear ${data.firstName},</p>
+<p style="margin:0 0 12px;">Thank you for requesting a callback about <strong>${serviceLabel(data.service)}</strong>. A specialist will call you on <strong>${data.phone}</strong>:</p>
+<p style="margin:0 0 12px;padding:12px;background:#eff6ff;border-left:3px solid #1e40af;font-weight:bold;">${when}</p>
+<p style="margin:0 0 12px;">If that time no longer suits you, reply to this email or call us on ${company.phone}.</p>
+${button(statusUrl, 'Check your request status')}
+<p style="margin:0;font-size:13px;color:#6b7280;">Reference ${lead.reference}. This link is private to you.</p>
+${signatureHtml()}`;
+
+    return {
+      subject: `Your callback from ${company.name} [${lead.reference}]`,
+      text,
+      html: layout(body, `We'll call you ${when}.`),
+    };
+  },
+
+  sample: { lead: sampleCallback, statusUrl: SAMPLE_STATUS_URL },
+};
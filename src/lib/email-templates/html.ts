@@ -0,0 +1,47 @@
+/*
+ * Email HTML Escaping
+ * Last Updated: 2026-10-19 05:55:59 IST
+ *
+ * The `html` tag escapes every interpolated value unless it is already SafeHtml,
+ * so visitor input (names, messages, company) can never inject markup.
+ */
+
+/** Markup produced by the `html` tag; the only values inserted unescaped */
+export class SafeHtml {
+  constructor(readonly value: string) {}
+
+  toString(): string {
+    return this.value;
+  }
+}
+
+const ENTITIES: Record<string, string> = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+export function escapeHtml(value: string): string {
+  return value.replace(/[&<>"']/g, (char) => ENTITIES[char]);
+}
+
+type HtmlValue = SafeHtml | string | number | null | undefined | false | HtmlValue[];
+
+function render(value: HtmlValue): string {
+  if (value === null || value === undefined || value === false) return '';
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(render).join('');
+  return escapeHtml(String(value));
+}
+
+/** Tagged template: html`<p>${visitorText}</p>`; arrays are joined, null/false render nothing */
+export function html(strings: TemplateStringsArray, ...values: HtmlValue[]): SafeHtml {
+  return new SafeHtml(strings.reduce((out, string, index) => out + string + (index < values.length ? render(values[index]) : ''), ''));
+}
+
+/** Escaped text with line breaks kept, for multi-line visitor messages */
+export function multiline(text: string): SafeHtml {
+  return new SafeHtml(escapeHtml(text).replace(/\r?\n/g, '<br>'));
+}
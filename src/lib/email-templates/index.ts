@@ -0,0 +1,85 @@
+/*
+ * Email Templates
+ * Last Updated: 2026-10-19 06:27:26 IST
+ *
+ * Notification and auto-reply emails rendered from typed templates:
+ * - HTML and plain-text variants of every email, from the same data
+ * - Per-service variants (`<template>.<service>`) falling back to the generic template
+ * - Shared partials for signature, business hours and office details (partials.ts)
+ * - Visitor-supplied values escaped by the `html` tag (html.ts)
+ *
+ * /admin/emails previews every template with its sample data.
+ */
+
+import { autoReply, healthcareAutoReply } from './auto-reply';
+import { bookingConfirmation, bookingNotification } from './booking';
+import { callbackConfirmation, callbackNotification } from './callback';
+import { leadNotification } from './lead-notification';
+import { newsletterConfirmation, newsletterWelcome } from './newsletter';
+import type { AutoReplyData, EmailTemplate, LeadNotificationData, NewsletterConfirmationData, NewsletterWelcomeData } from './types';
+
+export type {
+  AutoReplyData,
+  EmailContent,
+  EmailTemplate,
+  LeadNotificationData,
+  NewsletterConfirmationData,
+  NewsletterWelcomeData
+} from './types';
+
+export interface TemplateDataMap {
+  'lead-notification': LeadNotificationData;
+  'auto-reply': AutoReplyData;
+  'callback-notification': LeadNotificationData;
+  'callback-confirmation': AutoReplyData;
+  'booking-notification': LeadNotificationData;
+  'booking-confirmation': AutoReplyData;
+  'newsletter-confirmation': NewsletterConfirmationData;
+  'newsletter-welcome': NewsletterWelcomeData;
+}
+
+export type TemplateName = keyof TemplateDataMap;
+
+export interface RenderedEmail {
+  /** Template id actually used, e.g. auto-reply.healthcare-qa */
+  template: string;
+  subject: string;
+  text: string;
+  html: string;
+}
+
+const TEMPLATES: Record<string, EmailTemplate<any>> = {
+  'lead-notification': leadNotification,
+  'auto-reply': autoReply,
+  'auto-reply.healthcare-qa': healthcareAutoReply,
+  'callback-notification': callbackNotification,
+  'callback-confirmation': callbackConfirmation,
+  'booking-notification': bookingNotification,
+  'booking-confirmation': bookingConfirmation,
+  'newsletter-confirmation': newsletterConfirmation,
+  'newsletter-welcome': newsletterWelcome,
+};
+
+function templateId(name: TemplateName, service?: string): string {
+  return service && TEMPLATES[`${name}.${service}`] ? `${name}.${service}` : name;
+}
+
+function renderTemplate(id: string, data: unknown): RenderedEmail {
+  const { subject, text, html } = TEMPLATES[id].render(data);
+  // Subjects are single header lines whatever the data contains
+  return { template: id, subject: subject.replace(/[\r\n]+/g, ' '), text, html: html.value };
+}
+
+/** Renders `name`, using the service-specific variant when one exists */
+export function renderEmail<N extends TemplateName>(name: N, data: TemplateDataMap[N], service?: string): RenderedEmail {
+  return renderTemplate(templateId(name, service), data);
+}
+
+export function listTemplates(): Array<{ id: string; description: string }> {
+  return Object.entries(TEMPLATES).map(([id, template]) => ({ id, description: template.description }));
+}
+
+/** Renders a template with its sample data, for previews */
+export function renderSample(id: string): RenderedEmail | undefined {
+  return Object.hasOwn(TEMPLATES, id) ? renderTemplate(id, TEMPLATES[id].sample) : undefined;
+}
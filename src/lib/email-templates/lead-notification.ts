@@ -0,0 +1,86 @@
+/*
+ * Lead Notification Email
+ * Last Updated: 2026-10-19 05:55:59 IST
+ *
+ * Sent to the routed inboxes for every accepted enquiry, and used as the
+ * subject/body of webhook payloads.
+ */
+
+import { CONTACT_METHOD_LABELS, PROJECT_SIZE_LABELS, SERVICE_LABELS, TIMELINE_LABELS } from '../contact-schema';
+import { html, multiline } from './html';
+import { detailsHtml, detailsText, heading, internalFooterHtml, internalFooterText, istDateTime, layout } from './partials';
+import { SAMPLE_ATTACHMENT_URL, sampleLead } from './samples';
+import type { EmailTemplate, LeadNotificationData } from './types';
+
+function label<T extends Record<string, string>>(labels: T, value: string): string | undefined {
+  return labels[value as keyof T] || value || undefined;
+}
+
+export const leadNotification: EmailTemplate<LeadNotificationData> = {
+  description: 'New enquiry notification for the routed inboxes',
+
+  render({ lead, attachmentUrl }) {
+    const { data, meta, spam, routing } = lead;
+    const priority = routing?.priority || 'normal';
+    const priorityTag = priority === 'high' || priority === 'urgent' ? `[${priority.toUpperCase()}] ` : '';
+    const service = label(SERVICE_LABELS, data.service);
+
+    const contact: Array<[string, string | undefined]> = [
+      ['Name', `${data.firstName} ${data.lastName}`],
+      ['Email', data.email],
+      ['Phone', data.phone],
+      ['Company', data.company],
+      ['Preferred Contact', label(CONTACT_METHOD_LABELS, data.contactMethod)],
+    ];
+    const project: Array<[string, string | undefined]> = [
+      ['Service', service],
+      ['Timeline', label(TIMELINE_LABELS, data.timeline) || 'Not specified'],
+      ['Project Size', label(PROJECT_SIZE_LABELS, data.projectSize) || 'Not specified'],
+    ];
+    const attachment = data.attachment ? `${data.attachment.name} (${Math.ceil(data.attachment.size / 1024)} KB)` : 'None';
+    const metadata: Array<[string, string | undefined]> = [
+      ['Reference', lead.reference],
+      ['Submission Time', istDateTime(lead.createdAt)],
+      ['IP Address', meta.ip],
+      ['Country', meta.country || 'Unknown'],
+      ['Priority', `${priority}${routing?.matchedRules.length ? ` (rules: ${routing.matchedRules.join(', ')})` : ''}`],
+      ['Spam Score', spam ? `${spam.score}/${spam.threshold}${spam.rules.length ? ` (${spam.rules.map(({ rule, detail }) => `${rule}: ${detail}`).join('; ')})` : ''}` : undefined],
+      ['Attachment', attachment],
+    ];
+
+    const text = `New contact form submission received:
+
+CONTACT INFORMATION:
+${detailsText(contact)}
+
+PROJECT DETAILS:
+${detailsText(project)}
+- Message: ${data.message}
+
+METADATA:
+${detailsText(metadata)}${attachmentUrl ? `\n  Download (link expires): ${attachmentUrl}` : ''}
+
+${internalFooterText()}`;
+
+    const body = html`<p style="margin:0 0 8px;">New contact form submission received.</p>
+${heading('Contact information')}
+${detailsHtml(contact)}
+${heading('Project details')}
+${detailsHtml(project)}
+<p style="margin:12px 0 0;padding:12px;background:#f9fafb;border-left:3px solid #1e40af;">${multiline(data.message)}</p>
+${heading('Metadata')}
+${detailsHtml(metadata.map(([name, value]) => [name, name === 'Attachment' && attachmentUrl ? html`${value} · <a href="${attachmentUrl}" style="color:#1e40af;">Download</a> (link expires)` : value]))}
+${internalFooterHtml()}`;
+
+    return {
+      subject: `${priorityTag}New Contact Form Submission - ${service} [${lead.reference}]`,
+      text,
+      html: layout(body, `${service} enquiry from ${data.firstName} ${data.lastName}`),
+    };
+  },
+
+  sample: {
+    lead: sampleLead({ attachment: { id: 'sample', name: 'test-plan <v2>.pdf', size: 48213, type: 'application/pdf' } }),
+    attachmentUrl: SAMPLE_ATTACHMENT_URL,
+  },
+};
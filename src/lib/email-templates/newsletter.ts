@@ -0,0 +1,72 @@
+/*
+ * Newsletter Emails
+ * Last Updated: 2026-10-19 06:22:02 IST
+ *
+ * Double opt-in (see lib/newsletter): the confirmation request sent after a
+ * sign-up, and the welcome sent once the link is clicked, which carries the
+ * permanent unsubscribe link.
+ */
+
+import { html } from './html';
+import { button, company, layout, signatureHtml, signatureText } from './partials';
+import type { EmailTemplate, NewsletterConfirmationData, NewsletterWelcomeData } from './types';
+
+export const newsletterConfirmation: EmailTemplate<NewsletterConfirmationData> = {
+  description: 'Double opt-in request sent after a newsletter sign-up; nothing else is sent until it is clicked',
+
+  render({ confirmUrl, validDays }) {
+    const text = `Hello,
+
+Please confirm that you would like to receive new resources and industry insights from ${company.name}:
+${confirmUrl}
+
+The link expires in ${validDays} days. If you did not sign up, ignore this email and you will not hear from us again.
+
+${signatureText()}`;
+
+    const body = html`<p style="margin:0 0 12px;">Hello,</p>
+<p style="margin:0 0 12px;">Please confirm that you would like to receive new resources and industry insights from ${company.name}.</p>
+${button(confirmUrl, 'Confirm my subscription')}
+<p style="margin:0;font-size:13px;color:#6b7280;">The link expires in ${validDays} days. If you did not sign up, ignore this email and you will not hear from us again.</p>
+${signatureHtml()}`;
+
+    return {
+      subject: `Please confirm your subscription to ${company.name} updates`,
+      text,
+      html: layout(body, 'One click to confirm your subscription.'),
+    };
+  },
+
+  sample: { confirmUrl: 'https://eexperts.info/newsletter/confirm?id=sample&expires=0&token=sample', validDays: 7 },
+};
+
+export const newsletterWelcome: EmailTemplate<NewsletterWelcomeData> = {
+  description: 'Welcome sent when a newsletter subscription is confirmed, with the unsubscribe link',
+
+  render({ unsubscribeUrl }) {
+    const text = `Hello,
+
+Thank you for confirming your subscription. We will email you when we publish new guides, checklists and industry insights; usually no more than twice a month.
+
+Browse the current library: ${company.website}/resources
+
+You can unsubscribe at any time:
+${unsubscribeUrl}
+
+${signatureText()}`;
+
+    const body = html`<p style="margin:0 0 12px;">Hello,</p>
+<p style="margin:0 0 12px;">Thank you for confirming your subscription. We will email you when we publish new guides, checklists and industry insights; usually no more than twice a month.</p>
+${button(`${company.website}/resources`, 'Browse the resource library')}
+<p style="margin:0;font-size:13px;color:#6b7280;">Changed your mind? <a href="${unsubscribeUrl}" style="color:#1e40af;">Unsubscribe</a> at any time.</p>
+${signatureHtml()}`;
+
+    return {
+      subject: `You're subscribed to ${company.name} updates`,
+      text,
+      html: layout(body, 'Your subscription is confirmed.'),
+    };
+  },
+
+  sample: { unsubscribeUrl: 'https://eexperts.info/newsletter/unsubscribe?id=sample&token=sample' },
+};
@@ -0,0 +1,113 @@
+/*
+ * Email Partials
+ * Last Updated: 2026-10-19 05:55:59 IST
+ *
+ * Building blocks shared by every template, each in an HTML and a text form.
+ * Company details (phone, hours, offices) come from src/data/company.json.
+ */
+
+import company from '../../data/company.json';
+import { html, type SafeHtml } from './html';
+
+export { company };
+
+const FONT = 'font-family:Arial,Helvetica,sans-serif;';
+
+/** Full HTML document around a template body; `preheader` is the inbox preview line */
+export function layout(body: SafeHtml, preheader = ''): SafeHtml {
+  return html`<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${company.name}</title>
+</head>
+<body style="margin:0;padding:0;background:#f3f4f6;">
+<div style="display:none;max-height:0;overflow:hidden;">${preheader}</div>
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f3f4f6;">
+<tr><td align="center" style="padding:24px 12px;">
+<table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width:600px;width:100%;background:#ffffff;border-radius:8px;${FONT}font-size:15px;line-height:1.5;color:#111827;">
+<tr><td style="padding:20px 28px;background:#1e40af;border-radius:8px 8px 0 0;color:#ffffff;font-size:18px;font-weight:bold;">${company.name}</td></tr>
+<tr><td style="padding:28px;">${body}</td></tr>
+</table>
+</td></tr>
+</table>
+</body>
+</html>`;
+}
+
+export function heading(text: string): SafeHtml {
+  return html`<h2 style="margin:24px 0 8px;font-size:16px;color:#1e40af;">${text}</h2>`;
+}
+
+/** Label/value rows; empty values are shown as "Not provided" */
+export function detailsHtml(rows: Array<[string, string | SafeHtml | undefined]>): SafeHtml {
+  return html`<table role="presentation" cellpadding="0" cellspacing="0" style="width:100%;${FONT}font-size:14px;">${rows.map(([label, value]) => html`
+<tr><td style="padding:4px 12px 4px 0;color:#6b7280;vertical-align:top;white-space:nowrap;">${label}</td><td style="padding:4px 0;">${value || 'Not provided'}</td></tr>`)}
+</table>`;
+}
+
+export function detailsText(rows: Array<[string, string | undefined]>): string {
+  return rows.map(([label, value]) => `- ${label}: ${value || 'Not provided'}`).join('\n');
+}
+
+export function button(href: string, label: string): SafeHtml {
+  return html`<p style="margin:20px 0;"><a href="${href}" style="display:inline-block;padding:10px 18px;background:#1e40af;color:#ffffff;text-decoration:none;border-radius:6px;font-weight:bold;">${label}</a></p>`;
+}
+
+export function businessHoursHtml(): SafeHtml {
+  return html`<p style="margin:0 0 8px;"><strong>Business Hours (IST)</strong><br>${company.businessHours.map(({ days, hours }, index) => html`${index > 0 && html`<br>`}${days}: ${hours}`)}</p>`;
+}
+
+export function businessHoursText(): string {
+  return ['Business Hours (IST):', ...company.businessHours.map(({ days, hours }) => `${days}: ${hours}`)].join('\n');
+}
+
+export function officesHtml(): SafeHtml {
+  return html`<p style="margin:0;"><strong>Office Locations</strong><br>${company.offices.map(({ city, address }, index) => html`${index > 0 && html`<br>`}${city}: ${address}`)}</p>`;
+}
+
+export function officesText(): string {
+  return ['Office Locations:', ...company.offices.map(({ city, address }) => `${city}: ${address}`)].join('\n');
+}
+
+/** Sign-off plus contact options, hours and offices for visitor-facing emails */
+export function signatureHtml(): SafeHtml {
+  return html`<p style="margin:24px 0 0;">Best regards,<br>${company.name} Team</p>
+<p style="margin:16px 0 0;">Phone: <a href="tel:${company.phone.replace(/\s/g, '')}" style="color:#1e40af;">${company.phone}</a> · <a href="${company.whatsappUrl}" style="color:#1e40af;">WhatsApp</a> · <a href="${company.website}" style="color:#1e40af;">${company.website.replace(/^https:\/\//, '')}</a></p>
+<hr style="border:none;border-top:1px solid #e5e7eb;margin:24px 0 16px;">
+<div style="font-size:13px;color:#6b7280;">${businessHoursHtml()}${officesHtml()}</div>`;
+}
+
+export function signatureText(): string {
+  return `Best regards,
+${company.name} Team
+
+---
+${businessHoursText()}
+
+${officesText()}`;
+}
+
+/** Footer line for internal notifications */
+export function internalFooterHtml(): SafeHtml {
+  return html`<p style="margin:24px 0 0;font-size:12px;color:#6b7280;">This email was sent from the ${company.name} contact form.</p>`;
+}
+
+export function internalFooterText(): string {
+  return `---
+This email was sent from the ${company.name} contact form.`;
+}
+
+/** e.g. "Mon, 20 Oct 2026, 2:00 pm IST" */
+export function istDateTime(iso: string): string {
+  return new Date(iso).toLocaleString('en-IN', {
+    timeZone: 'Asia/Kolkata',
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  }) + ' IST';
+}
@@ -0,0 +1,39 @@
+/*
+ * Email Template Sample Data
+ * Last Updated: 2026-10-19 05:55:59 IST
+ *
+ * Fictional leads for /admin/emails previews. Values deliberately contain
+ * markup-like characters so previews show that escaping works.
+ */
+
+import type { LeadData, LeadRecord } from '../leads';
+
+export function sampleLead(data: Partial<LeadData> = {}): LeadRecord {
+  return {
+    id: '00000000-0000-4000-8000-000000000000',
+    reference: 'EE-261020-SAMPLE',
+    createdAt: '2026-10-20T05:30:00.000Z',
+    data: {
+      service: 'software-testing',
+      timeline: 'month',
+      company: 'O\'Brien & Sons <Test Labs>',
+      projectSize: 'medium',
+      message: 'We need regression testing for our patient portal before the next release.\nCan you start in two weeks?',
+      firstName: 'Asha',
+      lastName: 'Patel',
+      email: 'asha.patel@example.com',
+      phone: '+44 20 7946 0958',
+      contactMethod: 'email',
+      ...data,
+    },
+    meta: { ip: '203.0.113.7', country: 'GB' },
+    spam: { score: 0, threshold: 5, isSpam: false, rules: [] },
+    routing: { matchedRules: ['international'], channels: ['sales-inbox', 'sales-webhook'], priority: 'high' },
+    status: 'new',
+    notes: [],
+    history: [],
+  };
+}
+
+export const SAMPLE_STATUS_URL = 'https://eexperts.info/enquiry/EE-261020-SAMPLE?token=sample';
+export const SAMPLE_ATTACHMENT_URL = 'https://eexperts.info/api/attachments/sample?expires=0&signature=sample';
@@ -0,0 +1,46 @@
+/*
+ * Email Template Types
+ * Last Updated: 2026-10-19 06:22:02 IST
+ */
+
+import type { LeadRecord } from '../leads';
+import type { SafeHtml } from './html';
+
+export interface EmailContent {
+  subject: string;
+  text: string;
+  html: SafeHtml;
+}
+
+export interface EmailTemplate<T> {
+  /** Shown in the /admin/emails preview list */
+  description: string;
+  render(data: T): EmailContent;
+  /** Realistic data for previews; includes characters that must be escaped */
+  sample: T;
+}
+
+export interface LeadNotificationData {
+  lead: LeadRecord;
+  attachmentUrl?: string;
+}
+
+export interface AutoReplyData {
+  lead: LeadRecord;
+  /** Private enquiry status link (see lib/enquiry-status) */
+  statusUrl: string;
+  /** When a first reply is due, if known */
+  respondBy?: string;
+}
+
+export interface NewsletterConfirmationData {
+  /** Signed double opt-in link (see lib/newsletter) */
+  confirmUrl: string;
+  /** Days until the link expires */
+  validDays: number;
+}
+
+export interface NewsletterWelcomeData {
+  /** Permanent signed unsubscribe link */
+  unsubscribeUrl: string;
+}
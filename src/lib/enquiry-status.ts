@@ -0,0 +1,107 @@
+/*
+ * Enquiry Status Lookup
+ * Last Updated: 2026-10-19 08:27:54 IST
+ *
+ * Lets a visitor check on their own enquiry without an account:
+ * - A private lookup link (reference + signature) returned by the API and emailed in the auto-reply
+ * - A visitor-facing view of the lead: status wording, contact method, expected response time
+ * - Response targets by routing priority, counted in IST business hours (lib/business-hours)
+ *
+ * Staff notes, routing channels and spam details are never part of the view.
+ */
+
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import { addBusinessHours } from './business-hours';
+import { CONTACT_METHOD_LABELS, SERVICE_LABELS } from './contact-schema';
+import type { LeadRecord, LeadStatus } from './leads';
+import type { LeadPriority } from './routing';
+import { getSecret } from './secrets';
+
+/** Working hours until the first reply, by routing priority */
+export const RESPONSE_TARGET_HOURS: Record<LeadPriority, number> = {
+  urgent: 2,
+  high: 4,
+  normal: 9,
+  low: 18,
+};
+
+const STATUS_TEXT: Record<LeadStatus, { label: string; description: string }> = {
+  new: {
+    label: 'Received',
+    description: 'Your enquiry has reached our team and is waiting for a specialist to pick it up.',
+  },
+  contacted: {
+    label: 'In touch',
+    description: 'A specialist has contacted you. Please check your inbox (and spam folder) or phone.',
+  },
+  qualified: {
+    label: 'Scoping',
+    description: 'We are working out the details of your project and preparing a proposal.',
+  },
+  won: {
+    label: 'Project confirmed',
+    description: 'Your project is confirmed. Your project manager will keep you updated directly.',
+  },
+  lost: {
+    label: 'Closed',
+    description: 'This enquiry is closed. Send us a new message whenever you would like to talk again.',
+  },
+};
+
+export interface EnquiryStatusView {
+  reference: string;
+  service: string;
+  submittedAt: string;
+  status: LeadStatus;
+  statusLabel: string;
+  statusDescription: string;
+  contactMethod: string;
+  /** The visitor asked to be called back or booked a consultation; respondBy is then the agreed call time */
+  callback: boolean;
+  /** When a first reply is due; absent once staff have been in touch */
+  respondBy?: string;
+  updatedAt?: string;
+}
+
+function sign(reference: string): string {
+  return createHmac('sha256', getSecret('ENQUIRY_LINK_SECRET')).update(`enquiry:${reference}`).digest('base64url');
+}
+
+/** Private link to the status page; whoever holds it can see the enquiry's status */
+export function enquiryStatusUrl(reference: string, origin: string): string {
+  const url = new URL(`/enquiry/${encodeURIComponent(reference)}`, origin);
+  url.searchParams.set('token', sign(reference));
+  return url.toString();
+}
+
+export function verifyEnquiryToken(reference: string, token: string | null): boolean {
+  if (!token) return false;
+  const expected = Buffer.from(sign(reference));
+  const received = Buffer.from(token);
+  return expected.length === received.length && timingSafeEqual(expected, received);
+}
+
+export function responseTargetHours(priority: LeadPriority = 'normal'): number {
+  return RESPONSE_TARGET_HOURS[priority] ?? RESPONSE_TARGET_HOURS.normal;
+}
+
+export function enquiryStatusView(lead: LeadRecord): EnquiryStatusView {
+  const text = STATUS_TEXT[lead.status];
+  // A requested callback or booked consultation has its own agreed time
+  const respondBy = lead.status !== 'new'
+    ? undefined
+    : lead.callback?.from ?? lead.booking?.from ?? addBusinessHours(new Date(lead.createdAt), responseTargetHours(lead.routing?.priority)).toISOString();
+
+  return {
+    reference: lead.reference,
+    service: SERVICE_LABELS[lead.data.service as keyof typeof SERVICE_LABELS] || lead.data.service,
+    submittedAt: lead.createdAt,
+    status: lead.status,
+    statusLabel: text.label,
+    statusDescription: text.description,
+    contactMethod: CONTACT_METHOD_LABELS[lead.data.contactMethod as keyof typeof CONTACT_METHOD_LABELS] || 'Email',
+    callback: Boolean(lead.callback || lead.booking),
+    respondBy,
+    updatedAt: lead.updatedAt,
+  };
+}
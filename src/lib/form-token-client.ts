@@ -0,0 +1,51 @@
+/*
+ * Form Token Refresh
+ * Last Updated: 2026-10-19 09:14:31 IST
+ *
+ * API responses carry the next form token after a success or an expired token.
+ * Any other token rejection comes back without one, so the page asks
+ * GET /api/v1/form-token for a replacement and the visitor can submit again
+ * without reloading. Pages the service worker answers from its cache ask for one
+ * as soon as they load.
+ *
+ * Browser-only.
+ */
+
+interface TokenResult {
+  formToken?: string;
+  error?: { code?: string };
+}
+
+/** Puts the token for the next attempt into the form's hidden `input` */
+export async function refreshFormToken(input: HTMLInputElement | null, form: string, result: TokenResult): Promise<void> {
+  if (!input) return;
+  if (result.formToken) {
+    input.value = result.formToken;
+    return;
+  }
+
+  // A too-fast token is still good once the visitor tries again
+  const code = result.error?.code;
+  if (!code?.startsWith('form_token_') || code === 'form_token_too_fast') return;
+
+  await fetchFormToken(input, form);
+}
+
+/**
+ * Replaces the rendered token when a service worker controls the page: the page may
+ * be its cached copy, whose token an earlier visit has already spent.
+ */
+export async function renewCachedFormToken(input: HTMLInputElement | null, form: string): Promise<void> {
+  if (!input || !navigator.serviceWorker?.controller) return;
+  await fetchFormToken(input, form);
+}
+
+async function fetchFormToken(input: HTMLInputElement, form: string): Promise<void> {
+  try {
+    const response = await fetch(`/api/v1/form-token?form=${form}`, { cache: 'no-store' });
+    const fresh = await response.json();
+    if (fresh.formToken) input.value = fresh.formToken;
+  } catch {
+    // Offline; the rendered token stays and a rejection is handled on submit
+  }
+}
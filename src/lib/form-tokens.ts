@@ -0,0 +1,108 @@
+/*
+ * Signed Form Tokens
+ * Last Updated: 2026-10-19 08:27:25 IST
+ *
+ * Pages that post to the API embed a token signed when the page is rendered:
+ * - CSRF protection: only pages served by this site carry a valid signature
+ * - Time trap: the render timestamp is signed, so "filled in too fast" cannot be faked
+ * - Single use: verification claims the token, and a route releases it again when
+ *   the submission is turned away for something the visitor can correct
+ */
+
+import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+import { errorResponse, type ApiErrorCode } from './api';
+import { getRateLimitBackend } from './rate-limit';
+import { getSecret } from './secrets';
+
+export type FormName = 'contact' | 'callback' | 'download' | 'booking';
+
+export type FormTokenProblem = 'missing' | 'invalid' | 'expired' | 'too-fast' | 'reused';
+
+const MESSAGES: Record<FormTokenProblem, string> = {
+  'missing': 'This form has expired. Please try again.',
+  'invalid': 'This form has expired. Please try again.',
+  'expired': 'This form has been open for a while and has expired. Please try again.',
+  'too-fast': 'That was quicker than we expected. Please check your details and submit again.',
+  'reused': 'This form has already been submitted. Please try again to send another message.',
+};
+
+/** Rejected token; `message` is visitor-facing */
+export class FormTokenError extends Error {
+  constructor(readonly problem: FormTokenProblem) {
+    super(MESSAGES[problem]);
+  }
+}
+
+export interface VerifiedFormToken {
+  form: FormName;
+  issuedAt: number;
+  nonce: string;
+}
+
+const ttlMs = Number(process.env.FORM_TOKEN_TTL_HOURS || 2) * 3600000;
+const minMs = Number(process.env.FORM_TOKEN_MIN_SECONDS || 3) * 1000;
+
+function sign(payload: string): string {
+  return createHmac('sha256', getSecret('FORM_TOKEN_SECRET')).update(payload).digest('base64url');
+}
+
+/** Token for one rendering of `form`: `<form>.<issuedAt>.<nonce>.<signature>` */
+export function issueFormToken(form: FormName, now: number = Date.now()): string {
+  const payload = `${form}.${now}.${randomBytes(12).toString('base64url')}`;
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Checks signature and age, then claims the token so a second request carrying
+ * it fails as `reused`. Throws FormTokenError when the token must be rejected.
+ */
+export async function verifyFormToken(
+  token: string | null | undefined,
+  form: FormName,
+  now: number = Date.now()
+): Promise<VerifiedFormToken> {
+  if (!token) throw new FormTokenError('missing');
+
+  const parts = token.split('.');
+  if (parts.length !== 4) throw new FormTokenError('invalid');
+
+  const [tokenForm, issued, nonce, signature] = parts;
+  const expected = Buffer.from(sign(`${tokenForm}.${issued}.${nonce}`));
+  const received = Buffer.from(signature);
+  if (tokenForm !== form || expected.length !== received.length || !timingSafeEqual(expected, received)) {
+    throw new FormTokenError('invalid');
+  }
+
+  const issuedAt = Number(issued);
+  if (!Number.isFinite(issuedAt) || now - issuedAt > ttlMs) throw new FormTokenError('expired');
+  if (now - issuedAt < minMs) throw new FormTokenError('too-fast');
+
+  // Claimed until it would have expired anyway
+  const claimed = await getRateLimitBackend().claim(usedKey(nonce), now, ttlMs);
+  if (!claimed) throw new FormTokenError('reused');
+
+  return { form, issuedAt, nonce };
+}
+
+/** Lets a claimed token be submitted again, after a rejection the visitor can fix */
+export async function releaseFormToken(token: VerifiedFormToken): Promise<void> {
+  await getRateLimitBackend().remove(usedKey(token.nonce));
+}
+
+function usedKey(nonce: string): string {
+  return `formtoken:used:${nonce}`;
+}
+
+/**
+ * 403 envelope for a rejected token. Only an expired token is replaced: a signed
+ * page that sat open too long is the one case a retry is known to be legitimate,
+ * and handing tokens to requests without one would undo the CSRF check.
+ */
+export function formTokenErrorResponse(error: FormTokenError, form: FormName): Response {
+  return errorResponse(
+    403,
+    { code: `form_token_${error.problem.replace('-', '_')}` as ApiErrorCode, message: error.message },
+    {},
+    error.problem === 'expired' ? { formToken: issueFormToken(form) } : {}
+  );
+}
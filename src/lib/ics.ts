@@ -0,0 +1,90 @@
+/*
+ * iCalendar Invites
+ * Last Updated: 2026-10-19 09:07:21 IST
+ *
+ * RFC 5545 VCALENDAR with a single event, attached to booking emails so the
+ * meeting lands in the recipient's calendar. Times are written in UTC, which
+ * every client converts to its own zone. Text is escaped and long lines are
+ * folded as the RFC requires.
+ */
+
+export interface CalendarEvent {
+  /** Stable across updates, so a re-sent invite replaces the first one */
+  uid: string;
+  start: Date;
+  end: Date;
+  summary: string;
+  description?: string;
+  location?: string;
+  url?: string;
+  organizer: { name: string; email: string };
+  attendees: Array<{ name: string; email: string }>;
+  stamp?: Date;
+}
+
+export const ICS_CONTENT_TYPE = 'text/calendar; charset=utf-8; method=REQUEST';
+
+/** 20261021T083000Z */
+function formatUtc(at: Date): string {
+  return at.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(value: string): string {
+  return value.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+function escapeParam(value: string): string {
+  // Parameter values cannot contain quotes or control characters, and a line break
+  // would start a new property; quote them so commas and colons are safe
+  return `"${value.replace(/"/g, "'").replace(/[\u0000-\u001f\u007f]+/g, ' ')}"`;
+}
+
+/** Lines longer than 75 octets continue on the next line after a single space */
+function fold(line: string): string {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts: string[] = [];
+  let start = 0;
+  while (start < bytes.length) {
+    let end = Math.min(start + (start === 0 ? 75 : 74), bytes.length);
+    // Never split a multi-byte character
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--;
+    parts.push(bytes.subarray(start, end).toString('utf8'));
+    start = end;
+  }
+  return parts.join('\r\n ');
+}
+
+export function toIcs(event: CalendarEvent): string {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Ritesource & eExperts//Consultations//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:REQUEST',
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatUtc(event.stamp || new Date())}`,
+    `DTSTART:${formatUtc(event.start)}`,
+    `DTEND:${formatUtc(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+    event.description && `DESCRIPTION:${escapeText(event.description)}`,
+    event.location && `LOCATION:${escapeText(event.location)}`,
+    event.url && `URL:${event.url}`,
+    `ORGANIZER;CN=${escapeParam(event.organizer.name)}:mailto:${event.organizer.email}`,
+    ...event.attendees.map((attendee) =>
+      `ATTENDEE;CN=${escapeParam(attendee.name)};ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:${attendee.email}`),
+    'STATUS:CONFIRMED',
+    'SEQUENCE:0',
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    'DESCRIPTION:Reminder',
+    'TRIGGER:-PT15M',
+    'END:VALARM',
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ].filter((line): line is string => Boolean(line));
+
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
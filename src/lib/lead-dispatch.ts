@@ -0,0 +1,82 @@
+/*
+ * Lead Dispatch
+ * Last Updated: 2026-10-19 06:40:11 IST
+ *
+ * Delivers a stored lead to everyone who needs it, whichever form it came from:
+ * - Every routed channel: inboxes by email, webhooks signed and retried in the background,
+ *   in the channel's payload format (lib/crm)
+ * - A confirmation email to the visitor
+ * - Calendar invites for booked consultations, attached to both emails
+ *
+ * Delivery failures are logged, never thrown: the lead is already stored.
+ */
+
+import { toCrmPayload } from './crm';
+import type { RenderedEmail } from './email-templates';
+import type { LeadRecord } from './leads';
+import type { Logger } from './logger';
+import { getMailTransport, MAIL_NOTIFY_TO, type MailAttachment, type MailMessage } from './mail';
+import { getLeadRouter } from './routing';
+import { deliverWebhook } from './webhooks';
+
+export interface LeadDispatch {
+  lead: LeadRecord;
+  /** Email for the routed inboxes; its subject and text are also in raw webhook payloads */
+  notification: RenderedEmail;
+  /** Sent to the visitor */
+  confirmation: RenderedEmail;
+  attachmentUrl?: string;
+  /** Files for both the inboxes and the visitor, e.g. a booking's .ics invite */
+  attachments?: MailAttachment[];
+  /** Submitter's IP, included in webhook payloads */
+  ip: string;
+}
+
+export async function dispatchLead({ lead, notification, confirmation, attachmentUrl, attachments, ip }: LeadDispatch, log: Logger): Promise<void> {
+  const router = getLeadRouter();
+
+  // Webhooks (Zapier, Make.com, n8n...) retry in the background so a slow
+  // receiver never delays the visitor; emails are sent below.
+  const notifications: MailMessage[] = [];
+  for (const name of lead.routing?.channels || []) {
+    const channel = router.channel(name);
+    if (!channel) {
+      log.warn('Routing channel has no target configured, skipping', { channel: name });
+    } else if (channel.type === 'webhook') {
+      void deliverWebhook({
+        url: channel.url,
+        idempotencyKey: `${lead.id}:${name}`,
+        email: lead.data.email,
+        ...toCrmPayload(channel.format, { lead, channel: name, notification, attachmentUrl, ip })
+      });
+    } else if (!notifications.some((message) => message.to === channel.to)) {
+      notifications.push({
+        to: channel.to,
+        replyTo: lead.data.email,
+        subject: notification.subject,
+        text: notification.text,
+        html: notification.html,
+        attachments
+      });
+    }
+  }
+
+  const mailTransport = getMailTransport();
+  const deliveries = await Promise.allSettled([
+    ...notifications.map((message) => mailTransport.send(message)),
+    mailTransport.send({
+      to: lead.data.email,
+      replyTo: MAIL_NOTIFY_TO,
+      subject: confirmation.subject,
+      text: confirmation.text,
+      html: confirmation.html,
+      attachments
+    })
+  ]);
+
+  for (const delivery of deliveries) {
+    if (delivery.status === 'rejected') {
+      log.error('Email sending failed', { error: delivery.reason, reference: lead.reference });
+    }
+  }
+}
@@ -0,0 +1,260 @@
+/*
+ * Lead Submissions
+ * Last Updated: 2026-10-19 09:12:43 IST
+ *
+ * The pipeline every form that creates a lead goes through (/api/v1/contact,
+ * /api/v1/callback, /api/v1/bookings), in this order:
+ * - IP rate limit, then the JSON, multipart or URL-encoded body
+ * - Idempotency-Key: a retry of a submission already stored gets the first answer again
+ * - Signed single-use form token, claimed here and released whenever the visitor
+ *   is turned away for something they can fix
+ * - Per-address and per-domain rate limits, honeypot, field validation, spam scoring
+ * - Lead storage, routing and notifications (lib/lead-dispatch)
+ *
+ * A route describes only what differs in a LeadForm: its fields and checks, what
+ * is stored with the lead, the emails and the success message.
+ */
+
+import {
+  bodyErrorResponse,
+  errorResponse,
+  IDEMPOTENCY_KEY_PATTERN,
+  jsonResponse,
+  readRequestBody
+} from './api';
+import type { RenderedEmail } from './email-templates';
+import { enquiryStatusUrl } from './enquiry-status';
+import {
+  FormTokenError,
+  formTokenErrorResponse,
+  issueFormToken,
+  releaseFormToken,
+  verifyFormToken,
+  type FormName
+} from './form-tokens';
+import { dispatchLead } from './lead-dispatch';
+import { getLeadStore, type LeadData, type LeadMeta, type LeadRecord, type NewLead } from './leads';
+import type { RequestLogger } from './logger';
+import type { MailAttachment } from './mail';
+import { contactRateLimiter, rateLimitedResponse, rateLimitHeaders, submissionKeys } from './rate-limit';
+import { getLeadRouter, leadCountry } from './routing';
+import { getSpamScorer } from './spam';
+
+export type RequestBody = Awaited<ReturnType<typeof readRequestBody>>;
+
+export interface ParsedSubmission<T> {
+  data: LeadData;
+  /** Per-field messages; any error turns the submission away */
+  errors: Record<string, string>;
+  /** Whatever else the form's later steps need; they may add to it */
+  details: T;
+}
+
+export interface SubmissionContext {
+  request: Request;
+  log: RequestLogger;
+  /** Site origin for links in emails and responses */
+  origin: string;
+}
+
+export interface LeadForm<T> {
+  form: FormName;
+  /** Log line once stored: "<label> accepted" */
+  label: string;
+  /** Validates the body; runs before the form token is checked, so it must not store anything */
+  parse(body: RequestBody, request: Request): ParsedSubmission<T>;
+  /** Free text for the duplicate-text spam rule; the message by default */
+  spamText?(submission: ParsedSubmission<T>): string;
+  /** Last checks once the submission is known not to be spam; a Response turns the visitor away */
+  check?(submission: ParsedSubmission<T>, context: SubmissionContext): Promise<Response | undefined>;
+  /** Stores the lead (saveLead by default); a Response turns the visitor away */
+  save?(lead: NewLead, submission: ParsedSubmission<T>, context: SubmissionContext): Promise<LeadRecord | Response>;
+  emails(lead: LeadRecord, statusUrl: string, submission: ParsedSubmission<T>): {
+    notification: RenderedEmail;
+    confirmation: RenderedEmail;
+    attachmentUrl?: string;
+    attachments?: MailAttachment[];
+  };
+  /**
+   * Visitor-facing message plus form-specific fields for the success response.
+   * Built from the stored lead alone, as it also answers retries.
+   */
+  respond(lead: LeadRecord): { message: string } & Record<string, unknown>;
+  /** Extra fields for the "accepted" log line */
+  logFields?(lead: LeadRecord): Record<string, unknown>;
+  /** Runs after the notifications, e.g. a newsletter sign-up */
+  accepted?(lead: LeadRecord, submission: ParsedSubmission<T>, context: SubmissionContext): Promise<void>;
+}
+
+function validationResponse(errors: Record<string, string>): Response {
+  return errorResponse(400, {
+    code: 'validation_failed',
+    message: 'Please correct the highlighted fields.',
+    fields: errors
+  });
+}
+
+export async function handleLeadSubmission<T>(
+  { request, clientAddress }: { request: Request; clientAddress?: string },
+  log: RequestLogger,
+  form: LeadForm<T>
+): Promise<Response> {
+  const leadStore = getLeadStore();
+  const context: SubmissionContext = { request, log, origin: new URL(request.url).origin };
+  const clientIP = clientAddress || 'unknown';
+  const meta: LeadMeta = { ip: clientIP, userAgent: request.headers.get('user-agent') || undefined };
+
+  const ipRateLimit = await contactRateLimiter.check({ ip: clientIP });
+  if (!ipRateLimit.allowed) {
+    return rateLimitedResponse(ipRateLimit);
+  }
+
+  // Content negotiation: JSON for integrations, multipart or URL-encoded from the pages
+  let body: RequestBody;
+  try {
+    body = await readRequestBody(request);
+  } catch (error) {
+    return bodyErrorResponse(error);
+  }
+
+  const submission = form.parse(body, request);
+  const { data } = submission;
+  const honeypot = typeof body.fields.website === 'string' ? body.fields.website : '';
+  meta.country = leadCountry(request, data.phone);
+
+  const idempotencyKey = request.headers.get('idempotency-key') || undefined;
+  if (idempotencyKey && !IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
+    return errorResponse(400, {
+      code: 'validation_failed',
+      message: 'The Idempotency-Key header must be 16 to 128 letters, digits, hyphens or underscores.'
+    });
+  }
+
+  // A retry of a submission already stored (e.g. replayed by the offline queue in
+  // public/sw.js after the first response was lost) gets the first answer again.
+  // The email must match too, so a key alone cannot look up someone's enquiry.
+  // No fresh form token here: this answer comes before the token check, so a
+  // known key and address must not become a way to mint unlimited tokens.
+  if (idempotencyKey && data.email) {
+    const earlier = await leadStore.findRetriedLead(idempotencyKey, data.email);
+    if (earlier) {
+      log.info('Retried submission already stored', { reference: earlier.reference });
+      return jsonResponse({
+        success: true,
+        ...form.respond(earlier),
+        reference: earlier.reference,
+        statusUrl: enquiryStatusUrl(earlier.reference, context.origin)
+      }, 200, { 'Idempotent-Replayed': 'true' });
+    }
+  }
+
+  // The page embeds a signed, single-use token, claimed here and released when
+  // the submission is turned away for something the visitor can fix
+  let formToken;
+  try {
+    formToken = await verifyFormToken(typeof body.fields.formToken === 'string' ? body.fields.formToken : null, form.form);
+  } catch (error) {
+    if (!(error instanceof FormTokenError)) throw error;
+    log.info('Form token rejected', { problem: error.problem });
+    return formTokenErrorResponse(error, form.form);
+  }
+
+  // Per-address and per-company-domain limits catch rotating IPs. The hit is
+  // reserved by the check itself, so parallel submissions cannot all get under
+  // the limit; only accepted enquiries keep it
+  const rateLimitKeys = submissionKeys(clientIP, data.email);
+  const reservedAt = Date.now();
+  const rateLimitState = await contactRateLimiter.reserve(rateLimitKeys, reservedAt);
+  if (!rateLimitState.allowed) {
+    await releaseFormToken(formToken);
+    return rateLimitedResponse(rateLimitState);
+  }
+  const refundRateLimit = () => contactRateLimiter.refund(rateLimitKeys, reservedAt);
+  const turnAway = async (response: Response) => {
+    await releaseFormToken(formToken);
+    await refundRateLimit();
+    return response;
+  };
+
+  if (honeypot) {
+    await refundRateLimit();
+    log.outcome = 'spam';
+    log.info('Spam dropped', { reason: 'honeypot', email: data.email });
+    await leadStore.saveSpam({ reason: 'honeypot', detail: honeypot, data: { ...data, website: honeypot }, meta });
+    return jsonResponse({ success: true });
+  }
+
+  if (Object.keys(submission.errors).length > 0) {
+    log.info('Validation failed', { fields: Object.keys(submission.errors) });
+    return turnAway(validationResponse(submission.errors));
+  }
+
+  // Spam scoring; the signed render time feeds the time-to-fill rule
+  const spam = await getSpamScorer().assess({
+    ...data,
+    message: form.spamText ? form.spamText(submission) : data.message,
+    startedAt: formToken.issuedAt
+  });
+  if (spam.isSpam) {
+    await refundRateLimit();
+    log.outcome = 'spam';
+    log.info('Spam dropped', {
+      reason: 'score',
+      score: spam.score,
+      threshold: spam.threshold,
+      rules: spam.rules.map(({ rule }) => rule),
+      email: data.email
+    });
+    await leadStore.saveSpam({
+      reason: 'score',
+      detail: spam.rules.map(({ rule }) => rule).join(', '),
+      data,
+      meta,
+      spam,
+    });
+    return jsonResponse({ success: true });
+  }
+
+  const rejection = await form.check?.(submission, context);
+  if (rejection) {
+    return turnAway(rejection);
+  }
+
+  // Routing rules pick the inboxes and webhooks for this kind of enquiry
+  const routing = getLeadRouter().route({
+    service: data.service,
+    projectSize: data.projectSize || undefined,
+    timeline: data.timeline || undefined,
+    country: meta.country
+  });
+
+  // Persist before any notification so the lead survives webhook or email outages
+  const newLead: NewLead = { data, meta, spam, routing, idempotencyKey };
+  const saved = form.save ? await form.save(newLead, submission, context) : await leadStore.saveLead(newLead);
+  if (saved instanceof Response) {
+    return turnAway(saved);
+  }
+  const lead = saved;
+  const statusUrl = enquiryStatusUrl(lead.reference, context.origin);
+
+  await dispatchLead({ lead, ...form.emails(lead, statusUrl, submission), ip: clientIP }, log);
+
+  log.info(`${form.label} accepted`, {
+    reference: lead.reference,
+    service: data.service,
+    priority: routing.priority,
+    channels: routing.channels,
+    spamScore: spam.score,
+    ...form.logFields?.(lead)
+  });
+
+  await form.accepted?.(lead, submission, context);
+
+  return jsonResponse({
+    success: true,
+    ...form.respond(lead),
+    reference: lead.reference,
+    statusUrl,
+    formToken: issueFormToken(form.form)
+  }, 200, rateLimitHeaders(rateLimitState));
+}
@@ -0,0 +1,534 @@
+/*
+ * Lead Store
+ * Last Updated: 2026-10-19 07:23:44 IST
+ *
+ * Durable storage for contact form submissions:
+ * - Storage interface so the backend can be swapped (JSON lines today)
+ * - Append-only, fsync'd writes so a crash never loses an accepted lead
+ * - Human-friendly reference numbers returned to the visitor
+ * - Separate log of spam-dropped submissions for false-positive audits
+ * - Spam score and triggered rules kept with every record
+ * - Routing decision (channels, priority) kept with every lead
+ * - Callback requests stored as leads, with the slot agreed with the visitor
+ * - Booked consultations stored as leads, with the reserved slot (see lib/bookings)
+ * - Gated resource downloads, kept apart from leads but matched to them by email
+ * - Status workflow and staff notes, stored as append-only events folded on read
+ * - Retention and data-subject requests (see lib/retention): anonymise, find and erase
+ *   by email, rewriting files atomically
+ */
+
+import { randomBytes, randomUUID } from 'node:crypto';
+import { mkdir, open, readFile, rename } from 'node:fs/promises';
+import path from 'node:path';
+import type { Booking } from './bookings';
+import type { CallbackRequest } from './callbacks';
+import { logger } from './logger';
+import type { RoutingDecision } from './routing';
+import type { SpamAssessment } from './spam';
+
+export interface LeadAttachmentInfo {
+  /** Stored attachment id (see lib/attachments); absent for spam records */
+  id?: string;
+  name: string;
+  size: number;
+  type: string;
+}
+
+export interface LeadData {
+  service: string;
+  timeline: string;
+  company: string;
+  projectSize: string;
+  message: string;
+  firstName: string;
+  lastName: string;
+  email: string;
+  phone: string;
+  contactMethod: string;
+  attachment?: LeadAttachmentInfo;
+}
+
+export interface LeadMeta {
+  ip: string;
+  userAgent?: string;
+  /** ISO country code, when known (see lib/routing) */
+  country?: string;
+}
+
+export const LEAD_STATUSES = ['new', 'contacted', 'qualified', 'won', 'lost'] as const;
+export type LeadStatus = typeof LEAD_STATUSES[number];
+
+/** Allowed next statuses; won and lost are final */
+export const LEAD_STATUS_TRANSITIONS: Record<LeadStatus, LeadStatus[]> = {
+  new: ['contacted', 'lost'],
+  contacted: ['qualified', 'lost'],
+  qualified: ['won', 'lost'],
+  won: [],
+  lost: [],
+};
+
+export interface LeadNote {
+  at: string;
+  by: string;
+  text: string;
+}
+
+export interface LeadStatusChange {
+  at: string;
+  by: string;
+  from: LeadStatus;
+  to: LeadStatus;
+}
+
+export interface LeadRecord {
+  id: string;
+  reference: string;
+  createdAt: string;
+  data: LeadData;
+  meta: LeadMeta;
+  spam?: SpamAssessment;
+  routing?: RoutingDecision;
+  /** Present when the visitor asked to be called back rather than sending a message */
+  callback?: CallbackRequest;
+  /** Present when the visitor booked a consultation slot */
+  booking?: Booking;
+  /** Idempotency-Key header of the request that created it, so a retry finds it */
+  idempotencyKey?: string;
+  /** Derived from the event log; 'new' until staff change it */
+  status: LeadStatus;
+  notes: LeadNote[];
+  history: LeadStatusChange[];
+  updatedAt?: string;
+  /** Set when retention removed the personal data; service and outcome are kept for reporting */
+  anonymisedAt?: string;
+}
+
+export interface LeadUpdate {
+  status?: LeadStatus;
+  note?: string;
+  /** Staff member making the change, shown in the history */
+  by: string;
+}
+
+/** Rejected update, e.g. a status change the workflow does not allow */
+export class LeadUpdateError extends Error {}
+
+export interface LeadFilters {
+  service?: string;
+  status?: LeadStatus;
+  /** Inclusive ISO dates (YYYY-MM-DD), compared in IST */
+  from?: string;
+  to?: string;
+}
+
+interface LeadEvent {
+  leadId: string;
+  at: string;
+  by: string;
+  status?: LeadStatus;
+  note?: string;
+}
+
+// 'keyword' only appears in records written before rule-based scoring
+export type SpamReason = 'honeypot' | 'score' | 'keyword';
+
+export interface SpamRecord {
+  id: string;
+  createdAt: string;
+  reason: SpamReason;
+  detail?: string;
+  data: Partial<LeadData> & { website?: string };
+  meta: LeadMeta;
+  spam?: SpamAssessment;
+}
+
+/** Someone who gave their email to download a resource (see lib/resources) */
+export interface DownloadRecord {
+  id: string;
+  createdAt: string;
+  resourceId: string;
+  email: string;
+  company: string;
+  /** Ticked "send me updates"; only then may the address be used for marketing */
+  newsletterOptIn: boolean;
+  meta: LeadMeta;
+  /** Set when retention removed the personal data; the resource and date are kept for reporting */
+  anonymisedAt?: string;
+}
+
+export interface NewLead {
+  data: LeadData;
+  meta: LeadMeta;
+  spam?: SpamAssessment;
+  routing?: RoutingDecision;
+  callback?: CallbackRequest;
+  booking?: Booking;
+  idempotencyKey?: string;
+}
+
+export interface NewSpamRecord {
+  reason: SpamReason;
+  detail?: string;
+  data: SpamRecord['data'];
+  meta: LeadMeta;
+  spam?: SpamAssessment;
+}
+
+export type NewDownload = Pick<DownloadRecord, 'resourceId' | 'email' | 'company' | 'newsletterOptIn' | 'meta'>;
+
+/** Everything stored about one email address */
+export interface PersonalDataRecords {
+  leads: LeadRecord[];
+  spam: SpamRecord[];
+  downloads: DownloadRecord[];
+}
+
+export interface LeadStore {
+  saveLead(lead: NewLead): Promise<LeadRecord>;
+  saveSpam(record: NewSpamRecord): Promise<SpamRecord>;
+  getLead(reference: string): Promise<LeadRecord | undefined>;
+  getLeadById(id: string): Promise<LeadRecord | undefined>;
+  /** The lead an earlier request with this Idempotency-Key created, if it was for `email` */
+  findRetriedLead(idempotencyKey: string, email: string): Promise<LeadRecord | undefined>;
+  listLeads(): Promise<LeadRecord[]>;
+  listSpam(): Promise<SpamRecord[]>;
+  updateLead(id: string, update: LeadUpdate): Promise<LeadRecord>;
+  saveDownload(download: NewDownload): Promise<DownloadRecord>;
+  listDownloads(): Promise<DownloadRecord[]>;
+  findByEmail(email: string): Promise<PersonalDataRecords>;
+  /** Deletes leads (with their notes and history), spam and download records; returns what was deleted */
+  eraseByEmail(email: string): Promise<PersonalDataRecords>;
+  /** Anonymises leads received before `cutoff`; returns them as they were before */
+  anonymiseLeadsBefore(cutoff: Date): Promise<LeadRecord[]>;
+  /** Anonymises downloads made before `cutoff`; returns how many */
+  anonymiseDownloadsBefore(cutoff: Date): Promise<number>;
+  /** Deletes spam records received before `cutoff`; returns how many */
+  purgeSpamBefore(cutoff: Date): Promise<number>;
+}
+
+// Crockford base32 without I, L, O, U so references are easy to read over the phone
+const REFERENCE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+export function generateReference(date: Date = new Date()): string {
+  const ist = new Date(date.getTime() + 330 * 60000);
+  const stamp = ist.toISOString().slice(2, 10).replace(/-/g, '');
+  const suffix = Array.from(randomBytes(6), (byte) => REFERENCE_ALPHABET[byte % 32]).join('');
+  return `EE-${stamp}-${suffix}`;
+}
+
+/** IST calendar date (YYYY-MM-DD) of an ISO timestamp */
+export function istDate(iso: string): string {
+  return new Date(new Date(iso).getTime() + 330 * 60000).toISOString().slice(0, 10);
+}
+
+export function filterLeads(leads: LeadRecord[], filters: LeadFilters): LeadRecord[] {
+  return leads.filter((lead) => {
+    const day = istDate(lead.createdAt);
+    return (!filters.service || lead.data.service === filters.service)
+      && (!filters.status || lead.status === filters.status)
+      && (!filters.from || day >= filters.from)
+      && (!filters.to || day <= filters.to);
+  });
+}
+
+/** Reads filters from a query string, ignoring values that are not valid */
+export function leadFiltersFromQuery(params: URLSearchParams): LeadFilters {
+  const date = (value: string | null) => (value && /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : undefined);
+  const status = params.get('status') as LeadStatus | null;
+  return {
+    service: params.get('service') || undefined,
+    status: status && LEAD_STATUSES.includes(status) ? status : undefined,
+    from: date(params.get('from')),
+    to: date(params.get('to')),
+  };
+}
+
+function sameEmail(a: string | undefined, b: string): boolean {
+  return Boolean(a) && a!.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+/** Keeps what reporting needs (service, size, timeline, country, outcome) and drops the person */
+function anonymiseLead(lead: LeadRecord, at: string): LeadRecord {
+  return {
+    ...lead,
+    data: {
+      service: lead.data.service,
+      timeline: lead.data.timeline,
+      projectSize: lead.data.projectSize,
+      contactMethod: lead.data.contactMethod,
+      company: '',
+      message: '',
+      firstName: '',
+      lastName: '',
+      email: '',
+      phone: '',
+    },
+    meta: { ip: '', country: lead.meta.country },
+    spam: lead.spam && { ...lead.spam, rules: lead.spam.rules.map((hit) => ({ ...hit, detail: '' })) },
+    anonymisedAt: at,
+  };
+}
+
+/**
+ * Stores leads, spam and download records as JSON lines in separate files under
+ * `dir`, plus a file of status/note events that are folded into the leads on read.
+ * Writes are serialised through a queue and fsync'd before resolving.
+ */
+export class JsonLinesLeadStore implements LeadStore {
+  private readonly leadsFile: string;
+  private readonly spamFile: string;
+  private readonly eventsFile: string;
+  private readonly downloadsFile: string;
+  private queue: Promise<unknown> = Promise.resolve();
+
+  constructor(private readonly dir: string) {
+    this.leadsFile = path.join(dir, 'leads.jsonl');
+    this.spamFile = path.join(dir, 'spam.jsonl');
+    this.eventsFile = path.join(dir, 'lead-events.jsonl');
+    this.downloadsFile = path.join(dir, 'downloads.jsonl');
+  }
+
+  async saveLead(lead: NewLead): Promise<LeadRecord> {
+    const record: LeadRecord = {
+      id: randomUUID(),
+      reference: generateReference(),
+      createdAt: new Date().toISOString(),
+      data: lead.data,
+      meta: lead.meta,
+      spam: lead.spam,
+      routing: lead.routing,
+      callback: lead.callback,
+      booking: lead.booking,
+      idempotencyKey: lead.idempotencyKey,
+      status: 'new',
+      notes: [],
+      history: [],
+    };
+    await this.append(this.leadsFile, record);
+    return record;
+  }
+
+  async saveSpam(input: NewSpamRecord): Promise<SpamRecord> {
+    const record: SpamRecord = {
+      id: randomUUID(),
+      createdAt: new Date().toISOString(),
+      ...input,
+    };
+    await this.append(this.spamFile, record);
+    return record;
+  }
+
+  async getLead(reference: string): Promise<LeadRecord | undefined> {
+    const leads = await this.listLeads();
+    return leads.find((lead) => lead.reference === reference);
+  }
+
+  async getLeadById(id: string): Promise<LeadRecord | undefined> {
+    const leads = await this.listLeads();
+    return leads.find((lead) => lead.id === id);
+  }
+
+  async findRetriedLead(idempotencyKey: string, email: string): Promise<LeadRecord | undefined> {
+    const leads = await this.listLeads();
+    return leads.find((lead) => lead.idempotencyKey === idempotencyKey && sameEmail(lead.data.email, email));
+  }
+
+  async listLeads(): Promise<LeadRecord[]> {
+    const [leads, events] = await Promise.all([
+      this.readAll<LeadRecord>(this.leadsFile),
+      this.readAll<LeadEvent>(this.eventsFile),
+    ]);
+
+    const byId = new Map<string, LeadRecord>();
+    for (const lead of leads) {
+      byId.set(lead.id, { ...lead, status: 'new', notes: [], history: [] });
+    }
+    for (const event of events) {
+      const lead = byId.get(event.leadId);
+      if (!lead) continue;
+      if (event.status && event.status !== lead.status) {
+        lead.history.push({ at: event.at, by: event.by, from: lead.status, to: event.status });
+        lead.status = event.status;
+      }
+      if (event.note) lead.notes.push({ at: event.at, by: event.by, text: event.note });
+      lead.updatedAt = event.at;
+    }
+    return [...byId.values()];
+  }
+
+  async updateLead(id: string, update: LeadUpdate): Promise<LeadRecord> {
+    const lead = await this.getLeadById(id);
+    if (!lead) throw new LeadUpdateError('Lead not found.');
+
+    const note = update.note?.trim();
+    const status = update.status && update.status !== lead.status ? update.status : undefined;
+    if (status && !LEAD_STATUS_TRANSITIONS[lead.status].includes(status)) {
+      throw new LeadUpdateError(`A ${lead.status} lead cannot be moved to ${status}.`);
+    }
+    if (!status && !note) throw new LeadUpdateError('Nothing to update.');
+
+    const event: LeadEvent = { leadId: id, at: new Date().toISOString(), by: update.by, status, note };
+    await this.append(this.eventsFile, event);
+    return (await this.getLeadById(id))!;
+  }
+
+  listSpam(): Promise<SpamRecord[]> {
+    return this.readAll<SpamRecord>(this.spamFile);
+  }
+
+  async saveDownload(input: NewDownload): Promise<DownloadRecord> {
+    const record: DownloadRecord = {
+      id: randomUUID(),
+      createdAt: new Date().toISOString(),
+      ...input,
+    };
+    await this.append(this.downloadsFile, record);
+    return record;
+  }
+
+  listDownloads(): Promise<DownloadRecord[]> {
+    return this.readAll<DownloadRecord>(this.downloadsFile);
+  }
+
+  async findByEmail(email: string): Promise<PersonalDataRecords> {
+    const [leads, spam, downloads] = await Promise.all([this.listLeads(), this.listSpam(), this.listDownloads()]);
+    return {
+      leads: leads.filter((lead) => sameEmail(lead.data.email, email)),
+      spam: spam.filter((record) => sameEmail(record.data.email, email)),
+      downloads: downloads.filter((record) => sameEmail(record.email, email)),
+    };
+  }
+
+  async eraseByEmail(email: string): Promise<PersonalDataRecords> {
+    const erased: PersonalDataRecords = { leads: [], spam: [], downloads: [] };
+
+    // Matched inside each rewrite, so what is returned is exactly what left the files
+    await this.rewrite<LeadRecord>(this.leadsFile, (leads) => leads.filter((lead) => {
+      if (!sameEmail(lead.data.email, email)) return true;
+      erased.leads.push(lead);
+      return false;
+    }));
+    const leadIds = new Set(erased.leads.map((lead) => lead.id));
+    await this.rewrite<LeadEvent>(this.eventsFile, (events) => events.filter((event) => !leadIds.has(event.leadId)));
+    await this.rewrite<SpamRecord>(this.spamFile, (records) => records.filter((record) => {
+      if (!sameEmail(record.data.email, email)) return true;
+      erased.spam.push(record);
+      return false;
+    }));
+    await this.rewrite<DownloadRecord>(this.downloadsFile, (records) => records.filter((record) => {
+      if (!sameEmail(record.email, email)) return true;
+      erased.downloads.push(record);
+      return false;
+    }));
+    return erased;
+  }
+
+  async anonymiseLeadsBefore(cutoff: Date): Promise<LeadRecord[]> {
+    const before = cutoff.toISOString();
+    const at = new Date().toISOString();
+    const due = (await this.listLeads()).filter((lead) => !lead.anonymisedAt && lead.createdAt < before);
+    if (due.length === 0) return [];
+
+    const ids = new Set(due.map((lead) => lead.id));
+    await this.rewrite<LeadRecord>(this.leadsFile, (leads) => leads.map((lead) => (ids.has(lead.id) ? anonymiseLead(lead, at) : lead)));
+    // Staff notes may quote the visitor; status history is kept
+    await this.rewrite<LeadEvent>(this.eventsFile, (events) => events.map((event) => (
+      ids.has(event.leadId) && event.note ? { ...event, note: '[removed]' } : event
+    )));
+    return due;
+  }
+
+  async anonymiseDownloadsBefore(cutoff: Date): Promise<number> {
+    const before = cutoff.toISOString();
+    const at = new Date().toISOString();
+    let anonymised = 0;
+    await this.rewrite<DownloadRecord>(this.downloadsFile, (records) => records.map((record) => {
+      if (record.anonymisedAt || record.createdAt >= before) return record;
+      anonymised++;
+      return { ...record, email: '', company: '', newsletterOptIn: false, meta: { ip: '', country: record.meta.country }, anonymisedAt: at };
+    }));
+    return anonymised;
+  }
+
+  async purgeSpamBefore(cutoff: Date): Promise<number> {
+    const before = cutoff.toISOString();
+    let purged = 0;
+    await this.rewrite<SpamRecord>(this.spamFile, (records) => records.filter((record) => {
+      if (record.createdAt >= before) return true;
+      purged++;
+      return false;
+    }));
+    return purged;
+  }
+
+  private append(file: string, record: object): Promise<void> {
+    const write = this.queue.then(async () => {
+      await mkdir(this.dir, { recursive: true });
+      const handle = await open(file, 'a');
+      try {
+        await handle.write(JSON.stringify(record) + '\n');
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+    });
+    // Keep the queue alive even if this write fails
+    this.queue = write.catch(() => undefined);
+    return write;
+  }
+
+  /** Read-modify-write of a whole file, serialised with appends and swapped in atomically */
+  private rewrite<T>(file: string, transform: (records: T[]) => T[]): Promise<void> {
+    const write = this.queue.then(async () => {
+      const records = transform(await this.parse<T>(file));
+      await mkdir(this.dir, { recursive: true });
+      const temp = `${file}.${process.pid}.tmp`;
+      const handle = await open(temp, 'w');
+      try {
+        await handle.write(records.map((record) => JSON.stringify(record) + '\n').join(''));
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      await rename(temp, file);
+    });
+    this.queue = write.catch(() => undefined);
+    return write;
+  }
+
+  private async readAll<T>(file: string): Promise<T[]> {
+    await this.queue;
+    return this.parse<T>(file);
+  }
+
+  private async parse<T>(file: string): Promise<T[]> {
+    let contents: string;
+    try {
+      contents = await readFile(file, 'utf8');
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const records: T[] = [];
+    for (const line of contents.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        // A torn final line from a crash mid-write is skipped rather than failing every read
+        logger.error('Lead store: skipping unreadable line', { file });
+      }
+    }
+    return records;
+  }
+}
+
+let store: LeadStore | undefined;
+
+export function getLeadStore(): LeadStore {
+  if (!store) {
+    store = new JsonLinesLeadStore(process.env.LEAD_STORE_DIR || './data/leads');
+  }
+  return store;
+}
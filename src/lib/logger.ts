@@ -0,0 +1,197 @@
+/*
+ * Structured Logging
+ * Last Updated: 2026-10-19 09:16:30 IST
+ *
+ * One JSON object per line, so production logs can be grepped and parsed:
+ * - level, time, message and any structured fields
+ * - Request ID per API call, also returned in the X-Request-ID response header
+ * - Route, method, status, latency and outcome for every API request
+ * - PII masked before it is written (emails, IPs, phones, names, free text)
+ *
+ * LOG_LEVEL (debug, info, warn, error) sets the minimum level written; default info.
+ */
+
+import { randomUUID } from 'node:crypto';
+import type { APIContext, APIRoute } from 'astro';
+import { errorResponse } from './api';
+
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error';
+
+/** What happened to an API request, for dashboards and grep */
+export type RequestOutcome =
+  | 'accepted'
+  | 'spam'
+  | 'rate-limited'
+  | 'invalid'
+  | 'unauthorized'
+  | 'not-found'
+  | 'error';
+
+export type LogFields = Record<string, unknown>;
+
+export interface Logger {
+  debug(message: string, fields?: LogFields): void;
+  info(message: string, fields?: LogFields): void;
+  warn(message: string, fields?: LogFields): void;
+  error(message: string, fields?: LogFields): void;
+  /** Logger that adds `fields` to every line */
+  child(fields: LogFields): Logger;
+}
+
+const LEVELS: Record<LogLevel, number> = { debug: 10, info: 20, warn: 30, error: 40 };
+const minLevel = LEVELS[(process.env.LOG_LEVEL as LogLevel) || 'info'] ?? LEVELS.info;
+
+export const REQUEST_ID_HEADER = 'X-Request-ID';
+
+/** a***@example.com */
+export function maskEmail(email: string): string {
+  const at = email.lastIndexOf('@');
+  if (at < 1) return '***';
+  return `${email[0]}***${email.slice(at)}`;
+}
+
+/** IPv4 keeps the /24 (203.0.113.0), IPv6 the /48 (2001:db8:85a3::) */
+export function maskIp(ip: string): string {
+  if (/^\d+\.\d+\.\d+\.\d+$/.test(ip)) return ip.replace(/\.\d+$/, '.0');
+  if (ip.includes(':')) return `${ip.split(':').slice(0, 3).join(':')}::`;
+  return ip;
+}
+
+/** Last two digits only: ********10 */
+export function maskPhone(phone: string): string {
+  const digits = phone.replace(/\D/g, '');
+  return digits.length > 2 ? `${'*'.repeat(digits.length - 2)}${digits.slice(-2)}` : '***';
+}
+
+const MASKS: Record<string, (value: string) => string> = {
+  email: maskEmail,
+  replyTo: maskEmail,
+  to: maskEmail,
+  ip: maskIp,
+  phone: maskPhone,
+  firstName: () => '***',
+  lastName: () => '***',
+  name: () => '***',
+  company: () => '***',
+  message: (value) => `[${value.length} chars]`,
+};
+
+/** Copy of `fields` with personal data masked, including nested objects and arrays */
+export function maskPii(fields: LogFields): LogFields {
+  const masked: LogFields = {};
+  for (const [key, value] of Object.entries(fields)) {
+    masked[key] = maskValue(key, value);
+  }
+  return masked;
+}
+
+// Array items are masked under the array's key, so `to: [...]` hides every address
+function maskValue(key: string, value: unknown): unknown {
+  if (typeof value === 'string' && MASKS[key]) return MASKS[key](value);
+  if (value instanceof Error) return { name: value.name, message: value.message, stack: value.stack };
+  if (Array.isArray(value)) return value.map((item) => maskValue(key, item));
+  if (value && typeof value === 'object') return maskPii(value as LogFields);
+  return value;
+}
+
+function write(level: LogLevel, message: string, fields: LogFields): void {
+  if (LEVELS[level] < minLevel) return;
+  const line = JSON.stringify({ level, time: new Date().toISOString(), msg: message, ...maskPii(fields) });
+  if (level === 'error' || level === 'warn') process.stderr.write(line + '\n');
+  else process.stdout.write(line + '\n');
+}
+
+export function createLogger(base: LogFields = {}): Logger {
+  return {
+    debug: (message, fields) => write('debug', message, { ...base, ...fields }),
+    info: (message, fields) => write('info', message, { ...base, ...fields }),
+    warn: (message, fields) => write('warn', message, { ...base, ...fields }),
+    error: (message, fields) => write('error', message, { ...base, ...fields }),
+    child: (fields) => createLogger({ ...base, ...fields }),
+  };
+}
+
+/** Process-wide logger for code that runs outside a request */
+export const logger = createLogger();
+
+export interface RequestLogger extends Logger {
+  readonly requestId: string;
+  /** Overrides the outcome derived from the status code, e.g. 'spam' for a silent drop */
+  outcome?: RequestOutcome;
+}
+
+function outcomeForStatus(status: number): RequestOutcome {
+  if (status >= 500) return 'error';
+  if (status === 429) return 'rate-limited';
+  if (status === 401) return 'unauthorized';
+  if (status === 404) return 'not-found';
+  if (status >= 400) return 'invalid';
+  return 'accepted';
+}
+
+/** Trusts an upstream request ID (load balancer, CDN) when it looks like one */
+function requestIdFor(request: Request): string {
+  const incoming = request.headers.get(REQUEST_ID_HEADER);
+  return incoming && /^[\w.-]{8,128}$/.test(incoming) ? incoming : randomUUID();
+}
+
+function clientAddress(context: APIContext): string | undefined {
+  try {
+    return context.clientAddress;
+  } catch {
+    // Not available when prerendering
+    return undefined;
+  }
+}
+
+/**
+ * Wraps an API route handler: assigns the request ID, logs one summary line per
+ * request (route, status, outcome, latency) and turns uncaught errors into the
+ * standard 500 envelope. `route` is the file route, e.g. /api/v1/contact.
+ */
+export function withRequestLog(
+  route: string,
+  handler: (context: APIContext, log: RequestLogger) => Response | Promise<Response>
+): APIRoute {
+  return async (context) => {
+    const started = performance.now();
+    const requestId = requestIdFor(context.request);
+    const log: RequestLogger = Object.assign(
+      createLogger({ requestId, route }),
+      { requestId, outcome: undefined as RequestOutcome | undefined }
+    );
+
+    let response: Response;
+    try {
+      response = await handler(context, log);
+    } catch (error) {
+      log.error('Unhandled error', { error });
+      response = errorResponse(500, {
+        code: 'internal_error',
+        message: 'An unexpected error occurred. Please try again or contact us directly.'
+      });
+    }
+
+    const status = response.status;
+    const outcome = log.outcome || outcomeForStatus(status);
+    write(status >= 500 ? 'error' : 'info', 'request', {
+      requestId,
+      route,
+      method: context.request.method,
+      path: context.url.pathname,
+      status,
+      outcome,
+      latencyMs: Math.round(performance.now() - started),
+      ip: clientAddress(context),
+    });
+
+    try {
+      response.headers.set(REQUEST_ID_HEADER, requestId);
+    } catch {
+      // Responses with immutable headers (e.g. from fetch) are copied
+      response = new Response(response.body, response);
+      response.headers.set(REQUEST_ID_HEADER, requestId);
+    }
+    return response;
+  };
+}
@@ -0,0 +1,108 @@
+/*
+ * Mail Transport
+ * Last Updated: 2026-10-19 06:22:02 IST
+ *
+ * Pluggable outgoing email, selected with MAIL_TRANSPORT:
+ * - smtp: real delivery through SMTP_HOST (also used against a local catcher in tests)
+ * - file: one JSON file per message under MAIL_FILE_DIR, for development
+ * - console: prints messages to the server log (default when SMTP_HOST is unset)
+ */
+
+import { randomUUID } from 'node:crypto';
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import nodemailer from 'nodemailer';
+
+export interface MailAttachment {
+  filename: string;
+  content: string | Buffer;
+  contentType?: string;
+}
+
+export interface MailMessage {
+  to: string;
+  subject: string;
+  text: string;
+  html?: string;
+  from?: string;
+  replyTo?: string;
+  /** Extra headers, e.g. List-Unsubscribe on newsletter emails */
+  headers?: Record<string, string>;
+  attachments?: MailAttachment[];
+}
+
+export interface MailTransport {
+  send(message: MailMessage): Promise<void>;
+}
+
+export const MAIL_FROM = process.env.SMTP_FROM || 'noreply@eexperts.info';
+export const MAIL_NOTIFY_TO = process.env.SMTP_TO || 'contact@eexperts.info';
+
+export class SmtpMailTransport implements MailTransport {
+  private readonly transporter: nodemailer.Transporter;
+
+  constructor(options: { host: string; port: number; secure: boolean; user?: string; pass?: string }) {
+    this.transporter = nodemailer.createTransport({
+      host: options.host,
+      port: options.port,
+      secure: options.secure,
+      auth: options.user ? { user: options.user, pass: options.pass } : undefined,
+    });
+  }
+
+  async send(message: MailMessage): Promise<void> {
+    await this.transporter.sendMail({ from: MAIL_FROM, ...message });
+  }
+}
+
+export class FileMailTransport implements MailTransport {
+  constructor(private readonly dir: string) {}
+
+  async send(message: MailMessage): Promise<void> {
+    await mkdir(this.dir, { recursive: true });
+    const file = path.join(this.dir, `${Date.now()}-${randomUUID()}.json`);
+    const record = {
+      from: MAIL_FROM,
+      ...message,
+      attachments: message.attachments?.map(({ filename, contentType }) => ({ filename, contentType })),
+      sentAt: new Date().toISOString(),
+    };
+    await writeFile(file, JSON.stringify(record, null, 2));
+  }
+}
+
+export class ConsoleMailTransport implements MailTransport {
+  async send(message: MailMessage): Promise<void> {
+    console.log(`=== EMAIL to ${message.to}: ${message.subject} ===`);
+    console.log(message.text);
+    console.log('=====================================');
+  }
+}
+
+let transport: MailTransport | undefined;
+
+export function getMailTransport(): MailTransport {
+  if (transport) return transport;
+
+  const kind = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+  switch (kind) {
+    case 'smtp':
+      transport = new SmtpMailTransport({
+        host: process.env.SMTP_HOST || 'localhost',
+        port: Number(process.env.SMTP_PORT || 587),
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+      });
+      break;
+    case 'file':
+      transport = new FileMailTransport(process.env.MAIL_FILE_DIR || './data/mail');
+      break;
+    case 'console':
+      transport = new ConsoleMailTransport();
+      break;
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${kind}"`);
+  }
+  return transport;
+}
@@ -0,0 +1,311 @@
+/*
+ * Newsletter Subscriptions
+ * Last Updated: 2026-10-19 08:28:16 IST
+ *
+ * Double opt-in mailing list for new resources and industry insights:
+ * - Subscribe requests from the download modal, footer, resources page and contact form
+ * - A signed, expiring confirmation link; nobody is subscribed until they click it
+ * - A signed unsubscribe link that never expires, plus RFC 8058 one-click unsubscribe
+ * - Consent evidence kept with every subscriber: source, wording, timestamps and IPs
+ *
+ * Subscribers are stored as JSON lines in NEWSLETTER_STORE_FILE, rewritten atomically.
+ * Unconfirmed requests are deleted by the retention run (lib/retention).
+ */
+
+import { createHmac, randomUUID, timingSafeEqual } from 'node:crypto';
+import { mkdir, open, readFile, rename } from 'node:fs/promises';
+import path from 'node:path';
+import { renderEmail } from './email-templates';
+import type { LeadMeta } from './leads';
+import { logger, type Logger } from './logger';
+import { getMailTransport, MAIL_NOTIFY_TO } from './mail';
+import { getSecret } from './secrets';
+
+export const NEWSLETTER_SOURCES = ['download', 'footer', 'resources', 'contact'] as const;
+export type NewsletterSource = typeof NEWSLETTER_SOURCES[number];
+
+export type SubscriberStatus = 'pending' | 'confirmed' | 'unsubscribed';
+
+/** The wording next to every sign-up box; stored with each request as what was agreed to */
+export const NEWSLETTER_CONSENT_TEXT = 'Send me updates on new resources and industry insights';
+
+export interface Subscriber {
+  id: string;
+  email: string;
+  status: SubscriberStatus;
+  /** Form the latest request came from */
+  source: NewsletterSource;
+  /** Resource being downloaded when the box was ticked */
+  resourceId?: string;
+  consentText: string;
+  /** Latest subscribe request; confirmation links issued before it stop working */
+  requestedAt: string;
+  requestMeta: LeadMeta;
+  /** When the confirmation link was clicked, i.e. when consent was given */
+  confirmedAt?: string;
+  confirmMeta?: LeadMeta;
+  unsubscribedAt?: string;
+}
+
+export interface SubscribeRequest {
+  email: string;
+  source: NewsletterSource;
+  resourceId?: string;
+  meta: LeadMeta;
+}
+
+export type NewsletterLinkProblem = 'invalid' | 'expired';
+
+/** Rejected confirmation or unsubscribe link; `message` is visitor-facing */
+export class NewsletterLinkError extends Error {
+  constructor(readonly problem: NewsletterLinkProblem) {
+    super(problem === 'expired'
+      ? 'This confirmation link has expired. Please sign up again and we will send you a new one.'
+      : 'This link is invalid or has already been replaced by a newer one.');
+  }
+}
+
+export function isNewsletterSource(value: unknown): value is NewsletterSource {
+  return typeof value === 'string' && (NEWSLETTER_SOURCES as readonly string[]).includes(value);
+}
+
+/** How long a confirmation link stays valid, and an unconfirmed request is kept */
+export const NEWSLETTER_CONFIRM_DAYS = Number(process.env.NEWSLETTER_CONFIRM_DAYS || 7);
+
+function sameEmail(a: string, b: string): boolean {
+  return a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+/**
+ * Subscribers as JSON lines in one file. The list is small, so every change
+ * rewrites the file: serialised through a queue, fsync'd and swapped in atomically.
+ */
+export class JsonLinesSubscriberStore {
+  private queue: Promise<unknown> = Promise.resolve();
+
+  constructor(private readonly file: string) {}
+
+  async list(): Promise<Subscriber[]> {
+    await this.queue;
+    return this.parse();
+  }
+
+  async get(id: string): Promise<Subscriber | undefined> {
+    return (await this.list()).find((subscriber) => subscriber.id === id);
+  }
+
+  async findByEmail(email: string): Promise<Subscriber | undefined> {
+    return (await this.list()).find((subscriber) => sameEmail(subscriber.email, email));
+  }
+
+  /** Applies `change` to the subscriber for `email` (undefined if none) and stores the result */
+  update(email: string, change: (existing: Subscriber | undefined) => Subscriber): Promise<Subscriber> {
+    let result: Subscriber;
+    return this.rewrite((subscribers) => {
+      const index = subscribers.findIndex((subscriber) => sameEmail(subscriber.email, email));
+      result = change(index >= 0 ? subscribers[index] : undefined);
+      if (index >= 0) subscribers[index] = result;
+      else subscribers.push(result);
+      return subscribers;
+    }).then(() => result);
+  }
+
+  /** Deletes every subscriber matching `predicate`; returns them */
+  remove(predicate: (subscriber: Subscriber) => boolean): Promise<Subscriber[]> {
+    const removed: Subscriber[] = [];
+    return this.rewrite((subscribers) => subscribers.filter((subscriber) => {
+      if (!predicate(subscriber)) return true;
+      removed.push(subscriber);
+      return false;
+    })).then(() => removed);
+  }
+
+  private rewrite(transform: (subscribers: Subscriber[]) => Subscriber[]): Promise<void> {
+    const write = this.queue.then(async () => {
+      const subscribers = transform(await this.parse());
+      await mkdir(path.dirname(this.file), { recursive: true });
+      const temp = `${this.file}.${process.pid}.tmp`;
+      const handle = await open(temp, 'w');
+      try {
+        await handle.write(subscribers.map((subscriber) => JSON.stringify(subscriber) + '\n').join(''));
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      await rename(temp, this.file);
+    });
+    // Keep the queue alive even if this write fails
+    this.queue = write.catch(() => undefined);
+    return write;
+  }
+
+  private async parse(): Promise<Subscriber[]> {
+    let contents: string;
+    try {
+      contents = await readFile(this.file, 'utf8');
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') return [];
+      throw error;
+    }
+    return contents.split('\n').filter((line) => line.trim()).map((line) => JSON.parse(line));
+  }
+}
+
+let store: JsonLinesSubscriberStore | undefined;
+
+export function getSubscriberStore(): JsonLinesSubscriberStore {
+  if (!store) {
+    store = new JsonLinesSubscriberStore(process.env.NEWSLETTER_STORE_FILE || './data/newsletter/subscribers.jsonl');
+  }
+  return store;
+}
+
+function sign(payload: string): string {
+  return createHmac('sha256', getSecret('NEWSLETTER_LINK_SECRET')).update(`newsletter:${payload}`).digest('base64url');
+}
+
+function signatureMatches(payload: string, token: string | null): boolean {
+  if (!token) return false;
+  const expected = Buffer.from(sign(payload));
+  const received = Buffer.from(token);
+  return expected.length === received.length && timingSafeEqual(expected, received);
+}
+
+/** Bound to the latest request, so an older email cannot confirm a newer sign-up */
+function confirmPayload(subscriber: Subscriber, expires: number): string {
+  return `confirm:${subscriber.id}:${subscriber.requestedAt}:${expires}`;
+}
+
+export function newsletterConfirmUrl(subscriber: Subscriber, origin: string, now: number = Date.now()): string {
+  const expires = Math.floor(now / 1000) + NEWSLETTER_CONFIRM_DAYS * 86400;
+  const url = new URL('/newsletter/confirm', origin);
+  url.searchParams.set('id', subscriber.id);
+  url.searchParams.set('expires', String(expires));
+  url.searchParams.set('token', sign(confirmPayload(subscriber, expires)));
+  return url.toString();
+}
+
+/** Permanent link for the footer of every newsletter email */
+export function newsletterUnsubscribeUrl(subscriber: Subscriber, origin: string): string {
+  const url = new URL('/newsletter/unsubscribe', origin);
+  url.searchParams.set('id', subscriber.id);
+  url.searchParams.set('token', sign(`unsubscribe:${subscriber.id}`));
+  return url.toString();
+}
+
+/** List-Unsubscribe headers (RFC 2369 and RFC 8058 one-click) for newsletter emails */
+export function unsubscribeHeaders(subscriber: Subscriber, origin: string): Record<string, string> {
+  const url = new URL(newsletterUnsubscribeUrl(subscriber, origin));
+  url.pathname = '/api/v1/newsletter/unsubscribe';
+  return {
+    'List-Unsubscribe': `<${url}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+  };
+}
+
+/**
+ * Records a subscribe request and emails the confirmation link. Confirmed
+ * subscribers get no second email; the caller's reply is the same either way,
+ * so the form does not reveal who is on the list.
+ */
+export async function subscribeToNewsletter(request: SubscribeRequest, origin: string, log: Logger): Promise<Subscriber> {
+  const now = new Date().toISOString();
+  let alreadyConfirmed = false;
+
+  const subscriber = await getSubscriberStore().update(request.email, (existing) => {
+    if (existing?.status === 'confirmed') {
+      alreadyConfirmed = true;
+      return existing;
+    }
+    return {
+      id: existing?.id || randomUUID(),
+      email: request.email.trim(),
+      status: 'pending',
+      source: request.source,
+      resourceId: request.resourceId,
+      consentText: NEWSLETTER_CONSENT_TEXT,
+      requestedAt: now,
+      requestMeta: request.meta,
+    };
+  });
+
+  if (alreadyConfirmed) {
+    log.info('Newsletter subscribe: already confirmed', { source: request.source });
+    return subscriber;
+  }
+
+  const email = renderEmail('newsletter-confirmation', { confirmUrl: newsletterConfirmUrl(subscriber, origin), validDays: NEWSLETTER_CONFIRM_DAYS });
+  try {
+    await getMailTransport().send({ to: subscriber.email, replyTo: MAIL_NOTIFY_TO, subject: email.subject, text: email.text, html: email.html });
+  } catch (error) {
+    log.error('Newsletter confirmation email failed', { error });
+  }
+  log.info('Newsletter subscribe requested', { id: subscriber.id, source: request.source });
+  return subscriber;
+}
+
+/**
+ * Confirms a pending subscription from the emailed link and sends the welcome
+ * email with the unsubscribe link. Confirming twice is harmless.
+ */
+export async function confirmSubscription(
+  params: URLSearchParams,
+  meta: LeadMeta,
+  origin: string,
+  now: number = Date.now()
+): Promise<Subscriber> {
+  const id = params.get('id') || '';
+  const expires = Number(params.get('expires'));
+  const subscriber = await getSubscriberStore().get(id);
+  if (!subscriber || !Number.isFinite(expires) || !signatureMatches(confirmPayload(subscriber, expires), params.get('token'))) {
+    throw new NewsletterLinkError('invalid');
+  }
+  if (subscriber.status === 'confirmed') return subscriber;
+  if (subscriber.status === 'unsubscribed') throw new NewsletterLinkError('invalid');
+  if (expires < now / 1000) throw new NewsletterLinkError('expired');
+
+  const confirmed = await getSubscriberStore().update(subscriber.email, (current) => ({
+    ...current!,
+    status: 'confirmed',
+    confirmedAt: new Date(now).toISOString(),
+    confirmMeta: meta,
+  }));
+
+  const email = renderEmail('newsletter-welcome', { unsubscribeUrl: newsletterUnsubscribeUrl(confirmed, origin) });
+  try {
+    await getMailTransport().send({
+      to: confirmed.email,
+      replyTo: MAIL_NOTIFY_TO,
+      subject: email.subject,
+      text: email.text,
+      html: email.html,
+      headers: unsubscribeHeaders(confirmed, origin),
+    });
+  } catch (error) {
+    logger.error('Newsletter welcome email failed', { id: confirmed.id, error });
+  }
+  return confirmed;
+}
+
+/** Unsubscribes from the signed link; the record is kept so the address is never mailed again */
+export async function unsubscribe(params: URLSearchParams, now: number = Date.now()): Promise<Subscriber> {
+  const id = params.get('id') || '';
+  const subscriber = await getSubscriberStore().get(id);
+  if (!subscriber || !signatureMatches(`unsubscribe:${id}`, params.get('token'))) {
+    throw new NewsletterLinkError('invalid');
+  }
+  if (subscriber.status === 'unsubscribed') return subscriber;
+
+  return getSubscriberStore().update(subscriber.email, (current) => ({
+    ...current!,
+    status: 'unsubscribed',
+    unsubscribedAt: new Date(now).toISOString(),
+  }));
+}
+
+/** Deletes sign-ups that were never confirmed before `cutoff`; returns how many */
+export async function purgeUnconfirmedBefore(cutoff: Date): Promise<number> {
+  const before = cutoff.toISOString();
+  const removed = await getSubscriberStore().remove((subscriber) => subscriber.status === 'pending' && subscriber.requestedAt < before);
+  return removed.length;
+}
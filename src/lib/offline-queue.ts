@@ -0,0 +1,104 @@
+/*
+ * Offline Submission Queue
+ * Last Updated: 2026-10-19 09:06:04 IST
+ *
+ * When the network fails, the contact page stores the whole submission
+ * (attachment included) in IndexedDB and registers a background sync; the
+ * service worker (public/sw.js) replays the queue and tells open pages how
+ * each item went. public/sw.js cannot import this module, so it repeats the
+ * names below; keep the two in step.
+ *
+ * Browser-only: uses IndexedDB and the service worker registration.
+ */
+
+export const OFFLINE_DB_NAME = 'eexperts-offline';
+export const OFFLINE_DB_VERSION = 1;
+export const CONTACT_QUEUE_STORE = 'contact-submissions';
+export const CONTACT_SYNC_TAG = 'contact-form-sync';
+
+/** Messages between the page and the service worker */
+export const CONTACT_QUEUE_MESSAGES = {
+  /** Page to worker: replay now (browsers without Background Sync, or back online) */
+  replay: 'CONTACT_QUEUE_REPLAY',
+  /** Worker to page: { id, result } with the API's success body */
+  delivered: 'CONTACT_QUEUE_DELIVERED',
+  /** Worker to page: { id, error } with the API's error; the item was dropped */
+  rejected: 'CONTACT_QUEUE_REJECTED',
+  /** Worker to page: { id, error } with why the item is still queued; it is tried again later */
+  waiting: 'CONTACT_QUEUE_WAITING',
+} as const;
+
+export interface QueuedSubmission {
+  id?: number;
+  url: string;
+  /** FormData entries; File values keep the attachment */
+  entries: Array<[string, FormDataEntryValue]>;
+  /** Sent as the Idempotency-Key header on every attempt, so a lost response cannot cause a duplicate */
+  idempotencyKey: string;
+  queuedAt: string;
+  attempts: number;
+  lastError?: string;
+}
+
+function openQueue(): Promise<IDBDatabase> {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(CONTACT_QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function run<T>(mode: IDBTransactionMode, action: (store: IDBObjectStore) => IDBRequest<T>): Promise<T> {
+  return openQueue().then((db) => new Promise<T>((resolve, reject) => {
+    const transaction = db.transaction(CONTACT_QUEUE_STORE, mode);
+    const request = action(transaction.objectStore(CONTACT_QUEUE_STORE));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  }));
+}
+
+/** True when the page can queue: a service worker controls it to do the replay */
+export function canQueueSubmissions(): boolean {
+  return 'indexedDB' in window && Boolean(navigator.serviceWorker?.controller);
+}
+
+/**
+ * Stores the submission and asks the service worker to send it when back online; returns its id.
+ * `idempotencyKey` must be the one the page already sent: that attempt may have been stored
+ * with only its response lost, and the replay has to be recognised as the same enquiry.
+ */
+export async function queueSubmission(url: string, formData: FormData, idempotencyKey: string): Promise<number> {
+  const submission: QueuedSubmission = {
+    url,
+    entries: [...formData.entries()],
+    idempotencyKey,
+    queuedAt: new Date().toISOString(),
+    attempts: 0,
+  };
+  const id = Number(await run('readwrite', (store) => store.add(submission)));
+
+  const registration = await navigator.serviceWorker.ready;
+  if ('sync' in registration) {
+    await (registration as ServiceWorkerRegistration & { sync: { register(tag: string): Promise<void> } })
+      .sync.register(CONTACT_SYNC_TAG);
+  }
+  return id;
+}
+
+export function countQueuedSubmissions(): Promise<number> {
+  return run('readonly', (store) => store.count());
+}
+
+/** Asks the service worker to replay the queue now */
+export function requestReplay(): void {
+  navigator.serviceWorker?.controller?.postMessage({ type: CONTACT_QUEUE_MESSAGES.replay });
+}
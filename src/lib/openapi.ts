@@ -0,0 +1,545 @@
+/*
+ * OpenAPI Description
+ * Last Updated: 2026-10-19 09:07:21 IST
+ *
+ * OpenAPI 3.1 document for every route under /api, served at /api/openapi.json.
+ * Built from the same definitions the routes use so it cannot drift on its own:
+ * - Contact fields, enums and lengths from lib/contact-schema
+ * - Error codes from lib/api, callback windows, newsletter sources and resource ids
+ *
+ * Response shapes are written out here; tests/openapi.spec.js checks real
+ * responses against them and fails when a route and this document disagree.
+ * Unversioned aliases (/api/contact...) are listed under `x-aliases`.
+ */
+
+import { API_ERROR_CODES, IDEMPOTENCY_KEY_PATTERN } from './api';
+import { BOOKING_SLOT_MINUTES } from './bookings';
+import { CALLBACK_WINDOWS } from './callbacks';
+import { CONTACT_FIELDS, contactSchema, type ContactField, type FieldSchema } from './contact-schema';
+import company from '../data/company.json';
+import { NEWSLETTER_SOURCES } from './newsletter';
+import { RESOURCES } from './resources';
+
+type Schema = Record<string, unknown>;
+
+const ref = (name: string): Schema => ({ $ref: `#/components/schemas/${name}` });
+const responseRef = (name: string): Schema => ({ $ref: `#/components/responses/${name}` });
+
+const string = (description?: string, extra: Schema = {}): Schema => ({ type: 'string', ...(description && { description }), ...extra });
+const dateTime = (description?: string): Schema => string(description, { format: 'date-time' });
+
+/** Response object; `additionalProperties: false` so extra fields count as drift */
+function object(properties: Record<string, Schema>, required: string[] = Object.keys(properties), extra: Schema = {}): Schema {
+  return { type: 'object', properties, required, additionalProperties: false, ...extra };
+}
+
+function success(properties: Record<string, Schema>, required: string[] = Object.keys(properties)): Schema {
+  return object({ success: { const: true }, ...properties }, ['success', ...required]);
+}
+
+function fieldSchema(field: FieldSchema): Schema {
+  const schema: Schema = { type: 'string', description: field.label };
+  if (field.values) schema.enum = [...field.values];
+  if (field.maxLength) schema.maxLength = field.maxLength;
+  if (field.minLength) schema.minLength = field.minLength;
+  if (field.singleLine) schema.pattern = '^[^\\u0000-\\u001f\\u007f]*$';
+  if (field.type === 'email') schema.format = 'email';
+  if (field.type === 'phone') schema.description = `${field.label}, with country code`;
+  return schema;
+}
+
+/** Request properties for `fields`, taken from the contact form schema */
+function contactFields(fields: ContactField[]): { properties: Record<string, Schema>; required: string[] } {
+  return {
+    properties: Object.fromEntries(fields.map((field) => [field, fieldSchema(contactSchema[field])])),
+    required: fields.filter((field) => (contactSchema[field] as FieldSchema).required),
+  };
+}
+
+const contact = contactFields(CONTACT_FIELDS);
+
+const formTokenField = string('Signed token from the page or GET /api/v1/form-token');
+const honeypotField = string('Honeypot; leave empty. Filled-in submissions are dropped silently');
+const optInField: Schema = { type: ['boolean', 'string'], description: 'Newsletter consent: true, "true" or "on". Starts a double opt-in sign-up' };
+
+/** Form posts accept JSON, multipart and URL-encoded bodies alike */
+function formBody(properties: Record<string, Schema>, required: string[], multipartExtra: Record<string, Schema> = {}): Schema {
+  const schema = { type: 'object', properties, required };
+  return {
+    required: true,
+    content: {
+      'application/json': { schema },
+      'multipart/form-data': { schema: { ...schema, properties: { ...properties, ...multipartExtra } } },
+      'application/x-www-form-urlencoded': { schema },
+    },
+  };
+}
+
+function json(description: string, schema: Schema, headers?: Record<string, Schema>): Schema {
+  return { description, content: { 'application/json': { schema } }, ...(headers && { headers }) };
+}
+
+const rateLimitHeaders = {
+  'RateLimit-Limit': { $ref: '#/components/headers/RateLimit-Limit' },
+  'RateLimit-Remaining': { $ref: '#/components/headers/RateLimit-Remaining' },
+  'RateLimit-Reset': { $ref: '#/components/headers/RateLimit-Reset' },
+  'RateLimit-Policy': { $ref: '#/components/headers/RateLimit-Policy' },
+};
+
+/** The error responses every public form route can give */
+const formErrors = {
+  400: responseRef('BadRequest'),
+  403: responseRef('FormTokenRejected'),
+  415: responseRef('UnsupportedMediaType'),
+  429: responseRef('RateLimited'),
+  500: responseRef('InternalError'),
+};
+
+const adminErrors = {
+  401: responseRef('Unauthorized'),
+  500: responseRef('InternalError'),
+};
+
+const reference = string('Enquiry reference, e.g. EE-261019-4K7QZP', { pattern: '^EE-\\d{6}-[0-9A-HJKMNP-TV-Z]{6}$' });
+
+const components = {
+  securitySchemes: {
+    adminToken: { type: 'http', scheme: 'bearer', description: 'ADMIN_API_TOKEN, or a staff session cookie from /admin/login' },
+  },
+  headers: {
+    'RateLimit-Limit': { description: 'Requests allowed in the window', schema: { type: 'integer' } },
+    'RateLimit-Remaining': { description: 'Requests left in the window', schema: { type: 'integer' } },
+    'RateLimit-Reset': { description: 'Seconds until the window resets', schema: { type: 'integer' } },
+    'RateLimit-Policy': { description: 'limit;w=window-seconds', schema: { type: 'string' } },
+  },
+  schemas: {
+    Error: object({
+      success: { const: false },
+      error: object({
+        code: { type: 'string', enum: [...API_ERROR_CODES], description: 'Stable, machine-readable' },
+        message: string('Visitor-facing; may change'),
+        fields: { type: 'object', additionalProperties: { type: 'string' }, description: 'Per-field messages, keyed by request field' },
+        retryAfter: { type: 'integer', description: 'Seconds until a retry is allowed (rate_limited)' },
+      }, ['code', 'message']),
+    }),
+    FormTokenError: object({
+      success: { const: false },
+      error: object({
+        code: { type: 'string', enum: API_ERROR_CODES.filter((code) => code.startsWith('form_token_')) },
+        message: string(),
+      }),
+      formToken: string('Fresh token to retry with; only sent with form_token_expired, otherwise fetch one from GET /api/v1/form-token'),
+    }, ['success', 'error']),
+    Dropped: {
+      ...success({}),
+      description: 'Returned for submissions judged to be spam, so bots learn nothing',
+    },
+    ContactAccepted: success({
+      message: string(),
+      reference,
+      statusUrl: string('Private enquiry status link', { format: 'uri' }),
+      formToken: string('Fresh token for another submission; not sent when Idempotent-Replayed'),
+    }, ['message', 'reference', 'statusUrl']),
+    CallbackAccepted: success({
+      message: string(),
+      reference,
+      statusUrl: string(undefined, { format: 'uri' }),
+      callback: object({
+        from: dateTime(),
+        to: dateTime(),
+        timeZone: string(),
+        description: string('The call window in the visitor\'s time zone and IST'),
+      }),
+      formToken: string(),
+    }),
+    BookingSlot: object({
+        from: dateTime('Start, UTC; send this as `slot` to book'),
+        to: dateTime('End, UTC'),
+        date: string('Calendar date in the requested time zone', { format: 'date' }),
+        day: string('e.g. "Tuesday 21 October"'),
+        time: string('Start time in the requested time zone, e.g. "9:30 am"'),
+        istTime: string('Start time in IST'),
+      }),
+    BookingAccepted: success({
+      message: string(),
+      reference,
+      statusUrl: string(undefined, { format: 'uri' }),
+      booking: object({
+        from: dateTime(),
+        to: dateTime(),
+        timeZone: string(),
+        description: string(),
+      }),
+      formToken: string(),
+    }),
+    DownloadAccepted: success({
+      message: string(),
+      resource: object({ id: string(), title: string() }),
+      downloadUrl: string('Absolute URL of the file', { format: 'uri' }),
+      formToken: string(),
+    }),
+    DownloadDropped: {
+      ...success({ downloadUrl: string(undefined, { format: 'uri' }) }, []),
+      description: 'Spam gets the file as usual but is not recorded',
+    },
+    Message: success({ message: string() }),
+    Upload: success({ upload: object({ id: string(), name: string(), size: { type: 'integer' }, type: string('Detected MIME type') }) }),
+  },
+  responses: {
+    BadRequest: json('Invalid body or fields (invalid_body, validation_failed, attachment_*)', ref('Error')),
+    FormTokenRejected: json('Missing, invalid, expired, too-fast or reused form token; an expired one is replaced in the response', ref('FormTokenError')),
+    UnsupportedMediaType: json('Body is not JSON, multipart or URL-encoded', ref('Error')),
+    RateLimited: json('Too many submissions', ref('Error'), {
+      'Retry-After': { description: 'Seconds until a retry is allowed', required: true, schema: { type: 'integer' } },
+      ...rateLimitHeaders,
+    }),
+    Unauthorized: json('Missing or wrong admin token', ref('Error'), {
+      'WWW-Authenticate': { required: true, schema: { type: 'string' } },
+    }),
+    LinkExpired: json('The signed link is invalid or has expired', ref('Error')),
+    InternalError: json('Unexpected server error; logged with the X-Request-ID header', ref('Error')),
+  },
+};
+
+const admin = { security: [{ adminToken: [] }], tags: ['Admin'] };
+const looseObject = (description: string): Schema => ({ type: 'object', description });
+
+const paths: Record<string, Schema> = {
+  '/api/openapi.json': {
+    get: {
+      operationId: 'getOpenApiDocument',
+      summary: 'This document',
+      responses: {
+        200: json('OpenAPI 3.1 document', { type: 'object', required: ['openapi', 'info', 'paths'] }),
+        500: responseRef('InternalError'),
+      },
+    },
+  },
+  '/api/v1/form-token': {
+    get: {
+      operationId: 'issueFormToken',
+      summary: 'Issue a signed form token',
+      tags: ['Forms'],
+      parameters: [{ name: 'form', in: 'query', schema: { type: 'string', enum: ['contact', 'callback', 'download', 'booking'], default: 'contact' } }],
+      responses: {
+        200: json('Token for the form', success({ formToken: string() })),
+        400: responseRef('BadRequest'),
+        500: responseRef('InternalError'),
+      },
+    },
+  },
+  '/api/v1/contact': {
+    'x-aliases': ['/api/contact'],
+    post: {
+      operationId: 'submitEnquiry',
+      summary: 'Send an enquiry',
+      description: 'Stores the lead, routes it and emails the team and the visitor. Send the same Idempotency-Key with every retry of one enquiry: once it is stored, a retry with that key and email gets the original reference back instead of creating a second lead.',
+      tags: ['Forms'],
+      parameters: [{
+        name: 'Idempotency-Key',
+        in: 'header',
+        description: 'Client-chosen key for this enquiry, e.g. a UUID',
+        schema: { type: 'string', pattern: IDEMPOTENCY_KEY_PATTERN.source },
+      }],
+      requestBody: formBody(
+        {
+          ...contact.properties,
+          attachmentId: string('Id returned by POST /api/v1/uploads'),
+          newsletterOptIn: optInField,
+          formToken: formTokenField,
+          website: honeypotField,
+        },
+        [...contact.required, 'formToken'],
+        { attachment: string('File; PDF, Office, image or text, up to 10 MB', { format: 'binary' }) }
+      ),
+      responses: {
+        200: json('Enquiry accepted', { oneOf: [ref('ContactAccepted'), ref('Dropped')] }, {
+          ...rateLimitHeaders,
+          'Idempotent-Replayed': { description: '`true` when a retry matched an enquiry already stored', schema: { type: 'string', enum: ['true'] } },
+        }),
+        ...formErrors,
+      },
+    },
+  },
+  '/api/v1/uploads': {
+    post: {
+      operationId: 'uploadAttachment',
+      summary: 'Upload an attachment for a JSON enquiry',
+      tags: ['Forms'],
+      requestBody: {
+        required: true,
+        content: { 'multipart/form-data': { schema: { type: 'object', properties: { file: string(undefined, { format: 'binary' }) }, required: ['file'] } } },
+      },
+      responses: {
+        201: json('Stored; pass `upload.id` as `attachmentId`', ref('Upload')),
+        400: responseRef('BadRequest'),
+        415: responseRef('UnsupportedMediaType'),
+        429: responseRef('RateLimited'),
+        500: responseRef('InternalError'),
+      },
+    },
+  },
+  '/api/v1/callback': {
+    'x-aliases': ['/api/callback'],
+    post: {
+      operationId: 'requestCallback',
+      summary: 'Ask to be phoned back',
+      description: 'The window is in the visitor\'s time zone; the first overlap with IST business hours is booked.',
+      tags: ['Forms'],
+      requestBody: formBody(
+        {
+          ...(contactFields(['service', 'firstName', 'lastName', 'email', 'phone']).properties),
+          message: string('Optional note', { maxLength: 1000 }),
+          window: { type: 'string', enum: Object.keys(CALLBACK_WINDOWS) },
+          timeZone: string('IANA time zone, e.g. America/New_York'),
+          formToken: formTokenField,
+          website: honeypotField,
+        },
+        ['service', 'firstName', 'lastName', 'email', 'phone', 'window', 'timeZone', 'formToken']
+      ),
+      responses: {
+        200: json('Callback booked', { oneOf: [ref('CallbackAccepted'), ref('Dropped')] }, rateLimitHeaders),
+        ...formErrors,
+      },
+    },
+  },
+  '/api/v1/bookings': {
+    'x-aliases': ['/api/bookings'],
+    get: {
+      operationId: 'listBookingSlots',
+      summary: `Free ${BOOKING_SLOT_MINUTES}-minute consultation slots`,
+      description: 'IST business hours over the next two weeks, minus holidays and booked slots.',
+      tags: ['Bookings'],
+      parameters: [{ name: 'timeZone', in: 'query', description: 'Labels slots in this IANA time zone', schema: { type: 'string', default: 'Asia/Kolkata' } }],
+      responses: {
+        200: json('Free slots, earliest first', success({
+          timeZone: string(),
+          slotMinutes: { const: BOOKING_SLOT_MINUTES },
+          slots: { type: 'array', items: ref('BookingSlot') },
+        })),
+        400: responseRef('BadRequest'),
+        500: responseRef('InternalError'),
+      },
+    },
+    post: {
+      operationId: 'bookConsultation',
+      summary: 'Book a consultation slot',
+      description: 'Both the visitor and the team are emailed an .ics invite.',
+      tags: ['Bookings'],
+      requestBody: formBody(
+        {
+          ...(contactFields(['service', 'firstName', 'lastName', 'email', 'phone', 'company']).properties),
+          message: string('Optional note', { maxLength: 1000 }),
+          slot: dateTime('`from` of a slot from GET /api/v1/bookings'),
+          timeZone: string('IANA time zone, e.g. America/New_York'),
+          formToken: formTokenField,
+          website: honeypotField,
+        },
+        ['service', 'firstName', 'lastName', 'email', 'phone', 'slot', 'timeZone', 'formToken']
+      ),
+      responses: {
+        200: json('Consultation booked', { oneOf: [ref('BookingAccepted'), ref('Dropped')] }, rateLimitHeaders),
+        409: json('The slot was taken meanwhile (slot_unavailable); the form token is still valid', ref('Error')),
+        ...formErrors,
+      },
+    },
+  },
+  '/api/v1/downloads': {
+    'x-aliases': ['/api/downloads'],
+    post: {
+      operationId: 'downloadResource',
+      summary: 'Download a gated resource',
+      tags: ['Forms'],
+      requestBody: formBody(
+        {
+          resourceId: { type: 'string', enum: RESOURCES.map((resource) => resource.id) },
+          ...(contactFields(['email', 'company']).properties),
+          newsletterOptIn: optInField,
+          formToken: formTokenField,
+          website: honeypotField,
+        },
+        ['resourceId', 'email', 'formToken']
+      ),
+      responses: {
+        200: json('Download recorded', { oneOf: [ref('DownloadAccepted'), ref('DownloadDropped')] }, rateLimitHeaders),
+        ...formErrors,
+      },
+    },
+  },
+  '/api/v1/newsletter': {
+    'x-aliases': ['/api/newsletter'],
+    post: {
+      operationId: 'subscribeToNewsletter',
+      summary: 'Sign up for the newsletter (double opt-in)',
+      description: 'Emails a confirmation link; the same answer is given for existing subscribers.',
+      tags: ['Newsletter'],
+      requestBody: formBody(
+        {
+          email: fieldSchema(contactSchema.email),
+          source: { type: 'string', enum: [...NEWSLETTER_SOURCES] },
+          website: honeypotField,
+        },
+        ['email', 'source']
+      ),
+      responses: {
+        200: json('Confirmation email sent', ref('Message')),
+        400: responseRef('BadRequest'),
+        415: responseRef('UnsupportedMediaType'),
+        429: responseRef('RateLimited'),
+        500: responseRef('InternalError'),
+      },
+    },
+  },
+  '/api/v1/newsletter/unsubscribe': {
+    post: {
+      operationId: 'unsubscribeFromNewsletter',
+      summary: 'One-click unsubscribe (RFC 8058)',
+      tags: ['Newsletter'],
+      parameters: [
+        { name: 'id', in: 'query', required: true, schema: { type: 'string' } },
+        { name: 'token', in: 'query', required: true, schema: { type: 'string' } },
+      ],
+      responses: {
+        200: json('Unsubscribed', ref('Message')),
+        403: responseRef('LinkExpired'),
+        500: responseRef('InternalError'),
+      },
+    },
+  },
+  '/api/attachments/{id}': {
+    get: {
+      operationId: 'downloadAttachment',
+      summary: 'Download an enquiry attachment through its signed link',
+      tags: ['Admin'],
+      parameters: [
+        { name: 'id', in: 'path', required: true, schema: { type: 'string' } },
+        { name: 'expires', in: 'query', required: true, schema: { type: 'string' } },
+        { name: 'signature', in: 'query', required: true, schema: { type: 'string' } },
+      ],
+      responses: {
+        200: { description: 'The file', content: { 'application/octet-stream': { schema: string(undefined, { format: 'binary' }) } } },
+        403: responseRef('LinkExpired'),
+        404: json('Attachment deleted or never stored', ref('Error')),
+        500: responseRef('InternalError'),
+      },
+    },
+  },
+  '/api/privacy/export': {
+    post: {
+      ...admin,
+      operationId: 'exportPersonalData',
+      summary: 'Everything held for one email address',
+      requestBody: formBody({ email: fieldSchema(contactSchema.email) }, ['email']),
+      responses: {
+        200: json('Leads, spam, downloads, newsletter, attachments, undelivered webhooks and rate limit hits', success({
+          email: string(),
+          exportedAt: dateTime(),
+          ...Object.fromEntries(['leads', 'spam', 'downloads', 'newsletter', 'attachments', 'webhookDeadLetters', 'rateLimits'].map((kind) => [kind, { type: 'array', items: { type: 'object' } }])),
+        })),
+        400: responseRef('BadRequest'),
+        415: responseRef('UnsupportedMediaType'),
+        ...adminErrors,
+      },
+    },
+  },
+  '/api/privacy/erase': {
+    post: {
+      ...admin,
+      operationId: 'erasePersonalData',
+      summary: 'Delete everything held for one email address',
+      requestBody: formBody({ email: fieldSchema(contactSchema.email) }, ['email']),
+      responses: {
+        200: json('Records deleted, by kind', success({
+          erased: object(Object.fromEntries(['leads', 'spam', 'downloads', 'newsletter', 'attachments', 'deadLetters', 'rateLimits'].map((kind) => [kind, { type: 'integer' }]))),
+        })),
+        400: responseRef('BadRequest'),
+        415: responseRef('UnsupportedMediaType'),
+        ...adminErrors,
+      },
+    },
+  },
+  '/api/privacy/retention': {
+    get: {
+      ...admin,
+      operationId: 'getRetentionPolicy',
+      summary: 'The retention policy in force',
+      responses: {
+        200: json('Policy', success({ policy: looseObject('Retention periods from the RETENTION_* settings') })),
+        ...adminErrors,
+      },
+    },
+    post: {
+      ...admin,
+      operationId: 'applyRetentionPolicy',
+      summary: 'Apply the retention policy now',
+      responses: {
+        200: json('What was deleted or anonymised', { type: 'object', required: ['success'], properties: { success: { const: true } } }),
+        ...adminErrors,
+      },
+    },
+  },
+  '/api/routing/dry-run': {
+    post: {
+      ...admin,
+      operationId: 'dryRunRouting',
+      summary: 'Evaluate routing rules against sample payloads',
+      requestBody: {
+        required: true,
+        content: { 'application/json': { schema: { type: 'object', properties: { samples: { type: 'array', items: { type: 'object' } }, config: looseObject('Candidate routing configuration') }, required: ['samples'] } } },
+      },
+      responses: {
+        200: json('Routing decision per sample', success({ dryRun: { const: true }, results: { type: 'array', items: { type: 'object' } } })),
+        400: responseRef('BadRequest'),
+        415: responseRef('UnsupportedMediaType'),
+        ...adminErrors,
+      },
+    },
+  },
+  '/api/webhooks/dead-letters': {
+    get: {
+      ...admin,
+      operationId: 'listDeadLetters',
+      summary: 'Webhook payloads that could not be delivered',
+      responses: {
+        200: json('Dead letters', success({ deadLetters: { type: 'array', items: { type: 'object' } } })),
+        ...adminErrors,
+      },
+    },
+    post: {
+      ...admin,
+      operationId: 'replayDeadLetters',
+      summary: 'Replay undelivered webhooks',
+      requestBody: {
+        required: false,
+        content: { 'application/json': { schema: { type: 'object', properties: { ids: { type: 'array', items: { type: 'string' } } } } } },
+      },
+      responses: {
+        200: json('Replay results', success({ replayed: { type: 'integer' }, delivered: { type: 'integer' }, results: { type: 'array', items: { type: 'object' } } })),
+        ...adminErrors,
+      },
+    },
+  },
+};
+
+export function openApiDocument(origin: string): Schema {
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: `${company.name} website API`,
+      version: '1.0.0',
+      description: 'Forms, bookings and newsletter for the website, plus staff endpoints. Every JSON response uses the envelope '
+        + '{ success: true, ... } or { success: false, error: { code, message, fields? } }; switch on `error.code`, not the message. '
+        + 'Each response carries an X-Request-ID header to quote in support requests.',
+      contact: { name: company.name, url: company.website },
+    },
+    servers: [{ url: origin }],
+    tags: [
+      { name: 'Forms', description: 'Public forms, protected by signed form tokens, honeypots and rate limits' },
+      { name: 'Bookings', description: 'Consultation slots in IST business hours' },
+      { name: 'Newsletter', description: 'Double opt-in subscriptions' },
+      { name: 'Admin', description: 'Staff only' },
+    ],
+    paths,
+    components,
+  };
+}
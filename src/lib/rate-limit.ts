@@ -0,0 +1,486 @@
+/*
+ * Rate Limiter
+ * Last Updated: 2026-10-19 09:12:43 IST
+ *
+ * Sliding-window rate limiting shared by the API routes:
+ * - Several keys per request (IP, email address, email domain), each with its own rule
+ * - Pluggable backend selected with RATE_LIMIT_BACKEND: memory, file or redis
+ * - Standard Retry-After and RateLimit-* response headers
+ * - Keys hold email addresses and IPs, so personal data requests (lib/retention)
+ *   can find and erase them
+ */
+
+import { randomUUID } from 'node:crypto';
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { errorResponse } from './api';
+import { logger } from './logger';
+
+export interface RateLimitBackend {
+  /** Timestamps (ms) of hits recorded for `key` after `since`, oldest first */
+  hits(key: string, since: number): Promise<number[]>;
+  add(key: string, timestamp: number, ttlMs: number): Promise<void>;
+  /** Records a hit unless `key` already has `limit` in the window ending at `timestamp`, in one atomic step */
+  take(key: string, timestamp: number, windowMs: number, limit: number): Promise<boolean>;
+  /** Takes back one hit recorded for `key` at `timestamp` */
+  removeHit(key: string, timestamp: number): Promise<void>;
+  /** Records a hit only when `key` has none left; false if it was already taken */
+  claim(key: string, timestamp: number, ttlMs: number): Promise<boolean>;
+  remove(key: string): Promise<void>;
+  /** Every key starting with `prefix` */
+  keys(prefix: string): Promise<string[]>;
+}
+
+export interface RateLimitRule {
+  name: string;
+  limit: number;
+  windowMs: number;
+}
+
+export interface RateLimitResult {
+  allowed: boolean;
+  rule: RateLimitRule;
+  remaining: number;
+  resetAt: number;
+  retryAfterSeconds: number;
+}
+
+export type RateLimitKeys = Record<string, string | undefined>;
+
+interface MemoryEntry {
+  hits: number[];
+  expiresAt: number;
+}
+
+export class MemoryRateLimitBackend implements RateLimitBackend {
+  protected entries = new Map<string, MemoryEntry>();
+
+  constructor() {
+    // Evict keys whose window has passed so the map does not grow forever
+    setInterval(() => this.evictExpired(), 60000).unref?.();
+  }
+
+  async hits(key: string, since: number): Promise<number[]> {
+    const entry = this.entries.get(key);
+    if (!entry) return [];
+    entry.hits = entry.hits.filter((timestamp) => timestamp > since);
+    return [...entry.hits];
+  }
+
+  async add(key: string, timestamp: number, ttlMs: number): Promise<void> {
+    const entry = this.entries.get(key) || { hits: [], expiresAt: 0 };
+    entry.hits.push(timestamp);
+    entry.expiresAt = Math.max(entry.expiresAt, timestamp + ttlMs);
+    this.entries.set(key, entry);
+  }
+
+  // No await between counting and recording, so concurrent requests cannot both take the last slot
+  async take(key: string, timestamp: number, windowMs: number, limit: number): Promise<boolean> {
+    const entry = this.entries.get(key) || { hits: [], expiresAt: 0 };
+    entry.hits = entry.hits.filter((hit) => hit > timestamp - windowMs);
+    if (entry.hits.length >= limit) return false;
+    entry.hits.push(timestamp);
+    entry.expiresAt = Math.max(entry.expiresAt, timestamp + windowMs);
+    this.entries.set(key, entry);
+    return true;
+  }
+
+  async removeHit(key: string, timestamp: number): Promise<void> {
+    const hits = this.entries.get(key)?.hits;
+    const index = hits?.indexOf(timestamp) ?? -1;
+    if (index !== -1) hits!.splice(index, 1);
+  }
+
+  // No await between the check and the write, so concurrent requests cannot both claim
+  async claim(key: string, timestamp: number, ttlMs: number): Promise<boolean> {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt > timestamp && entry.hits.length > 0) return false;
+    this.entries.set(key, { hits: [timestamp], expiresAt: timestamp + ttlMs });
+    return true;
+  }
+
+  async remove(key: string): Promise<void> {
+    this.entries.delete(key);
+  }
+
+  async keys(prefix: string): Promise<string[]> {
+    this.evictExpired();
+    return [...this.entries.keys()].filter((key) => key.startsWith(prefix));
+  }
+
+  protected evictExpired(now: number = Date.now()): void {
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+  }
+}
+
+/**
+ * Memory backend persisted to a JSON file so limits survive restarts and deploys
+ * on a single server.
+ */
+export class FileRateLimitBackend extends MemoryRateLimitBackend {
+  private loaded?: Promise<void>;
+  private saveTimer?: ReturnType<typeof setTimeout>;
+
+  constructor(private readonly file: string) {
+    super();
+  }
+
+  async hits(key: string, since: number): Promise<number[]> {
+    await this.load();
+    return super.hits(key, since);
+  }
+
+  async add(key: string, timestamp: number, ttlMs: number): Promise<void> {
+    await this.load();
+    await super.add(key, timestamp, ttlMs);
+    this.scheduleSave();
+  }
+
+  async take(key: string, timestamp: number, windowMs: number, limit: number): Promise<boolean> {
+    await this.load();
+    const taken = await super.take(key, timestamp, windowMs, limit);
+    if (taken) this.scheduleSave();
+    return taken;
+  }
+
+  async removeHit(key: string, timestamp: number): Promise<void> {
+    await this.load();
+    await super.removeHit(key, timestamp);
+    this.scheduleSave();
+  }
+
+  async claim(key: string, timestamp: number, ttlMs: number): Promise<boolean> {
+    await this.load();
+    const claimed = await super.claim(key, timestamp, ttlMs);
+    if (claimed) this.scheduleSave();
+    return claimed;
+  }
+
+  async remove(key: string): Promise<void> {
+    await this.load();
+    await super.remove(key);
+    this.scheduleSave();
+  }
+
+  async keys(prefix: string): Promise<string[]> {
+    await this.load();
+    return super.keys(prefix);
+  }
+
+  private load(): Promise<void> {
+    this.loaded ??= readFile(this.file, 'utf8')
+      .then((contents) => {
+        this.entries = new Map(Object.entries(JSON.parse(contents)));
+        this.evictExpired();
+      })
+      .catch((error) => {
+        if (error.code !== 'ENOENT') logger.error('Rate limit store unreadable, starting empty', { file: this.file, error });
+      });
+    return this.loaded;
+  }
+
+  private scheduleSave(): void {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(async () => {
+      this.saveTimer = undefined;
+      try {
+        await mkdir(path.dirname(this.file), { recursive: true });
+        const temp = `${this.file}.${process.pid}.tmp`;
+        await writeFile(temp, JSON.stringify(Object.fromEntries(this.entries)));
+        await rename(temp, this.file);
+      } catch (error) {
+        logger.error('Failed to persist rate limit store', { file: this.file, error });
+      }
+    }, 1000);
+  }
+}
+
+/**
+ * Redis (or any Redis-protocol server such as Valkey, KeyDB or Upstash) backend
+ * using one sorted set per key, for limits shared by several server processes.
+ */
+export class RedisRateLimitBackend implements RateLimitBackend {
+  private client?: Promise<import('ioredis').Redis>;
+
+  constructor(private readonly url: string) {}
+
+  private connect() {
+    this.client ??= import('ioredis').then(({ Redis }) => new Redis(this.url, { lazyConnect: false }));
+    return this.client;
+  }
+
+  async hits(key: string, since: number): Promise<number[]> {
+    const redis = await this.connect();
+    await redis.zremrangebyscore(key, '-inf', since);
+    const scores = await redis.zrangebyscore(key, `(${since}`, '+inf', 'WITHSCORES');
+    return scores.filter((_, index) => index % 2 === 1).map(Number);
+  }
+
+  async add(key: string, timestamp: number, ttlMs: number): Promise<void> {
+    const redis = await this.connect();
+    await redis.multi()
+      .zadd(key, timestamp, `${timestamp}-${randomUUID()}`)
+      .pexpire(key, ttlMs)
+      .exec();
+  }
+
+  // A script runs atomically, so the count and the write cannot interleave with another request
+  async take(key: string, timestamp: number, windowMs: number, limit: number): Promise<boolean> {
+    const redis = await this.connect();
+    const taken = await redis.eval(
+      `redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', ARGV[1] - ARGV[2])
+      if redis.call('ZCARD', KEYS[1]) >= tonumber(ARGV[3]) then return 0 end
+      redis.call('ZADD', KEYS[1], ARGV[1], ARGV[4])
+      redis.call('PEXPIRE', KEYS[1], ARGV[2])
+      return 1`,
+      1, key, timestamp, windowMs, limit, `${timestamp}-${randomUUID()}`
+    );
+    return taken === 1;
+  }
+
+  async removeHit(key: string, timestamp: number): Promise<void> {
+    const redis = await this.connect();
+    const [member] = await redis.zrangebyscore(key, timestamp, timestamp, 'LIMIT', 0, 1);
+    if (member) await redis.zrem(key, member);
+  }
+
+  // A plain string key: SET NX is the atomic check-and-set
+  async claim(key: string, timestamp: number, ttlMs: number): Promise<boolean> {
+    const redis = await this.connect();
+    return (await redis.set(key, String(timestamp), 'PX', ttlMs, 'NX')) === 'OK';
+  }
+
+  async remove(key: string): Promise<void> {
+    const redis = await this.connect();
+    await redis.del(key);
+  }
+
+  async keys(prefix: string): Promise<string[]> {
+    const redis = await this.connect();
+    const keys: string[] = [];
+    let cursor = '0';
+    do {
+      const [next, batch] = await redis.scan(cursor, 'MATCH', `${prefix.replace(/[*?[\]\\]/g, '\\$&')}*`, 'COUNT', 500);
+      keys.push(...batch);
+      cursor = next;
+    } while (cursor !== '0');
+    return keys;
+  }
+}
+
+export class RateLimiter {
+  constructor(
+    private readonly prefix: string,
+    private readonly rules: RateLimitRule[],
+    private readonly backend: RateLimitBackend
+  ) {}
+
+  /** Evaluates every rule that has a key and returns the most restrictive outcome */
+  async check(keys: RateLimitKeys, now: number = Date.now()): Promise<RateLimitResult> {
+    const results: RateLimitResult[] = [];
+
+    for (const rule of this.rules) {
+      const value = keys[rule.name];
+      if (!value) continue;
+
+      const hits = await this.backend.hits(this.key(rule, value), now - rule.windowMs);
+      const remaining = Math.max(0, rule.limit - hits.length);
+      const allowed = hits.length < rule.limit;
+      // Blocked until enough of the oldest hits slide out of the window
+      const resetAt = allowed
+        ? (hits[0] ?? now) + rule.windowMs
+        : hits[hits.length - rule.limit] + rule.windowMs;
+
+      results.push({
+        allowed,
+        rule,
+        remaining,
+        resetAt,
+        retryAfterSeconds: allowed ? 0 : Math.max(1, Math.ceil((resetAt - now) / 1000)),
+      });
+    }
+
+    if (results.length === 0) {
+      const rule = this.rules[0];
+      return { allowed: true, rule, remaining: rule.limit, resetAt: now + rule.windowMs, retryAfterSeconds: 0 };
+    }
+
+    const blocked = results.filter((result) => !result.allowed);
+    if (blocked.length > 0) {
+      return blocked.reduce((a, b) => (b.retryAfterSeconds > a.retryAfterSeconds ? b : a));
+    }
+    return results.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+  }
+
+  /** Records a hit against every keyed rule and returns the updated state */
+  async consume(keys: RateLimitKeys, now: number = Date.now()): Promise<RateLimitResult> {
+    for (const rule of this.rules) {
+      const value = keys[rule.name];
+      if (value) await this.backend.add(this.key(rule, value), now, rule.windowMs);
+    }
+    return this.check(keys, now);
+  }
+
+  /**
+   * Checks and records the hit together, so concurrent requests cannot all pass the
+   * check before any of them is counted. Blocked requests keep no hits; `refund` with
+   * the same `now` takes the hits back from a request turned away later.
+   */
+  async reserve(keys: RateLimitKeys, now: number = Date.now()): Promise<RateLimitResult> {
+    const taken: RateLimitKeys = {};
+    for (const rule of this.rules) {
+      const value = keys[rule.name];
+      if (!value) continue;
+      if (!(await this.backend.take(this.key(rule, value), now, rule.windowMs, rule.limit))) {
+        await this.refund(taken, now);
+        const state = await this.check(keys, now);
+        // A slot freed since the take: the client can try again straight away
+        return state.allowed ? { ...state, allowed: false, retryAfterSeconds: 1 } : state;
+      }
+      taken[rule.name] = value;
+    }
+    return { ...(await this.check(keys, now)), allowed: true, retryAfterSeconds: 0 };
+  }
+
+  async refund(keys: RateLimitKeys, reservedAt: number): Promise<void> {
+    for (const rule of this.rules) {
+      const value = keys[rule.name];
+      if (value) await this.backend.removeHit(this.key(rule, value), reservedAt);
+    }
+  }
+
+  private key(rule: RateLimitRule, value: string): string {
+    return `${RATE_LIMIT_KEY_PREFIX}${this.prefix}:${rule.name}:${value.toLowerCase()}`;
+  }
+}
+
+const RATE_LIMIT_KEY_PREFIX = 'ratelimit:';
+
+/** Hits recorded under one email address or IP, as exported for a subject access request */
+export interface RateLimitRecord {
+  limiter: string;
+  rule: string;
+  value: string;
+  hits: string[];
+}
+
+/** Rate limit hits kept under any of `subjects` (email addresses or IPs) */
+export async function findRateLimitRecords(
+  subjects: string[],
+  store: RateLimitBackend = getRateLimitBackend()
+): Promise<Array<RateLimitRecord & { key: string }>> {
+  const wanted = new Set(subjects.filter(Boolean).map((subject) => subject.trim().toLowerCase()));
+  const records: Array<RateLimitRecord & { key: string }> = [];
+  for (const key of await store.keys(RATE_LIMIT_KEY_PREFIX)) {
+    // IPv6 addresses contain colons, so the value is everything after the rule name
+    const [limiter, rule, ...value] = key.slice(RATE_LIMIT_KEY_PREFIX.length).split(':');
+    if (!wanted.has(value.join(':'))) continue;
+    const hits = await store.hits(key, 0);
+    if (hits.length > 0) {
+      records.push({ key, limiter, rule, value: value.join(':'), hits: hits.map((timestamp) => new Date(timestamp).toISOString()) });
+    }
+  }
+  return records;
+}
+
+/** Deletes the rate limit hits kept under `subjects`; returns how many keys went */
+export async function eraseRateLimitRecords(subjects: string[], store: RateLimitBackend = getRateLimitBackend()): Promise<number> {
+  const records = await findRateLimitRecords(subjects, store);
+  for (const record of records) {
+    await store.remove(record.key);
+  }
+  return records.length;
+}
+
+export function rateLimitHeaders(result: RateLimitResult, now: number = Date.now()): Record<string, string> {
+  return {
+    'RateLimit-Limit': String(result.rule.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(Math.max(0, Math.ceil((result.resetAt - now) / 1000))),
+    'RateLimit-Policy': `${result.rule.limit};w=${Math.round(result.rule.windowMs / 1000)}`,
+  };
+}
+
+/** 429 envelope with Retry-After for a blocked request */
+export function rateLimitedResponse(result: RateLimitResult): Response {
+  return errorResponse(429, {
+    code: 'rate_limited',
+    message: 'Too many submissions. Please try again later.',
+    retryAfter: result.retryAfterSeconds
+  }, {
+    'Retry-After': String(result.retryAfterSeconds),
+    ...rateLimitHeaders(result)
+  });
+}
+
+// Free-mail providers are shared by unrelated visitors, so they never get a domain-wide limit
+const SHARED_EMAIL_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.in', 'outlook.com', 'hotmail.com',
+  'live.com', 'icloud.com', 'me.com', 'aol.com', 'proton.me', 'protonmail.com', 'rediffmail.com',
+  'zoho.com', 'gmx.com', 'mail.com',
+]);
+
+/** Builds the ip/email/domain key set for a submission */
+export function submissionKeys(ip: string, email?: string): RateLimitKeys {
+  const normalisedEmail = email?.trim().toLowerCase() || undefined;
+  const domain = normalisedEmail?.split('@')[1];
+  return {
+    ip,
+    email: normalisedEmail,
+    domain: domain && !SHARED_EMAIL_DOMAINS.has(domain) ? domain : undefined,
+  };
+}
+
+let backend: RateLimitBackend | undefined;
+
+export function getRateLimitBackend(): RateLimitBackend {
+  if (backend) return backend;
+
+  const kind = process.env.RATE_LIMIT_BACKEND || 'memory';
+  switch (kind) {
+    case 'memory':
+      backend = new MemoryRateLimitBackend();
+      break;
+    case 'file':
+      backend = new FileRateLimitBackend(process.env.RATE_LIMIT_FILE || './data/rate-limit.json');
+      break;
+    case 'redis':
+      backend = new RedisRateLimitBackend(process.env.REDIS_URL || 'redis://localhost:6379');
+      break;
+    default:
+      throw new Error(`Unknown RATE_LIMIT_BACKEND "${kind}"`);
+  }
+  return backend;
+}
+
+const windowMs = Number(process.env.RATE_LIMIT_WINDOW_HOURS || 1) * 3600000;
+
+export const contactRateLimiter = new RateLimiter('contact', [
+  { name: 'ip', limit: Number(process.env.RATE_LIMIT_CONTACT_FORM || 5), windowMs },
+  { name: 'email', limit: Number(process.env.RATE_LIMIT_CONTACT_EMAIL || 3), windowMs },
+  { name: 'domain', limit: Number(process.env.RATE_LIMIT_CONTACT_DOMAIN || 20), windowMs },
+], getRateLimitBackend());
+
+// Attachments uploaded ahead of a JSON submission (see /api/v1/uploads)
+export const uploadRateLimiter = new RateLimiter('upload', [
+  { name: 'ip', limit: Number(process.env.RATE_LIMIT_UPLOADS || 10), windowMs },
+], getRateLimitBackend());
+
+// Gated resource downloads (see /api/v1/downloads); one visitor may fetch several guides
+export const downloadRateLimiter = new RateLimiter('download', [
+  { name: 'ip', limit: Number(process.env.RATE_LIMIT_DOWNLOADS || 20), windowMs },
+  { name: 'email', limit: Number(process.env.RATE_LIMIT_DOWNLOADS_EMAIL || 10), windowMs },
+], getRateLimitBackend());
+
+// Newsletter sign-ups; each one emails a confirmation link, so an address is limited too
+export const newsletterRateLimiter = new RateLimiter('newsletter', [
+  { name: 'ip', limit: Number(process.env.RATE_LIMIT_NEWSLETTER || 10), windowMs },
+  { name: 'email', limit: 3, windowMs },
+], getRateLimitBackend());
+
+// Failed staff sign-ins per IP
+export const adminLoginRateLimiter = new RateLimiter('admin-login', [
+  { name: 'ip', limit: 5, windowMs: 15 * 60000 },
+], getRateLimitBackend());
@@ -0,0 +1,93 @@
+/*
+ * Resource Library
+ * Last Updated: 2026-10-19 06:15:00 IST
+ *
+ * The gated guides, checklists and templates on /resources, shared by:
+ * - The resources page, which lists them
+ * - The downloads API, which records who asked for one and returns its file URL
+ * - The admin downloads report, which shows which guides lead to enquiries
+ *
+ * The catalogue lives in src/data/resources.json.
+ */
+
+import catalogue from '../data/resources.json';
+import type { DownloadRecord, LeadRecord } from './leads';
+
+export interface Resource {
+  id: string;
+  title: string;
+  description: string;
+  type: string;
+  category: string;
+  pages: number;
+  /** Public path of the file under public/downloads */
+  downloadUrl: string;
+  thumbnail: string;
+  featured: boolean;
+  tags: string[];
+  /** Marketing figure shown on the page, not the stored download count */
+  downloadCount: number;
+}
+
+export const RESOURCES: Resource[] = catalogue;
+
+export function getResource(id: unknown): Resource | undefined {
+  return typeof id === 'string' ? RESOURCES.find((resource) => resource.id === id) : undefined;
+}
+
+export interface ResourceReportRow {
+  resource: Resource;
+  downloads: number;
+  /** Distinct email addresses; anonymised downloads are counted above only */
+  people: number;
+  newsletterOptIns: number;
+  /** References of leads sent by someone after they downloaded this resource */
+  enquiries: string[];
+}
+
+function emailKey(email: string | undefined): string {
+  return (email || '').trim().toLowerCase();
+}
+
+/**
+ * Downloads per resource, and the enquiries that followed them: a lead counts
+ * for every resource its sender downloaded before getting in touch.
+ */
+export function resourceReport(downloads: DownloadRecord[], leads: LeadRecord[]): ResourceReportRow[] {
+  const leadsByEmail = new Map<string, LeadRecord[]>();
+  for (const lead of leads) {
+    const key = emailKey(lead.data.email);
+    if (!key) continue;
+    leadsByEmail.set(key, [...(leadsByEmail.get(key) || []), lead]);
+  }
+
+  return RESOURCES.map((resource) => {
+    const forResource = downloads.filter((download) => download.resourceId === resource.id);
+    // Earliest download per person, so a later repeat download does not hide an enquiry in between
+    const firstDownload = new Map<string, DownloadRecord>();
+    for (const download of forResource) {
+      const key = emailKey(download.email);
+      if (!key) continue;
+      const seen = firstDownload.get(key);
+      if (!seen || download.createdAt < seen.createdAt) firstDownload.set(key, download);
+    }
+
+    const enquiries = new Set<string>();
+    for (const [key, download] of firstDownload) {
+      for (const lead of leadsByEmail.get(key) || []) {
+        if (lead.createdAt >= download.createdAt) enquiries.add(lead.reference);
+      }
+    }
+
+    const optedIn = new Set(forResource.filter((download) => download.newsletterOptIn).map((download) => emailKey(download.email)));
+    optedIn.delete('');
+
+    return {
+      resource,
+      downloads: forResource.length,
+      people: firstDownload.size,
+      newsletterOptIns: optedIn.size,
+      enquiries: [...enquiries],
+    };
+  });
+}
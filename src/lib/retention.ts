@@ -0,0 +1,242 @@
+/*
+ * Data Retention & Personal Data Requests
+ * Last Updated: 2026-10-19 07:23:44 IST
+ *
+ * How long personal data is kept, and what happens when someone asks for theirs:
+ * - Attachments deleted after RETENTION_ATTACHMENT_DAYS (default 90)
+ * - Leads anonymised after RETENTION_LEAD_MONTHS (default 24); service and outcome stay for reporting
+ * - Resource download records anonymised after the same period; the resource and date stay
+ * - Newsletter sign-ups never confirmed deleted once their link expires (NEWSLETTER_CONFIRM_DAYS)
+ * - Spam records and undelivered webhook payloads deleted after RETENTION_SPAM_DAYS
+ *   and RETENTION_DEAD_LETTER_DAYS (default 30 each)
+ * - Export or erase everything held for one email address, including the rate limit
+ *   hits kept under it and under the IPs its records were sent from
+ *
+ * Every purge, export and erasure is written to the audit log (lib/audit).
+ */
+
+import { deleteAttachment, getAttachmentInfo, purgeAttachmentsBefore, signedAttachmentUrl, type StoredAttachment } from './attachments';
+import { subjectHash, writeAudit, type AuditAction } from './audit';
+import { getLeadStore, type DownloadRecord, type LeadRecord, type PersonalDataRecords, type SpamRecord } from './leads';
+import { logger } from './logger';
+import { eraseRateLimitRecords, findRateLimitRecords, type RateLimitRecord } from './rate-limit';
+import { getSubscriberStore, NEWSLETTER_CONFIRM_DAYS, purgeUnconfirmedBefore, type Subscriber } from './newsletter';
+import { deleteDeadLetters, listDeadLetters, type DeadLetter } from './webhooks';
+
+export interface RetentionPolicy {
+  attachmentDays: number;
+  leadMonths: number;
+  spamDays: number;
+  deadLetterDays: number;
+}
+
+function positive(value: string | undefined, fallback: number): number {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+export function retentionPolicy(env: Record<string, string | undefined> = process.env): RetentionPolicy {
+  return {
+    attachmentDays: positive(env.RETENTION_ATTACHMENT_DAYS, 90),
+    leadMonths: positive(env.RETENTION_LEAD_MONTHS, 24),
+    spamDays: positive(env.RETENTION_SPAM_DAYS, 30),
+    deadLetterDays: positive(env.RETENTION_DEAD_LETTER_DAYS, 30),
+  };
+}
+
+/** Who asked, for the audit log */
+export interface AuditContext {
+  actor: string;
+  requestId?: string;
+}
+
+export interface RetentionReport {
+  policy: RetentionPolicy;
+  attachments: number;
+  leads: number;
+  downloads: number;
+  newsletter: number;
+  spam: number;
+  deadLetters: number;
+}
+
+function daysBefore(now: Date, days: number): Date {
+  return new Date(now.getTime() - days * 86400000);
+}
+
+function monthsBefore(now: Date, months: number): Date {
+  const cutoff = new Date(now);
+  cutoff.setUTCMonth(cutoff.getUTCMonth() - months);
+  return cutoff;
+}
+
+function deadLetterEmail(entry: DeadLetter): string | undefined {
+  if (entry.email) return entry.email;
+  // Dead letters written before `email` was recorded carry the raw payload
+  const data = (entry.payload as { data?: { email?: unknown } } | null)?.data;
+  return typeof data?.email === 'string' ? data.email : undefined;
+}
+
+function sameEmail(a: string | undefined, b: string): boolean {
+  return Boolean(a) && a!.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+/** The address itself plus every IP its leads, spam and downloads came from */
+function rateLimitSubjects(email: string, records: PersonalDataRecords): string[] {
+  const ips = [...records.leads, ...records.spam, ...records.downloads].map((record) => record.meta.ip);
+  return [email, ...new Set(ips.filter(Boolean))];
+}
+
+function leadAttachmentIds(leads: LeadRecord[]): string[] {
+  return leads.map((lead) => lead.data.attachment?.id).filter((id): id is string => Boolean(id));
+}
+
+async function audit(action: AuditAction, context: AuditContext, counts: Record<string, number>, extra: { subject?: string; items?: string[] } = {}): Promise<void> {
+  await writeAudit({ action, actor: context.actor, requestId: context.requestId, counts, ...extra });
+}
+
+/**
+ * Applies the retention policy once. Meant to run daily from cron (see
+ * DEPLOYMENT.md); running it more often is harmless.
+ */
+export async function runRetention(context: AuditContext, now: Date = new Date(), policy: RetentionPolicy = retentionPolicy()): Promise<RetentionReport> {
+  const store = getLeadStore();
+
+  const attachments = await purgeAttachmentsBefore(daysBefore(now, policy.attachmentDays));
+  if (attachments.length > 0) {
+    await audit('retention.attachments', context, { attachments: attachments.length }, { items: attachments.map((file) => file.id) });
+  }
+
+  // Attachments normally go first, but a shorter lead period must not leave files behind
+  const leadCutoff = monthsBefore(now, policy.leadMonths);
+  const leads = await store.anonymiseLeadsBefore(leadCutoff);
+  if (leads.length > 0) {
+    let files = 0;
+    for (const id of leadAttachmentIds(leads)) {
+      if (await deleteAttachment(id)) files++;
+    }
+    await audit('retention.leads', context, { leads: leads.length, attachments: files }, { items: leads.map((lead) => lead.reference) });
+  }
+
+  const downloads = await store.anonymiseDownloadsBefore(leadCutoff);
+  if (downloads > 0) {
+    await audit('retention.downloads', context, { downloads });
+  }
+
+  const newsletter = await purgeUnconfirmedBefore(daysBefore(now, NEWSLETTER_CONFIRM_DAYS));
+  if (newsletter > 0) {
+    await audit('retention.newsletter', context, { newsletter });
+  }
+
+  const spam = await store.purgeSpamBefore(daysBefore(now, policy.spamDays));
+  if (spam > 0) {
+    await audit('retention.spam', context, { spam });
+  }
+
+  const deadLetterCutoff = daysBefore(now, policy.deadLetterDays).toISOString();
+  const deadLetters = (await listDeadLetters()).filter((entry) => entry.createdAt < deadLetterCutoff);
+  if (deadLetters.length > 0) {
+    await deleteDeadLetters(deadLetters.map((entry) => entry.id));
+    await audit('retention.dead-letters', context, { deadLetters: deadLetters.length }, { items: deadLetters.map((entry) => entry.id) });
+  }
+
+  const report = {
+    policy,
+    attachments: attachments.length,
+    leads: leads.length,
+    downloads,
+    newsletter,
+    spam,
+    deadLetters: deadLetters.length,
+  };
+  logger.info('Retention run complete', { ...report, actor: context.actor });
+  return report;
+}
+
+export interface PersonalDataExport {
+  email: string;
+  exportedAt: string;
+  leads: LeadRecord[];
+  spam: SpamRecord[];
+  downloads: DownloadRecord[];
+  /** Newsletter subscription with its consent record, if any */
+  newsletter: Subscriber[];
+  /** Metadata plus a short-lived download link for each file still held */
+  attachments: Array<StoredAttachment & { downloadUrl: string }>;
+  webhookDeadLetters: DeadLetter[];
+  /** Submission times kept for rate limiting under the address or its IPs */
+  rateLimits: RateLimitRecord[];
+}
+
+/** Everything held for `email`, for a subject access request */
+export async function exportPersonalData(email: string, origin: string, context: AuditContext): Promise<PersonalDataExport> {
+  const records = await getLeadStore().findByEmail(email);
+  const { leads, spam, downloads } = records;
+
+  const attachments: PersonalDataExport['attachments'] = [];
+  for (const id of leadAttachmentIds(leads)) {
+    const info = await getAttachmentInfo(id);
+    if (info) attachments.push({ ...info, downloadUrl: signedAttachmentUrl(id, origin) });
+  }
+  const webhookDeadLetters = (await listDeadLetters()).filter((entry) => sameEmail(deadLetterEmail(entry), email));
+  const subscriber = await getSubscriberStore().findByEmail(email);
+  const newsletter = subscriber ? [subscriber] : [];
+  const rateLimits = (await findRateLimitRecords(rateLimitSubjects(email, records))).map(({ key, ...record }) => record);
+
+  await audit('privacy.export', context, {
+    leads: leads.length,
+    spam: spam.length,
+    downloads: downloads.length,
+    newsletter: newsletter.length,
+    attachments: attachments.length,
+    deadLetters: webhookDeadLetters.length,
+    rateLimits: rateLimits.length,
+  }, { subject: subjectHash(email), items: leads.map((lead) => lead.reference) });
+
+  return { email, exportedAt: new Date().toISOString(), leads, spam, downloads, newsletter, attachments, webhookDeadLetters, rateLimits };
+}
+
+export interface ErasureReport {
+  leads: number;
+  spam: number;
+  downloads: number;
+  newsletter: number;
+  attachments: number;
+  deadLetters: number;
+  /** Rate limit keys removed for the address and its IPs */
+  rateLimits: number;
+}
+
+/**
+ * Deletes everything held for `email`: leads with their notes and history,
+ * spam and download records, the newsletter subscription, attachments,
+ * undelivered webhook payloads and the rate limit hits kept under the address
+ * or the IPs it submitted from.
+ * Emails already sent and data already delivered to webhooks or CRMs are
+ * outside this store.
+ */
+export async function erasePersonalData(email: string, context: AuditContext): Promise<ErasureReport> {
+  const records = await getLeadStore().eraseByEmail(email);
+  const { leads, spam, downloads } = records;
+
+  let attachments = 0;
+  for (const id of leadAttachmentIds(leads)) {
+    if (await deleteAttachment(id)) attachments++;
+  }
+  const deadLetters = (await listDeadLetters()).filter((entry) => sameEmail(deadLetterEmail(entry), email));
+  await deleteDeadLetters(deadLetters.map((entry) => entry.id));
+  const newsletter = await getSubscriberStore().remove((subscriber) => sameEmail(subscriber.email, email));
+  const rateLimits = await eraseRateLimitRecords(rateLimitSubjects(email, records));
+
+  const report = {
+    leads: leads.length,
+    spam: spam.length,
+    downloads: downloads.length,
+    newsletter: newsletter.length,
+    attachments,
+    deadLetters: deadLetters.length,
+    rateLimits,
+  };
+  await audit('privacy.erase', context, { ...report }, { subject: subjectHash(email), items: leads.map((lead) => lead.reference) });
+  return report;
+}
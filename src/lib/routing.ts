@@ -0,0 +1,184 @@
+/*
+ * Lead Routing
+ * Last Updated: 2026-10-19 09:09:25 IST
+ *
+ * Decides where each lead is sent, from a JSON configuration:
+ * - Named channels: email inboxes and webhooks (values may reference ${ENV_VAR:-default})
+ * - Per-webhook payload format: raw, json, csv or a CRM's schema (lib/crm)
+ * - Ordered rules matching service, projectSize, timeline and country
+ * - Priority flags (low, normal, high, urgent) carried into emails and webhooks
+ * - The decision is stored on the lead; dry runs evaluate sample payloads only
+ *
+ * The bundled src/data/lead-routing.json is used unless LEAD_ROUTING_FILE points elsewhere.
+ */
+
+import { readFileSync } from 'node:fs';
+import defaultConfig from '../data/lead-routing.json';
+import { CRM_FORMATS, DEFAULT_CRM_FORMAT, isCrmFormat, type CrmFormat } from './crm';
+
+export const LEAD_PRIORITIES = ['low', 'normal', 'high', 'urgent'] as const;
+export type LeadPriority = typeof LEAD_PRIORITIES[number];
+
+export type RoutingField = 'service' | 'projectSize' | 'timeline' | 'country';
+export const ROUTING_FIELDS: RoutingField[] = ['service', 'projectSize', 'timeline', 'country'];
+
+export type ChannelConfig =
+  | { type: 'email'; to: string }
+  /** `format` defaults to raw and may reference the environment like `url` */
+  | { type: 'webhook'; url: string; format?: string };
+
+/** A channel with environment references resolved */
+export type ResolvedChannel =
+  | { type: 'email'; to: string }
+  | { type: 'webhook'; url: string; format: CrmFormat };
+
+export interface RoutingRule {
+  name: string;
+  /** Every listed field must match one of its values; omitted fields match anything */
+  when: Partial<Record<RoutingField, string[]>>;
+  channels?: string[];
+  priority?: LeadPriority;
+  /** Keep evaluating later rules after this one matches */
+  continue?: boolean;
+}
+
+export interface RoutingConfig {
+  channels: Record<string, ChannelConfig>;
+  rules: RoutingRule[];
+  default: { channels: string[]; priority?: LeadPriority };
+}
+
+export type RoutingInput = Partial<Record<RoutingField, string>>;
+
+/** What is stored on the lead: names only, so webhook URLs never end up in the lead store */
+export interface RoutingDecision {
+  matchedRules: string[];
+  channels: string[];
+  priority: LeadPriority;
+}
+
+/** Replaces ${NAME} and ${NAME:-fallback} with environment values */
+function interpolate(value: string, env: NodeJS.ProcessEnv): string {
+  return value.replace(/\$\{([A-Z0-9_]+)(?::-([^}]*))?\}/g, (_, name, fallback = '') => env[name] || fallback);
+}
+
+function isHttpUrl(value: string): boolean {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+export class LeadRouter {
+  constructor(private readonly config: RoutingConfig, private readonly env: NodeJS.ProcessEnv = process.env) {
+    const known = new Set(Object.keys(config.channels));
+    const referenced = [...config.default.channels, ...config.rules.flatMap((rule) => rule.channels || [])];
+    const unknown = referenced.filter((name) => !known.has(name));
+    if (unknown.length > 0) {
+      throw new Error(`Lead routing references unknown channels: ${[...new Set(unknown)].join(', ')}`);
+    }
+    for (const rule of config.rules) {
+      if (rule.priority && !LEAD_PRIORITIES.includes(rule.priority)) {
+        throw new Error(`Lead routing rule "${rule.name}" has unknown priority "${rule.priority}"`);
+      }
+    }
+    for (const [name, channel] of Object.entries(config.channels)) {
+      if (channel.type !== 'webhook') continue;
+      // An unset URL leaves the channel unconfigured; a malformed one would fail every delivery
+      const url = interpolate(channel.url, env);
+      if (url && !isHttpUrl(url)) {
+        throw new Error(`Lead routing channel "${name}" has an invalid URL (expected http or https)`);
+      }
+      if (!channel.format) continue;
+      const format = interpolate(channel.format, env);
+      // Quote the configured value: dry runs return this message, and it may resolve to a secret
+      if (format && !isCrmFormat(format)) {
+        throw new Error(`Lead routing channel "${name}" has unknown format "${channel.format}" (expected ${CRM_FORMATS.join(', ')})`);
+      }
+    }
+  }
+
+  /**
+   * Rules are evaluated in order. A matching rule adds its channels and raises
+   * the priority; evaluation stops at the first match without `continue`.
+   * When no matching rule names channels, the default channels are used.
+   */
+  route(input: RoutingInput): RoutingDecision {
+    const matchedRules: string[] = [];
+    const channels = new Set<string>();
+    let priority: LeadPriority = this.config.default.priority || 'normal';
+
+    for (const rule of this.config.rules) {
+      const matches = Object.entries(rule.when).every(([field, values]) => {
+        const value = input[field as RoutingField];
+        return value !== undefined && values.includes(value);
+      });
+      if (!matches) continue;
+
+      matchedRules.push(rule.name);
+      rule.channels?.forEach((channel) => channels.add(channel));
+      if (rule.priority && LEAD_PRIORITIES.indexOf(rule.priority) > LEAD_PRIORITIES.indexOf(priority)) {
+        priority = rule.priority;
+      }
+      if (!rule.continue) break;
+    }
+
+    if (channels.size === 0) {
+      this.config.default.channels.forEach((channel) => channels.add(channel));
+    }
+
+    return { matchedRules, channels: [...channels], priority };
+  }
+
+  /** Channel settings with environment references resolved; undefined when it has no target */
+  channel(name: string): ResolvedChannel | undefined {
+    const channel = this.config.channels[name];
+    if (!channel) return undefined;
+    if (channel.type === 'email') {
+      const to = interpolate(channel.to, this.env);
+      return to ? { type: 'email', to } : undefined;
+    }
+    const url = interpolate(channel.url, this.env);
+    const format = (channel.format && interpolate(channel.format, this.env)) || DEFAULT_CRM_FORMAT;
+    return url ? { type: 'webhook', url, format: format as CrmFormat } : undefined;
+  }
+}
+
+// Calling codes for the phone-number fallback when the CDN does not report a country
+const CALLING_CODES: Record<string, string> = {
+  '1': 'US', '44': 'GB', '49': 'DE', '33': 'FR', '31': 'NL', '353': 'IE', '61': 'AU', '64': 'NZ',
+  '65': 'SG', '81': 'JP', '91': 'IN', '971': 'AE', '966': 'SA', '974': 'QA', '27': 'ZA',
+};
+
+/**
+ * ISO country of the visitor: Cloudflare's CF-IPCountry header when present,
+ * otherwise the calling code of an international phone number.
+ */
+export function leadCountry(request: Request, phone?: string): string | undefined {
+  const header = request.headers.get('cf-ipcountry')?.toUpperCase();
+  // XX = unknown, T1 = Tor
+  if (header && /^[A-Z]{2}$/.test(header) && header !== 'XX' && header !== 'T1') return header;
+
+  const digits = phone?.trim().startsWith('+') ? phone.replace(/\D/g, '') : '';
+  for (const length of [3, 2, 1]) {
+    const country = CALLING_CODES[digits.slice(0, length)];
+    if (country) return country;
+  }
+  return undefined;
+}
+
+export function loadRoutingConfig(env: NodeJS.ProcessEnv = process.env): RoutingConfig {
+  if (env.LEAD_ROUTING_FILE) {
+    return JSON.parse(readFileSync(env.LEAD_ROUTING_FILE, 'utf8'));
+  }
+  return defaultConfig as RoutingConfig;
+}
+
+let router: LeadRouter | undefined;
+
+export function getLeadRouter(): LeadRouter {
+  router ??= new LeadRouter(loadRoutingConfig());
+  return router;
+}
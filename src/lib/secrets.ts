@@ -0,0 +1,49 @@
+/*
+ * Signing Secrets
+ * Last Updated: 2026-10-19 08:28:16 IST
+ *
+ * Every secret the server signs or verifies something with, and what breaks
+ * without it. The built server (`npm start`) refuses to start unless all of them
+ * are set (src/integrations/required-secrets.ts). Under `astro dev` a missing one
+ * is replaced by a random value for the life of the process, with a warning.
+ */
+
+import { randomBytes } from 'node:crypto';
+import { logger } from './logger';
+
+export const REQUIRED_SECRETS = {
+  NEWSLETTER_LINK_SECRET: 'newsletter links will stop working after a restart',
+  ENQUIRY_LINK_SECRET: 'enquiry lookup links will stop working after a restart',
+  ADMIN_SESSION_SECRET: 'staff will be signed out after a restart',
+  FORM_TOKEN_SECRET: 'open forms will need a reload after a restart',
+  ATTACHMENT_SIGNING_SECRET: 'attachment links will stop working after a restart',
+  CONTACT_FORM_WEBHOOK_SECRET: 'webhook receivers cannot verify X-Webhook-Signature',
+} as const;
+
+export type SecretName = keyof typeof REQUIRED_SECRETS;
+
+export const SECRET_NAMES = Object.keys(REQUIRED_SECRETS) as SecretName[];
+
+/** Required secrets that are unset or empty in `env` */
+export function missingSecrets(env: Record<string, string | undefined> = process.env): SecretName[] {
+  return SECRET_NAMES.filter((name) => !env[name]);
+}
+
+const developmentSecrets = new Map<SecretName, string>();
+
+export function getSecret(name: SecretName): string {
+  const value = process.env[name];
+  if (value) return value;
+  // The built server checks at start-up; this only trips if the variable is removed later
+  if (import.meta.env.PROD) {
+    throw new Error(`${name} is not set`);
+  }
+
+  let secret = developmentSecrets.get(name);
+  if (!secret) {
+    logger.warn(`${name} is not set; ${REQUIRED_SECRETS[name]}.`);
+    secret = randomBytes(32).toString('hex');
+    developmentSecrets.set(name, secret);
+  }
+  return secret;
+}
@@ -0,0 +1,219 @@
+/*
+ * Spam Scoring
+ * Last Updated: 2026-10-19 05:39:52 IST
+ *
+ * Scores each contact submission against weighted rules instead of a fixed keyword list:
+ * - Link count, shouting (all-caps ratio) and known spam phrases
+ * - Disposable email domains from a bundled list
+ * - Identical text submitted repeatedly within a window
+ * - Forms completed faster than a person can type
+ * - Message written in a different non-Latin script from the sender's name
+ *
+ * Weights and the threshold come from SPAM_CONFIG_FILE (JSON, merged over the
+ * defaults below) and SPAM_SCORE_THRESHOLD.
+ */
+
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import disposableDomains from '../data/disposable-email-domains.json';
+import { getRateLimitBackend, type RateLimitBackend } from './rate-limit';
+
+export type SpamRuleName =
+  | 'links'
+  | 'capitals'
+  | 'keywords'
+  | 'disposableEmail'
+  | 'duplicateText'
+  | 'fastFill'
+  | 'scriptMismatch';
+
+export interface SpamRuleHit {
+  rule: SpamRuleName;
+  score: number;
+  detail: string;
+}
+
+export interface SpamAssessment {
+  score: number;
+  threshold: number;
+  isSpam: boolean;
+  rules: SpamRuleHit[];
+}
+
+export interface SpamInput {
+  message: string;
+  company?: string;
+  firstName: string;
+  lastName: string;
+  email: string;
+  /** When the form was rendered (ms since epoch), taken from its signed form token */
+  startedAt?: number;
+}
+
+export interface SpamConfig {
+  threshold: number;
+  rules: {
+    /** `weight` is added per link beyond `allowed`, up to three times */
+    links: { weight: number; allowed: number };
+    capitals: { weight: number; ratio: number; minLetters: number };
+    /** `weight` is added per matched phrase */
+    keywords: { weight: number; phrases: string[] };
+    disposableEmail: { weight: number };
+    duplicateText: { weight: number; windowHours: number };
+    fastFill: { weight: number; minSeconds: number };
+    scriptMismatch: { weight: number };
+  };
+}
+
+// A weight of 0 disables a rule
+const DEFAULT_CONFIG: SpamConfig = {
+  threshold: 5,
+  rules: {
+    links: { weight: 2, allowed: 1 },
+    capitals: { weight: 2, ratio: 0.7, minLetters: 20 },
+    keywords: {
+      weight: 3,
+      phrases: ['casino', 'viagra', 'porn', 'gambling', 'crypto mining', 'backlinks', 'guest post', 'seo services'],
+    },
+    disposableEmail: { weight: 4 },
+    duplicateText: { weight: 3, windowHours: 24 },
+    fastFill: { weight: 4, minSeconds: 5 },
+    scriptMismatch: { weight: 3 },
+  },
+};
+
+export function loadSpamConfig(env: NodeJS.ProcessEnv = process.env): SpamConfig {
+  let overrides: Partial<SpamConfig> = {};
+  if (env.SPAM_CONFIG_FILE) {
+    overrides = JSON.parse(readFileSync(env.SPAM_CONFIG_FILE, 'utf8'));
+  }
+
+  const rules = { ...DEFAULT_CONFIG.rules };
+  for (const name of Object.keys(rules) as SpamRuleName[]) {
+    Object.assign(rules, { [name]: { ...rules[name], ...overrides.rules?.[name] } });
+  }
+
+  return {
+    threshold: Number(env.SPAM_SCORE_THRESHOLD || overrides.threshold || DEFAULT_CONFIG.threshold),
+    rules,
+  };
+}
+
+const DISPOSABLE_DOMAINS = new Set<string>(disposableDomains);
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+
+const SCRIPTS: Array<[string, RegExp]> = [
+  ['Latin', /\p{Script=Latin}/u],
+  ['Cyrillic', /\p{Script=Cyrillic}/u],
+  ['Greek', /\p{Script=Greek}/u],
+  ['Arabic', /\p{Script=Arabic}/u],
+  ['Hebrew', /\p{Script=Hebrew}/u],
+  ['Devanagari', /\p{Script=Devanagari}/u],
+  ['Gujarati', /\p{Script=Gujarati}/u],
+  ['Thai', /\p{Script=Thai}/u],
+  ['Hangul', /\p{Script=Hangul}/u],
+  ['Han', /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u],
+];
+
+/** The script most letters in `text` are written in, if it has any letters */
+function dominantScript(text: string): string | undefined {
+  const counts = new Map<string, number>();
+  for (const char of text) {
+    if (!/\p{L}/u.test(char)) continue;
+    const script = SCRIPTS.find(([, pattern]) => pattern.test(char))?.[0] ?? 'Other';
+    counts.set(script, (counts.get(script) || 0) + 1);
+  }
+  let best: string | undefined;
+  for (const [script, count] of counts) {
+    if (!best || count > counts.get(best)!) best = script;
+  }
+  return best;
+}
+
+function escapeRegExp(value: string): string {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** Whitespace- and case-insensitive fingerprint of the free text */
+function textFingerprint(input: SpamInput): string {
+  const text = `${input.message} ${input.company || ''}`.toLowerCase().replace(/\s+/g, ' ').trim();
+  return createHash('sha256').update(text).digest('hex');
+}
+
+export class SpamScorer {
+  constructor(
+    private readonly config: SpamConfig,
+    private readonly backend: RateLimitBackend
+  ) {}
+
+  /**
+   * Scores a submission and records its text for later duplicate checks.
+   * Every submission is recorded, so a bot repeating itself is caught even
+   * when its first attempt scored below the threshold.
+   */
+  async assess(input: SpamInput, now: number = Date.now()): Promise<SpamAssessment> {
+    const { rules } = this.config;
+    const hits: SpamRuleHit[] = [];
+    const hit = (rule: SpamRuleName, score: number, detail: string) => {
+      if (score > 0) hits.push({ rule, score, detail });
+    };
+
+    const freeText = `${input.message} ${input.company || ''}`;
+
+    const links = freeText.match(LINK_PATTERN)?.length ?? 0;
+    if (links > rules.links.allowed) {
+      hit('links', rules.links.weight * Math.min(links - rules.links.allowed, 3), `${links} links`);
+    }
+
+    const letters = input.message.match(/\p{L}/gu) || [];
+    const capitals = input.message.match(/\p{Lu}/gu)?.length ?? 0;
+    if (letters.length >= rules.capitals.minLetters && capitals / letters.length >= rules.capitals.ratio) {
+      hit('capitals', rules.capitals.weight, `${Math.round((capitals / letters.length) * 100)}% capitals`);
+    }
+
+    const content = `${freeText} ${input.firstName} ${input.lastName}`.toLowerCase();
+    const phrases = rules.keywords.phrases.filter((phrase) =>
+      new RegExp(`\\b${escapeRegExp(phrase.toLowerCase())}\\b`).test(content)
+    );
+    if (phrases.length > 0) {
+      hit('keywords', rules.keywords.weight * phrases.length, phrases.join(', '));
+    }
+
+    const domain = input.email.toLowerCase().split('@')[1];
+    if (domain && DISPOSABLE_DOMAINS.has(domain)) {
+      hit('disposableEmail', rules.disposableEmail.weight, domain);
+    }
+
+    const windowMs = rules.duplicateText.windowHours * 3600000;
+    const fingerprintKey = `spam:text:${textFingerprint(input)}`;
+    const previous = await this.backend.hits(fingerprintKey, now - windowMs);
+    if (previous.length > 0) {
+      hit('duplicateText', rules.duplicateText.weight, `${previous.length} identical in ${rules.duplicateText.windowHours}h`);
+    }
+    await this.backend.add(fingerprintKey, now, windowMs);
+
+    if (input.startedAt && Number.isFinite(input.startedAt)) {
+      const seconds = (now - input.startedAt) / 1000;
+      if (seconds < rules.fastFill.minSeconds) {
+        hit('fastFill', rules.fastFill.weight, `completed in ${Math.max(0, seconds).toFixed(1)}s`);
+      }
+    }
+
+    const messageScript = dominantScript(input.message);
+    const nameScript = dominantScript(`${input.firstName} ${input.lastName}`);
+    if (messageScript && nameScript && messageScript !== 'Latin' && messageScript !== nameScript) {
+      hit('scriptMismatch', rules.scriptMismatch.weight, `message in ${messageScript}, name in ${nameScript}`);
+    }
+
+    const score = hits.reduce((total, { score }) => total + score, 0);
+    return { score, threshold: this.config.threshold, isSpam: score >= this.config.threshold, rules: hits };
+  }
+}
+
+let scorer: SpamScorer | undefined;
+
+export function getSpamScorer(): SpamScorer {
+  scorer ??= new SpamScorer(loadSpamConfig(), getRateLimitBackend());
+  return scorer;
+}
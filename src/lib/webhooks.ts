@@ -0,0 +1,216 @@
+/*
+ * Webhook Delivery
+ * Last Updated: 2026-10-19 09:09:25 IST
+ *
+ * Reliable outgoing webhooks for Zapier, Make.com, n8n and similar:
+ * - HMAC-SHA256 signature over "<timestamp>.<body>" (X-Webhook-Timestamp / X-Webhook-Signature),
+ *   always sent; CONTACT_FORM_WEBHOOK_SECRET is required in production (lib/secrets)
+ * - Idempotency-Key header so receivers can drop duplicate deliveries
+ * - Exponential backoff retries for network errors, 429 and 5xx responses
+ * - Dead-letter directory of undeliverable payloads that can be replayed later
+ */
+
+import { createHmac, randomUUID, timingSafeEqual } from 'node:crypto';
+import { mkdir, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { logger } from './logger';
+import { getSecret } from './secrets';
+
+export const SIGNATURE_HEADER = 'X-Webhook-Signature';
+export const TIMESTAMP_HEADER = 'X-Webhook-Timestamp';
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+// Receivers should reject signatures older than this to stop replayed requests
+export const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+export interface WebhookDelivery {
+  url: string;
+  payload: unknown;
+  /** Set when `payload` is an already serialised string such as CSV; JSON otherwise */
+  contentType?: string;
+  idempotencyKey: string;
+  /** Address of the person the payload is about, so privacy requests find it in any format */
+  email?: string;
+}
+
+export interface DeadLetter extends WebhookDelivery {
+  id: string;
+  createdAt: string;
+  attempts: number;
+  lastError: string;
+}
+
+export interface DeliveryResult {
+  delivered: boolean;
+  attempts: number;
+  error?: string;
+}
+
+const maxAttempts = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 5);
+const baseDelayMs = Number(process.env.WEBHOOK_RETRY_BASE_MS || 1000);
+const deadLetterDir = process.env.WEBHOOK_DEAD_LETTER_DIR || './data/webhooks/dead-letter';
+
+export function signPayload(secret: string, timestamp: number, body: string): string {
+  return 'sha256=' + createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Reference implementation of the receiver-side check, mirrored in DEPLOYMENT.md
+ * for Zapier/n8n code steps.
+ */
+export function verifySignature(
+  secret: string,
+  timestampHeader: string,
+  signatureHeader: string,
+  body: string,
+  now: number = Date.now()
+): boolean {
+  const timestamp = Number(timestampHeader);
+  if (!Number.isFinite(timestamp) || Math.abs(now / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    return false;
+  }
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const received = Buffer.from(signatureHeader);
+  return expected.length === received.length && timingSafeEqual(expected, received);
+}
+
+class PermanentDeliveryError extends Error {}
+
+/** Parsed target, or undefined when the URL is malformed */
+function parseWebhookUrl(url: string): URL | undefined {
+  try {
+    return new URL(url);
+  } catch {
+    return undefined;
+  }
+}
+
+async function attemptDelivery(delivery: WebhookDelivery, attempt: number): Promise<void> {
+  const url = parseWebhookUrl(delivery.url);
+  if (!url) throw new PermanentDeliveryError('Invalid webhook URL');
+
+  const body = delivery.contentType ? String(delivery.payload) : JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const headers: Record<string, string> = {
+    'Content-Type': delivery.contentType || 'application/json',
+    [IDEMPOTENCY_HEADER]: delivery.idempotencyKey,
+    [TIMESTAMP_HEADER]: String(timestamp),
+    'X-Webhook-Attempt': String(attempt),
+  };
+
+  headers[SIGNATURE_HEADER] = signPayload(getSecret('CONTACT_FORM_WEBHOOK_SECRET'), timestamp, body);
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers,
+    body,
+    signal: AbortSignal.timeout(10000),
+  });
+
+  if (response.ok) return;
+
+  const message = `HTTP ${response.status}`;
+  // Other 4xx responses mean the receiver rejected the payload; retrying will not help
+  if (response.status >= 400 && response.status < 500 && response.status !== 408 && response.status !== 429) {
+    throw new PermanentDeliveryError(message);
+  }
+  throw new Error(message);
+}
+
+function backoffDelay(attempt: number): number {
+  const delay = baseDelayMs * 2 ** (attempt - 1);
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+/**
+ * Delivers a webhook with retries. Never throws: payloads that cannot be
+ * delivered are written to the dead-letter directory instead.
+ */
+export async function deliverWebhook(delivery: WebhookDelivery): Promise<DeliveryResult> {
+  let lastError = '';
+  const host = parseWebhookUrl(delivery.url)?.host || 'invalid URL';
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    try {
+      await attemptDelivery(delivery, attempt);
+      return { delivered: true, attempts: attempt };
+    } catch (error) {
+      lastError = error instanceof Error ? error.message : String(error);
+      logger.warn('Webhook attempt failed', {
+        attempt,
+        maxAttempts,
+        host,
+        idempotencyKey: delivery.idempotencyKey,
+        error: lastError
+      });
+
+      if (error instanceof PermanentDeliveryError || attempt === maxAttempts) {
+        await saveDeadLetter(delivery, attempt, lastError);
+        return { delivered: false, attempts: attempt, error: lastError };
+      }
+      await new Promise((resolve) => setTimeout(resolve, backoffDelay(attempt)));
+    }
+  }
+
+  return { delivered: false, attempts: maxAttempts, error: lastError };
+}
+
+async function saveDeadLetter(delivery: WebhookDelivery, attempts: number, lastError: string): Promise<void> {
+  const entry: DeadLetter = {
+    id: randomUUID(),
+    createdAt: new Date().toISOString(),
+    attempts,
+    lastError,
+    ...delivery,
+  };
+  try {
+    await mkdir(deadLetterDir, { recursive: true });
+    await writeFile(path.join(deadLetterDir, `${entry.id}.json`), JSON.stringify(entry, null, 2));
+  } catch (error) {
+    logger.error('Failed to write webhook dead letter', { idempotencyKey: delivery.idempotencyKey, error });
+  }
+}
+
+export async function listDeadLetters(): Promise<DeadLetter[]> {
+  let files: string[];
+  try {
+    files = await readdir(deadLetterDir);
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const entries = await Promise.all(
+    files
+      .filter((file) => file.endsWith('.json'))
+      .map(async (file) => JSON.parse(await readFile(path.join(deadLetterDir, file), 'utf8')) as DeadLetter)
+  );
+  return entries.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/** Deletes dead letters by id, e.g. for retention or an erasure request */
+export async function deleteDeadLetters(ids: string[]): Promise<void> {
+  await Promise.all(ids.map((id) => rm(path.join(deadLetterDir, `${path.basename(id)}.json`), { force: true })));
+}
+
+/**
+ * Re-sends dead letters (all, or only `ids`). Each entry is removed before it is
+ * retried; a failed replay writes a fresh dead letter with the same idempotency key.
+ */
+export async function replayDeadLetters(ids?: string[]): Promise<{ id: string; result: DeliveryResult }[]> {
+  const entries = (await listDeadLetters()).filter((entry) => !ids || ids.includes(entry.id));
+  const results = [];
+
+  for (const entry of entries) {
+    await rm(path.join(deadLetterDir, `${entry.id}.json`), { force: true });
+    const result = await deliverWebhook({
+      url: entry.url,
+      payload: entry.payload,
+      contentType: entry.contentType,
+      idempotencyKey: entry.idempotencyKey,
+      email: entry.email,
+    });
+    results.push({ id: entry.id, result });
+  }
+  return results;
+}
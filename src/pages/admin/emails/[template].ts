@@ -0,0 +1,35 @@
+/*
+ * Admin Email Template Preview
+ * Last Updated: 2026-10-19 05:55:59 IST
+ *
+ * GET /admin/emails/<template>?format=html|text — renders a template with its
+ * sample data exactly as it would be sent. Staff session or API token required.
+ */
+
+import type { APIRoute } from 'astro';
+import { isAdminRequest, unauthorizedResponse } from '../../../lib/auth';
+import { errorResponse } from '../../../lib/api';
+import { renderSample } from '../../../lib/email-templates';
+
+export const prerender = false;
+
+export const GET: APIRoute = async ({ request, params, url }) => {
+  if (!isAdminRequest(request)) return unauthorizedResponse();
+
+  const email = renderSample(params.template || '');
+  if (!email) {
+    return errorResponse(404, { code: 'not_found', message: 'Email template not found.' });
+  }
+
+  const asText = url.searchParams.get('format') === 'text';
+  return new Response(asText ? `Subject: ${email.subject}\n\n${email.text}` : email.html, {
+    status: 200,
+    headers: {
+      'Content-Type': asText ? 'text/plain; charset=utf-8' : 'text/html; charset=utf-8',
+      'Cache-Control': 'private, no-store',
+      // Previews are framed by /admin/emails; nothing in an email should run or load remotely
+      'Content-Security-Policy': "default-src 'none'; img-src https: data:; style-src 'unsafe-inline'; frame-ancestors 'self'",
+      'X-Frame-Options': 'SAMEORIGIN'
+    }
+  });
+};
@@ -0,0 +1,53 @@
+/*
+ * Admin Leads CSV Export
+ * Last Updated: 2026-10-19 05:49:47 IST
+ *
+ * GET /admin/leads/export.csv?service=&status=&from=&to= — same filters as the
+ * list page. Works with a staff session or "Authorization: Bearer <ADMIN_API_TOKEN>".
+ */
+
+import type { APIRoute } from 'astro';
+import { isAdminRequest, unauthorizedResponse } from '../../../lib/auth';
+import { toCsv, type CsvColumn } from '../../../lib/csv';
+import { filterLeads, getLeadStore, istDate, leadFiltersFromQuery, type LeadRecord } from '../../../lib/leads';
+
+export const prerender = false;
+
+const columns: CsvColumn<LeadRecord>[] = [
+  { header: 'Reference', value: (lead) => lead.reference },
+  { header: 'Received (UTC)', value: (lead) => lead.createdAt },
+  { header: 'Status', value: (lead) => lead.status },
+  { header: 'Priority', value: (lead) => lead.routing?.priority },
+  { header: 'First name', value: (lead) => lead.data.firstName },
+  { header: 'Last name', value: (lead) => lead.data.lastName },
+  { header: 'Email', value: (lead) => lead.data.email },
+  { header: 'Phone', value: (lead) => lead.data.phone },
+  { header: 'Company', value: (lead) => lead.data.company },
+  { header: 'Service', value: (lead) => lead.data.service },
+  { header: 'Timeline', value: (lead) => lead.data.timeline },
+  { header: 'Project size', value: (lead) => lead.data.projectSize },
+  { header: 'Preferred contact', value: (lead) => lead.data.contactMethod },
+  { header: 'Country', value: (lead) => lead.meta.country },
+  { header: 'Message', value: (lead) => lead.data.message },
+  { header: 'Attachment', value: (lead) => lead.data.attachment?.name },
+  { header: 'Spam score', value: (lead) => lead.spam?.score },
+  { header: 'Notes', value: (lead) => lead.notes.map((note) => `[${note.at} ${note.by}] ${note.text}`).join('\n') },
+];
+
+export const GET: APIRoute = async ({ request, url }) => {
+  if (!isAdminRequest(request)) return unauthorizedResponse();
+
+  const leads = filterLeads(await getLeadStore().listLeads(), leadFiltersFromQuery(url.searchParams))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  const fileName = `leads-${istDate(new Date().toISOString())}.csv`;
+
+  // Byte order mark so Excel opens UTF-8 names correctly
+  return new Response('\uFEFF' + toCsv(leads, columns), {
+    status: 200,
+    headers: {
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+      'Cache-Control': 'private, no-store'
+    }
+  });
+};
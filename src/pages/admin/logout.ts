@@ -0,0 +1,14 @@
+/*
+ * Admin Sign-out
+ * Last Updated: 2026-10-19 05:49:47 IST
+ */
+
+import type { APIRoute } from 'astro';
+import { ADMIN_SESSION_COOKIE } from '../../lib/auth';
+
+export const prerender = false;
+
+export const POST: APIRoute = async ({ cookies, redirect }) => {
+  cookies.delete(ADMIN_SESSION_COOKIE, { path: '/' });
+  return redirect('/admin/login', 303);
+};
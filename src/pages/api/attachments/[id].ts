@@ -0,0 +1,37 @@
+/*
+ * Attachment Download Endpoint
+ * Last Updated: 2026-10-19 06:35:01 IST
+ *
+ * Serves stored contact form attachments through the time-limited signed
+ * links included in notification emails and webhook payloads.
+ */
+
+import { errorResponse } from '../../../lib/api';
+import { readAttachment, verifyAttachmentSignature } from '../../../lib/attachments';
+import { withRequestLog } from '../../../lib/logger';
+
+export const prerender = false;
+
+export const GET = withRequestLog('/api/attachments/[id]', async ({ params, url }) => {
+  const id = params.id || '';
+
+  if (!verifyAttachmentSignature(id, url.searchParams.get('expires'), url.searchParams.get('signature'))) {
+    return errorResponse(403, { code: 'link_expired', message: 'This download link is invalid or has expired.' });
+  }
+
+  const attachment = await readAttachment(id);
+  if (!attachment) {
+    return errorResponse(404, { code: 'not_found', message: 'Attachment not found.' });
+  }
+
+  return new Response(new Uint8Array(attachment.content), {
+    status: 200,
+    headers: {
+      'Content-Type': attachment.meta.type,
+      'Content-Length': String(attachment.meta.size),
+      'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(attachment.meta.name)}`,
+      'Cache-Control': 'private, no-store',
+      'X-Content-Type-Options': 'nosniff'
+    }
+  });
+});
@@ -0,0 +1,9 @@
+/*
+ * Consultation Booking API Endpoint (unversioned alias)
+ * Last Updated: 2026-10-19 06:35:01 IST
+ *
+ * Serves /api/v1/bookings unchanged, matching /api/contact.
+ */
+
+export { GET, POST } from './v1/bookings';
+export const prerender = false;
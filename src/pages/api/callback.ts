@@ -0,0 +1,9 @@
+/*
+ * Callback Request API Endpoint (unversioned alias)
+ * Last Updated: 2026-10-19 06:35:01 IST
+ *
+ * Serves /api/v1/callback unchanged, matching /api/contact.
+ */
+
+export { POST } from './v1/callback';
+export const prerender = false;
@@ -0,0 +1,9 @@
+/*
+ * Resource Download API Endpoint (unversioned alias)
+ * Last Updated: 2026-10-19 06:35:01 IST
+ *
+ * Serves /api/v1/downloads unchanged, matching /api/contact.
+ */
+
+export { POST } from './v1/downloads';
+export const prerender = false;
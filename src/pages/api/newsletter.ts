@@ -0,0 +1,9 @@
+/*
+ * Newsletter Subscribe API Endpoint (unversioned alias)
+ * Last Updated: 2026-10-19 06:35:01 IST
+ *
+ * Serves /api/v1/newsletter unchanged, matching /api/contact.
+ */
+
+export { POST } from './v1/newsletter/index';
+export const prerender = false;
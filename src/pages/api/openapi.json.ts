@@ -0,0 +1,21 @@
+/*
+ * OpenAPI Description Endpoint
+ * Last Updated: 2026-10-19 06:35:01 IST
+ *
+ * GET /api/openapi.json - the OpenAPI 3.1 document for every /api route (see
+ * lib/openapi), for integrators and the contract tests. The server URL is the
+ * origin the document was fetched from.
+ */
+
+import { jsonResponse } from '../../lib/api';
+import { withRequestLog } from '../../lib/logger';
+import { openApiDocument } from '../../lib/openapi';
+
+export const prerender = false;
+
+export const GET = withRequestLog('/api/openapi.json', async ({ url }) => {
+  return jsonResponse(openApiDocument(url.origin), 200, {
+    'Cache-Control': 'public, max-age=300',
+    'Access-Control-Allow-Origin': '*'
+  });
+});
@@ -0,0 +1,45 @@
+/*
+ * Personal Data Erasure API
+ * Last Updated: 2026-10-19 06:35:01 IST
+ *
+ * POST - permanently deletes everything held for one email address: leads (with
+ * notes and history), spam and resource download records, the newsletter
+ * subscription, attachments and undelivered webhook payloads.
+ * Body: { "email": "jane@example.com" }. Returns how many records were deleted.
+ *
+ * Requires "Authorization: Bearer <ADMIN_API_TOKEN>" or a staff session.
+ */
+
+import { bodyErrorResponse, errorResponse, jsonResponse, readRequestBody } from '../../../lib/api';
+import { adminActor, unauthorizedResponse } from '../../../lib/auth';
+import { withRequestLog } from '../../../lib/logger';
+import { erasePersonalData } from '../../../lib/retention';
+
+export const prerender = false;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+export const POST = withRequestLog('/api/privacy/erase', async ({ request }, log) => {
+  const actor = adminActor(request);
+  if (!actor) return unauthorizedResponse();
+
+  let fields: Record<string, unknown>;
+  try {
+    ({ fields } = await readRequestBody(request));
+  } catch (error) {
+    return bodyErrorResponse(error);
+  }
+
+  const email = typeof fields.email === 'string' ? fields.email.trim() : '';
+  if (!EMAIL_PATTERN.test(email)) {
+    return errorResponse(400, {
+      code: 'validation_failed',
+      message: 'Provide the email address to erase data for.',
+      fields: { email: 'Please enter a valid email address' }
+    });
+  }
+
+  const erased = await erasePersonalData(email, { actor, requestId: log.requestId });
+  log.info('Personal data erased', { actor, ...erased });
+  return jsonResponse({ success: true, erased });
+});
@@ -0,0 +1,48 @@
+/*
+ * Personal Data Export API
+ * Last Updated: 2026-10-19 06:35:01 IST
+ *
+ * POST - everything held for one email address (subject access request), as a
+ * JSON download. Body: { "email": "jane@example.com" }. The address is sent in
+ * the body rather than the URL so it stays out of proxy and access logs.
+ *
+ * Requires "Authorization: Bearer <ADMIN_API_TOKEN>" or a staff session.
+ */
+
+import { bodyErrorResponse, errorResponse, jsonResponse, readRequestBody } from '../../../lib/api';
+import { subjectHash } from '../../../lib/audit';
+import { adminActor, unauthorizedResponse } from '../../../lib/auth';
+import { withRequestLog } from '../../../lib/logger';
+import { exportPersonalData } from '../../../lib/retention';
+
+export const prerender = false;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+export const POST = withRequestLog('/api/privacy/export', async ({ request, url }, log) => {
+  const actor = adminActor(request);
+  if (!actor) return unauthorizedResponse();
+
+  let fields: Record<string, unknown>;
+  try {
+    ({ fields } = await readRequestBody(request));
+  } catch (error) {
+    return bodyErrorResponse(error);
+  }
+
+  const email = typeof fields.email === 'string' ? fields.email.trim() : '';
+  if (!EMAIL_PATTERN.test(email)) {
+    return errorResponse(400, {
+      code: 'validation_failed',
+      message: 'Provide the email address to export data for.',
+      fields: { email: 'Please enter a valid email address' }
+    });
+  }
+
+  const data = await exportPersonalData(email, url.origin, { actor, requestId: log.requestId });
+  log.info('Personal data exported', { actor, leads: data.leads.length, spam: data.spam.length });
+  return jsonResponse({ success: true, ...data }, 200, {
+    'Cache-Control': 'private, no-store',
+    'Content-Disposition': `attachment; filename="personal-data-${subjectHash(email).slice(0, 12)}.json"`
+  });
+});
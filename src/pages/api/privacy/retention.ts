@@ -0,0 +1,30 @@
+/*
+ * Data Retention API
+ * Last Updated: 2026-10-19 08:32:03 IST
+ *
+ * GET  - the retention policy in force (see lib/retention)
+ * POST - apply it now: delete old attachments, spam and dead letters and
+ *        anonymise old leads. Run daily from cron; see DEPLOYMENT.md.
+ *
+ * Requires "Authorization: Bearer <ADMIN_API_TOKEN>" or a staff session.
+ */
+
+import { jsonResponse } from '../../../lib/api';
+import { adminActor, unauthorizedResponse } from '../../../lib/auth';
+import { withRequestLog } from '../../../lib/logger';
+import { retentionPolicy, runRetention } from '../../../lib/retention';
+
+export const prerender = false;
+
+export const GET = withRequestLog('/api/privacy/retention', async ({ request }) => {
+  if (!adminActor(request)) return unauthorizedResponse();
+  return jsonResponse({ success: true, policy: retentionPolicy() });
+});
+
+export const POST = withRequestLog('/api/privacy/retention', async ({ request }, log) => {
+  const actor = adminActor(request);
+  if (!actor) return unauthorizedResponse();
+
+  const report = await runRetention({ actor, requestId: log.requestId });
+  return jsonResponse({ success: true, ...report });
+});
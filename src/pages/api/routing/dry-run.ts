@@ -0,0 +1,77 @@
+/*
+ * Lead Routing Dry Run
+ * Last Updated: 2026-10-19 08:32:07 IST
+ *
+ * POST - evaluate routing rules against sample payloads without storing or
+ * sending anything. Body:
+ *   { "samples": [{ "service": "healthcare-qa", "projectSize": "large", "timeline": "immediate", "country": "US" }],
+ *     "config": { ...optional candidate routing configuration to try instead of the live one... } }
+ *
+ * Requires "Authorization: Bearer <ADMIN_API_TOKEN>" or a staff session.
+ */
+
+import { bodyErrorResponse, errorResponse, jsonResponse, readRequestBody } from '../../../lib/api';
+import { isAdminRequest, unauthorizedResponse } from '../../../lib/auth';
+import { withRequestLog } from '../../../lib/logger';
+import {
+  getLeadRouter,
+  LeadRouter,
+  ROUTING_FIELDS,
+  type RoutingConfig,
+  type RoutingInput
+} from '../../../lib/routing';
+
+export const prerender = false;
+
+export const POST = withRequestLog('/api/routing/dry-run', async ({ request }) => {
+  if (!isAdminRequest(request)) return unauthorizedResponse();
+
+  let fields: Record<string, unknown>;
+  try {
+    ({ fields } = await readRequestBody(request));
+  } catch (error) {
+    return bodyErrorResponse(error);
+  }
+
+  if (!Array.isArray(fields.samples) || fields.samples.length === 0) {
+    return errorResponse(400, {
+      code: 'validation_failed',
+      message: 'Provide at least one sample payload.',
+      fields: { samples: 'Must be a non-empty array of objects' }
+    });
+  }
+
+  let router: LeadRouter;
+  try {
+    router = fields.config ? new LeadRouter(fields.config as RoutingConfig) : getLeadRouter();
+  } catch (error) {
+    return errorResponse(400, {
+      code: 'validation_failed',
+      message: 'The routing configuration is invalid.',
+      fields: { config: error instanceof Error ? error.message : String(error) }
+    });
+  }
+
+  const results = fields.samples.map((sample: Record<string, unknown>) => {
+    const input: RoutingInput = {};
+    for (const field of ROUTING_FIELDS) {
+      if (typeof sample?.[field] === 'string') input[field] = sample[field] as string;
+    }
+    const decision = router.route(input);
+    return {
+      sample: input,
+      ...decision,
+      targets: decision.channels.map((name) => {
+        const channel = router.channel(name);
+        return {
+          channel: name,
+          type: channel?.type,
+          format: channel?.type === 'webhook' ? channel.format : undefined,
+          configured: Boolean(channel)
+        };
+      })
+    };
+  });
+
+  return jsonResponse({ success: true, dryRun: true, results });
+});
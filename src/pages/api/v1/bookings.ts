@@ -0,0 +1,130 @@
+/*
+ * Consultation Booking API Endpoint (v1)
+ * Last Updated: 2026-10-19 07:29:18 IST
+ *
+ * GET  ?timeZone=America/New_York - free 30-minute slots over the next two weeks,
+ *      from IST business hours minus holidays and booked slots, each labelled in
+ *      the visitor's time zone.
+ * POST - books one. Body (JSON or form fields):
+ *   { "service", "firstName", "lastName", "email", "phone", "company"?, "message"?,
+ *     "slot": "<a slot's from>", "timeZone", "formToken" }
+ *
+ * The slot is reserved and stored with the lead (lib/bookings); both the routed
+ * inboxes and the visitor get an email with an .ics invite. A slot taken in the
+ * meantime is 409 slot_unavailable. Everything else is the pipeline shared with
+ * /api/v1/contact (lib/lead-submission): signed form token, rate limits, honeypot,
+ * spam scoring, lead storage, routing and notifications. /api/bookings is an alias.
+ */
+
+import { errorResponse, jsonResponse } from '../../../lib/api';
+import {
+  availableSlots,
+  BOOKING_SLOT_MINUTES,
+  bookingInvite,
+  BookingError,
+  localBookingSlot,
+  reserveSlot
+} from '../../../lib/bookings';
+import { describeCallbackSlot, isValidTimeZone } from '../../../lib/callbacks';
+import { validateContact, type ContactField } from '../../../lib/contact-schema';
+import { renderEmail } from '../../../lib/email-templates';
+import { getLeadStore } from '../../../lib/leads';
+import { handleLeadSubmission, type LeadForm } from '../../../lib/lead-submission';
+import { withRequestLog } from '../../../lib/logger';
+
+export const prerender = false;
+
+const BOOKING_FIELDS: ContactField[] = ['service', 'firstName', 'lastName', 'email', 'phone', 'company'];
+const MAX_NOTE_LENGTH = 1000;
+
+interface BookingDetails {
+  slotStart?: string;
+  timeZone?: string;
+}
+
+export const GET = withRequestLog('/api/v1/bookings', async ({ url }) => {
+  const timeZone = url.searchParams.get('timeZone') || 'Asia/Kolkata';
+  if (!isValidTimeZone(timeZone)) {
+    return errorResponse(400, {
+      code: 'validation_failed',
+      message: 'Unknown time zone.',
+      fields: { timeZone: 'Must be an IANA time zone such as America/New_York' }
+    });
+  }
+
+  const slots = await availableSlots();
+  return jsonResponse({
+    success: true,
+    timeZone,
+    slotMinutes: BOOKING_SLOT_MINUTES,
+    slots: slots.map((slot) => localBookingSlot(slot, timeZone))
+  }, 200, { 'Cache-Control': 'no-store' });
+});
+
+const BOOKING_FORM: LeadForm<BookingDetails> = {
+  form: 'booking',
+  label: 'Booking',
+
+  // Same schema as the contact form; we call at the booked time, so the phone number is required
+  parse({ fields }) {
+    const validation = validateContact({ ...fields, contactMethod: 'phone' }, BOOKING_FIELDS);
+    const note = typeof fields.message === 'string' ? fields.message.trim() : '';
+    const errors: Record<string, string> = { ...validation.errors };
+    if (note.length > MAX_NOTE_LENGTH) {
+      errors.message = `Message must be ${MAX_NOTE_LENGTH} characters or fewer`;
+    }
+    const timeZone = isValidTimeZone(fields.timeZone) ? fields.timeZone : undefined;
+    const slotStart = typeof fields.slot === 'string' && !Number.isNaN(Date.parse(fields.slot))
+      ? new Date(fields.slot).toISOString()
+      : undefined;
+    if (!timeZone) {
+      errors.timeZone = 'Please choose your time zone';
+    }
+    if (!slotStart) {
+      errors.slot = 'Please choose a time';
+    }
+
+    return {
+      data: { ...validation.values, message: note, timeline: '', projectSize: '' },
+      errors,
+      details: { slotStart, timeZone }
+    };
+  },
+
+  // Without a note the phone number stands in, as for callbacks
+  spamText: ({ data }) => data.message || `booking ${data.phone}`,
+
+  async save(lead, { details }, { log }) {
+    try {
+      return await reserveSlot(details.slotStart!, (slot) => getLeadStore().saveLead({
+        ...lead,
+        booking: { ...slot, timeZone: details.timeZone! }
+      }));
+    } catch (error) {
+      if (!(error instanceof BookingError)) throw error;
+      // The form token is released so the visitor can pick another time
+      log.info('Slot unavailable', { slot: details.slotStart });
+      return errorResponse(409, { code: 'slot_unavailable', message: error.message, fields: { slot: error.message } });
+    }
+  },
+
+  emails(lead, statusUrl) {
+    return {
+      notification: renderEmail('booking-notification', { lead }),
+      confirmation: renderEmail('booking-confirmation', { lead, statusUrl }),
+      attachments: [bookingInvite(lead)]
+    };
+  },
+
+  respond(lead) {
+    const when = describeCallbackSlot(lead.booking!, lead.booking!.timeZone);
+    return {
+      message: `Thank you! Your consultation is booked for ${when}. We've emailed you a calendar invite.`,
+      booking: { ...lead.booking!, description: when }
+    };
+  },
+
+  logFields: (lead) => ({ slot: lead.booking!.from })
+};
+
+export const POST = withRequestLog('/api/v1/bookings', (context, log) => handleLeadSubmission(context, log, BOOKING_FORM));
@@ -0,0 +1,105 @@
+/*
+ * Callback Request API Endpoint (v1)
+ * Last Updated: 2026-10-19 09:15:49 IST
+ *
+ * POST - a visitor asks to be phoned back. Body (JSON or form fields):
+ *   { "service", "firstName", "lastName", "email", "phone", "message"?,
+ *     "window": "asap|early|morning|afternoon|evening", "timeZone": "America/New_York", "formToken" }
+ *
+ * The window is in the visitor's time zone; the first slot where it overlaps IST
+ * business hours is stored with the lead and returned for the confirmation.
+ * Everything else is the pipeline shared with /api/v1/contact (lib/lead-submission):
+ * signed form token, rate limits, honeypot, spam scoring, lead storage, routing
+ * and notifications. /api/callback is an alias.
+ */
+
+import {
+  describeBusinessHours,
+  describeCallbackSlot,
+  findCallbackSlot,
+  isCallbackWindow,
+  isValidTimeZone,
+  type CallbackSlot,
+  type CallbackWindow
+} from '../../../lib/callbacks';
+import { validateContact, type ContactField } from '../../../lib/contact-schema';
+import { renderEmail } from '../../../lib/email-templates';
+import { getLeadStore } from '../../../lib/leads';
+import { handleLeadSubmission, type LeadForm } from '../../../lib/lead-submission';
+import { withRequestLog } from '../../../lib/logger';
+
+export const prerender = false;
+
+const CALLBACK_FIELDS: ContactField[] = ['service', 'firstName', 'lastName', 'email', 'phone'];
+const MAX_NOTE_LENGTH = 1000;
+
+interface CallbackDetails {
+  window?: CallbackWindow;
+  timeZone?: string;
+  slot?: CallbackSlot;
+}
+
+const CALLBACK_FORM: LeadForm<CallbackDetails> = {
+  form: 'callback',
+  label: 'Callback',
+
+  // Same schema as the contact form; asking for a call makes the phone number required
+  parse({ fields }) {
+    const validation = validateContact({ ...fields, contactMethod: 'phone' }, CALLBACK_FIELDS);
+    const note = typeof fields.message === 'string' ? fields.message.trim() : '';
+    const errors: Record<string, string> = { ...validation.errors };
+    if (note.length > MAX_NOTE_LENGTH) {
+      errors.message = `Message must be ${MAX_NOTE_LENGTH} characters or fewer`;
+    }
+    const timeZone = isValidTimeZone(fields.timeZone) ? fields.timeZone : undefined;
+    const window = isCallbackWindow(fields.window) ? fields.window : undefined;
+    if (!timeZone) {
+      errors.timeZone = 'Please choose your time zone';
+    }
+    if (!window) {
+      errors.window = 'Please choose when we should call';
+    }
+
+    let slot: CallbackSlot | undefined;
+    if (Object.keys(errors).length === 0) {
+      slot = findCallbackSlot(window, timeZone);
+      if (!slot) {
+        errors.window = `Our team is available ${describeBusinessHours(timeZone)}. Please choose a window that overlaps, or ask for an email instead.`;
+      }
+    }
+
+    return {
+      data: { ...validation.values, message: note, company: '', timeline: '', projectSize: '' },
+      errors,
+      details: { window, timeZone, slot }
+    };
+  },
+
+  // The note is the only free text; without one the phone number stands in, so
+  // different visitors leaving no note are not flagged as duplicates of each other
+  spamText: ({ data }) => data.message || `callback ${data.phone}`,
+
+  save(lead, { details }) {
+    return getLeadStore().saveLead({ ...lead, callback: { window: details.window!, timeZone: details.timeZone!, ...details.slot! } });
+  },
+
+  emails(lead, statusUrl) {
+    return {
+      notification: renderEmail('callback-notification', { lead }),
+      confirmation: renderEmail('callback-confirmation', { lead, statusUrl })
+    };
+  },
+
+  respond(lead) {
+    const { window, timeZone, ...slot } = lead.callback!;
+    const when = describeCallbackSlot(slot, timeZone);
+    return {
+      message: `Thank you! We'll call you on ${lead.data.phone}, ${when}.`,
+      callback: { ...slot, timeZone, description: when }
+    };
+  },
+
+  logFields: (lead) => ({ callAt: lead.callback!.from })
+};
+
+export const POST = withRequestLog('/api/v1/callback', (context, log) => handleLeadSubmission(context, log, CALLBACK_FORM));
@@ -0,0 +1,135 @@
+/*
+ * Contact Form API Endpoint (v1)
+ * Last Updated: 2026-10-19 07:27:47 IST
+ *
+ * Handles contact form submissions with:
+ * - JSON or multipart bodies; JSON attachments are references from /api/v1/uploads
+ * - Email notifications and customer auto-reply, rendered from lib/email-templates
+ * - File uploads checked by content and stored behind signed links
+ * - Form validation against the shared contact schema
+ * - Optional newsletter sign-up (newsletterOptIn), confirmed by email (lib/newsletter)
+ *
+ * Form token, rate limits, honeypot, spam scoring, Idempotency-Key, lead storage,
+ * routing and notifications are the shared pipeline in lib/lead-submission.
+ *
+ * Errors use the shared envelope from lib/api; /api/contact is an alias of this route.
+ * Every request is logged by lib/logger with its outcome and an X-Request-ID header.
+ */
+
+import { errorResponse, isTicked } from '../../../lib/api';
+import {
+  AttachmentError,
+  checkUpload,
+  getAttachmentInfo,
+  signedAttachmentUrl,
+  storeAttachment,
+  type AttachmentCheck,
+  type StoredAttachment
+} from '../../../lib/attachments';
+import { validateContact } from '../../../lib/contact-schema';
+import { renderEmail } from '../../../lib/email-templates';
+import { enquiryStatusView } from '../../../lib/enquiry-status';
+import { getLeadStore } from '../../../lib/leads';
+import { handleLeadSubmission, type LeadForm } from '../../../lib/lead-submission';
+import { withRequestLog } from '../../../lib/logger';
+import { subscribeToNewsletter } from '../../../lib/newsletter';
+
+export const prerender = false;
+
+interface ContactDetails {
+  attachmentFile?: File;
+  attachmentId?: string;
+  newsletterOptIn: boolean;
+  /** Set by `check`: a new upload, or the one referenced by attachmentId */
+  upload?: { buffer: Buffer; check: AttachmentCheck };
+  stored?: StoredAttachment;
+  /** Set by `save` once the file is stored */
+  attachmentUrl?: string;
+}
+
+function attachmentErrorResponse(code: 'attachment_rejected' | 'attachment_not_found', message: string): Response {
+  return errorResponse(400, { code, message, fields: { attachment: message } });
+}
+
+const CONTACT_FORM: LeadForm<ContactDetails> = {
+  form: 'contact',
+  label: 'Lead',
+
+  // Same rules the wizard applies step by step in the browser
+  parse({ fields, files }) {
+    const validation = validateContact(fields);
+    const attachmentFile = files.attachment;
+    return {
+      data: {
+        ...validation.values,
+        attachment: attachmentFile && { name: attachmentFile.name, size: attachmentFile.size, type: attachmentFile.type }
+      },
+      errors: validation.errors,
+      details: {
+        attachmentFile,
+        attachmentId: typeof fields.attachmentId === 'string' ? fields.attachmentId : undefined,
+        newsletterOptIn: isTicked(fields.newsletterOptIn)
+      }
+    };
+  },
+
+  // File validation by content, not by the browser-supplied name or MIME type.
+  // JSON submissions reference a file already checked and stored by /api/v1/uploads.
+  async check({ details }) {
+    if (details.attachmentFile) {
+      try {
+        details.upload = await checkUpload(details.attachmentFile);
+      } catch (error) {
+        if (error instanceof AttachmentError) {
+          return attachmentErrorResponse('attachment_rejected', error.message);
+        }
+        throw error;
+      }
+    } else if (details.attachmentId) {
+      details.stored = await getAttachmentInfo(details.attachmentId);
+      if (!details.stored) {
+        return attachmentErrorResponse('attachment_not_found', 'The referenced upload does not exist. Please upload the file again.');
+      }
+    }
+    return undefined;
+  },
+
+  async save(lead, { details }, { origin }) {
+    if (details.upload) {
+      details.stored = await storeAttachment(details.upload.buffer, details.attachmentFile!.name, details.upload.check);
+    }
+    const { stored } = details;
+    if (stored) {
+      details.attachmentUrl = signedAttachmentUrl(stored.id, origin);
+    }
+    return getLeadStore().saveLead({
+      ...lead,
+      data: { ...lead.data, attachment: stored && { id: stored.id, name: stored.name, size: stored.size, type: stored.type } }
+    });
+  },
+
+  // Per-service template variants are picked automatically (e.g. healthcare HIPAA/BAA steps)
+  emails(lead, statusUrl, { details }) {
+    return {
+      notification: renderEmail('lead-notification', { lead, attachmentUrl: details.attachmentUrl }, lead.data.service),
+      confirmation: renderEmail('auto-reply', {
+        lead,
+        statusUrl,
+        respondBy: enquiryStatusView(lead).respondBy
+      }, lead.data.service),
+      attachmentUrl: details.attachmentUrl
+    };
+  },
+
+  respond() {
+    return { message: 'Your message has been sent successfully. We\'ll get back to you within 24 hours.' };
+  },
+
+  async accepted(lead, { details }, { origin, log }) {
+    if (details.newsletterOptIn) {
+      await subscribeToNewsletter({ email: lead.data.email, source: 'contact', meta: lead.meta }, origin, log);
+    }
+  }
+};
+
+export const POST = withRequestLog('/api/v1/contact', (context, log) => handleLeadSubmission(context, log, CONTACT_FORM));
@@ -0,0 +1,123 @@
+/*
+ * Resource Download API Endpoint (v1)
+ * Last Updated: 2026-10-19 07:18:45 IST
+ *
+ * POST - a visitor gives their email to download a guide from /resources. Body
+ * (JSON or form fields):
+ *   { "resourceId", "email", "company"?, "newsletterOptIn"?: true, "formToken" }
+ *
+ * Records the download against the resource (lib/resources) and returns the
+ * file URL. Only a ticked newsletterOptIn starts a newsletter sign-up, which the
+ * visitor still has to confirm by email (lib/newsletter). Protected like the
+ * contact form by a signed form token, honeypot and rate limits.
+ * /api/downloads is an alias.
+ */
+
+import { bodyErrorResponse, errorResponse, isTicked, jsonResponse, readRequestBody } from '../../../lib/api';
+import { validateContact } from '../../../lib/contact-schema';
+import {
+  FormTokenError,
+  formTokenErrorResponse,
+  issueFormToken,
+  releaseFormToken,
+  verifyFormToken,
+  type VerifiedFormToken
+} from '../../../lib/form-tokens';
+import { getLeadStore, type LeadMeta } from '../../../lib/leads';
+import { withRequestLog } from '../../../lib/logger';
+import { subscribeToNewsletter } from '../../../lib/newsletter';
+import { downloadRateLimiter, rateLimitedResponse, rateLimitHeaders, submissionKeys } from '../../../lib/rate-limit';
+import { getResource } from '../../../lib/resources';
+import { leadCountry } from '../../../lib/routing';
+
+export const prerender = false;
+
+export const POST = withRequestLog('/api/v1/downloads', async ({ request, clientAddress }, log) => {
+  const clientIP = clientAddress || 'unknown';
+  const requestMeta: LeadMeta = { ip: clientIP, userAgent: request.headers.get('user-agent') || undefined };
+
+  const ipRateLimit = await downloadRateLimiter.check({ ip: clientIP });
+  if (!ipRateLimit.allowed) {
+    return rateLimitedResponse(ipRateLimit);
+  }
+
+  let fields: Record<string, unknown>;
+  try {
+    ({ fields } = await readRequestBody(request));
+  } catch (error) {
+    return bodyErrorResponse(error);
+  }
+
+  const validation = validateContact(fields, ['email', 'company']);
+  const { email, company } = validation.values;
+  const resource = getResource(fields.resourceId);
+  const newsletterOptIn = isTicked(fields.newsletterOptIn);
+  const honeypot = typeof fields.website === 'string' ? fields.website : '';
+  requestMeta.country = leadCountry(request);
+
+  let formToken: VerifiedFormToken;
+  try {
+    formToken = await verifyFormToken(typeof fields.formToken === 'string' ? fields.formToken : null, 'download');
+  } catch (error) {
+    if (!(error instanceof FormTokenError)) throw error;
+    log.info('Form token rejected', { problem: error.problem });
+    return formTokenErrorResponse(error, 'download');
+  }
+
+  const rateLimitKeys = submissionKeys(clientIP, email);
+  const rateLimit = await downloadRateLimiter.check(rateLimitKeys);
+  if (!rateLimit.allowed) {
+    await releaseFormToken(formToken);
+    return rateLimitedResponse(rateLimit);
+  }
+
+  const downloadUrl = resource && new URL(resource.downloadUrl, request.url).href;
+
+  // Bots get the public file as usual, but are not recorded as download leads
+  if (honeypot) {
+    log.outcome = 'spam';
+    log.info('Spam dropped', { reason: 'honeypot', email });
+    await getLeadStore().saveSpam({ reason: 'honeypot', detail: honeypot, data: { email, company, website: honeypot }, meta: requestMeta });
+    return jsonResponse({ success: true, downloadUrl });
+  }
+
+  const errors: Record<string, string> = { ...validation.errors };
+  if (!resource) {
+    errors.resourceId = 'Please choose a resource to download';
+  }
+  if (Object.keys(errors).length > 0) {
+    log.info('Validation failed', { fields: Object.keys(errors) });
+    await releaseFormToken(formToken);
+    return errorResponse(400, {
+      code: 'validation_failed',
+      message: 'Please correct the highlighted fields.',
+      fields: errors
+    });
+  }
+
+  const rateLimitState = await downloadRateLimiter.consume(rateLimitKeys);
+
+  const download = await getLeadStore().saveDownload({
+    resourceId: resource!.id,
+    email,
+    company,
+    newsletterOptIn,
+    meta: requestMeta
+  });
+
+  log.info('Download recorded', { id: download.id, resourceId: download.resourceId, newsletterOptIn });
+
+  if (newsletterOptIn) {
+    await subscribeToNewsletter({ email, source: 'download', resourceId: resource!.id, meta: requestMeta }, new URL(request.url).origin, log);
+  }
+
+  return jsonResponse({
+    success: true,
+    message: newsletterOptIn
+      ? `Your download of "${resource!.title}" is starting. Please check your inbox to confirm your newsletter subscription.`
+      : `Your download of "${resource!.title}" is starting.`,
+    resource: { id: resource!.id, title: resource!.title },
+    downloadUrl,
+    formToken: issueFormToken('download')
+  }, 200, rateLimitHeaders(rateLimitState));
+});
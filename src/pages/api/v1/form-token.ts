@@ -0,0 +1,30 @@
+/*
+ * Form Token Endpoint (v1)
+ * Last Updated: 2026-10-19 06:35:01 IST
+ *
+ * Issues the same signed form token the pages embed, for JSON clients such as
+ * the chat widget: GET /api/v1/form-token?form=contact
+ *
+ * No CORS headers are sent, so other origins cannot read the token.
+ */
+
+import { errorResponse, jsonResponse } from '../../../lib/api';
+import { issueFormToken, type FormName } from '../../../lib/form-tokens';
+import { withRequestLog } from '../../../lib/logger';
+
+export const prerender = false;
+
+const FORMS: FormName[] = ['contact', 'callback', 'download', 'booking'];
+
+export const GET = withRequestLog('/api/v1/form-token', async ({ url }) => {
+  const form = (url.searchParams.get('form') || 'contact') as FormName;
+  if (!FORMS.includes(form)) {
+    return errorResponse(400, {
+      code: 'validation_failed',
+      message: 'Unknown form.',
+      fields: { form: `Must be one of: ${FORMS.join(', ')}` }
+    });
+  }
+
+  return jsonResponse({ success: true, formToken: issueFormToken(form) }, 200, { 'Cache-Control': 'no-store' });
+});
@@ -0,0 +1,80 @@
+/*
+ * Newsletter Subscribe API Endpoint (v1)
+ * Last Updated: 2026-10-19 06:35:01 IST
+ *
+ * POST - starts a double opt-in newsletter sign-up. Body (JSON or form fields):
+ *   { "email", "source": "footer|resources|contact|download" }
+ *
+ * Nothing is sent but a confirmation email until its signed link is clicked
+ * (lib/newsletter), which is what makes an unauthenticated sign-up form safe.
+ * The reply is the same whether or not the address is already subscribed.
+ * Protected by a honeypot and rate limits per IP and address. /api/newsletter
+ * is an alias.
+ */
+
+import { bodyErrorResponse, errorResponse, jsonResponse, readRequestBody } from '../../../../lib/api';
+import { validateContact } from '../../../../lib/contact-schema';
+import type { LeadMeta } from '../../../../lib/leads';
+import { withRequestLog } from '../../../../lib/logger';
+import { isNewsletterSource, NEWSLETTER_SOURCES, subscribeToNewsletter } from '../../../../lib/newsletter';
+import { newsletterRateLimiter, rateLimitedResponse, rateLimitHeaders } from '../../../../lib/rate-limit';
+import { leadCountry } from '../../../../lib/routing';
+
+export const prerender = false;
+
+const CHECK_INBOX = 'Thank you! Please check your inbox and click the link to confirm your subscription.';
+
+export const POST = withRequestLog('/api/v1/newsletter', async ({ request, clientAddress }, log) => {
+  const clientIP = clientAddress || 'unknown';
+  const requestMeta: LeadMeta = {
+    ip: clientIP,
+    userAgent: request.headers.get('user-agent') || undefined,
+    country: leadCountry(request)
+  };
+
+  const ipRateLimit = await newsletterRateLimiter.check({ ip: clientIP });
+  if (!ipRateLimit.allowed) {
+    return rateLimitedResponse(ipRateLimit);
+  }
+
+  let fields: Record<string, unknown>;
+  try {
+    ({ fields } = await readRequestBody(request));
+  } catch (error) {
+    return bodyErrorResponse(error);
+  }
+
+  const validation = validateContact(fields, ['email']);
+  const { email } = validation.values;
+  const source = isNewsletterSource(fields.source) ? fields.source : undefined;
+
+  if (typeof fields.website === 'string' && fields.website) {
+    log.outcome = 'spam';
+    log.info('Spam dropped', { reason: 'honeypot', email });
+    return jsonResponse({ success: true, message: CHECK_INBOX });
+  }
+
+  const errors: Record<string, string> = { ...validation.errors };
+  if (!source) {
+    errors.source = `Must be one of: ${NEWSLETTER_SOURCES.join(', ')}`;
+  }
+  if (Object.keys(errors).length > 0) {
+    log.info('Validation failed', { fields: Object.keys(errors) });
+    return errorResponse(400, {
+      code: 'validation_failed',
+      message: 'Please enter a valid email address.',
+      fields: errors
+    });
+  }
+
+  const rateLimitKeys = { ip: clientIP, email: email.toLowerCase() };
+  const rateLimit = await newsletterRateLimiter.check(rateLimitKeys);
+  if (!rateLimit.allowed) {
+    return rateLimitedResponse(rateLimit);
+  }
+  const rateLimitState = await newsletterRateLimiter.consume(rateLimitKeys);
+
+  await subscribeToNewsletter({ email, source: source!, meta: requestMeta }, new URL(request.url).origin, log);
+
+  return jsonResponse({ success: true, message: CHECK_INBOX }, 200, rateLimitHeaders(rateLimitState));
+});
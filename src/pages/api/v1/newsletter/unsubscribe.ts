@@ -0,0 +1,26 @@
+/*
+ * Newsletter One-Click Unsubscribe Endpoint (v1)
+ * Last Updated: 2026-10-19 06:35:01 IST
+ *
+ * POST /api/v1/newsletter/unsubscribe?id=...&token=... - the RFC 8058 target of
+ * the List-Unsubscribe-Post header, so mail clients can unsubscribe without
+ * opening a page. The same signed parameters as the /newsletter/unsubscribe
+ * link; the request body is ignored.
+ */
+
+import { errorResponse, jsonResponse } from '../../../../lib/api';
+import { withRequestLog } from '../../../../lib/logger';
+import { NewsletterLinkError, unsubscribe } from '../../../../lib/newsletter';
+
+export const prerender = false;
+
+export const POST = withRequestLog('/api/v1/newsletter/unsubscribe', async ({ url }, log) => {
+  try {
+    const subscriber = await unsubscribe(url.searchParams);
+    log.info('Newsletter unsubscribed', { id: subscriber.id });
+    return jsonResponse({ success: true, message: 'You have been unsubscribed.' });
+  } catch (error) {
+    if (!(error instanceof NewsletterLinkError)) throw error;
+    return errorResponse(403, { code: 'link_expired', message: error.message });
+  }
+});
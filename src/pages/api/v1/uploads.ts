@@ -0,0 +1,58 @@
+/*
+ * Attachment Upload Endpoint (v1)
+ * Last Updated: 2026-10-19 06:35:01 IST
+ *
+ * JSON clients cannot send files inline, so they upload the attachment here
+ * first (multipart, field "file") and pass the returned id as `attachmentId`
+ * in the /api/v1/contact body. Files get the same content checks as the form.
+ */
+
+import { bodyErrorResponse, errorResponse, jsonResponse, readRequestBody } from '../../../lib/api';
+import { AttachmentError, checkUpload, storeAttachment } from '../../../lib/attachments';
+import { rateLimitedResponse, uploadRateLimiter } from '../../../lib/rate-limit';
+import { withRequestLog } from '../../../lib/logger';
+
+export const prerender = false;
+
+export const POST = withRequestLog('/api/v1/uploads', async ({ request, clientAddress }, log) => {
+  const clientIP = clientAddress || 'unknown';
+  const rateLimit = await uploadRateLimiter.check({ ip: clientIP });
+  if (!rateLimit.allowed) {
+    return rateLimitedResponse(rateLimit);
+  }
+
+  let file: File | undefined;
+  try {
+    ({ files: { file } } = await readRequestBody(request));
+  } catch (error) {
+    return bodyErrorResponse(error);
+  }
+
+  if (!file) {
+    return errorResponse(400, {
+      code: 'validation_failed',
+      message: 'Please choose a file to upload.',
+      fields: { file: 'Please choose a file to upload.' }
+    });
+  }
+
+  let upload: Awaited<ReturnType<typeof checkUpload>>;
+  try {
+    upload = await checkUpload(file);
+  } catch (error) {
+    if (error instanceof AttachmentError) {
+      log.info('Upload rejected', { reason: error.message, type: file.type, size: file.size });
+      return errorResponse(400, { code: 'attachment_rejected', message: error.message, fields: { file: error.message } });
+    }
+    throw error;
+  }
+
+  await uploadRateLimiter.consume({ ip: clientIP });
+  const stored = await storeAttachment(upload.buffer, file.name, upload.check);
+  log.info('Upload stored', { attachmentId: stored.id, type: stored.type, size: stored.size });
+
+  return jsonResponse({
+    success: true,
+    upload: { id: stored.id, name: stored.name, size: stored.size, type: stored.type }
+  }, 201);
+});
@@ -0,0 +1,43 @@
+/*
+ * Webhook Dead-Letter API
+ * Last Updated: 2026-10-19 08:32:07 IST
+ *
+ * GET  - list webhook payloads that could not be delivered
+ * POST - replay them; body { "ids": [...] } limits the replay to specific entries
+ *
+ * Requires "Authorization: Bearer <ADMIN_API_TOKEN>" or a staff session.
+ */
+
+import { jsonResponse } from '../../../lib/api';
+import { isAdminRequest, unauthorizedResponse } from '../../../lib/auth';
+import { listDeadLetters, replayDeadLetters } from '../../../lib/webhooks';
+import { withRequestLog } from '../../../lib/logger';
+
+export const prerender = false;
+
+export const GET = withRequestLog('/api/webhooks/dead-letters', async ({ request }) => {
+  if (!isAdminRequest(request)) return unauthorizedResponse();
+
+  const deadLetters = await listDeadLetters();
+  return jsonResponse({ success: true, deadLetters });
+});
+
+export const POST = withRequestLog('/api/webhooks/dead-letters', async ({ request }, log) => {
+  if (!isAdminRequest(request)) return unauthorizedResponse();
+
+  let ids: string[] | undefined;
+  if (request.headers.get('content-type')?.includes('application/json')) {
+    const body = await request.json().catch(() => ({}));
+    ids = Array.isArray(body.ids) ? body.ids.map(String) : undefined;
+  }
+
+  const results = await replayDeadLetters(ids);
+  const delivered = results.filter(({ result }) => result.delivered).length;
+  log.info('Dead letters replayed', { replayed: results.length, delivered });
+  return jsonResponse({
+    success: true,
+    replayed: results.length,
+    delivered,
+    results
+  });
+});
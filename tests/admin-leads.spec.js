@@ -0,0 +1,98 @@
+// Admin Leads Dashboard Test
+// Last Updated: 2026-10-19 06:03:26 IST
+//
+// /admin/leads lists and filters leads, each lead page moves it through the
+// status workflow (new → contacted → qualified → won/lost) with staff notes,
+// and /admin/leads/export.csv downloads the filtered view for spreadsheets.
+// Requests use the admin token, which works wherever a staff session does.
+
+import { test, expect } from '@playwright/test';
+import { fetchFormToken, waitForTimeTrap } from './support/form-token.js';
+
+const admin = { Authorization: 'Bearer test-admin-token' };
+
+test.describe('Admin leads dashboard', () => {
+  let lead;
+
+  test.beforeAll(async ({ request }, testInfo) => {
+    test.skip(testInfo.project.name !== 'chromium', 'API test runs once');
+
+    const email = `admin-${Date.now()}@example.com`;
+    const formToken = await fetchFormToken(request);
+    await waitForTimeTrap();
+    const submitted = await (await request.post('/api/v1/contact', {
+      data: {
+        service: 'software-testing',
+        message: `=HYPERLINK("http://evil.example","Open") load testing for our claims portal (${email})`,
+        firstName: 'Kavya',
+        lastName: 'Rao',
+        contactMethod: 'phone',
+        phone: '+1 (415) 555-0134',
+        email,
+        formToken
+      }
+    })).json();
+    expect(submitted.reference).toMatch(/^EE-/);
+
+    const exported = await (await request.post('/api/privacy/export', { headers: admin, data: { email } })).json();
+    lead = exported.leads[0];
+  });
+
+  test('lists and filters leads for staff only', async ({ request }) => {
+    const anonymous = await request.get('/admin/leads', { maxRedirects: 0 });
+    expect(anonymous.status()).toBe(302);
+    expect(anonymous.headers().location).toBe('/admin/login?next=%2Fadmin%2Fleads');
+
+    const list = await (await request.get('/admin/leads?service=software-testing', { headers: admin })).text();
+    expect(list).toContain(`href="/admin/leads/${lead.id}"`);
+    expect(list).toContain(lead.reference);
+
+    const otherService = await (await request.get('/admin/leads?service=ai-workflows', { headers: admin })).text();
+    expect(otherService).not.toContain(lead.reference);
+  });
+
+  test('moves a lead through the status workflow with notes', async ({ request }) => {
+    const page = `/admin/leads/${lead.id}`;
+    const update = (form) => request.post(page, { headers: admin, form, maxRedirects: 0 });
+
+    // Post/redirect/get back to the lead
+    const contacted = await update({ status: 'contacted', note: 'Called, sending a proposal' });
+    expect(contacted.status()).toBe(303);
+    expect(contacted.headers().location).toBe(page);
+
+    // Won only follows qualified
+    const skipped = await update({ status: 'won', note: '' });
+    expect(skipped.status()).toBe(400);
+    expect(await skipped.text()).toContain('A contacted lead cannot be moved to won.');
+
+    expect((await update({ status: 'qualified', note: '' })).status()).toBe(303);
+    const html = await (await request.get(page, { headers: admin })).text();
+    expect(html).toContain('Called, sending a proposal');
+    expect(html).toContain('Status contacted → qualified');
+    expect(html).toContain('<option value="won"');
+
+    const qualified = await (await request.get('/admin/leads?status=qualified', { headers: admin })).text();
+    expect(qualified).toContain(lead.reference);
+    const fresh = await (await request.get('/admin/leads?status=new', { headers: admin })).text();
+    expect(fresh).not.toContain(lead.reference);
+  });
+
+  test('exports the filtered leads as CSV with formulas neutralised', async ({ request }) => {
+    expect((await request.get('/admin/leads/export.csv')).status()).toBe(401);
+
+    const response = await request.get('/admin/leads/export.csv?service=software-testing', { headers: admin });
+    expect(response.status()).toBe(200);
+    expect(response.headers()['content-type']).toBe('text/csv; charset=utf-8');
+    expect(response.headers()['content-disposition']).toMatch(/^attachment; filename="leads-\d{4}-\d{2}-\d{2}\.csv"$/);
+
+    const csv = await response.text();
+    expect(csv.startsWith('\uFEFFReference,Received (UTC),Status,')).toBe(true);
+    const row = csv.split('\r\n').find((line) => line.startsWith(`${lead.reference},`));
+    expect(row).toBeTruthy();
+
+    // The visitor's formula stays text; the phone number stays dialable
+    expect(row).toContain(`"'=HYPERLINK(""http://evil.example"",""Open"") load testing`);
+    expect(row).toContain(',+1 (415) 555-0134,');
+    expect(row).not.toContain("'+1");
+  });
+});
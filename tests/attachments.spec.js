@@ -0,0 +1,98 @@
+// Attachment Validation Test
+// Last Updated: 2026-10-19 08:29:37 IST
+//
+// Uploads are judged by content, not by name or browser MIME type, and archives
+// are inspected before anything is stored. Signed download links are checked in
+// tests/contact-email.spec.js, where the notification email carries one.
+
+import { test, expect } from '@playwright/test';
+import { buildZip } from './support/zip.js';
+
+const MB = 1024 * 1024;
+
+function upload(request, name, buffer, mimeType = 'application/octet-stream') {
+  return request.post('/api/v1/uploads', { multipart: { file: { name, mimeType, buffer } } });
+}
+
+async function expectRejected(response, message) {
+  expect(response.status()).toBe(400);
+  const { error } = await response.json();
+  expect(error.code).toBe('attachment_rejected');
+  expect(error.message).toContain(message);
+}
+
+test.describe('Attachment validation', () => {
+  test.beforeAll(async ({}, testInfo) => {
+    test.skip(testInfo.project.name !== 'chromium', 'API test runs once');
+  });
+
+  test('rejects files whose content does not match their name', async ({ request }) => {
+    // A PDF renamed to .docx, sent with the Word MIME type
+    await expectRejected(
+      await upload(request, 'proposal.docx', Buffer.from('%PDF-1.4\n%%EOF\n'), 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'),
+      'do not match its .docx extension'
+    );
+    // A Windows executable dressed up as a PDF
+    await expectRejected(
+      await upload(request, 'invoice.pdf', Buffer.concat([Buffer.from('MZ'), Buffer.alloc(512)]), 'application/pdf'),
+      'Invalid file type'
+    );
+  });
+
+  test('rejects zip bombs, deep nesting and overlapping entries', async ({ request }) => {
+    // Declared honestly: 50MB of zeros squeezed into a few KB
+    await expectRejected(
+      await upload(request, 'bomb.zip', buildZip([{ name: 'zeros.txt', data: Buffer.alloc(50 * MB), deflate: true }])),
+      'expands to an unsafe size'
+    );
+
+    // Lying about it: the nested archive claims 1KB but inflates past the upload limit
+    const inner = buildZip([{ name: 'zeros.txt', data: Buffer.alloc(12 * MB) }]);
+    await expectRejected(
+      await upload(request, 'liar.zip', buildZip([{ name: 'inner.zip', data: inner, deflate: true, declaredSize: 1024 }])),
+      'too large'
+    );
+
+    // Top-level entries are inflated too, so understating their size does not help
+    await expectRejected(
+      await upload(request, 'liar-text.zip', buildZip([{ name: 'zeros.txt', data: Buffer.alloc(12 * MB), deflate: true, declaredSize: 1024 }])),
+      'too large'
+    );
+    await expectRejected(
+      await upload(request, 'short.zip', buildZip([{ name: 'notes.txt', data: 'site survey notes', deflate: true, declaredSize: 4096 }])),
+      'damaged'
+    );
+
+    // A nested archive whose real size differs from the declared one
+    const small = buildZip([{ name: 'notes.txt', data: 'site survey notes' }]);
+    await expectRejected(
+      await upload(request, 'mismatch.zip', buildZip([{ name: 'inner.zip', data: small, deflate: true, declaredSize: small.length + 10 }])),
+      'damaged'
+    );
+
+    let nested = buildZip([{ name: 'notes.txt', data: 'site survey notes' }]);
+    for (const level of [3, 2, 1]) {
+      nested = buildZip([{ name: `level-${level}.zip`, data: nested, deflate: true }]);
+    }
+    await expectRejected(await upload(request, 'nested.zip', nested), 'too many nested archives');
+
+    await expectRejected(
+      await upload(request, 'overlap.zip', buildZip([
+        { name: 'a.txt', data: 'shared bytes' },
+        { name: 'b.txt', data: 'shared bytes', sameDataAs: 0 }
+      ])),
+      'overlapping files'
+    );
+  });
+
+  test('accepts an ordinary archive with one nested archive', async ({ request }) => {
+    const inner = buildZip([{ name: 'plans/site.txt', data: 'Plot 14, survey grid B' }]);
+    const response = await upload(request, 'survey.zip', buildZip([
+      { name: 'README.txt', data: 'Survey pack', deflate: true },
+      { name: 'plans.zip', data: inner, deflate: true }
+    ]), 'application/zip');
+
+    expect(response.status()).toBe(201);
+    expect((await response.json()).upload.type).toBe('application/zip');
+  });
+});
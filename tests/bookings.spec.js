@@ -0,0 +1,116 @@
+// Consultation Booking Test
+// Last Updated: 2026-10-19 09:07:21 IST
+//
+// The booking dialog lists free 30-minute slots from /api/v1/bookings in the
+// visitor's time zone and reserves one, which is then no longer offered.
+
+import { test, expect } from '@playwright/test';
+import { fetchFormToken, waitForTimeTrap } from './support/form-token.js';
+import { readFileSync } from 'node:fs';
+import { toIcs } from '../src/lib/ics.ts';
+
+const holidays = JSON.parse(readFileSync(new URL('../src/data/holidays.json', import.meta.url), 'utf8'));
+
+const IST_OFFSET_MS = 330 * 60000;
+const BUSINESS_HOURS = [null, [9, 18], [9, 18], [9, 18], [9, 18], [9, 18], [9, 13]];
+
+test.describe('Consultation bookings', () => {
+  test.beforeAll(async ({}, testInfo) => {
+    test.skip(testInfo.project.name !== 'chromium', 'API test runs once');
+  });
+
+  test('offers 30-minute slots inside IST business hours, skipping holidays', async ({ request }) => {
+    const response = await request.get('/api/v1/bookings?timeZone=America/New_York');
+    expect(response.status()).toBe(200);
+    const { timeZone, slots } = await response.json();
+    expect(timeZone).toBe('America/New_York');
+    expect(slots.length).toBeGreaterThan(0);
+
+    const holidayDates = new Set(holidays.map(({ date }) => date));
+    for (const slot of slots) {
+      expect(Date.parse(slot.to) - Date.parse(slot.from)).toBe(30 * 60000);
+      const ist = new Date(Date.parse(slot.from) + IST_OFFSET_MS);
+      const hours = BUSINESS_HOURS[ist.getUTCDay()];
+      const hour = ist.getUTCHours() + ist.getUTCMinutes() / 60;
+      expect(hours && hour >= hours[0] && hour + 0.5 <= hours[1]).toBeTruthy();
+      expect(holidayDates.has(ist.toISOString().slice(0, 10))).toBe(false);
+      // Labelled in the visitor's zone, not IST
+      expect(slot.date).toBe(new Date(slot.from).toLocaleDateString('en-CA', { timeZone: 'America/New_York' }));
+    }
+
+    const invalid = await request.get('/api/bookings?timeZone=Mars/Olympus_Mons');
+    expect(invalid.status()).toBe(400);
+  });
+
+  test('reserves a slot once and stops offering it', async ({ request }) => {
+    const { slots } = await (await request.get('/api/v1/bookings?timeZone=Europe/London')).json();
+    const slot = slots[Math.floor(Math.random() * slots.length)];
+    const booking = (formToken, overrides = {}) => ({
+      service: 'geospatial',
+      firstName: 'Priya',
+      lastName: 'Raman',
+      email: `booking-${Date.now()}@example.com`,
+      phone: '+44 20 7946 0958',
+      company: 'Harbour Surveys',
+      slot: slot.from,
+      timeZone: 'Europe/London',
+      formToken,
+      ...overrides
+    });
+
+    const formToken = await fetchFormToken(request, '/contact', 'booking');
+    await waitForTimeTrap();
+    const response = await request.post('/api/bookings', { form: booking(formToken) });
+    expect(response.status()).toBe(200);
+    const result = await response.json();
+    expect(result.reference).toBeTruthy();
+    expect(result.booking).toMatchObject({ from: slot.from, to: slot.to, timeZone: 'Europe/London' });
+
+    const after = await (await request.get('/api/v1/bookings?timeZone=Europe/London')).json();
+    expect(after.slots.map(({ from }) => from)).not.toContain(slot.from);
+
+    // Someone else asking for the same time
+    await waitForTimeTrap();
+    const again = await request.post('/api/v1/bookings', {
+      form: booking(result.formToken, { firstName: 'Tom', lastName: 'Okafor', phone: '+44 161 496 0731', company: '' })
+    });
+    expect(again.status()).toBe(409);
+    expect((await again.json()).error.code).toBe('slot_unavailable');
+  });
+
+  test('refuses names with line breaks, which could add properties to the invite', async ({ request }) => {
+    const { slots } = await (await request.get('/api/v1/bookings?timeZone=Asia/Kolkata')).json();
+    const formToken = await fetchFormToken(request, '/contact', 'booking');
+    await waitForTimeTrap();
+    const response = await request.post('/api/v1/bookings', {
+      data: {
+        service: 'geospatial',
+        firstName: 'Priya\r\nATTENDEE;CN=Intruder:mailto:intruder@example.net',
+        lastName: 'Raman',
+        email: `injection-${Date.now()}@example.com`,
+        phone: '+91 98765 43210',
+        slot: slots[0].from,
+        timeZone: 'Asia/Kolkata',
+        formToken
+      }
+    });
+    expect(response.status()).toBe(400);
+    const { error } = await response.json();
+    expect(error.code).toBe('validation_failed');
+    expect(error.fields.firstName).toBe('First name must be on one line');
+
+    // The invite writer does not rely on validation either
+    const ics = toIcs({
+      uid: 'injection@eexperts.info',
+      start: new Date('2026-10-21T04:00:00Z'),
+      end: new Date('2026-10-21T04:30:00Z'),
+      summary: 'Consultation',
+      organizer: { name: 'eExperts', email: 'contact@eexperts.info' },
+      attendees: [{ name: 'Priya\r\nATTENDEE:mailto:intruder@example.net', email: 'priya@example.com' }]
+    });
+    const lines = ics.replace(/\r\n /g, '').split('\r\n');
+    expect(lines.filter((line) => line.startsWith('ATTENDEE'))).toEqual([
+      'ATTENDEE;CN="Priya ATTENDEE:mailto:intruder@example.net";ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:priya@example.com'
+    ]);
+  });
+});
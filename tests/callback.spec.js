@@ -0,0 +1,89 @@
+// Callback Request Test
+// Last Updated: 2026-10-19 09:15:49 IST
+//
+// The callback dialog posts to /api/v1/callback, which stores the request as a
+// lead with the first slot where the visitor's window meets IST business hours.
+
+import { test, expect } from '@playwright/test';
+import { fetchFormToken, waitForTimeTrap } from './support/form-token.js';
+import { readFileSync } from 'node:fs';
+
+const holidays = JSON.parse(readFileSync(new URL('../src/data/holidays.json', import.meta.url), 'utf8'));
+
+test.describe('Callback requests', () => {
+  test.beforeAll(async ({}, testInfo) => {
+    test.skip(testInfo.project.name !== 'chromium', 'API test runs once');
+  });
+
+  function callbackRequest(formToken, overrides = {}) {
+    return {
+      service: 'software-testing',
+      firstName: 'Dana',
+      lastName: 'Whitfield',
+      email: `callback-${Date.now()}@example.com`,
+      phone: '+1 415 555 0134',
+      window: 'asap',
+      timeZone: 'America/New_York',
+      formToken,
+      ...overrides
+    };
+  }
+
+  test('books the first slot inside business hours and confirms it in local time', async ({ request }) => {
+    const formToken = await fetchFormToken(request, '/contact', 'callback');
+    await waitForTimeTrap();
+
+    const response = await request.post('/api/callback', { data: callbackRequest(formToken) });
+    expect(response.status()).toBe(200);
+    const result = await response.json();
+
+    expect(result.success).toBe(true);
+    expect(result.reference).toMatch(/^EE-\d{6}-[0-9A-Z]{6}$/);
+    expect(result.callback.timeZone).toBe('America/New_York');
+    expect(result.message).toContain('your time');
+    expect(result.message).toContain('IST');
+
+    // 9:00–18:00 IST on weekdays, 9:00–13:00 on Saturdays, never Sunday or a holiday
+    const from = new Date(new Date(result.callback.from).getTime() + 330 * 60000);
+    const to = new Date(new Date(result.callback.to).getTime() + 330 * 60000);
+    expect(from.getUTCDay()).not.toBe(0);
+    expect(holidays.map(({ date }) => date)).not.toContain(from.toISOString().slice(0, 10));
+    expect(from.getUTCHours()).toBeGreaterThanOrEqual(9);
+    expect(to.getUTCHours() + to.getUTCMinutes() / 60).toBeLessThanOrEqual(from.getUTCDay() === 6 ? 13 : 18);
+    expect(new Date(result.callback.from).getTime()).toBeGreaterThan(Date.now() + 29 * 60000);
+
+    const status = new URL(result.statusUrl);
+    const html = await (await request.get(status.pathname + status.search)).text();
+    expect(html).toMatch(/id="enquiry-contact-method"[^>]*>Phone</);
+    expect(html).toContain('We will call you from');
+  });
+
+  test('explains our hours when the window never overlaps them', async ({ request }) => {
+    const formToken = await fetchFormToken(request, '/contact', 'callback');
+    await waitForTimeTrap();
+
+    // 9am–12pm in Hawaii is after midnight in India; no daylight saving keeps the hours fixed
+    const response = await request.post('/api/v1/callback', {
+      data: callbackRequest(formToken, { window: 'morning', timeZone: 'Pacific/Honolulu' })
+    });
+    expect(response.status()).toBe(400);
+    const result = await response.json();
+    expect(result.error.code).toBe('validation_failed');
+    // Every day in BUSINESS_HOURS is named, in the visitor's time and in IST
+    expect(result.error.fields.window).toContain(
+      'Monday to Friday 5:30 pm – 2:30 am and Saturday 5:30 pm – 9:30 pm your time (Monday to Friday 9:00 am – 6:00 pm and Saturday 9:00 am – 1:00 pm IST)'
+    );
+  });
+
+  test('requires a valid phone number and time zone', async ({ request }) => {
+    const formToken = await fetchFormToken(request, '/contact', 'callback');
+    await waitForTimeTrap();
+
+    const response = await request.post('/api/v1/callback', {
+      data: callbackRequest(formToken, { phone: '', timeZone: 'Mars/Olympus_Mons' })
+    });
+    expect(response.status()).toBe(400);
+    const { error } = await response.json();
+    expect(Object.keys(error.fields).sort()).toEqual(['phone', 'timeZone']);
+  });
+});
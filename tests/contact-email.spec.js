@@ -0,0 +1,133 @@
+// Contact Form Email Delivery Test
+// Last Updated: 2026-10-19 07:13:01 IST
+//
+// Runs against the dev server started by playwright.config.js, which points
+// the SMTP mail transport at the local catcher below.
+
+import { test, expect } from '@playwright/test';
+import { startSmtpCatcher } from './support/smtp-catcher.js';
+import { fetchFormToken, waitForTimeTrap } from './support/form-token.js';
+
+test.describe('Contact form email delivery', () => {
+  let catcher;
+
+  test.beforeAll(async ({}, testInfo) => {
+    // API-only checks: one browser project is enough, and the catcher port is fixed
+    test.skip(testInfo.project.name !== 'chromium', 'API test runs once');
+    catcher = await startSmtpCatcher();
+  });
+
+  test.afterAll(async () => {
+    await catcher?.close();
+  });
+
+  test('sends the internal notification and the customer auto-reply', async ({ request }) => {
+    const email = `visitor-${Date.now()}@example.com`;
+    const formToken = await fetchFormToken(request);
+    await waitForTimeTrap();
+
+    const response = await request.post('/api/contact', {
+      multipart: {
+        service: 'geospatial',
+        timeline: 'month',
+        projectSize: 'medium',
+        message: 'We need 500 miles of road centreline digitised.',
+        firstName: 'Asha',
+        lastName: 'Patel',
+        email,
+        contactMethod: 'email',
+        formToken
+      }
+    });
+
+    expect(response.status()).toBe(200);
+    const result = await response.json();
+    expect(result.success).toBe(true);
+
+    const messages = await catcher.waitForMessages(2);
+    const notification = messages.find((message) => message.subject.includes(`New Contact Form Submission`));
+    const autoReply = messages.find((message) => message.to.includes(email));
+
+    expect(notification, 'internal notification should be delivered').toBeTruthy();
+    expect(notification.raw).toContain(email);
+    expect(autoReply, 'auto-reply should be delivered to the submitter').toBeTruthy();
+    expect(autoReply.subject).toContain('Thank you for contacting');
+    expect(autoReply.raw).toContain(result.reference);
+    expect(autoReply.raw).toContain('Content-Type: text/html');
+  });
+
+  test('uses the healthcare auto-reply and escapes visitor input', async ({ request }) => {
+    const email = `clinic-${Date.now()}@example.com`;
+    const formToken = await fetchFormToken(request);
+    await waitForTimeTrap();
+
+    const response = await request.post('/api/contact', {
+      multipart: {
+        service: 'healthcare-qa',
+        message: 'QA for radiology reports, roughly 2,000 per month.',
+        firstName: '<b>Dr</b>',
+        lastName: 'Shah',
+        email,
+        contactMethod: 'email',
+        formToken
+      }
+    });
+    expect((await response.json()).success).toBe(true);
+
+    const messages = await catcher.waitForMessages(4);
+    const autoReply = messages.find((message) => message.to.includes(email));
+    // Soft line breaks of quoted-printable bodies are removed before matching
+    const body = autoReply.raw.replace(/=\r?\n/g, '');
+    const htmlPart = body.slice(body.indexOf('Content-Type: text/html'));
+
+    expect(body).toContain('Business Associate Agreement');
+    expect(htmlPart).toContain('Dear &lt;b&gt;Dr&lt;/b&gt;,');
+    expect(htmlPart).not.toContain('<b>Dr</b>');
+  });
+
+  test('links the attachment with a signed URL that cannot be altered', async ({ request }) => {
+    const email = `attachment-${Date.now()}@example.com`;
+    const formToken = await fetchFormToken(request);
+    await waitForTimeTrap();
+
+    const brief = Buffer.from('%PDF-1.4\n% scope of work\n%%EOF\n');
+    const response = await request.post('/api/contact', {
+      multipart: {
+        service: 'software-testing',
+        message: 'Regression suite for our claims portal, brief attached.',
+        firstName: 'Ravi',
+        lastName: 'Menon',
+        email,
+        contactMethod: 'email',
+        formToken,
+        attachment: { name: 'brief.pdf', mimeType: 'application/pdf', buffer: brief }
+      }
+    });
+    expect((await response.json()).success).toBe(true);
+
+    const messages = await catcher.waitForMessages(6);
+    const notification = messages.find((message) => message.subject.includes('New Contact Form Submission') && message.raw.includes(email));
+    // Undo quoted-printable soft line breaks and the encoded "="
+    const text = notification.raw.replace(/=\r?\n/g, '').replace(/=3D/g, '=');
+    const link = new URL(/Download \(link expires\): (\S+)/.exec(text)[1]);
+    const path = `${link.pathname}${link.search}`;
+
+    const download = await request.get(path);
+    expect(download.status()).toBe(200);
+    expect(Buffer.from(await download.body())).toEqual(brief);
+
+    // A later expiry with the original signature, or a signature for another file, is refused
+    const extended = new URL(link);
+    extended.searchParams.set('expires', String(Number(link.searchParams.get('expires')) + 86400));
+    const tampered = await request.get(`${extended.pathname}${extended.search}`);
+    expect(tampered.status()).toBe(403);
+    expect((await tampered.json()).error.code).toBe('link_expired');
+
+    const otherFile = `/api/attachments/${'0'.repeat(32)}${link.search}`;
+    expect((await request.get(otherFile)).status()).toBe(403);
+
+    // Already expired, whatever the signature
+    const expired = await request.get(`${link.pathname}?expires=${Math.floor(Date.now() / 1000) - 60}&signature=${link.searchParams.get('signature')}`);
+    expect(expired.status()).toBe(403);
+  });
+});
@@ -0,0 +1,101 @@
+// Contact API JSON Test
+// Last Updated: 2026-10-19 05:59:02 IST
+//
+// Integrations post JSON to the versioned route, uploading attachments first
+// and referencing them by id.
+
+import { test, expect } from '@playwright/test';
+import { waitForTimeTrap } from './support/form-token.js';
+
+async function issueToken(request) {
+  const result = await (await request.get('/api/v1/form-token?form=contact')).json();
+  return result.formToken;
+}
+
+// Unique text per call so the duplicate-text spam rule stays out of the way
+function enquiry(email) {
+  return {
+    service: 'healthcare-qa',
+    message: `We need QA on discharge summaries (request ${email}).`,
+    firstName: 'Meera',
+    lastName: 'Joshi',
+    contactMethod: 'email',
+    email
+  };
+}
+
+test.describe('Contact API JSON bodies', () => {
+  test.beforeAll(async ({}, testInfo) => {
+    test.skip(testInfo.project.name !== 'chromium', 'API test runs once');
+  });
+
+  test('accepts a JSON enquiry with an uploaded attachment', async ({ request }) => {
+    const upload = await request.post('/api/v1/uploads', {
+      multipart: {
+        file: { name: 'brief.pdf', mimeType: 'application/pdf', buffer: Buffer.from('%PDF-1.4\n%%EOF\n') }
+      }
+    });
+    expect(upload.status()).toBe(201);
+    const { upload: stored } = await upload.json();
+
+    const formToken = await issueToken(request);
+    await waitForTimeTrap();
+
+    const response = await request.post('/api/v1/contact', {
+      data: { ...enquiry(`json-${Date.now()}@example.com`), attachmentId: stored.id, formToken }
+    });
+
+    expect(response.status()).toBe(200);
+    const result = await response.json();
+    expect(result.success).toBe(true);
+    expect(result.reference).toMatch(/^EE-\d{6}-[0-9A-Z]{6}$/);
+  });
+
+  test('reports field errors with machine-readable codes', async ({ request }) => {
+    const formToken = await issueToken(request);
+    await waitForTimeTrap();
+
+    const response = await request.post('/api/v1/contact', {
+      data: { ...enquiry('not-an-email'), formToken }
+    });
+
+    expect(response.status()).toBe(400);
+    const result = await response.json();
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe('validation_failed');
+    expect(result.error.fields.email).toBeTruthy();
+  });
+
+  test('rejects references to unknown uploads', async ({ request }) => {
+    const formToken = await issueToken(request);
+    await waitForTimeTrap();
+
+    const response = await request.post('/api/v1/contact', {
+      data: { ...enquiry(`ghost-${Date.now()}@example.com`), attachmentId: 'f'.repeat(32), formToken }
+    });
+
+    expect(response.status()).toBe(400);
+    expect((await response.json()).error.code).toBe('attachment_not_found');
+  });
+
+  test('rejects unsupported content types', async ({ request }) => {
+    const response = await request.post('/api/v1/contact', {
+      headers: { 'Content-Type': 'text/plain' },
+      data: 'hello'
+    });
+
+    expect(response.status()).toBe(415);
+    expect((await response.json()).error.code).toBe('unsupported_media_type');
+  });
+
+  test('tags every response with a request ID for log correlation', async ({ request }) => {
+    const generated = await request.get('/api/v1/form-token?form=contact');
+    expect(generated.headers()['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+
+    // An ID assigned upstream (load balancer, CDN) is kept
+    const forwarded = await request.get('/api/v1/form-token?form=contact', {
+      headers: { 'X-Request-ID': 'edge-1234abcd' }
+    });
+    expect(forwarded.headers()['x-request-id']).toBe('edge-1234abcd');
+  });
+});
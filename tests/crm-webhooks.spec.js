@@ -0,0 +1,142 @@
+// CRM Webhook Format Test
+// Last Updated: 2026-10-19 08:21:44 IST
+//
+// playwright.config.js loads tests/fixtures/crm/lead-routing.json, which sends
+// NZ leads to one webhook per payload format on the local mock server below.
+// Each delivery must match its fixture in tests/fixtures/crm. Our own formats
+// are recorded; after an intended change, re-record them with UPDATE_CRM_FIXTURES=1.
+// The CRM fixtures are written by hand from each vendor's documented request
+// body and never recorded, so a mapping mistake fails here:
+// - hubspot: CRM v3 objects API, POST /crm/v3/objects/contacts and /deals
+// - zoho: CRM v2 API, POST /crm/v2/Contacts/upsert and /crm/v2/Deals
+// - salesforce: REST API sObject create, POST /sobjects/Contact and /sobjects/Opportunity
+
+import { test, expect } from '@playwright/test';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { startWebhookCatcher } from './support/webhook-catcher.js';
+import { fetchFormToken, waitForTimeTrap } from './support/form-token.js';
+
+const RECORDED_FORMATS = ['raw', 'json', 'csv'];
+const CRM_FORMATS = ['hubspot', 'zoho', 'salesforce'];
+const FORMATS = [...RECORDED_FORMATS, ...CRM_FORMATS];
+
+// The enquiry's timeline is "Within 3 months": deals close 90 days after it arrives
+const CLOSE_DAYS = 90;
+
+function fixtureUrl(format) {
+  return new URL(`./fixtures/crm/${format}.${format === 'csv' ? 'csv' : 'json'}`, import.meta.url);
+}
+
+// Replaces what changes between runs with placeholders
+function normalise(format, body, run, reference, closeDate) {
+  if (format !== 'csv') {
+    const payload = JSON.parse(body);
+    // The raw format also carries the notification text, IP and spam assessment
+    for (const key of ['body', 'ip', 'spam']) {
+      if (key in payload) payload[key] = `<${key}>`;
+    }
+    body = JSON.stringify(payload, null, 2) + '\n';
+  }
+  return body
+    .replaceAll(run, '<run>')
+    .replaceAll(reference, '<reference>')
+    .replaceAll(closeDate, '<close-date>')
+    .replace(/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z/g, '<date-time>')
+    .replace(/\d{4}-\d{2}-\d{2}/g, '<date>');
+}
+
+test.describe('CRM webhook formats', () => {
+  let catcher;
+
+  test.beforeAll(async ({}, testInfo) => {
+    test.skip(testInfo.project.name !== 'chromium', 'API test runs once');
+    catcher = await startWebhookCatcher();
+  });
+
+  test.afterAll(async () => {
+    await catcher?.close();
+  });
+
+  test('delivers each channel its format, matching the recorded fixtures', async ({ request }) => {
+    const run = Date.now().toString(36);
+    const formToken = await fetchFormToken(request);
+    await waitForTimeTrap();
+
+    const response = await request.post('/api/v1/contact', {
+      data: {
+        service: 'geospatial',
+        timeline: 'quarter',
+        projectSize: 'medium',
+        company: 'Tasman "Coastal" Surveys, Ltd',
+        message: `Digitise 40 years of hydrographic charts, about 1,200 sheets (batch ${run}).`,
+        firstName: 'Aroha',
+        lastName: 'Ngata',
+        email: `crm-${run}@example.com`,
+        phone: '+64 9 555 0142',
+        contactMethod: 'phone',
+        formToken
+      }
+    });
+    expect(response.status()).toBe(200);
+    const { reference } = await response.json();
+
+    const requests = await catcher.waitForRequests(FORMATS.length);
+    expect(requests.map(({ path }) => path).sort()).toEqual(FORMATS.map((format) => `/${format}`).sort());
+
+    const { receivedAt } = JSON.parse(requests.find(({ path }) => path === '/json').body);
+    const closeDate = new Date(Date.parse(receivedAt) + CLOSE_DAYS * 86400000).toISOString().slice(0, 10);
+
+    for (const format of FORMATS) {
+      const delivery = requests.find(({ path }) => path === `/${format}`);
+      expect(delivery.headers['content-type']).toBe(format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json');
+      expect(delivery.headers['idempotency-key']).toMatch(new RegExp(`:crm-${format}$`));
+
+      const received = normalise(format, delivery.body, run, reference, closeDate);
+      if (CRM_FORMATS.includes(format)) {
+        expect(JSON.parse(received), `${format} payload`).toEqual(JSON.parse(readFileSync(fixtureUrl(format), 'utf8')));
+        continue;
+      }
+      if (process.env.UPDATE_CRM_FIXTURES) writeFileSync(fixtureUrl(format), received);
+      expect(received, `${format} payload`).toBe(readFileSync(fixtureUrl(format), 'utf8'));
+    }
+  });
+
+  test('dry runs report each webhook format and reject unknown ones', async ({ request }) => {
+    const headers = { Authorization: 'Bearer test-admin-token' };
+    const dryRun = await request.post('/api/routing/dry-run', { headers, data: { samples: [{ country: 'NZ' }] } });
+    expect(dryRun.status()).toBe(200);
+    const { results } = await dryRun.json();
+    expect(results[0].targets).toContainEqual({ channel: 'crm-hubspot', type: 'webhook', format: 'hubspot', configured: true });
+
+    const invalid = await request.post('/api/routing/dry-run', {
+      headers,
+      data: {
+        samples: [{ service: 'geospatial' }],
+        config: {
+          channels: { crm: { type: 'webhook', url: 'https://crm.example.com/hook', format: 'pipedrive' } },
+          rules: [],
+          default: { channels: ['crm'] }
+        }
+      }
+    });
+    expect(invalid.status()).toBe(400);
+    expect((await invalid.json()).error.fields.config).toContain('unknown format "pipedrive"');
+
+    // Formats may reference the environment; the error must not reveal what they resolve to
+    const probe = await request.post('/api/routing/dry-run', {
+      headers,
+      data: {
+        samples: [{ service: 'geospatial' }],
+        config: {
+          channels: { crm: { type: 'webhook', url: 'https://crm.example.com/hook', format: '${ADMIN_API_TOKEN}' } },
+          rules: [],
+          default: { channels: ['crm'] }
+        }
+      }
+    });
+    expect(probe.status()).toBe(400);
+    const { config } = (await probe.json()).error.fields;
+    expect(config).toContain('unknown format "${ADMIN_API_TOKEN}"');
+    expect(config).not.toContain('test-admin-token');
+  });
+});
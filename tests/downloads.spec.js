@@ -0,0 +1,67 @@
+// Resource Download Test
+// Last Updated: 2026-10-19 09:14:31 IST
+//
+// The download form on /resources posts to /api/v1/downloads, which records the
+// download against the resource and returns the file URL.
+
+import { test, expect } from '@playwright/test';
+import { fetchFormToken, waitForTimeTrap } from './support/form-token.js';
+
+const admin = { Authorization: 'Bearer test-admin-token' };
+
+test.describe('Gated resource downloads', () => {
+  test.beforeAll(async ({}, testInfo) => {
+    test.skip(testInfo.project.name !== 'chromium', 'API test runs once');
+  });
+
+  test('records the download against the resource and returns its file', async ({ request }) => {
+    const email = `download-${Date.now()}@example.com`;
+    const formToken = await fetchFormToken(request, '/resources', 'download');
+    await waitForTimeTrap();
+
+    const response = await request.post('/api/downloads', {
+      form: { resourceId: 'hipaa-compliance-checklist', email, company: 'Northwind Clinics', formToken }
+    });
+    expect(response.status()).toBe(200);
+    const result = await response.json();
+    expect(result.success).toBe(true);
+    expect(new URL(result.downloadUrl).pathname).toBe('/downloads/hipaa-compliance-checklist.pdf');
+    expect(result.formToken).toMatch(/^download\./);
+
+    // An unticked box is no consent
+    const { downloads } = await (await request.post('/api/privacy/export', { headers: admin, data: { email } })).json();
+    expect(downloads).toHaveLength(1);
+    expect(downloads[0]).toMatchObject({ resourceId: 'hipaa-compliance-checklist', company: 'Northwind Clinics', newsletterOptIn: false });
+  });
+
+  test('rejects unknown resources and invalid emails', async ({ request }) => {
+    const formToken = await fetchFormToken(request, '/resources', 'download');
+    await waitForTimeTrap();
+
+    const response = await request.post('/api/v1/downloads', {
+      data: { resourceId: 'not-a-guide', email: 'not-an-email', newsletterOptIn: true, formToken }
+    });
+    expect(response.status()).toBe(400);
+    const { error } = await response.json();
+    expect(error.code).toBe('validation_failed');
+    expect(Object.keys(error.fields).sort()).toEqual(['email', 'resourceId']);
+  });
+
+  test('swaps the token of a page the service worker answers from its cache', async ({ page }) => {
+    await page.goto('/resources');
+    await page.evaluate(async () => {
+      await navigator.serviceWorker.ready;
+      if (!navigator.serviceWorker.controller) {
+        await new Promise((resolve) => navigator.serviceWorker.addEventListener('controllerchange', resolve, { once: true }));
+      }
+    });
+
+    // The cached copy still embeds the token rendered for the first visit
+    const rendered = await page.inputValue('#download-form-token');
+    const renewed = page.waitForResponse('**/api/v1/form-token?form=download');
+    await page.reload();
+    await renewed;
+    await expect(page.locator('#download-form-token')).not.toHaveValue(rendered);
+    await expect(page.locator('#download-form-token')).toHaveValue(/^download\./);
+  });
+});
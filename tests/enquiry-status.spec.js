@@ -0,0 +1,48 @@
+// Enquiry Status Lookup Test
+// Last Updated: 2026-10-19 05:53:07 IST
+//
+// Every accepted enquiry gets a private lookup link; the page behind it shows
+// the status without exposing anything to people who only know the reference.
+
+import { test, expect } from '@playwright/test';
+import { fetchFormToken, waitForTimeTrap } from './support/form-token.js';
+
+test.describe('Enquiry status lookup', () => {
+  test.beforeAll(async ({}, testInfo) => {
+    test.skip(testInfo.project.name !== 'chromium', 'API test runs once');
+  });
+
+  test('links the submitter to a status page for their enquiry', async ({ request }) => {
+    const formToken = await fetchFormToken(request, '/contact');
+    await waitForTimeTrap();
+
+    const response = await request.post('/api/v1/contact', {
+      data: {
+        service: 'geospatial',
+        message: `Digitising utility network maps (status ${Date.now()}).`,
+        firstName: 'Kiran',
+        lastName: 'Rao',
+        email: `status-${Date.now()}@example.com`,
+        phone: '+91 98765 43210',
+        contactMethod: 'phone',
+        formToken
+      }
+    });
+    const result = await response.json();
+    expect(result.success).toBe(true);
+    expect(result.statusUrl).toContain(`/enquiry/${result.reference}?token=`);
+
+    const statusPage = await request.get(new URL(result.statusUrl).pathname + new URL(result.statusUrl).search);
+    expect(statusPage.status()).toBe(200);
+    expect(statusPage.headers()['cache-control']).toContain('no-store');
+    const html = await statusPage.text();
+    expect(html).toMatch(new RegExp(`id="enquiry-reference"[^>]*>${result.reference}<`));
+    expect(html).toMatch(/id="enquiry-status-label"[^>]*>Received</);
+    expect(html).toMatch(/id="enquiry-contact-method"[^>]*>Phone</);
+    expect(html).toMatch(/id="enquiry-respond-by"[^>]*>[^<]+IST</);
+
+    // The reference alone, or with someone else's token, reveals nothing
+    const guessed = await request.get(`/enquiry/${result.reference}?token=not-the-token`);
+    expect(guessed.status()).toBe(404);
+  });
+});
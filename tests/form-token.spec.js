@@ -0,0 +1,77 @@
+// Contact Form Token Test
+// Last Updated: 2026-10-19 07:18:45 IST
+//
+// The contact API only accepts submissions carrying a fresh, unused token
+// signed when the contact page was rendered.
+
+import { test, expect } from '@playwright/test';
+import { fetchFormToken, waitForTimeTrap } from './support/form-token.js';
+
+const submission = {
+  service: 'software-testing',
+  message: 'Please quote for a regression test cycle.',
+  firstName: 'Ravi',
+  lastName: 'Shah',
+  contactMethod: 'email'
+};
+
+test.describe('Contact form tokens', () => {
+  test.beforeAll(async ({}, testInfo) => {
+    test.skip(testInfo.project.name !== 'chromium', 'API test runs once');
+  });
+
+  test('rejects submissions without a token', async ({ request }) => {
+    const response = await request.post('/api/contact', {
+      multipart: { ...submission, email: `no-token-${Date.now()}@example.com` }
+    });
+
+    expect(response.status()).toBe(403);
+    const result = await response.json();
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe('form_token_missing');
+    expect(result.formToken, 'only an expired token is replaced').toBeUndefined();
+  });
+
+  test('rejects a token submitted straight after rendering', async ({ request }) => {
+    const formToken = await fetchFormToken(request);
+    const response = await request.post('/api/contact', {
+      multipart: { ...submission, email: `fast-${Date.now()}@example.com`, formToken }
+    });
+
+    expect(response.status()).toBe(403);
+    expect((await response.json()).error.code).toBe('form_token_too_fast');
+  });
+
+  test('accepts a token once, even when it is sent twice at the same time', async ({ request }) => {
+    const formToken = await fetchFormToken(request);
+    await waitForTimeTrap();
+
+    const responses = await Promise.all(['first', 'second'].map((attempt) => request.post('/api/contact', {
+      multipart: { ...submission, email: `${attempt}-${Date.now()}@example.com`, formToken }
+    })));
+    expect(responses.map((response) => response.status()).sort()).toEqual([200, 403]);
+
+    const replay = await request.post('/api/contact', {
+      multipart: { ...submission, email: `again-${Date.now()}@example.com`, formToken }
+    });
+    expect(replay.status()).toBe(403);
+    const result = await replay.json();
+    expect(result.error.code).toBe('form_token_reused');
+    expect(result.formToken).toBeUndefined();
+  });
+
+  test('keeps the token usable after a submission the visitor can correct', async ({ request }) => {
+    const formToken = await fetchFormToken(request);
+    await waitForTimeTrap();
+
+    const invalid = await request.post('/api/contact', {
+      multipart: { ...submission, email: 'not-an-email', formToken }
+    });
+    expect(invalid.status()).toBe(400);
+
+    const corrected = await request.post('/api/contact', {
+      multipart: { ...submission, email: `corrected-${Date.now()}@example.com`, formToken }
+    });
+    expect(corrected.status()).toBe(200);
+  });
+});
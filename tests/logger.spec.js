@@ -0,0 +1,54 @@
+// Log Masking Test
+// Last Updated: 2026-10-19 09:16:30 IST
+//
+// Log lines never carry personal data in the clear (lib/logger): known fields
+// are masked wherever they appear, inside nested objects and arrays too.
+
+import { test, expect } from '@playwright/test';
+import { maskPii } from '../src/lib/logger.ts';
+
+test.describe('Log masking', () => {
+  test.beforeAll(async ({}, testInfo) => {
+    test.skip(testInfo.project.name !== 'chromium', 'Unit test runs once');
+  });
+
+  test('masks personal data in nested objects and arrays', () => {
+    const masked = maskPii({
+      reference: 'EE-261019-ABCDEF',
+      lead: {
+        email: 'tenzin.dorje@example.com',
+        phone: '+91 98765 43210',
+        meta: { ip: '203.0.113.77', country: 'IN' }
+      },
+      to: ['sales@example.com', 'ops@example.org'],
+      attendees: [
+        { name: 'Tenzin Dorje', email: 'tenzin.dorje@example.com' },
+        { name: 'Meera Iyer', email: 'meera@example.com', company: 'Northwind Clinics' }
+      ],
+      channels: ['sales-email', 'crm'],
+      retries: [1, 2]
+    });
+
+    expect(masked).toEqual({
+      reference: 'EE-261019-ABCDEF',
+      lead: {
+        email: 't***@example.com',
+        phone: '**********10',
+        meta: { ip: '203.0.113.0', country: 'IN' }
+      },
+      to: ['s***@example.com', 'o***@example.org'],
+      attendees: [
+        { name: '***', email: 't***@example.com' },
+        { name: '***', email: 'm***@example.com', company: '***' }
+      ],
+      channels: ['sales-email', 'crm'],
+      retries: [1, 2]
+    });
+  });
+
+  test('keeps the name, message and stack of errors', () => {
+    const error = new TypeError('fetch failed');
+    const { failures } = maskPii({ failures: [{ error, replyTo: 'tenzin@example.com' }] });
+    expect(failures).toEqual([{ error: { name: 'TypeError', message: 'fetch failed', stack: error.stack }, replyTo: 't***@example.com' }]);
+  });
+});
@@ -0,0 +1,46 @@
+// Newsletter Subscription Test
+// Last Updated: 2026-10-19 06:22:02 IST
+//
+// Sign-ups post to /api/v1/newsletter and stay pending until the emailed
+// confirmation link is clicked; the consent record is kept with the subscriber.
+
+import { test, expect } from '@playwright/test';
+
+const admin = { Authorization: 'Bearer test-admin-token' };
+
+test.describe('Newsletter double opt-in', () => {
+  test.beforeAll(async ({}, testInfo) => {
+    test.skip(testInfo.project.name !== 'chromium', 'API test runs once');
+  });
+
+  test('records a pending sign-up with its source and consent time', async ({ request }) => {
+    const email = `newsletter-${Date.now()}@example.com`;
+
+    const response = await request.post('/api/newsletter', { data: { email, source: 'footer' } });
+    expect(response.status()).toBe(200);
+    expect((await response.json()).success).toBe(true);
+
+    const { newsletter } = await (await request.post('/api/privacy/export', { headers: admin, data: { email } })).json();
+    expect(newsletter).toHaveLength(1);
+    expect(newsletter[0]).toMatchObject({ email, status: 'pending', source: 'footer' });
+    expect(Date.parse(newsletter[0].requestedAt)).not.toBeNaN();
+    expect(newsletter[0].confirmedAt).toBeUndefined();
+
+    // Only a signed link confirms; a guessed one changes nothing
+    const confirm = await request.post(`/newsletter/confirm?id=${newsletter[0].id}&expires=9999999999&token=forged`);
+    expect(confirm.status()).toBe(400);
+    const unsubscribe = await request.post(`/api/v1/newsletter/unsubscribe?id=${newsletter[0].id}&token=forged`);
+    expect(unsubscribe.status()).toBe(403);
+  });
+
+  test('rejects invalid sign-ups and leaves the download opt-in unticked', async ({ request }) => {
+    const response = await request.post('/api/v1/newsletter', { data: { email: 'not-an-email', source: 'somewhere' } });
+    expect(response.status()).toBe(400);
+    const { error } = await response.json();
+    expect(Object.keys(error.fields).sort()).toEqual(['email', 'source']);
+
+    const page = await (await request.get('/resources')).text();
+    expect(page).toMatch(/<input[^>]*id="newsletter-opt-in"[^>]*>/);
+    expect(page.match(/<input[^>]*id="newsletter-opt-in"[^>]*>/)[0]).not.toContain('checked');
+  });
+});
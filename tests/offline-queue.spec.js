@@ -0,0 +1,217 @@
+// Offline Contact Queue Test
+// Last Updated: 2026-10-19 09:06:04 IST
+//
+// A submission made without a network is saved in IndexedDB (src/lib/offline-queue.ts)
+// and sent by the service worker (public/sw.js) once the browser is back online.
+// How the worker retries is checked in tests/support/service-worker-sandbox.js, and
+// the Idempotency-Key it sends against the contact API.
+
+import { test, expect } from '@playwright/test';
+import { fetchFormToken, waitForTimeTrap } from './support/form-token.js';
+import { loadServiceWorker } from './support/service-worker-sandbox.js';
+
+// Waits until public/sw.js controls the page, so submissions can be queued
+async function openControlledContactPage(page) {
+  await page.goto('/contact');
+  await page.evaluate(async () => {
+    await navigator.serviceWorker.ready;
+    if (!navigator.serviceWorker.controller) {
+      await new Promise((resolve) => navigator.serviceWorker.addEventListener('controllerchange', resolve, { once: true }));
+    }
+  });
+}
+
+function countQueued(page) {
+  return page.evaluate(() => new Promise((resolve, reject) => {
+    const open = indexedDB.open('eexperts-offline', 1);
+    open.onsuccess = () => {
+      const count = open.result.transaction('contact-submissions').objectStore('contact-submissions').count();
+      count.onsuccess = () => {
+        open.result.close();
+        resolve(count.result);
+      };
+    };
+    open.onerror = () => reject(open.error);
+  }));
+}
+
+test.describe('Offline contact queue', () => {
+  test.beforeAll(async ({}, testInfo) => {
+    test.skip(testInfo.project.name !== 'chromium', 'Service worker test runs once');
+  });
+
+  test('queues a submission made offline and delivers it when back online', async ({ page, context }) => {
+    await openControlledContactPage(page);
+    await page.evaluate((email) => {
+      const form = document.getElementById('contact-form');
+      form.querySelector('input[name="service"][value="geospatial"]').checked = true;
+      form.querySelector('[name="message"]').value = 'Scanning survey field books while the site office is offline.';
+      form.querySelector('[name="firstName"]').value = 'Tenzin';
+      form.querySelector('[name="lastName"]').value = 'Dorje';
+      form.querySelector('[name="email"]').value = email;
+      form.querySelector('[name="phone"]').value = '+91 98765 43210';
+    }, `offline-${Date.now()}@example.com`);
+    await waitForTimeTrap();
+
+    await context.setOffline(true);
+    await page.evaluate(() => document.getElementById('contact-form').requestSubmit());
+    await expect(page.locator('#queued-message')).toBeVisible();
+    expect(await countQueued(page)).toBe(1);
+
+    await context.setOffline(false);
+    await expect(page.locator('#lead-reference')).toHaveText(/\S+/, { timeout: 20000 });
+    await expect(page.locator('#queued-message')).toBeHidden();
+    expect(await countQueued(page)).toBe(0);
+  });
+
+  test('queues a submission whose response was lost under the key it was first sent with', async ({ page, context }) => {
+    await openControlledContactPage(page);
+    await page.evaluate((email) => {
+      const form = document.getElementById('contact-form');
+      form.querySelector('input[name="service"][value="geospatial"]').checked = true;
+      form.querySelector('[name="message"]').value = 'Scanning survey field books from a site office with a flaky link.';
+      form.querySelector('[name="firstName"]').value = 'Tenzin';
+      form.querySelector('[name="lastName"]').value = 'Dorje';
+      form.querySelector('[name="email"]').value = email;
+      form.querySelector('[name="phone"]').value = '+91 98765 43210';
+    }, `lost-${Date.now()}@example.com`);
+    await waitForTimeTrap();
+
+    // The request leaves the page but the connection drops before a response comes
+    // back; staying offline keeps the service worker from replaying it meanwhile
+    const sentKeys = [];
+    await page.route('**/api/v1/contact', async (route) => {
+      sentKeys.push(route.request().headers()['idempotency-key']);
+      await context.setOffline(true);
+      await route.abort('connectionreset');
+    });
+    await page.evaluate(() => document.getElementById('contact-form').requestSubmit());
+    await expect(page.locator('#queued-message')).toBeVisible();
+
+    const queuedKeys = await page.evaluate(() => new Promise((resolve, reject) => {
+      const open = indexedDB.open('eexperts-offline', 1);
+      open.onsuccess = () => {
+        const all = open.result.transaction('contact-submissions').objectStore('contact-submissions').getAll();
+        all.onsuccess = () => {
+          open.result.close();
+          resolve(all.result.map(({ idempotencyKey }) => idempotencyKey));
+        };
+      };
+      open.onerror = () => reject(open.error);
+    }));
+    expect(sentKeys).toHaveLength(1);
+    expect(sentKeys[0]).toMatch(/^[0-9a-f-]{36}$/);
+    expect(queuedKeys).toContain(sentKeys[0]);
+    await page.unroute('**/api/v1/contact');
+    await context.setOffline(false);
+  });
+
+  test('drops a queued submission the server rejects and shows the form again', async ({ page }) => {
+    await openControlledContactPage(page);
+
+    // A copy the server will refuse: its token is replaced once, then validation fails
+    await page.evaluate(() => new Promise((resolve, reject) => {
+      const open = indexedDB.open('eexperts-offline', 1);
+      open.onupgradeneeded = () => open.result.createObjectStore('contact-submissions', { keyPath: 'id', autoIncrement: true });
+      open.onsuccess = () => {
+        const transaction = open.result.transaction('contact-submissions', 'readwrite');
+        transaction.objectStore('contact-submissions').add({
+          url: '/api/v1/contact',
+          entries: [['message', 'Queued before the form changed']],
+          queuedAt: new Date().toISOString(),
+          attempts: 0
+        });
+        transaction.oncomplete = () => {
+          open.result.close();
+          navigator.serviceWorker.controller.postMessage({ type: 'CONTACT_QUEUE_REPLAY' });
+          resolve();
+        };
+      };
+      open.onerror = () => reject(open.error);
+    }));
+
+    await expect(page.locator('#error-message')).toContainText('could not be sent', { timeout: 20000 });
+    await expect(page.locator('#contact-form')).toBeVisible();
+    expect(await countQueued(page)).toBe(0);
+  });
+
+  test('retries a spent token once, then keeps the submission queued', async () => {
+    // The API refuses the queued token, then answers the retry with `answers` in turn
+    function replay(answers) {
+      const posts = [];
+      const worker = loadServiceWorker({
+        network: async (request) => {
+          if (request.url.endsWith('/api/v1/form-token?form=contact')) {
+            return Response.json({ success: true, formToken: `contact.fresh-${posts.length}` });
+          }
+          posts.push({ key: request.headers.get('Idempotency-Key'), token: (await request.formData()).get('formToken') });
+          const answer = posts.length === 1 ? 'reused' : answers.shift();
+          return answer === 'reused'
+            ? Response.json({ success: false, error: { code: 'form_token_reused', message: 'This form has already been submitted.' } }, { status: 403 })
+            : Response.json({ success: true, reference: 'EE-261020-ABCDEF' });
+        }
+      });
+      const outcome = worker.scope.sendSubmission({
+        url: '/api/v1/contact',
+        entries: [['email', 'tenzin@example.com'], ['formToken', 'contact.spent']],
+        idempotencyKey: '4f9c2a61-8a0e-4d1b-9b7e-2c3f5d6e7a8b',
+        attempts: 0
+      });
+      return { posts, outcome };
+    }
+
+    // Delivered only because the server answered the retry with the stored enquiry
+    const recovered = replay(['stored']);
+    expect(await recovered.outcome).toEqual({ type: 'delivered', detail: { result: { success: true, reference: 'EE-261020-ABCDEF' } } });
+    expect(recovered.posts).toEqual([
+      { key: '4f9c2a61-8a0e-4d1b-9b7e-2c3f5d6e7a8b', token: 'contact.spent' },
+      { key: '4f9c2a61-8a0e-4d1b-9b7e-2c3f5d6e7a8b', token: 'contact.fresh-1' }
+    ]);
+
+    // Refused again: the error is raised so replayQueue keeps the item and reports it
+    const refused = replay(['reused']);
+    await expect(refused.outcome).rejects.toThrow('already been submitted');
+    expect(refused.posts).toHaveLength(2);
+  });
+
+  test('answers a retried submission with the enquiry already stored', async ({ request }) => {
+    const email = `retry-${Date.now()}@example.com`;
+    const idempotencyKey = `retry-${Date.now()}-0123456789`;
+    const tokens = await Promise.all([1, 2, 3].map(() => fetchFormToken(request)));
+    await waitForTimeTrap();
+    const submit = (address, message = 'Scanning survey field books while the site office is offline.') => request.post('/api/v1/contact', {
+      headers: { 'Idempotency-Key': idempotencyKey },
+      multipart: {
+        service: 'geospatial',
+        message,
+        firstName: 'Tenzin',
+        lastName: 'Dorje',
+        email: address,
+        contactMethod: 'email',
+        formToken: tokens.shift()
+      }
+    });
+
+    const first = await submit(email);
+    expect(first.status()).toBe(200);
+    const { reference } = await first.json();
+
+    const retry = await submit(email);
+    expect(retry.status()).toBe(200);
+    expect(retry.headers()['idempotent-replayed']).toBe('true');
+    const replayed = await retry.json();
+    expect(replayed.reference).toBe(reference);
+    // Answered before the token check, so it must not hand out a new token
+    expect(replayed.formToken).toBeUndefined();
+
+    // The key only finds an enquiry together with its email address
+    const other = await submit(`other-${email}`, 'Digitising parcel maps for a district land records office.');
+    expect(other.headers()['idempotent-replayed']).toBeUndefined();
+    const otherReference = (await other.json()).reference;
+    expect(otherReference).toMatch(/^EE-/);
+    expect(otherReference).not.toBe(reference);
+
+    const malformed = await request.post('/api/v1/contact', { headers: { 'Idempotency-Key': 'short' }, multipart: { email } });
+    expect(malformed.status()).toBe(400);
+  });
+});
@@ -0,0 +1,117 @@
+// OpenAPI Contract Test
+// Last Updated: 2026-10-19 06:32:44 IST
+//
+// /api/openapi.json must cover every route under src/pages/api, and real
+// responses (successes, 400, 403, 415, 429...) must match what it documents.
+// A route that changes its shape or status codes fails here until the
+// document in src/lib/openapi.ts is updated with it.
+
+import { test, expect } from '@playwright/test';
+import { readdirSync, readFileSync } from 'node:fs';
+import { contractProblems, findOperation } from './support/openapi.js';
+import { fetchFormToken, waitForTimeTrap } from './support/form-token.js';
+
+const API_DIR = new URL('../src/pages/api/', import.meta.url);
+
+// Every route file as [path, methods], e.g. ['/api/attachments/{id}', ['get']]
+function routeFiles() {
+  return readdirSync(API_DIR, { recursive: true })
+    .filter((file) => file.endsWith('.ts'))
+    .map((file) => {
+      const source = readFileSync(new URL(file, API_DIR), 'utf8');
+      const methods = [...source.matchAll(/export const (GET|POST|PUT|PATCH|DELETE)\b|export \{([^}]+)\}/g)]
+        .flatMap(([, method, reexports]) => method ? [method] : reexports.split(',').map((name) => name.trim()))
+        .map((method) => method.toLowerCase());
+      const path = `/api/${file}`.replace(/\.ts$/, '').replace(/\/index$/, '').replace(/\[(\w+)\]/g, '{$1}');
+      return [path, methods];
+    });
+}
+
+function enquiry(email, formToken) {
+  return {
+    service: 'software-testing',
+    message: `Regression suite for our billing platform (contract ${email}).`,
+    firstName: 'Arjun',
+    lastName: 'Menon',
+    contactMethod: 'email',
+    email,
+    formToken
+  };
+}
+
+test.describe('OpenAPI contract', () => {
+  let doc;
+
+  test.beforeAll(async ({ request }, testInfo) => {
+    test.skip(testInfo.project.name !== 'chromium', 'API test runs once');
+    const response = await request.get('/api/openapi.json');
+    expect(response.status()).toBe(200);
+    doc = await response.json();
+  });
+
+  test('documents every route and method, each with the 500 envelope', async ({ request }) => {
+    expect(doc.openapi).toBe('3.1.0');
+    const routes = routeFiles();
+    expect(routes.length).toBeGreaterThan(10);
+
+    for (const [path, methods] of routes) {
+      for (const method of methods) {
+        const operation = findOperation(doc, method, path);
+        expect(operation, `${method.toUpperCase()} ${path}`).toBeTruthy();
+        // Every route is wrapped in withRequestLog, which answers thrown errors with internal_error
+        expect(operation.responses['500'], `${method.toUpperCase()} ${path}`).toBeTruthy();
+      }
+    }
+
+    expect(await contractProblems(doc, 'get', '/api/openapi.json', await request.get('/api/openapi.json'))).toEqual([]);
+  });
+
+  test('responses match the documented shapes and status codes', async ({ request }) => {
+    const check = async (method, path, options) => {
+      const response = await request[method](path, options);
+      expect(await contractProblems(doc, method, path, response)).toEqual([]);
+      return response;
+    };
+
+    await check('get', '/api/v1/form-token?form=contact');
+    await check('get', '/api/v1/form-token?form=survey');
+    await check('get', '/api/v1/bookings?timeZone=Asia/Singapore');
+    await check('get', '/api/bookings?timeZone=Nowhere/Special');
+
+    await check('post', '/api/v1/contact', { data: 'hello', headers: { 'Content-Type': 'text/plain' } });
+    const missingToken = await check('post', '/api/contact', { data: enquiry('contract@example.com') });
+    expect(missingToken.status()).toBe(403);
+
+    const formToken = await fetchFormToken(request);
+    await waitForTimeTrap();
+    const email = `contract-${Date.now()}@example.com`;
+    const invalid = await check('post', '/api/v1/contact', { data: { ...enquiry(email, formToken), message: 'short' } });
+    expect(invalid.status()).toBe(400);
+    const accepted = await check('post', '/api/v1/contact', { data: enquiry(email, formToken) });
+    expect(accepted.status()).toBe(200);
+
+    await check('post', '/api/v1/newsletter', { data: { email: 'not-an-email', source: 'footer' } });
+    await check('post', '/api/v1/newsletter/unsubscribe?id=nobody&token=forged');
+    await check('get', '/api/privacy/retention');
+    await check('get', '/api/privacy/retention', { headers: { Authorization: 'Bearer test-admin-token' } });
+  });
+
+  test('rate-limited submissions get the documented 429', async ({ request }) => {
+    // RATE_LIMIT_CONTACT_EMAIL allows three enquiries per address per hour
+    const email = `contract-limit-${Date.now()}@example.com`;
+    let formToken = await fetchFormToken(request);
+    let response;
+    for (let attempt = 0; attempt < 4; attempt++) {
+      await waitForTimeTrap();
+      response = await request.post('/api/v1/contact', {
+        data: { ...enquiry(email, formToken), message: `Load testing for release ${attempt} (contract ${email}).` }
+      });
+      if (response.status() !== 200) break;
+      formToken = (await response.json()).formToken;
+    }
+
+    expect(response.status()).toBe(429);
+    expect(await contractProblems(doc, 'post', '/api/v1/contact', response)).toEqual([]);
+    expect((await response.json()).error.code).toBe('rate_limited');
+  });
+});
@@ -0,0 +1,67 @@
+// Personal Data Requests Test
+// Last Updated: 2026-10-19 07:23:44 IST
+//
+// Staff can export everything held for an email address and erase it; both
+// need the admin token, and erasure also revokes the visitor's status link and
+// clears the rate limit hits kept under the address.
+
+import { test, expect } from '@playwright/test';
+import { fetchFormToken, waitForTimeTrap } from './support/form-token.js';
+
+const admin = { Authorization: 'Bearer test-admin-token' };
+
+test.describe('Personal data export and erasure', () => {
+  test.beforeAll(async ({}, testInfo) => {
+    test.skip(testInfo.project.name !== 'chromium', 'API test runs once');
+  });
+
+  test('exports and then erases every lead for an email address', async ({ request }) => {
+    const email = `privacy-${Date.now()}@example.com`;
+    const formToken = await fetchFormToken(request, '/contact');
+    await waitForTimeTrap();
+
+    const submitted = await (await request.post('/api/v1/contact', {
+      data: {
+        service: 'ai-workflows',
+        message: `Please delete my details after the project (privacy ${Date.now()}).`,
+        firstName: 'Meera',
+        lastName: 'Iyer',
+        email,
+        formToken
+      }
+    })).json();
+    expect(submitted.success).toBe(true);
+
+    const anonymous = await request.post('/api/privacy/export', { data: { email } });
+    expect(anonymous.status()).toBe(401);
+
+    const exported = await request.post('/api/privacy/export', { headers: admin, data: { email: email.toUpperCase() } });
+    expect(exported.status()).toBe(200);
+    expect(exported.headers()['content-disposition']).toMatch(/attachment; filename="personal-data-[0-9a-f]{12}\.json"/);
+    const data = await exported.json();
+    expect(data.leads.map((lead) => lead.reference)).toEqual([submitted.reference]);
+    expect(data.leads[0].data.firstName).toBe('Meera');
+    expect(data.rateLimits).toContainEqual(expect.objectContaining({ limiter: 'contact', rule: 'email', value: email }));
+
+    const erased = await request.post('/api/privacy/erase', { headers: admin, data: { email } });
+    expect(erased.status()).toBe(200);
+    expect((await erased.json()).erased).toMatchObject({ leads: 1, attachments: 0 });
+
+    const after = await (await request.post('/api/privacy/export', { headers: admin, data: { email } })).json();
+    expect(after.leads).toEqual([]);
+    expect(after.rateLimits).toEqual([]);
+
+    // Counts what was actually removed, so erasing again reports nothing
+    const again = await request.post('/api/privacy/erase', { headers: admin, data: { email } });
+    expect((await again.json()).erased).toMatchObject({ leads: 0, rateLimits: 0 });
+
+    const statusUrl = new URL(submitted.statusUrl);
+    expect((await request.get(statusUrl.pathname + statusUrl.search)).status()).toBe(404);
+  });
+
+  test('rejects a request without a valid email address', async ({ request }) => {
+    const response = await request.post('/api/privacy/erase', { headers: admin, data: { email: 'not-an-email' } });
+    expect(response.status()).toBe(400);
+    expect((await response.json()).error.fields.email).toBeTruthy();
+  });
+});
@@ -0,0 +1,133 @@
+// Rate Limit Test
+// Last Updated: 2026-10-19 09:12:43 IST
+//
+// Submissions over a limit get 429 rate_limited with Retry-After and the
+// RateLimit-* headers (lib/rate-limit). The window slides: a hit stops counting
+// exactly one window after it was recorded, whichever backend keeps it.
+
+import { test, expect } from '@playwright/test';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import {
+  FileRateLimitBackend,
+  MemoryRateLimitBackend,
+  RateLimiter,
+  RedisRateLimitBackend
+} from '../src/lib/rate-limit.ts';
+import { fetchFormToken, waitForTimeTrap } from './support/form-token.js';
+
+const MINUTE = 60000;
+
+test.describe('Rate limits', () => {
+  let dir;
+
+  test.beforeAll(async ({}, testInfo) => {
+    test.skip(testInfo.project.name !== 'chromium', 'API test runs once');
+    dir = mkdtempSync(path.join(tmpdir(), 'rate-limit-'));
+  });
+
+  test.afterAll(() => {
+    if (dir) rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('answers the submission over the limit with 429, Retry-After and RateLimit headers', async ({ request }) => {
+    // RATE_LIMIT_CONTACT_EMAIL allows three enquiries per address per hour
+    const email = `rate-limit-${Date.now()}@example.com`;
+    let formToken = await fetchFormToken(request);
+    const remaining = [];
+    let response;
+    for (let attempt = 0; attempt < 4; attempt++) {
+      await waitForTimeTrap();
+      response = await request.post('/api/v1/contact', {
+        data: {
+          service: 'software-testing',
+          message: `Performance testing for release ${attempt} of our booking engine (${email}).`,
+          firstName: 'Meera',
+          lastName: 'Iyer',
+          contactMethod: 'email',
+          email,
+          formToken
+        }
+      });
+      if (response.status() !== 200) break;
+      remaining.push(response.headers()['ratelimit-remaining']);
+      formToken = (await response.json()).formToken;
+    }
+
+    expect(remaining).toEqual(['2', '1', '0']);
+    expect(response.status()).toBe(429);
+    const headers = response.headers();
+    const retryAfter = Number(headers['retry-after']);
+    expect(retryAfter).toBeGreaterThan(3500);
+    expect(retryAfter).toBeLessThanOrEqual(3600);
+    expect(headers['ratelimit-limit']).toBe('3');
+    expect(headers['ratelimit-remaining']).toBe('0');
+    expect(Number(headers['ratelimit-reset'])).toBe(retryAfter);
+    expect(headers['ratelimit-policy']).toBe('3;w=3600');
+
+    const { error } = await response.json();
+    expect(error.code).toBe('rate_limited');
+    expect(error.retryAfter).toBe(retryAfter);
+  });
+
+  const backends = {
+    memory: () => new MemoryRateLimitBackend(),
+    file: () => new FileRateLimitBackend(path.join(dir, `limits-${Date.now()}.json`)),
+    redis: () => process.env.REDIS_URL && new RedisRateLimitBackend(process.env.REDIS_URL)
+  };
+
+  for (const [name, createBackend] of Object.entries(backends)) {
+    test(`slides the window with the ${name} backend`, async () => {
+      const backend = createBackend();
+      test.skip(!backend, 'Set REDIS_URL to test against a Redis server');
+
+      // Two per ten minutes; keys are unique so reruns against a shared Redis start clean
+      const limiter = new RateLimiter(`test-${Date.now()}`, [{ name: 'ip', limit: 2, windowMs: 10 * MINUTE }], backend);
+      const keys = { ip: '203.0.113.7' };
+      const start = Date.now();
+
+      await limiter.consume(keys, start);
+      await limiter.consume(keys, start + 4 * MINUTE);
+
+      const blocked = await limiter.check(keys, start + 9 * MINUTE);
+      expect(blocked).toMatchObject({ allowed: false, remaining: 0, resetAt: start + 10 * MINUTE, retryAfterSeconds: 60 });
+
+      // The first hit has left the window; the second still counts until start + 14 minutes
+      const slid = await limiter.check(keys, start + 10 * MINUTE + 1);
+      expect(slid).toMatchObject({ allowed: true, remaining: 1 });
+      await limiter.consume(keys, start + 11 * MINUTE);
+      expect(await limiter.check(keys, start + 13 * MINUTE)).toMatchObject({ allowed: false, resetAt: start + 14 * MINUTE });
+
+      // Other keys are counted separately
+      expect(await limiter.check({ ip: '203.0.113.8' }, start + 13 * MINUTE)).toMatchObject({ allowed: true, remaining: 2 });
+    });
+  }
+
+  test('reserves hits as it checks, so parallel requests cannot all get under the limit', async () => {
+    const limiter = new RateLimiter(`test-${Date.now()}`, [{ name: 'email', limit: 2, windowMs: 10 * MINUTE }], new MemoryRateLimitBackend());
+    const keys = { email: 'parallel@example.com' };
+    const now = Date.now();
+
+    const results = await Promise.all([1, 2, 3, 4].map(() => limiter.reserve(keys, now)));
+    expect(results.map(({ allowed }) => allowed)).toEqual([true, true, false, false]);
+    // Blocked reservations were handed back straight away
+    expect(await limiter.check(keys, now)).toMatchObject({ allowed: false, remaining: 0 });
+
+    // A request turned away after its reservation frees its slot again
+    await limiter.refund(keys, now);
+    expect(await limiter.check(keys, now)).toMatchObject({ allowed: true, remaining: 1 });
+  });
+
+  test('keeps file-backed limits across a restart', async () => {
+    const file = path.join(dir, 'restart.json');
+    const rule = { name: 'email', limit: 1, windowMs: 10 * MINUTE };
+    const keys = { email: 'restart@example.com' };
+    await new RateLimiter('contact', [rule], new FileRateLimitBackend(file)).consume(keys);
+
+    // Writes are batched for a second
+    await new Promise((resolve) => setTimeout(resolve, 1500));
+    const restarted = new RateLimiter('contact', [rule], new FileRateLimitBackend(file));
+    expect(await restarted.check(keys)).toMatchObject({ allowed: false, remaining: 0 });
+  });
+});
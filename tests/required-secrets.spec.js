@@ -0,0 +1,70 @@
+// Required Secrets Test
+// Last Updated: 2026-10-19 08:28:16 IST
+//
+// src/integrations/required-secrets.ts makes the built server exit at start-up
+// when a signing secret from src/lib/secrets.ts is missing. These tests run the
+// generated check in a child process rather than a full build.
+
+import { test, expect } from '@playwright/test';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { injectSecretsCheck, secretsCheckModule } from '../src/integrations/required-secrets.ts';
+import { missingSecrets, SECRET_NAMES } from '../src/lib/secrets.ts';
+
+test.describe('Required secrets', () => {
+  let dir;
+  let checkFile;
+
+  test.beforeAll(async ({}, testInfo) => {
+    test.skip(testInfo.project.name !== 'chromium', 'Build test runs once');
+    dir = mkdtempSync(path.join(tmpdir(), 'required-secrets-'));
+    checkFile = path.join(dir, 'required-secrets.mjs');
+    writeFileSync(checkFile, secretsCheckModule(SECRET_NAMES));
+  });
+
+  test.afterAll(() => {
+    if (dir) rmSync(dir, { recursive: true, force: true });
+  });
+
+  function start(env) {
+    // Only PATH from this process, so secrets set for the dev server do not leak in
+    return spawnSync(process.execPath, [checkFile], { env: { PATH: process.env.PATH, ...env }, encoding: 'utf8' });
+  }
+
+  test('covers every signing secret', () => {
+    expect(SECRET_NAMES).toEqual(expect.arrayContaining([
+      'NEWSLETTER_LINK_SECRET',
+      'ENQUIRY_LINK_SECRET',
+      'ADMIN_SESSION_SECRET',
+      'FORM_TOKEN_SECRET',
+      'ATTACHMENT_SIGNING_SECRET',
+      'CONTACT_FORM_WEBHOOK_SECRET'
+    ]));
+    expect(missingSecrets({ CONTACT_FORM_WEBHOOK_SECRET: '' })).toEqual(SECRET_NAMES);
+    expect(missingSecrets({ CONTACT_FORM_WEBHOOK_SECRET: 'set' })).toEqual(
+      SECRET_NAMES.filter((name) => name !== 'CONTACT_FORM_WEBHOOK_SECRET')
+    );
+  });
+
+  test('exits before the server starts when a secret is missing', () => {
+    const allSet = Object.fromEntries(SECRET_NAMES.map((name) => [name, `${name}-value`]));
+    expect(start(allSet).status).toBe(0);
+
+    const { CONTACT_FORM_WEBHOOK_SECRET, FORM_TOKEN_SECRET, ...someSet } = allSet;
+    const refused = start(someSet);
+    expect(refused.status).toBe(1);
+    const line = JSON.parse(refused.stderr.trim());
+    expect(line.level).toBe('error');
+    expect(line.missing.sort()).toEqual(['CONTACT_FORM_WEBHOOK_SECRET', 'FORM_TOKEN_SECRET']);
+  });
+
+  test('imports the check ahead of everything else in the server entry, once', () => {
+    const entry = "import { renderers } from './renderers.mjs';\nserverEntrypointModule.start();\n";
+    const injected = injectSecretsCheck(entry);
+    expect(injected.split('\n')[0]).toBe("import './required-secrets.mjs';");
+    expect(injected.endsWith(entry)).toBe(true);
+    expect(injectSecretsCheck(injected)).toBe(injected);
+  });
+});
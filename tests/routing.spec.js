@@ -0,0 +1,155 @@
+// Lead Routing Test
+// Last Updated: 2026-10-19 09:09:25 IST
+//
+// LeadRouter (lib/routing) against small inline configurations, sent as the
+// candidate `config` of /api/routing/dry-run so nothing is stored or sent: rules
+// apply in order, `continue` keeps evaluating, priority only ever goes up, and
+// leads that no rule names channels for go to the default channels.
+
+import { test, expect } from '@playwright/test';
+
+const headers = { Authorization: 'Bearer test-admin-token' };
+
+const channels = {
+  sales: { type: 'email', to: 'sales@example.com' },
+  healthcare: { type: 'email', to: 'healthcare@example.com' },
+  geospatial: { type: 'email', to: '${GEOSPATIAL_TEST_LEADS_EMAIL:-geo@example.com}' },
+  crm: { type: 'webhook', url: '${CRM_TEST_WEBHOOK_URL}', format: 'hubspot' },
+  // SMTP_HOST is set for the test server in playwright.config.js
+  mailer: { type: 'webhook', url: 'http://${SMTP_HOST}/hook', format: 'json' }
+};
+
+test.describe('Lead routing', () => {
+  test.beforeAll(async ({}, testInfo) => {
+    test.skip(testInfo.project.name !== 'chromium', 'API test runs once');
+  });
+
+  // Routes each sample with a router built from `rules` and `defaults`
+  async function route(request, rules, samples, defaults = { channels: ['sales'], priority: 'normal' }) {
+    const response = await request.post('/api/routing/dry-run', {
+      headers,
+      data: { samples, config: { channels, rules, default: defaults } }
+    });
+    expect(response.status()).toBe(200);
+    return (await response.json()).results.map(({ matchedRules, channels: picked, priority }) => ({
+      matchedRules,
+      channels: picked,
+      priority
+    }));
+  }
+
+  test('stops at the first matching rule unless it continues', async ({ request }) => {
+    const rules = [
+      { name: 'healthcare', when: { service: ['healthcare-qa'] }, channels: ['healthcare'] },
+      { name: 'large', when: { projectSize: ['large'] }, channels: ['crm'] }
+    ];
+    const lead = { service: 'healthcare-qa', projectSize: 'large' };
+
+    expect(await route(request, rules, [lead])).toEqual([
+      { matchedRules: ['healthcare'], channels: ['healthcare'], priority: 'normal' }
+    ]);
+    // The same rules in the other order send the lead elsewhere
+    expect(await route(request, [...rules].reverse(), [lead])).toEqual([
+      { matchedRules: ['large'], channels: ['crm'], priority: 'normal' }
+    ]);
+    expect(await route(request, [{ ...rules[0], continue: true }, rules[1]], [lead])).toEqual([
+      { matchedRules: ['healthcare', 'large'], channels: ['healthcare', 'crm'], priority: 'normal' }
+    ]);
+  });
+
+  test('needs every listed field to match and never matches a missing one', async ({ request }) => {
+    const rules = [{ name: 'urgent-geo', when: { service: ['geospatial'], timeline: ['immediate', 'month'] }, channels: ['geospatial'] }];
+    const results = await route(request, rules, [
+      { service: 'geospatial', timeline: 'month' },
+      { service: 'geospatial', timeline: 'quarter' },
+      { service: 'geospatial' }
+    ]);
+    expect(results.map(({ matchedRules }) => matchedRules)).toEqual([['urgent-geo'], [], []]);
+  });
+
+  test('raises the priority to the highest matching rule and never lowers it', async ({ request }) => {
+    const rules = [
+      { name: 'large', when: { projectSize: ['large'] }, priority: 'urgent', continue: true },
+      { name: 'international', when: { country: ['US'] }, priority: 'high', continue: true },
+      { name: 'small', when: { projectSize: ['small'] }, priority: 'low', continue: true }
+    ];
+    const results = await route(request, rules, [
+      { projectSize: 'large', country: 'US' },
+      { projectSize: 'medium', country: 'US' },
+      { projectSize: 'small' }
+    ]);
+    expect(results).toEqual([
+      { matchedRules: ['large', 'international'], channels: ['sales'], priority: 'urgent' },
+      { matchedRules: ['international'], channels: ['sales'], priority: 'high' },
+      // A low-priority rule does not lower the default
+      { matchedRules: ['small'], channels: ['sales'], priority: 'normal' }
+    ]);
+
+    // Without a default priority leads start at normal
+    expect((await route(request, [], [{}], { channels: ['sales'] }))[0].priority).toBe('normal');
+  });
+
+  test('falls back to the default channels when no matching rule names any', async ({ request }) => {
+    const rules = [
+      { name: 'flag-us', when: { country: ['US'] }, priority: 'high', continue: true },
+      { name: 'healthcare', when: { service: ['healthcare-qa'] }, channels: ['healthcare'] }
+    ];
+    expect(await route(request, rules, [
+      { service: 'electronics' },
+      // A rule that only sets the priority leaves the lead on the default channels
+      { service: 'electronics', country: 'US' },
+      { service: 'healthcare-qa', country: 'US' }
+    ])).toEqual([
+      { matchedRules: [], channels: ['sales'], priority: 'normal' },
+      { matchedRules: ['flag-us'], channels: ['sales'], priority: 'high' },
+      { matchedRules: ['flag-us', 'healthcare'], channels: ['healthcare'], priority: 'high' }
+    ]);
+  });
+
+  test('reports which channels resolve to a target', async ({ request }) => {
+    const response = await request.post('/api/routing/dry-run', {
+      headers,
+      data: {
+        samples: [{}],
+        config: { channels, rules: [], default: { channels: ['geospatial', 'crm', 'mailer'] } }
+      }
+    });
+    const { results } = await response.json();
+    expect(results[0].targets).toEqual([
+      // Falls back to the default written into the reference
+      { channel: 'geospatial', type: 'email', configured: true },
+      // A webhook whose URL variable is unset is routed to but not configured
+      { channel: 'crm', configured: false },
+      { channel: 'mailer', type: 'webhook', format: 'json', configured: true }
+    ]);
+  });
+
+  test('rejects configurations naming unknown channels or priorities', async ({ request }) => {
+    const invalid = async (rules, defaults = { channels: ['sales'] }) => {
+      const response = await request.post('/api/routing/dry-run', {
+        headers,
+        data: { samples: [{}], config: { channels, rules, default: defaults } }
+      });
+      expect(response.status()).toBe(400);
+      return (await response.json()).error.fields.config;
+    };
+
+    expect(await invalid([{ name: 'typo', when: {}, channels: ['saless'] }])).toContain('unknown channels: saless');
+    expect(await invalid([{ name: 'flag', when: {}, priority: 'critical' }])).toContain('unknown priority "critical"');
+    expect(await invalid([], { channels: ['nowhere'] })).toContain('unknown channels: nowhere');
+
+    const badUrl = await request.post('/api/routing/dry-run', {
+      headers,
+      data: {
+        samples: [{}],
+        config: {
+          channels: { crm: { type: 'webhook', url: 'crm.example.com/hook', format: 'json' } },
+          rules: [],
+          default: { channels: ['crm'] }
+        }
+      }
+    });
+    expect(badUrl.status()).toBe(400);
+    expect((await badUrl.json()).error.fields.config).toContain('"crm" has an invalid URL');
+  });
+});
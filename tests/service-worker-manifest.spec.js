@@ -0,0 +1,76 @@
+// Service Worker Precache Manifest Test
+// Last Updated: 2026-10-19 06:47:35 IST
+//
+// src/integrations/service-worker.ts lists the built files for sw.js to precache
+// and derives the cache version from their content hashes. These tests run it on
+// a small stand-in for dist/client rather than a full build.
+
+import { test, expect } from '@playwright/test';
+import { mkdtempSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import {
+  buildPrecacheManifest,
+  cacheVersion,
+  injectPrecacheManifest,
+  ServiceWorkerBuildError
+} from '../src/integrations/service-worker.ts';
+
+const BUILT_FILES = {
+  'index.html': '<h1>Home</h1>',
+  'about/index.html': '<h1>About</h1>',
+  '404.html': '<h1>Not found</h1>',
+  '_astro/hoisted.Ab12Cd34.js': 'console.log("bundle");',
+  '_astro/about.Ef56Gh78.css': 'h1{color:red}',
+  'favicon.svg': '<svg></svg>',
+  'downloads/guide.pdf': '%PDF-1.4',
+  'robots.txt': 'User-agent: *',
+  'sw.js': readFileSync(new URL('../public/sw.js', import.meta.url), 'utf8')
+};
+
+test.describe('Service worker precache manifest', () => {
+  let clientDir;
+
+  test.beforeAll(async ({}, testInfo) => {
+    test.skip(testInfo.project.name !== 'chromium', 'Build test runs once');
+    clientDir = mkdtempSync(path.join(tmpdir(), 'sw-manifest-'));
+    for (const [file, content] of Object.entries(BUILT_FILES)) {
+      mkdirSync(path.dirname(path.join(clientDir, file)), { recursive: true });
+      writeFileSync(path.join(clientDir, file), content);
+    }
+  });
+
+  test.afterAll(() => {
+    if (clientDir) rmSync(clientDir, { recursive: true, force: true });
+  });
+
+  test('lists emitted pages and assets, and versions the cache by their content', async () => {
+    const manifest = await buildPrecacheManifest(clientDir);
+    expect(manifest.map(({ url }) => url)).toEqual([
+      '/',
+      '/_astro/about.Ef56Gh78.css',
+      '/_astro/hoisted.Ab12Cd34.js',
+      '/about/',
+      '/favicon.svg'
+    ]);
+    expect(manifest[0].revision).toMatch(/^[0-9a-f]{16}$/);
+
+    writeFileSync(path.join(clientDir, 'about/index.html'), '<h1>About us</h1>');
+    const changed = await buildPrecacheManifest(clientDir);
+    expect(changed.find(({ url }) => url === '/about/').revision).not.toBe(manifest.find(({ url }) => url === '/about/').revision);
+    expect(cacheVersion(changed)).not.toBe(cacheVersion(manifest));
+    expect(cacheVersion(await buildPrecacheManifest(clientDir))).toBe(cacheVersion(changed));
+  });
+
+  test('writes the manifest and version into sw.js', async () => {
+    const manifest = await buildPrecacheManifest(clientDir);
+    const worker = injectPrecacheManifest(BUILT_FILES['sw.js'], manifest);
+
+    expect(worker).toContain(`const CACHE_VERSION = '${cacheVersion(manifest)}';`);
+    expect(worker).toContain('"url": "/_astro/hoisted.Ab12Cd34.js"');
+    expect(worker).not.toContain("const CACHE_VERSION = 'dev';");
+
+    // A worker edited so the build cannot find its placeholders fails the build
+    expect(() => injectPrecacheManifest(worker, manifest)).toThrow(ServiceWorkerBuildError);
+  });
+});
@@ -0,0 +1,129 @@
+// Service Worker Caching Strategy Test
+// Last Updated: 2026-10-19 09:14:31 IST
+//
+// public/sw.js picks a strategy and a named cache per route (ROUTES). These tests
+// run the real worker in tests/support/service-worker-sandbox.js against a
+// scripted network, with a build's precache manifest written in.
+
+import { test, expect } from '@playwright/test';
+import { injectPrecacheManifest } from '../src/integrations/service-worker.ts';
+import { loadServiceWorker, SERVICE_WORKER_SOURCE } from './support/service-worker-sandbox.js';
+
+const MANIFEST = [
+  { url: '/about/', revision: '1111111111111111' },
+  { url: '/offline/', revision: '2222222222222222' },
+  { url: '/_astro/hoisted.Ab12Cd34.js', revision: '3333333333333333' }
+];
+const SOURCE = injectPrecacheManifest(SERVICE_WORKER_SOURCE, MANIFEST);
+const CACHE_VERSION = SOURCE.match(/const CACHE_VERSION = '([0-9a-f]+)';/)[1];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Answers with the path and how many times it has been requested, e.g. "/about #2"
+function countingNetwork(overrides = {}) {
+  const counts = {};
+  return async (request) => {
+    const { pathname, origin } = new URL(request.url);
+    counts[request.url] = (counts[request.url] || 0) + 1;
+    const override = overrides[pathname];
+    if (override) return override(counts[request.url]);
+    const path = origin === 'https://eexperts.info' ? pathname : request.url;
+    return new Response(`${path} #${counts[request.url]}`, { headers: { 'Content-Type': 'text/plain' } });
+  };
+}
+
+test.describe('Service worker caching strategies', () => {
+  test.beforeAll(async ({}, testInfo) => {
+    test.skip(testInfo.project.name !== 'chromium', 'Service worker sandbox runs once');
+  });
+
+  test('caches images and fonts with expiry, never the API, and rolls caches over per build', async () => {
+    const worker = loadServiceWorker({ source: SOURCE, network: countingNetwork() });
+    await worker.install();
+    await worker.activate();
+    expect(worker.cacheNames()).toEqual([`ritesource-eexperts-precache-${CACHE_VERSION}`]);
+    expect(await worker.request('/_astro/hoisted.Ab12Cd34.js')).toBe('/_astro/hoisted.Ab12Cd34.js #1');
+    expect(worker.fetched.filter((url) => url.endsWith('/hoisted.Ab12Cd34.js'))).toHaveLength(1);
+
+    // Network only: every call reaches the server and nothing is stored
+    expect(await worker.request('/api/v1/form-token?form=contact')).toBe('/api/v1/form-token #1');
+    expect(await worker.request('/api/v1/form-token?form=contact')).toBe('/api/v1/form-token #2');
+
+    // Cache first until maxAgeSeconds (30 days), then fetched again
+    expect(await worker.request('/images/team/lead.webp', { destination: 'image' })).toBe('/images/team/lead.webp #1');
+    worker.clock.now += 29 * DAY_MS;
+    expect(await worker.request('/images/team/lead.webp', { destination: 'image' })).toBe('/images/team/lead.webp #1');
+    worker.clock.now += 2 * DAY_MS;
+    expect(await worker.request('/images/team/lead.webp', { destination: 'image' })).toBe('/images/team/lead.webp #2');
+
+    // maxEntries (60) drops the least recently stored image
+    for (let index = 0; index < 60; index++) {
+      await worker.request(`/images/gallery/${index}.png`, { destination: 'image' });
+    }
+    const images = await worker.cached('ritesource-eexperts-images');
+    expect(images).toHaveLength(60);
+    expect(images).not.toContain('/images/team/lead.webp');
+
+    const font = 'https://fonts.gstatic.com/s/inter/v13/inter.woff2';
+    expect(await worker.request(font, { destination: 'font' })).toBe(`${font} #1`);
+    expect(await worker.request(font, { destination: 'font' })).toBe(`${font} #1`);
+    expect(await worker.cached('ritesource-eexperts-fonts')).toEqual([font]);
+
+    // A new build keeps images and fonts but replaces the versioned caches
+    const nextSource = injectPrecacheManifest(SERVICE_WORKER_SOURCE, [...MANIFEST, { url: '/services/', revision: '4444444444444444' }]);
+    const nextVersion = nextSource.match(/const CACHE_VERSION = '([0-9a-f]+)';/)[1];
+    await worker.request('/contact', { mode: 'navigate' });
+    const nextBuild = loadServiceWorker({ source: nextSource, network: countingNetwork(), stores: worker.stores });
+    await nextBuild.install();
+    await nextBuild.activate();
+    expect(nextBuild.cacheNames().sort()).toEqual([
+      'ritesource-eexperts-fonts',
+      'ritesource-eexperts-images',
+      `ritesource-eexperts-precache-${nextVersion}`
+    ]);
+  });
+
+  test('revalidates prerendered pages in the background and sends other navigations to the network first', async () => {
+    let connection = 'up';
+    const worker = loadServiceWorker({
+      source: SOURCE,
+      network: countingNetwork({
+        '/contact': async (count) => {
+          if (connection === 'down') throw new TypeError('Failed to fetch');
+          if (connection === 'slow') await new Promise((resolve) => setTimeout(resolve, 3500));
+          return new Response(`/contact #${count}`);
+        },
+        '/enquiry/EE-261020-ABCDEF': async () => {
+          if (connection === 'down') throw new TypeError('Failed to fetch');
+          return new Response('private', { headers: { 'Cache-Control': 'no-store' } });
+        }
+      })
+    });
+    await worker.install();
+    const pages = `ritesource-eexperts-pages-${CACHE_VERSION}`;
+
+    // Stale while revalidate: the precached copy answers, the fresh one is stored for next time
+    expect(await worker.request('/about', { mode: 'navigate' })).toBe('/about/ #1');
+    expect(await worker.request('/about', { mode: 'navigate' })).toBe('/about #1');
+    expect(await worker.request('/about', { mode: 'navigate' })).toBe('/about #2');
+    expect(await worker.request('/resources', { mode: 'navigate' })).toBe('/resources #1');
+    expect(await worker.request('/resources', { mode: 'navigate' })).toBe('/resources #1');
+    expect(await worker.cached(pages)).toEqual(['/about', '/resources']);
+
+    // Network first: fresh while the network answers, the cached copy when it is slow or down
+    expect(await worker.request('/contact', { mode: 'navigate' })).toBe('/contact #1');
+    expect(await worker.request('/contact', { mode: 'navigate' })).toBe('/contact #2');
+    connection = 'slow';
+    expect(await worker.request('/contact', { mode: 'navigate' })).toBe('/contact #2');
+    connection = 'up';
+
+    // Private pages are never kept: admin is network only, and no-store responses are not stored
+    expect(await worker.request('/admin/leads', { mode: 'navigate' })).toBe('/admin/leads #1');
+    expect(await worker.request('/enquiry/EE-261020-ABCDEF', { mode: 'navigate' })).toBe('private');
+    expect(await worker.cached(pages)).toEqual(['/about', '/resources', '/contact']);
+
+    // Offline: the last stored copy, else the offline page
+    connection = 'down';
+    expect(await worker.request('/contact', { mode: 'navigate' })).toBe('/contact #3');
+    expect(await worker.request('/enquiry/EE-261020-ABCDEF', { mode: 'navigate' })).toBe('/offline/ #1');
+  });
+});
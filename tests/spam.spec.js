@@ -0,0 +1,89 @@
+// Spam Filtering Test
+// Last Updated: 2026-10-19 06:03:26 IST
+//
+// Submissions scoring at or over the threshold (lib/spam), and any that fill the
+// honeypot, get the same success response as a real enquiry so bots learn
+// nothing, but are quarantined in the spam log instead of becoming leads.
+// Staff see where each one went through the privacy export.
+
+import { test, expect } from '@playwright/test';
+import { fetchFormToken, waitForTimeTrap } from './support/form-token.js';
+
+const admin = { Authorization: 'Bearer test-admin-token' };
+
+test.describe('Spam filtering', () => {
+  test.beforeAll(async ({}, testInfo) => {
+    test.skip(testInfo.project.name !== 'chromium', 'API test runs once');
+  });
+
+  async function submit(request, fields) {
+    const formToken = await fetchFormToken(request);
+    await waitForTimeTrap();
+    const response = await request.post('/api/v1/contact', {
+      data: {
+        service: 'software-testing',
+        firstName: 'Ravi',
+        lastName: 'Shah',
+        contactMethod: 'email',
+        formToken,
+        ...fields
+      }
+    });
+    expect(response.status()).toBe(200);
+    return response.json();
+  }
+
+  async function heldFor(request, email) {
+    const response = await request.post('/api/privacy/export', { headers: admin, data: { email } });
+    expect(response.status()).toBe(200);
+    return response.json();
+  }
+
+  test('quarantines a submission that scores as spam', async ({ request }) => {
+    const email = `spam-${Date.now()}@guerrillamail.com`;
+    const result = await submit(request, {
+      email,
+      message: `Cheap backlinks and casino traffic for your site: https://spam.example/a https://spam.example/b https://spam.example/c ${Date.now()}`
+    });
+
+    // Indistinguishable from success for the sender, but no enquiry was created
+    expect(result).toEqual({ success: true });
+
+    const { leads, spam } = await heldFor(request, email);
+    expect(leads).toEqual([]);
+    expect(spam).toHaveLength(1);
+    expect(spam[0].reason).toBe('score');
+    expect(spam[0].spam.isSpam).toBe(true);
+    expect(spam[0].spam.rules.map(({ rule }) => rule)).toEqual(expect.arrayContaining(['links', 'keywords', 'disposableEmail']));
+  });
+
+  test('quarantines a submission that fills the honeypot', async ({ request }) => {
+    const email = `honeypot-${Date.now()}@example.com`;
+    const result = await submit(request, {
+      email,
+      message: `We would like a quote for testing our mobile banking app (${Date.now()}).`,
+      website: 'https://bot.example'
+    });
+    expect(result).toEqual({ success: true });
+
+    const { leads, spam } = await heldFor(request, email);
+    expect(leads).toEqual([]);
+    expect(spam).toMatchObject([{ reason: 'honeypot', detail: 'https://bot.example' }]);
+  });
+
+  test('accepts a clean submission as a lead', async ({ request }) => {
+    const email = `clean-${Date.now()}@example.com`;
+    const result = await submit(request, {
+      email,
+      message: `We need regression testing for our patient portal before the March release (${Date.now()}).`
+    });
+    expect(result.success).toBe(true);
+    expect(result.reference).toMatch(/^EE-/);
+
+    const { leads, spam } = await heldFor(request, email);
+    expect(spam).toEqual([]);
+    expect(leads.map((lead) => lead.reference)).toEqual([result.reference]);
+    expect(leads[0].spam.isSpam).toBe(false);
+    expect(leads[0].spam.score).toBeLessThan(leads[0].spam.threshold);
+  });
+});
@@ -0,0 +1,16 @@
+// Signed form token helper for API tests
+// Last Updated: 2026-10-19 06:10:17 IST
+
+// Renders a page and returns the form token it embeds, as a browser would submit it.
+// Pages with several forms embed one token each; `form` picks which (tokens start with it).
+export async function fetchFormToken(request, path = '/contact', form = 'contact') {
+  const html = await (await request.get(path)).text();
+  const token = new RegExp(`name="formToken" value="(${form}\\.[^"]+)"`).exec(html)?.[1];
+  if (!token) throw new Error(`No ${form} form token found on ${path}`);
+  return token;
+}
+
+// Waits out the time trap (FORM_TOKEN_MIN_SECONDS in playwright.config.js)
+export function waitForTimeTrap() {
+  return new Promise((resolve) => setTimeout(resolve, 1100));
+}
@@ -0,0 +1,110 @@
+// OpenAPI contract helper for API tests
+// Last Updated: 2026-10-19 06:32:44 IST
+
+// Checks a live response against /api/openapi.json: the status must be documented
+// for the operation, required headers present and the JSON body valid against
+// the schema. Returns a list of problems, empty when the response matches.
+export async function contractProblems(doc, method, path, response) {
+  const operation = findOperation(doc, method, path);
+  if (!operation) return [`${method.toUpperCase()} ${path} is not documented`];
+
+  const status = String(response.status());
+  let documented = operation.responses[status];
+  if (!documented) return [`${method.toUpperCase()} ${path} answered ${status}, documented: ${Object.keys(operation.responses).join(', ')}`];
+  documented = resolve(doc, documented);
+
+  const problems = [];
+  for (const [name, header] of Object.entries(documented.headers || {})) {
+    if (resolve(doc, header).required && !response.headers()[name.toLowerCase()]) problems.push(`header ${name} missing`);
+  }
+
+  const schema = documented.content?.['application/json']?.schema;
+  if (schema) validate(doc, schema, await response.json(), 'body', problems);
+  return problems.map((problem) => `${method.toUpperCase()} ${path} ${status}: ${problem}`);
+}
+
+// Path templates ({id}) and x-aliases both count
+export function findOperation(doc, method, path) {
+  const pathname = path.split('?')[0];
+  for (const [template, item] of Object.entries(doc.paths)) {
+    const candidates = [template, ...(item['x-aliases'] || [])];
+    if (candidates.some((candidate) => templatePattern(candidate).test(pathname))) {
+      return item[method.toLowerCase()];
+    }
+  }
+  return undefined;
+}
+
+function templatePattern(template) {
+  return new RegExp(`^${template.replace(/[.]/g, '\\.').replace(/\{[^}]+\}/g, '[^/]+')}$`);
+}
+
+function resolve(doc, node) {
+  while (node?.$ref) {
+    node = node.$ref.slice(2).split('/').reduce((parent, key) => parent[key], doc);
+  }
+  return node;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+// The subset of JSON Schema that lib/openapi uses
+function validate(doc, schema, value, at, problems) {
+  schema = resolve(doc, schema);
+
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter((option) => {
+      const optionProblems = [];
+      validate(doc, option, value, at, optionProblems);
+      return optionProblems.length === 0;
+    });
+    if (matches.length !== 1) problems.push(`${at} matches ${matches.length} of the oneOf schemas`);
+    return;
+  }
+  if ('const' in schema && value !== schema.const) {
+    problems.push(`${at} is ${JSON.stringify(value)}, expected ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push(`${at} is ${JSON.stringify(value)}, expected one of ${schema.enum.join(', ')}`);
+  }
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const actual = typeOf(value);
+    if (!types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+      problems.push(`${at} is ${actual}, expected ${types.join(' or ')}`);
+      return;
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) problems.push(`${at} is shorter than ${schema.minLength}`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) problems.push(`${at} is longer than ${schema.maxLength}`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) problems.push(`${at} does not match ${schema.pattern}`);
+    if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) problems.push(`${at} is not a date-time`);
+    if (schema.format === 'uri' && !URL.canParse(value)) problems.push(`${at} is not a URI`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => validate(doc, schema.items, item, `${at}[${index}]`, problems));
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) problems.push(`${at}.${key} is missing`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (schema.properties?.[key]) {
+        validate(doc, schema.properties[key], item, `${at}.${key}`, problems);
+      } else if (schema.additionalProperties === false) {
+        problems.push(`${at}.${key} is not documented`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        validate(doc, schema.additionalProperties, item, `${at}.${key}`, problems);
+      }
+    }
+  }
+}
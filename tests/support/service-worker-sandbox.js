@@ -0,0 +1,153 @@
+// Service worker sandbox for tests
+// Last Updated: 2026-10-19 07:22:19 IST
+
+// Runs public/sw.js in a Node VM with an in-memory Cache Storage, a scripted
+// network and a clock the test can move, so the caching strategies can be
+// checked without a browser. Only what the fetch and install handlers use is
+// implemented.
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+export const SERVICE_WORKER_SOURCE = readFileSync(new URL('../../public/sw.js', import.meta.url), 'utf8');
+export const ORIGIN = 'https://eexperts.info';
+
+function keyOf(request) {
+  return new URL(typeof request === 'string' ? request : request.url, ORIGIN).href;
+}
+
+class MemoryCache {
+  constructor(network) {
+    this.entries = new Map();
+    this.network = network;
+  }
+
+  async match(request) {
+    return this.entries.get(keyOf(request))?.clone();
+  }
+
+  async put(request, response) {
+    // Re-storing moves the entry to the end, like the insertion order of cache.keys()
+    this.entries.delete(keyOf(request));
+    this.entries.set(keyOf(request), response);
+  }
+
+  async delete(request) {
+    return this.entries.delete(keyOf(request));
+  }
+
+  async keys() {
+    return [...this.entries.keys()].map((url) => ({ url }));
+  }
+
+  async addAll(urls) {
+    for (const url of urls) {
+      await this.put(url, await this.network({ url: keyOf(url), method: 'GET', mode: 'cors', destination: '' }));
+    }
+  }
+}
+
+/**
+ * `network(request)` answers the worker's fetches (return a Response, or throw
+ * to act offline); every call is also recorded in `fetched`. Pass an earlier
+ * worker's `stores` to load a new version over its caches.
+ */
+export function loadServiceWorker({ source = SERVICE_WORKER_SOURCE, network, stores = new Map() }) {
+  const listeners = {};
+  const fetched = [];
+  const clock = { now: Date.now() };
+
+  // The worker passes its fetch event's request along, or a URL and init of its own
+  const recordedNetwork = async (input, init) => {
+    const request = typeof input === 'string' ? new Request(new URL(input, ORIGIN), init) : input;
+    fetched.push(request.url);
+    return network(request);
+  };
+  const caches = {
+    async open(name) {
+      if (!stores.has(name)) stores.set(name, new MemoryCache(recordedNetwork));
+      return stores.get(name);
+    },
+    async match(request, { cacheName } = {}) {
+      for (const [name, cache] of stores) {
+        if (cacheName && name !== cacheName) continue;
+        const cached = await cache.match(request);
+        if (cached) return cached;
+      }
+      return undefined;
+    },
+    async keys() {
+      return [...stores.keys()];
+    },
+    async delete(name) {
+      return stores.delete(name);
+    }
+  };
+
+  class SandboxDate extends Date {
+    static now() {
+      return clock.now;
+    }
+  }
+
+  const context = vm.createContext({
+    console: { log() {}, error() {} },
+    URL, Headers, Request, Response, FormData, Blob, Promise, Error,
+    setTimeout, clearTimeout,
+    Date: SandboxDate,
+    caches,
+    fetch: recordedNetwork,
+    self: {
+      location: { origin: ORIGIN },
+      addEventListener: (type, listener) => { listeners[type] = listener; },
+      skipWaiting: async () => {},
+      clients: { claim: async () => {}, matchAll: async () => [] }
+    }
+  });
+  vm.runInContext(source, context);
+
+  // Like a browser, keeps the event alive for promises passed to waitUntil later on,
+  // while earlier ones (or the respondWith promise) are still pending
+  async function dispatch(type, event = {}) {
+    const pending = [];
+    let responded;
+    listeners[type]({
+      ...event,
+      waitUntil: (promise) => pending.push(promise),
+      respondWith: (promise) => pending.push(responded = promise)
+    });
+    for (let index = 0; index < pending.length; index++) {
+      await pending[index].catch(() => {});
+    }
+    return responded;
+  }
+
+  return {
+    fetched,
+    clock,
+    stores,
+    /** The worker's global scope, to call its functions directly */
+    scope: context,
+
+    install: () => dispatch('install'),
+    activate: () => dispatch('activate'),
+
+    /**
+     * Sends a GET through the fetch handler. Resolves with the response text
+     * (undefined when the worker lets the request through), once any background
+     * work such as a revalidation has finished.
+     */
+    async request(path, { mode = 'cors', destination = '' } = {}) {
+      const responded = await dispatch('fetch', {
+        request: { url: new URL(path, ORIGIN).href, method: 'GET', mode, destination }
+      });
+      return responded && (await responded).text();
+    },
+
+    async cached(cacheName) {
+      const cache = stores.get(cacheName);
+      return cache ? (await cache.keys()).map(({ url }) => url.replace(ORIGIN, '')) : [];
+    },
+
+    cacheNames: () => [...stores.keys()]
+  };
+}
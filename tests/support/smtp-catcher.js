@@ -0,0 +1,46 @@
+// Local SMTP catcher for email delivery tests
+// Last Updated: 2026-10-19 05:27:55 IST
+
+import { SMTPServer } from 'smtp-server';
+
+export const SMTP_CATCHER_PORT = 2525;
+
+// Starts an SMTP server that accepts every message and keeps it in memory
+export async function startSmtpCatcher(port = SMTP_CATCHER_PORT) {
+  const messages = [];
+
+  const server = new SMTPServer({
+    authOptional: true,
+    disabledCommands: ['STARTTLS'],
+    onData(stream, session, callback) {
+      let raw = '';
+      stream.setEncoding('utf8');
+      stream.on('data', (chunk) => { raw += chunk; });
+      stream.on('end', () => {
+        const subject = /^Subject: (.*)$/m.exec(raw)?.[1] ?? '';
+        messages.push({
+          from: session.envelope.mailFrom && session.envelope.mailFrom.address,
+          to: session.envelope.rcptTo.map((recipient) => recipient.address),
+          subject,
+          raw
+        });
+        callback();
+      });
+    }
+  });
+
+  await new Promise((resolve) => server.listen(port, '127.0.0.1', resolve));
+
+  return {
+    messages,
+    // Polls until `count` messages have arrived or the timeout elapses
+    async waitForMessages(count, timeout = 5000) {
+      const deadline = Date.now() + timeout;
+      while (messages.length < count && Date.now() < deadline) {
+        await new Promise((resolve) => setTimeout(resolve, 100));
+      }
+      return messages;
+    },
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
@@ -0,0 +1,47 @@
+// Local mock HTTP server for webhook delivery tests
+// Last Updated: 2026-10-19 08:25:49 IST
+
+import { createServer } from 'node:http';
+
+// tests/fixtures/crm/lead-routing.json points the CRM webhook channels here
+export const WEBHOOK_CATCHER_PORT = 2580;
+
+// Starts an HTTP server that answers every POST with 202 and keeps the request in memory.
+// Port 0 picks a free port; `url` has the one in use.
+export async function startWebhookCatcher(port = WEBHOOK_CATCHER_PORT) {
+  const requests = [];
+  // Statuses for the next requests, in order, before falling back to 202
+  const statuses = [];
+
+  const server = createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const status = statuses.shift() ?? 202;
+      requests.push({ method: req.method, path: req.url, headers: req.headers, body, status });
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(status < 300 ? '{"status":"accepted"}' : '{"status":"failed"}');
+    });
+  });
+
+  await new Promise((resolve) => server.listen(port, '127.0.0.1', resolve));
+
+  return {
+    requests,
+    url: `http://127.0.0.1:${server.address().port}`,
+    // Answers the next `count` requests with `status`, e.g. 503 to make the sender retry
+    respondWith(status, count = 1) {
+      for (let i = 0; i < count; i++) statuses.push(status);
+    },
+    // Polls until `count` requests have arrived or the timeout elapses
+    async waitForRequests(count, timeout = 5000) {
+      const deadline = Date.now() + timeout;
+      while (requests.length < count && Date.now() < deadline) {
+        await new Promise((resolve) => setTimeout(resolve, 100));
+      }
+      return requests;
+    },
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
@@ -0,0 +1,59 @@
+// ZIP builder for attachment tests
+// Last Updated: 2026-10-19 07:13:01 IST
+
+import { crc32, deflateRawSync } from 'node:zlib';
+
+// Builds a ZIP archive from { name, data, deflate?, declaredSize?, sameDataAs? } entries.
+// `declaredSize` overrides the uncompressed size written to the central directory (a
+// lying archive); `sameDataAs` points the entry at an earlier entry's local header
+// (overlapping entries).
+export function buildZip(entries) {
+  const locals = [];
+  const central = [];
+  const offsets = [];
+  let offset = 0;
+
+  entries.forEach((entry, index) => {
+    const name = Buffer.from(entry.name);
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data);
+    const stored = entry.deflate ? deflateRawSync(data) : data;
+    const size = entry.declaredSize ?? data.length;
+
+    if (entry.sameDataAs === undefined) {
+      const local = Buffer.alloc(30);
+      local.writeUInt32LE(0x04034b50, 0);
+      local.writeUInt16LE(20, 4);
+      local.writeUInt16LE(entry.deflate ? 8 : 0, 8);
+      local.writeUInt32LE(crc32(data), 14);
+      local.writeUInt32LE(stored.length, 18);
+      local.writeUInt32LE(size, 22);
+      local.writeUInt16LE(name.length, 26);
+      offsets[index] = offset;
+      locals.push(local, name, stored);
+      offset += local.length + name.length + stored.length;
+    } else {
+      offsets[index] = offsets[entry.sameDataAs];
+    }
+
+    const record = Buffer.alloc(46);
+    record.writeUInt32LE(0x02014b50, 0);
+    record.writeUInt16LE(20, 4);
+    record.writeUInt16LE(20, 6);
+    record.writeUInt16LE(entry.deflate ? 8 : 0, 10);
+    record.writeUInt32LE(crc32(data), 16);
+    record.writeUInt32LE(stored.length, 20);
+    record.writeUInt32LE(size, 24);
+    record.writeUInt16LE(name.length, 28);
+    record.writeUInt32LE(offsets[index], 42);
+    central.push(record, name);
+  });
+
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
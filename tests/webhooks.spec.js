@@ -0,0 +1,129 @@
+// Webhook Delivery Test
+// Last Updated: 2026-10-19 09:09:25 IST
+//
+// Delivers payloads with lib/webhooks to the local mock server: every request
+// is signed, 5xx responses are retried with backoff, and a payload that is never
+// accepted goes to the dead-letter directory, from where it can be replayed.
+
+import { test, expect } from '@playwright/test';
+import { randomUUID } from 'node:crypto';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { startWebhookCatcher } from './support/webhook-catcher.js';
+
+const SECRET = 'test-webhook-secret';
+const MAX_ATTEMPTS = 3;
+
+test.describe('Webhook delivery', () => {
+  let dir;
+  let catcher;
+  let webhooks;
+
+  test.beforeAll(async ({}, testInfo) => {
+    test.skip(testInfo.project.name !== 'chromium', 'Delivery test runs once');
+    dir = mkdtempSync(path.join(tmpdir(), 'webhooks-'));
+    // lib/webhooks reads its settings when it is first imported
+    Object.assign(process.env, {
+      CONTACT_FORM_WEBHOOK_SECRET: SECRET,
+      WEBHOOK_MAX_ATTEMPTS: String(MAX_ATTEMPTS),
+      WEBHOOK_RETRY_BASE_MS: '20',
+      WEBHOOK_DEAD_LETTER_DIR: dir
+    });
+    webhooks = await import('../src/lib/webhooks.ts');
+    catcher = await startWebhookCatcher(0);
+  });
+
+  test.afterAll(async () => {
+    await catcher?.close();
+    if (dir) rmSync(dir, { recursive: true, force: true });
+  });
+
+  test.beforeEach(() => {
+    catcher.requests.length = 0;
+  });
+
+  function delivery(name) {
+    return {
+      url: `${catcher.url}/${name}`,
+      payload: { reference: `EE-${name}`, email: `${name}@example.com` },
+      idempotencyKey: randomUUID(),
+      email: `${name}@example.com`
+    };
+  }
+
+  test('signs the timestamp and body so receivers can detect tampering', async () => {
+    const result = await webhooks.deliverWebhook(delivery('signed'));
+    expect(result).toEqual({ delivered: true, attempts: 1 });
+
+    const [{ headers, body }] = catcher.requests;
+    const timestamp = headers['x-webhook-timestamp'];
+    const signature = headers['x-webhook-signature'];
+    expect(signature).toMatch(/^sha256=[a-f0-9]{64}$/);
+    expect(webhooks.verifySignature(SECRET, timestamp, signature, body)).toBe(true);
+
+    const tampered = body.replace('signed@example.com', 'attacker@example.com');
+    expect(webhooks.verifySignature(SECRET, timestamp, signature, tampered)).toBe(false);
+    expect(webhooks.verifySignature('another-secret', timestamp, signature, body)).toBe(false);
+    // Captured requests stop verifying once they are older than the tolerance
+    const later = (Number(timestamp) + webhooks.SIGNATURE_TOLERANCE_SECONDS + 1) * 1000;
+    expect(webhooks.verifySignature(SECRET, timestamp, signature, body, later)).toBe(false);
+  });
+
+  test('retries a 5xx response and succeeds on a later attempt', async () => {
+    catcher.respondWith(503, 2);
+    const sent = delivery('retried');
+    const result = await webhooks.deliverWebhook(sent);
+
+    expect(result).toEqual({ delivered: true, attempts: 3 });
+    expect(catcher.requests.map(({ status }) => status)).toEqual([503, 503, 202]);
+    expect(catcher.requests.map(({ headers }) => headers['x-webhook-attempt'])).toEqual(['1', '2', '3']);
+    // Every attempt carries the same key, so the receiver can drop duplicates
+    expect(new Set(catcher.requests.map(({ headers }) => headers['idempotency-key']))).toEqual(new Set([sent.idempotencyKey]));
+    expect((await webhooks.listDeadLetters()).map(({ idempotencyKey }) => idempotencyKey)).not.toContain(sent.idempotencyKey);
+  });
+
+  test('writes a dead letter once retries run out and delivers it on replay', async () => {
+    catcher.respondWith(500, MAX_ATTEMPTS);
+    const sent = delivery('dead-letter');
+    const result = await webhooks.deliverWebhook(sent);
+
+    expect(result).toEqual({ delivered: false, attempts: MAX_ATTEMPTS, error: 'HTTP 500' });
+    expect(catcher.requests).toHaveLength(MAX_ATTEMPTS);
+
+    const deadLetter = (await webhooks.listDeadLetters()).find(({ idempotencyKey }) => idempotencyKey === sent.idempotencyKey);
+    expect(deadLetter).toMatchObject({ ...sent, attempts: MAX_ATTEMPTS, lastError: 'HTTP 500' });
+
+    catcher.requests.length = 0;
+    const replayed = await webhooks.replayDeadLetters([deadLetter.id]);
+    expect(replayed).toEqual([{ id: deadLetter.id, result: { delivered: true, attempts: 1 } }]);
+
+    const [{ path: receivedPath, headers, body }] = catcher.requests;
+    expect(receivedPath).toBe('/dead-letter');
+    expect(headers['idempotency-key']).toBe(sent.idempotencyKey);
+    expect(JSON.parse(body)).toEqual(sent.payload);
+    expect(webhooks.verifySignature(SECRET, headers['x-webhook-timestamp'], headers['x-webhook-signature'], body)).toBe(true);
+    expect((await webhooks.listDeadLetters()).map(({ id }) => id)).not.toContain(deadLetter.id);
+  });
+
+  test('records a malformed URL as a dead letter instead of throwing', async () => {
+    const sent = { ...delivery('malformed'), url: 'hooks.example.com/no-scheme' };
+    const result = await webhooks.deliverWebhook(sent);
+
+    expect(result).toEqual({ delivered: false, attempts: 1, error: 'Invalid webhook URL' });
+    expect(catcher.requests).toHaveLength(0);
+    const deadLetters = await webhooks.listDeadLetters();
+    expect(deadLetters.find(({ idempotencyKey }) => idempotencyKey === sent.idempotencyKey)).toMatchObject({ url: sent.url });
+  });
+
+  test('gives up at once when the receiver rejects the payload', async () => {
+    catcher.respondWith(422);
+    const sent = delivery('rejected');
+    const result = await webhooks.deliverWebhook(sent);
+
+    expect(result).toEqual({ delivered: false, attempts: 1, error: 'HTTP 422' });
+    expect(catcher.requests).toHaveLength(1);
+    const deadLetters = await webhooks.listDeadLetters();
+    expect(deadLetters.find(({ idempotencyKey }) => idempotencyKey === sent.idempotencyKey)).toMatchObject({ attempts: 1 });
+  });
+});